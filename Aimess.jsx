@@ -1,405 +1,738 @@
 import React, { useState, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-
-const ConstrainedFruitVoting = () => {
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const fruits = ['Apple', 'Banana', 'Orange', 'Mango', 'Grapes', 'Strawberry', 'Cherry', 'Peach', 'Pear', 'Kiwi'];
-  const meals = ['Lunch', 'Dinner'];
-
-  // Initialize users with empty selections
-  const initializeUsers = () => {
-    const users = {};
-    for (let i = 1; i <= 4; i++) {
-      users[`User ${i}`] = {};
-      days.forEach(day => {
-        users[`User ${i}`][day] = {};
-        meals.forEach(meal => {
-          users[`User ${i}`][day][meal] = '';
-        });
-      });
-    }
-    return users;
-  };
+import { DEFAULT_RULES, RULE_TYPES, describeRules, getItemLimit, validateRules } from './rules.js';
+import {
+  getAvailableItems,
+  getTotalVotes,
+  calculateSatisfaction,
+  calculateUserSatisfaction,
+  calculateFairnessSummary,
+  calculatePlanCost,
+  calculateNutrition,
+  getChartData,
+  createEmptyBallot,
+  createPlannerInput,
+  explainSlot,
+  explainWithoutRule,
+  getHeadcount,
+  indexItems
+} from './planner.js';
+import { CATEGORIES, CATEGORY_LABELS, DEFAULT_CATALOG, getActiveItems, getCourses, getItemLabel, isServedAt, validateCatalog } from './catalog.js';
+import {
+  createCampusStore,
+  createLocalStorageAdapter,
+  loadBallotHistory,
+  loadFeedbackHistory,
+  loadPlanHistory,
+  loadWeekHistory,
+  toPlannerHistory
+} from './storage.js';
+import { createApiCampus, createApiClient } from './api.js';
+import { getWeekId, getDayDate, shiftWeek, formatWeekRange } from './weeks.js';
+import { DEFAULT_FAIRNESS, getCarryOverWeights, getFairnessMode, getVoterWeight } from './fairness.js';
+import { can, getRoleLabel, isAdmin } from './auth.js';
+import { DIETS, formatDiets, getDietProfiles, isSuitable } from './diet.js';
+import { DEFAULT_GOALS } from './nutrition.js';
+import { isInSeason } from './inventory.js';
+import { buildShoppingList } from './procurement.js';
+import { EMPTY_OVERRIDES, findItemBan, findSlotLock, withOverrides } from './overrides.js';
+import { BALLOT_HISTORY_WEEKS, copyBallot, fillFromHistory, fillRandomly } from './assistant.js';
+import { EMPTY_WINDOW, getNextWindowChange, getPlanVersion, getWeekStatus } from './publishing.js';
+import { getItemRatings, getServedItems, hasBeenServed, summarizeFeedback } from './feedback.js';
+import { BALLOT_MODES, convertBallot, filterSlotOptions, formatVotes, getBallotMode, hasPreference } from './preferences.js';
+import { createPlanWorker } from './backgroundPlanner.js';
+import CatalogAdmin from './CatalogAdmin.jsx';
+import WeekHistory from './WeekHistory.jsx';
+import TrendsPanel from './TrendsPanel.jsx';
+import LoginPanel from './LoginPanel.jsx';
+import MemberAdmin from './MemberAdmin.jsx';
+import NutritionPanel from './NutritionPanel.jsx';
+import FairnessPanel from './FairnessPanel.jsx';
+import SlotPreferences from './SlotPreferences.jsx';
+import ShoppingListPanel from './ShoppingListPanel.jsx';
+import DataTransferPanel from './DataTransferPanel.jsx';
+import PlanExplanationDrawer from './PlanExplanationDrawer.jsx';
+import MenuUsageChart from './MenuUsageChart.jsx';
+import ConstraintStatusPanel from './ConstraintStatusPanel.jsx';
+import ScenarioPanel from './ScenarioPanel.jsx';
+import SlotLockDialog from './SlotLockDialog.jsx';
+import OverridesPanel from './OverridesPanel.jsx';
+import WeekStatusBanner from './WeekStatusBanner.jsx';
+import MealFeedbackDialog from './MealFeedbackDialog.jsx';
+import FeedbackPanel from './FeedbackPanel.jsx';
+import CampusPanel from './CampusPanel.jsx';
+import CampusAdmin from './CampusAdmin.jsx';
+
+// Quiet time after the last edit before the week is planned again
+const PLAN_DELAY_MS = 400;
 
-  const [users, setUsers] = useState(initializeUsers());
-  const [selectedUser, setSelectedUser] = useState('User 1');
+// Campus used when none is passed in: the REST API when the page sets
+// window.AIMESS_API_URL, otherwise this browser's localStorage
+let defaultCampus = null;
+const getDefaultCampus = () => {
+  if (!defaultCampus) {
+    const apiUrl = typeof window !== 'undefined' ? window.AIMESS_API_URL : null;
+    defaultCampus = apiUrl
+      ? createApiCampus(createApiClient(apiUrl))
+      : createCampusStore(createLocalStorageAdapter());
+  }
+  return defaultCampus;
+};
+
+const ConstrainedFruitVoting = ({ campus = getDefaultCampus() }) => {
+  const [catalog, setCatalog] = useState(DEFAULT_CATALOG);
+  const { days, meals } = catalog;
+  const activeItems = getActiveItems(catalog);
+
+  // Signed-in account and every member's public account, keyed by roll number,
+  // with the account's mess and its store. Contractors belong to no mess.
+  const [currentAccount, setCurrentAccount] = useState(null);
+  const [mess, setMess] = useState(null);
+  const [store, setStore] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [dietProfiles, setDietProfiles] = useState({});
+  const admin = isAdmin(currentAccount);
+
+  // Ballots keyed by roll number. Students only ever hold their own ballot
+  // under their roll number; the rest may arrive anonymised from the server.
+  const [users, setUsers] = useState({});
+  const [selectedUser, setSelectedUser] = useState(null);
   const [optimalPlan, setOptimalPlan] = useState({});
   const [constraintStatus, setConstraintStatus] = useState({ violations: [], summary: '' });
   const [showDebugInfo, setShowDebugInfo] = useState(false);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [goals, setGoals] = useState(DEFAULT_GOALS);
+  const [fairness, setFairness] = useState(DEFAULT_FAIRNESS);
+  const [carryOverWeights, setCarryOverWeights] = useState({});
+  const [planHistory, setPlanHistory] = useState([]);
+  const [showMajorityPlan, setShowMajorityPlan] = useState(false);
+  const [fairnessComparison, setFairnessComparison] = useState(null);
+  const [planVoterWeights, setPlanVoterWeights] = useState({});
+  const [explainedSlot, setExplainedSlot] = useState(null);
+  const [showRuleSettings, setShowRuleSettings] = useState(false);
+  const [showCatalogAdmin, setShowCatalogAdmin] = useState(false);
+  const [weekId, setWeekId] = useState(getWeekId());
+  const [loadedWeekId, setLoadedWeekId] = useState(null);
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const [weekHistory, setWeekHistory] = useState([]);
+  const [showWeekHistory, setShowWeekHistory] = useState(false);
+  const [showTrends, setShowTrends] = useState(false);
+  const [showMemberAdmin, setShowMemberAdmin] = useState(false);
+  const [showScenario, setShowScenario] = useState(false);
+  const [overrides, setOverrides] = useState(EMPTY_OVERRIDES);
+  const [lockingSlot, setLockingSlot] = useState(null);
+  const [ballotWindow, setBallotWindow] = useState(EMPTY_WINDOW);
+  const [planVersions, setPlanVersions] = useState([]);
+  const [showDraft, setShowDraft] = useState(false);
+  const [clock, setClock] = useState(() => Date.now());
+  const [assistantNote, setAssistantNote] = useState(null);
+  const [feedback, setFeedback] = useState({});
+  const [itemRatings, setItemRatings] = useState({});
+  const [ratingMeal, setRatingMeal] = useState(null);
+  const [showCampus, setShowCampus] = useState(false);
+  const [planWorker] = useState(createPlanWorker);
+  const [planning, setPlanning] = useState(false);
+  const [saveError, setSaveError] = useState(null);
+  const [settingsProblems, setSettingsProblems] = useState([]);
+  const [weekReloads, setWeekReloads] = useState(0);
+  // Weeks planned without one rule, by rule id, for the plan on show
+  const [whatIfPlans] = useState(() => new Map());
 
-  // Get available fruits for a specific user/day/meal based on constraints
-  const getAvailableFruits = (targetUser, targetDay, targetMeal) => {
-    // Count current usage of each fruit for this user
-    const userFruitCount = {};
-    fruits.forEach(fruit => { 
-      userFruitCount[fruit] = 0; 
-    });
-    
-    // Count this user's current selections (excluding the target slot we're changing)
-    days.forEach(day => {
-      meals.forEach(meal => {
-        if (!(day === targetDay && meal === targetMeal)) {
-          const selectedFruit = users[targetUser]?.[day]?.[meal];
-          if (selectedFruit && selectedFruit !== '') {
-            userFruitCount[selectedFruit]++;
-          }
-        }
-      });
-    });
-    
-    // Get same day's other meal selection
-    const sameDayOtherMeal = targetMeal === 'Lunch' ? 'Dinner' : 'Lunch';
-    const sameDaySelection = users[targetUser]?.[targetDay]?.[sameDayOtherMeal];
-    
-    // Get previous day's selections
-    const dayIndex = days.indexOf(targetDay);
-    const previousDay = dayIndex > 0 ? days[dayIndex - 1] : null;
-    const nextDay = dayIndex < days.length - 1 ? days[dayIndex + 1] : null;
-    const adjacentDayFruits = [];
-    
-    if (previousDay) {
-      meals.forEach(meal => {
-        const prevFruit = users[targetUser]?.[previousDay]?.[meal];
-        if (prevFruit && prevFruit !== '') {
-          adjacentDayFruits.push(prevFruit);
-        }
-      });
-    }
-    
-    if (nextDay) {
-      meals.forEach(meal => {
-        const nextFruit = users[targetUser]?.[nextDay]?.[meal];
-        if (nextFruit && nextFruit !== '') {
-          adjacentDayFruits.push(nextFruit);
-        }
-      });
-    }
-    
-    // Filter fruits based on constraints
-    return fruits.filter(fruit => {
-      // Constraint 1a: No same fruit for lunch AND dinner on same day
-      if (sameDaySelection === fruit) {
-        return false;
-      }
-      
-      // Constraint 1b: No same fruit on adjacent days
-      if (adjacentDayFruits.includes(fruit)) {
-        return false;
-      }
-      
-      // Constraint 2: Max 2 times per week
-      if (userFruitCount[fruit] >= 2) {
-        return false;
-      }
-      
-      return true;
-    });
+  // Everything the planner needs, built from the current component state
+  const plannerInput = {
+    ...withOverrides(
+      createPlannerInput(catalog, rules, users, dietProfiles, goals, { ...fairness, weights: carryOverWeights }, weekId),
+      overrides
+    ),
+    history: planHistory,
+    ratings: itemRatings
   };
+  const fairnessMode = getFairnessMode(fairness);
+  const itemsById = indexItems(catalog.items);
 
-  // Core algorithm: Find optimal plan with constraints
-  const findOptimalPlanWithConstraints = () => {
-    // Step 1: Count all votes
-    const voteCounts = {};
-    days.forEach(day => {
-      voteCounts[day] = {};
-      meals.forEach(meal => {
-        voteCounts[day][meal] = {};
-        fruits.forEach(fruit => {
-          voteCounts[day][meal][fruit] = 0;
-        });
-      });
+  // Ballots can only change while the week's window is open. Once voting has
+  // closed, the latest published version is shown as it was frozen, unless
+  // an admin asks for a fresh draft.
+  const publishedPlan = planVersions[planVersions.length - 1] || null;
+  const weekStatus = getWeekStatus(ballotWindow, publishedPlan, new Date(clock));
+  const ballotOpen = weekStatus === 'open';
+  const showingPublished = weekStatus === 'published' && !showDraft;
+  const headcount = getHeadcount(plannerInput);
+
+  // Get available dishes for a specific user/day/meal/course based on the catalog and constraints
+  const getAvailableChoices = (targetUser, targetDay, targetMeal, targetCourse) =>
+    getAvailableItems(plannerInput, targetUser, targetDay, targetMeal, targetCourse);
+
+  // Dishes a user may rank below their first choice or score: anything in
+  // season and served in the slot that suits their diet
+  const getFallbackChoices = (targetUser, targetDay, targetMeal, targetCourse) =>
+    catalog.items.filter(item =>
+      isServedAt(item, targetMeal, targetCourse) &&
+      isInSeason(item, getDayDate(weekId, days.indexOf(targetDay))) &&
+      isSuitable(item, plannerInput.diets[targetUser])
+    );
+
+  // Admins load every member; everyone else only gets the diets the planner
+  // needs, with other members' anonymised by the server
+  const refreshAccounts = () => (admin
+    ? store.loadAccounts().then(list => {
+      setAccounts(list);
+      setDietProfiles(getDietProfiles(list));
+    })
+    : store.loadDietProfiles().then(setDietProfiles));
+
+  const applySettings = (settings) => {
+    if (settings?.catalog) setCatalog(settings.catalog);
+    if (settings?.rules) setRules(settings.rules);
+    if (settings?.goals) setGoals(settings.goals);
+    if (settings?.fairness) setFairness(settings.fairness);
+  };
+
+  // Stored ballots of the week, plus an empty one for the signed-in member
+  const applyBallots = (ballots, ballotCatalog = catalog) => {
+    const { rollNumber } = currentAccount;
+    setUsers({ ...ballots, [rollNumber]: ballots?.[rollNumber] || createEmptyBallot(ballotCatalog) });
+  };
+
+  // Restore the saved catalog and rules, and the member list, after sign-in
+  useEffect(() => {
+    if (!currentAccount || !store) return;
+    Promise.all([store.loadSettings(), refreshAccounts()]).then(([settings]) => {
+      applySettings(settings);
+      setSettingsLoaded(true);
     });
+  }, [currentAccount?.rollNumber, store]);
 
-    // Count votes from all users
-    Object.values(users).forEach(user => {
-      days.forEach(day => {
-        meals.forEach(meal => {
-          const selectedFruit = user[day]?.[meal];
-          if (selectedFruit && selectedFruit !== '') {
-            voteCounts[day][meal][selectedFruit]++;
-          }
-        });
-      });
+  // Only admins may change the catalog and rules, so only they save them.
+  // Edits the server would refuse (a dish name cleared to retype it…) stay
+  // unsaved until they are fixed; if the server still refuses, the page goes
+  // back to the settings it kept.
+  useEffect(() => {
+    if (!settingsLoaded || !can(currentAccount, 'settings:edit')) return;
+    const problems = [...validateCatalog(catalog), ...validateRules(rules)];
+    setSettingsProblems(problems);
+    if (problems.length > 0) return;
+    store.saveSettings({ catalog, rules, goals, fairness }).catch(error => {
+      setSaveError({ message: `Settings were not saved: ${error.message}`, details: error.details });
+      return store.loadSettings().then(applySettings);
     });
+  }, [catalog, rules, goals, fairness, settingsLoaded]);
 
-    // Step 2: Apply constraint-aware selection
-    const plan = {};
-    const fruitUsageCount = {};
-    const violations = [];
-    
-    // Initialize fruit usage tracking
-    fruits.forEach(fruit => {
-      fruitUsageCount[fruit] = 0;
+  // Load this week's ballots whenever the week changes
+  useEffect(() => {
+    if (!settingsLoaded) return;
+    let cancelled = false;
+
+    Promise.all([
+      store.loadBallots(weekId),
+      loadPlanHistory(store, weekId),
+      store.loadOverrides(weekId),
+      store.loadBallotWindow(weekId),
+      store.loadPlanVersions(weekId),
+      store.loadFeedback(weekId),
+      loadFeedbackHistory(store, weekId)
+    ]).then(([ballots, previousPlans, weekOverrides, weekWindow, versions, weekFeedback, previousFeedback]) => {
+      if (cancelled) return;
+      applyBallots(ballots);
+      setCarryOverWeights(getCarryOverWeights(previousPlans[0].record));
+      setPlanHistory(toPlannerHistory(previousPlans));
+      setOverrides(weekOverrides);
+      setBallotWindow(weekWindow);
+      setPlanVersions(versions);
+      setFeedback(weekFeedback);
+      setItemRatings(getItemRatings(previousFeedback));
+      setShowDraft(false);
+      setClock(Date.now());
+      setAssistantNote(null);
+      setRatingMeal(null);
+      setSelectedUser(prev => prev || currentAccount.rollNumber);
+      setLoadedWeekId(weekId);
     });
 
-    // Process each day sequentially
-    days.forEach((day, dayIndex) => {
-      plan[day] = {};
-      const previousDay = dayIndex > 0 ? days[dayIndex - 1] : null;
-      
-      meals.forEach(meal => {
-        const mealVotes = voteCounts[day]?.[meal] || {};
-        
-        // Sort fruits by vote count (descending)
-        const sortedCandidates = Object.entries(mealVotes)
-          .sort(([,a], [,b]) => b - a)
-          .filter(([,votes]) => votes > 0);
-        
-        let selectedFruit = null;
-        let selectionReason = '';
-        let hasViolation = false;
-        
-        // Try to find a valid fruit
-        for (const [fruit, votes] of sortedCandidates) {
-          let canSelect = true;
-          let violationReason = '';
-          
-          // Check constraint 1a: No same fruit for lunch AND dinner on same day
-          const currentDaySelections = [];
-          meals.forEach(m => {
-            if (m !== meal) {
-              const sameDayFruit = plan[day]?.[m]?.fruit;
-              if (sameDayFruit) {
-                currentDaySelections.push(sameDayFruit);
-              }
-            }
-          });
-          
-          if (currentDaySelections.includes(fruit)) {
-            canSelect = false;
-            violationReason = 'Same day rule';
-          }
-          
-          // Check constraint 1b: No consecutive days
-          if (canSelect && previousDay) {
-            const prevLunch = plan[previousDay]?.Lunch?.fruit;
-            const prevDinner = plan[previousDay]?.Dinner?.fruit;
-            if (fruit === prevLunch || fruit === prevDinner) {
-              canSelect = false;
-              violationReason = 'Consecutive days rule';
-            }
-          }
-          
-          // Check constraint 2: Max 2 times per week
-          if (canSelect && fruitUsageCount[fruit] >= 2) {
-            canSelect = false;
-            violationReason = 'Max 2 times per week rule';
-          }
-          
-          if (canSelect) {
-            selectedFruit = fruit;
-            selectionReason = `${votes} votes, no violations`;
-            break;
-          } else if (!selectedFruit) {
-            violations.push({
-              day,
-              meal,
-              fruit,
-              reason: violationReason,
-              votes
-            });
-          }
-        }
-        
-        // If no valid fruit found, pick the most voted one anyway (forced violation)
-        if (!selectedFruit && sortedCandidates.length > 0) {
-          selectedFruit = sortedCandidates[0][0];
-          selectionReason = `Forced selection (${sortedCandidates[0][1]} votes)`;
-          hasViolation = true;
-        }
-        
-        // Record selection only if we have a fruit
-        if (selectedFruit) {
-          plan[day][meal] = {
-            fruit: selectedFruit,
-            votes: mealVotes[selectedFruit] || 0,
-            totalUsers: Object.keys(users).length,
-            reason: selectionReason,
-            hasViolation: hasViolation
-          };
-          
-          // Update usage counter
-          fruitUsageCount[selectedFruit] = (fruitUsageCount[selectedFruit] || 0) + 1;
-        } else {
-          // No selection made
-          plan[day][meal] = {
-            fruit: null,
-            votes: 0,
-            totalUsers: Object.keys(users).length,
-            reason: 'No selection',
-            hasViolation: false
-          };
-        }
-      });
+    return () => {
+      cancelled = true;
+    };
+  }, [weekId, settingsLoaded, weekReloads]);
+
+  // Save ballots once the current week has been loaded, so defaults never
+  // overwrite stored votes, and only while voting is open. When the server
+  // refuses (a bad pick, or voting closed there before this page's clock said
+  // so), say why and load the week again to show what it stored.
+  useEffect(() => {
+    if (loadedWeekId !== weekId || !ballotOpen) return;
+    store.saveBallots(weekId, users).catch(error => {
+      setSaveError({ message: `Your votes were not saved: ${error.message}`, details: error.details });
+      setLoadedWeekId(null);
+      setWeekReloads(count => count + 1);
     });
+  }, [users, loadedWeekId]);
+
+  // Tick when the ballot window next opens or closes, so the ballot turns
+  // read-only at the deadline (timers cannot wait longer than about 24 days)
+  useEffect(() => {
+    const next = getNextWindowChange(ballotWindow, new Date(clock));
+    if (next === null) return;
+    const timer = setTimeout(() => setClock(Date.now()), Math.min(next - clock, 2 ** 31 - 1));
+    return () => clearTimeout(timer);
+  }, [ballotWindow, clock]);
 
-    return { plan, fruitUsage: fruitUsageCount, violations };
+  const signIn = ({ account, mess: accountMess, store: messStore }) => {
+    setMess(accountMess);
+    setStore(messStore);
+    setCurrentAccount(account);
   };
 
-  // Update optimal plan when users change
+  const signOut = () => {
+    (store || campus).logout().finally(() => {
+      setCurrentAccount(null);
+      setMess(null);
+      setStore(null);
+      setShowCampus(false);
+      setAccounts([]);
+      setDietProfiles({});
+      setUsers({});
+      setSelectedUser(null);
+      setSettingsLoaded(false);
+      setLoadedWeekId(null);
+      setShowMemberAdmin(false);
+      setShowRuleSettings(false);
+      setShowCatalogAdmin(false);
+      setShowScenario(false);
+      setOverrides(EMPTY_OVERRIDES);
+      setLockingSlot(null);
+      setBallotWindow(EMPTY_WINDOW);
+      setPlanVersions([]);
+      setShowDraft(false);
+      setAssistantNote(null);
+      setFeedback({});
+      setItemRatings({});
+      setRatingMeal(null);
+      setSaveError(null);
+      setSettingsProblems([]);
+    });
+  };
+
+  // Members are listed by name; anonymised ballots keep their placeholder key
+  const getMemberName = (rollNumber) =>
+    [currentAccount, ...accounts].find(account => account?.rollNumber === rollNumber)?.name || rollNumber;
+
+  const refreshWeekHistory = () => loadWeekHistory(store).then(setWeekHistory);
+
   useEffect(() => {
-    const result = findOptimalPlanWithConstraints();
+    if (showWeekHistory || showTrends) refreshWeekHistory();
+  }, [showWeekHistory, showTrends, loadedWeekId]);
+
+  // Imports change stored data behind the component's back, so load it again
+  const importBallots = (ballots) =>
+    store.importBallots(weekId, ballots).then(result => store.loadBallots(weekId).then(applyBallots).then(() => result));
+
+  const importState = (data) =>
+    store.importState(data).then(result =>
+      Promise.all([
+        store.loadSettings(),
+        store.loadBallots(weekId),
+        store.loadOverrides(weekId),
+        store.loadBallotWindow(weekId),
+        store.loadPlanVersions(weekId),
+        store.loadFeedback(weekId),
+        loadFeedbackHistory(store, weekId),
+        refreshAccounts()
+      ]).then(([settings, ballots, weekOverrides, weekWindow, versions, weekFeedback, previousFeedback]) => {
+        applySettings(settings);
+        applyBallots(ballots, settings.catalog);
+        setOverrides(weekOverrides);
+        setBallotWindow(weekWindow);
+        setPlanVersions(versions);
+        setFeedback(weekFeedback);
+        setItemRatings(getItemRatings(previousFeedback));
+        return result;
+      })
+    );
+
+  // Locks and bans are recorded under the signed-in admin (the API store
+  // takes the author from the session instead)
+  const lockSlot = (lock) => store.lockSlot(weekId, lock, currentAccount.rollNumber).then(setOverrides);
+  const unlockSlot = (slot) => store.unlockSlot(weekId, slot).then(setOverrides);
+  const banItem = (ban) => store.banItem(weekId, ban, currentAccount.rollNumber).then(setOverrides);
+  const unbanItem = (itemId) => store.unbanItem(weekId, itemId).then(setOverrides);
+
+  const saveBallotWindow = (changed) => store.saveBallotWindow(weekId, changed).then(saved => {
+    setBallotWindow(saved);
+    setClock(Date.now());
+  });
+
+  // Close voting and publish the store's own planner run as the next version
+  // (the API store takes the publisher from the session instead)
+  const publishPlan = () => store.publishPlan(weekId, currentAccount.rollNumber).then(record =>
+    store.loadBallotWindow(weekId).then(saved => {
+      setBallotWindow(saved);
+      setPlanVersions(prev => [...prev, record]);
+      setShowDraft(false);
+      setClock(Date.now());
+      return refreshWeekHistory();
+    })
+  );
+
+  // Residents rate the meals of the published plan for themselves (the API
+  // store dates the feedback with the server's clock instead)
+  const saveFeedback = (entry) => {
+    const { rollNumber } = currentAccount;
+    return store.saveFeedback(weekId, rollNumber, entry, new Date().toISOString()).then(saved => {
+      setFeedback(prev => ({ ...prev, [rollNumber]: saved }));
+    });
+  };
+
+  // Show a fresh plan from the plan worker, or the frozen published version.
+  // With a fairness mode on, the plain-majority plan is shown for comparison.
+  const showPlans = ({ fair, majority }) => {
+    const fairResult = showingPublished
+      ? { ...publishedPlan, voterWeights: publishedPlan.fairness?.weights || {} }
+      : fair;
+    const majorityResult = fairnessMode === 'majority' ? fairResult : majority;
+    const result = showMajorityPlan && !showingPublished ? majorityResult : fairResult;
     setOptimalPlan(result.plan);
+    whatIfPlans.clear();
+    setPlanVoterWeights(result.voterWeights);
+    setFairnessComparison(fairnessMode === 'majority' ? null : {
+      majority: calculateFairnessSummary(plannerInput, majorityResult.plan),
+      fair: calculateFairnessSummary(plannerInput, fairResult.plan),
+      weights: fairResult.voterWeights
+    });
     
     // Create constraint status summary
-    const overUsed = Object.entries(result.fruitUsage)
-      .filter(([, count]) => count > 2)
-      .map(([fruit]) => fruit);
+    const overUsed = Object.entries(result.usage)
+      .filter(([itemId, count]) => {
+        const limit = getItemLimit(rules, itemsById[itemId] || { id: itemId });
+        return limit !== null && count > limit;
+      })
+      .map(([itemId]) => itemId);
     
-    const summary = `${result.violations.length} constraint conflicts, ${overUsed.length} fruits over-used`;
+    const budgetReplacements = result.replacements.filter(replacement => replacement.budget);
+    const summary = `${result.violations.length} constraint conflicts, ${overUsed.length} items over-used, ` +
+      `${budgetReplacements.length} budget replacements, ${result.dietGaps.length} diet gaps, ` +
+      `${result.nutritionShortfalls.length} nutrition shortfalls, ${result.stockShortfalls.length} stock shortfalls`;
     setConstraintStatus({
       violations: result.violations,
+      replacements: result.replacements,
+      dietGaps: result.dietGaps,
+      stockShortfalls: result.stockShortfalls,
       summary: summary,
-      fruitUsage: result.fruitUsage
+      itemUsage: result.usage,
+      // Plans published before the planner reported this count as complete
+      searchComplete: result.searchComplete !== false
+    });
+    setPlanning(false);
+  };
+
+  // Re-plan when ballots, rules or the catalog change. Planning a week takes
+  // seconds with many residents, so it runs in the plan worker, and only once
+  // edits have paused for PLAN_DELAY_MS; results of superseded inputs are
+  // dropped.
+  useEffect(() => {
+    let latest = true;
+    setPlanning(true);
+    const timer = setTimeout(() => {
+      planWorker.run('weekPlans', [plannerInput, { fair: !showingPublished, majority: fairnessMode !== 'majority' }], { replace: true })
+        .then(results => {
+          if (latest && results) showPlans(results);
+        })
+        .catch(error => {
+          console.error(error);
+          if (latest) setPlanning(false);
+        });
+    }, PLAN_DELAY_MS);
+    return () => {
+      latest = false;
+      clearTimeout(timer);
+    };
+  }, [users, rules, catalog, dietProfiles, goals, fairness, carryOverWeights, planHistory, itemRatings, overrides, showMajorityPlan, publishedPlan, showingPublished]);
+
+  useEffect(() => () => planWorker.stop(), [planWorker]);
+
+  // "What if this rule were off?" for a slot. The week without the rule is
+  // planned once in the plan worker and then answers every slot, until a new
+  // plan arrives; dropped or failed runs are not kept.
+  const explainWhatIf = (slot, ruleId) => {
+    const input = showMajorityPlan ? { ...plannerInput, fairness: DEFAULT_FAIRNESS } : plannerInput;
+    const plan = optimalPlan;
+    if (!whatIfPlans.has(ruleId)) {
+      const job = planWorker.run('planWithoutRule', [input, ruleId]).then(withoutRule => {
+        if (!withoutRule && whatIfPlans.get(ruleId) === job) whatIfPlans.delete(ruleId);
+        return withoutRule;
+      }, error => {
+        if (whatIfPlans.get(ruleId) === job) whatIfPlans.delete(ruleId);
+        console.error(error);
+        return null;
+      });
+      whatIfPlans.set(ruleId, job);
+    }
+    return whatIfPlans.get(ruleId)
+      .then(withoutRule => withoutRule && explainWithoutRule(input, plan, slot, ruleId, withoutRule));
+  };
+
+  const updateRule = (ruleId, changes) => {
+    setRules(prev => prev.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)));
+  };
+
+  const updateRuleParam = (rule, param, value) => {
+    updateRule(rule.id, { params: { ...rule.params, [param]: value } });
+  };
+
+  // Numeric params stay positive whole numbers; text params are kept as typed
+  const parseRuleParam = (type, param, rawValue) =>
+    typeof type.params[param] === 'number' ? Math.max(1, Number(rawValue) || 1) : rawValue;
+
+  const toggleRuleCategory = (rule, course) => {
+    const categories = rule.categories || [];
+    updateRule(rule.id, {
+      categories: categories.includes(course)
+        ? categories.filter(c => c !== course)
+        : CATEGORIES.filter(c => c === course || categories.includes(c))
     });
-  }, [users]);
+  };
+
+  // Pass null as the override to remove it
+  const setRuleOverride = (rule, itemId, override) => {
+    const { [itemId]: previous, ...overrides } = rule.overrides || {};
+    updateRule(rule.id, { overrides: override ? { ...overrides, [itemId]: override } : overrides });
+  };
 
-  const updateUserSelection = (user, day, meal, fruit) => {
+  const updateUserSelection = (user, day, meal, course, value) => {
     setUsers(prev => ({
       ...prev,
       [user]: {
         ...prev[user],
         [day]: {
           ...prev[user][day],
-          [meal]: fruit
+          [meal]: {
+            ...prev[user][day]?.[meal],
+            [course]: value
+          }
         }
       }
     }));
   };
 
-  const addNewUser = () => {
-    const newUserNum = Object.keys(users).length + 1;
-    const newUserName = `User ${newUserNum}`;
-    
-    const newUser = {};
-    days.forEach(day => {
-      newUser[day] = {};
-      meals.forEach(meal => {
-        newUser[day][meal] = '';
-      });
+  // Save the signed-in member's diet and drop picks it now rules out (a
+  // closed ballot is left as it was voted)
+  const toggleMyDiet = (diet) => {
+    const { rollNumber, diets = [] } = currentAccount;
+    const nextDiets = diets.includes(diet) ? diets.filter(d => d !== diet) : [...diets, diet];
+
+    store.updateAccount(rollNumber, { diets: nextDiets }).then(account => {
+      setCurrentAccount(account);
+      if (ballotOpen) {
+        setUsers(prev => {
+          const ballot = {};
+          Object.entries(prev[rollNumber] || {}).forEach(([day, dayMeals]) => {
+            ballot[day] = {};
+            Object.entries(dayMeals).forEach(([meal, picks]) => {
+              ballot[day][meal] = {};
+              Object.entries(picks).forEach(([course, value]) => {
+                ballot[day][meal][course] = filterSlotOptions(value, itemId =>
+                  !itemsById[itemId] || isSuitable(itemsById[itemId], account.diets)
+                );
+              });
+            });
+          });
+          return { ...prev, [rollNumber]: ballot };
+        });
+      }
+      return refreshAccounts();
     });
-    
-    setUsers(prev => ({
-      ...prev,
-      [newUserName]: newUser
-    }));
   };
 
-  const removeUser = (userToRemove) => {
-    if (Object.keys(users).length > 1) {
-      const { [userToRemove]: removed, ...remainingUsers } = users;
-      setUsers(remainingUsers);
-      
-      if (selectedUser === userToRemove) {
-        setSelectedUser(Object.keys(remainingUsers)[0]);
-      }
-    }
+  // Switch a ballot between ranking and scoring, keeping its options
+  const setBallotMode = (user, mode) => {
+    setUsers(prev => ({ ...prev, [user]: convertBallot(prev[user], mode) }));
   };
 
-  const resetAllVotes = () => {
-    if (window.confirm('Are you sure you want to clear all user votes?')) {
-      setUsers(initializeUsers());
-      setSelectedUser('User 1');
+  const addMember = (fields) => store.createAccount(fields).then(refreshAccounts);
+
+  const removeMember = (rollNumber) => store.removeAccount(rollNumber).then(() => {
+    const { [rollNumber]: removed, ...remainingUsers } = users;
+    setUsers(remainingUsers);
+
+    if (selectedUser === rollNumber) {
+      setSelectedUser(currentAccount.rollNumber);
     }
-  };
+    return refreshAccounts();
+  });
 
-  const quickFillRandom = () => {
-    const newUsers = { ...users };
-    
-    Object.keys(newUsers).forEach(userName => {
-      days.forEach(day => {
-        meals.forEach(meal => {
-          const availableFruits = getAvailableFruits(userName, day, meal);
-          if (availableFruits.length > 0) {
-            const randomFruit = availableFruits[Math.floor(Math.random() * availableFruits.length)];
-            newUsers[userName][day][meal] = randomFruit;
-          }
-        });
+  const resetAllVotes = () => {
+    if (window.confirm(`Are you sure you want to clear all member votes for ${weekId}?`)) {
+      store.resetBallots(weekId).then(() => {
+        setUsers({ [currentAccount.rollNumber]: createEmptyBallot(catalog) });
       });
-    });
-    
-    setUsers(newUsers);
+    }
   };
 
-  const fruitEmojis = {
-    'Apple': '🍎', 
-    'Banana': '🍌', 
-    'Orange': '🍊', 
-    'Mango': '🥭', 
-    'Grapes': '🍇', 
-    'Strawberry': '🍓', 
-    'Cherry': '🍒', 
-    'Peach': '🍑', 
-    'Pear': '🍐', 
-    'Kiwi': '🥝'
+  // Fill the empty slots of the signed-in member's own ballot with random
+  // valid picks
+  const quickFillRandom = () => {
+    const { rollNumber } = currentAccount;
+    const { ballot, filled } = fillRandomly(plannerInput, rollNumber);
+    setUsers(prev => ({ ...prev, [rollNumber]: ballot }));
+    setAssistantNote(`🎲 Filled ${filled.length} empty slots at random.`);
   };
 
-  // Calculate chart data
-  const getChartData = () => {
-    const data = fruits.map(fruit => {
-      let lunchCount = 0;
-      let dinnerCount = 0;
-      
-      days.forEach(day => {
-        if (optimalPlan[day]?.Lunch?.fruit === fruit) lunchCount++;
-        if (optimalPlan[day]?.Dinner?.fruit === fruit) dinnerCount++;
-      });
-      
-      return {
-        fruit: fruit.slice(0, 6),
-        lunch: lunchCount,
-        dinner: dinnerCount,
-        total: lunchCount + dinnerCount
-      };
+  // Fill the empty slots of the signed-in member's own ballot with what
+  // their past ballots say they like
+  const fillMyBallot = () => {
+    const { rollNumber } = currentAccount;
+    loadBallotHistory(store, weekId, rollNumber, BALLOT_HISTORY_WEEKS).then(pastBallots => {
+      const { ballot, filled } = fillFromHistory(plannerInput, rollNumber, pastBallots);
+      setUsers(prev => ({ ...prev, [rollNumber]: ballot }));
+      setAssistantNote(pastBallots.some(Boolean)
+        ? `✨ Filled ${filled.length} empty slots from your past ballots.`
+        : `✨ No past ballots found, so ${filled.length} empty slots follow this week's popular picks.`);
     });
-    
-    return data.filter(item => item.total > 0);
   };
 
-  const chartData = getChartData();
+  // Replace the signed-in member's ballot with their ballot of last week
+  const copyLastWeek = () => {
+    const { rollNumber } = currentAccount;
+    const lastWeekId = shiftWeek(weekId, -1);
+    const current = users[rollNumber];
+    const hasPicks = Object.values(current || {}).some(dayMeals =>
+      Object.values(dayMeals || {}).some(slots => Object.values(slots || {}).some(hasPreference)));
+    if (hasPicks && !window.confirm(`Replace your ballot with your ballot of ${lastWeekId}?`)) return;
 
-  // Calculate total votes cast
-  const getTotalVotes = () => {
-    let total = 0;
-    Object.values(users).forEach(user => {
-      days.forEach(day => {
-        meals.forEach(meal => {
-          if (user[day]?.[meal] && user[day][meal] !== '') {
-            total++;
-          }
-        });
-      });
+    store.loadBallots(lastWeekId).then(ballots => {
+      if (!ballots?.[rollNumber]) {
+        setAssistantNote(`📋 You did not vote in ${lastWeekId}.`);
+        return;
+      }
+      const { ballot, copied, dropped } = copyBallot(plannerInput, rollNumber, ballots[rollNumber]);
+      setUsers(prev => ({ ...prev, [rollNumber]: ballot }));
+      setAssistantNote(`📋 Copied ${copied} slots from ${lastWeekId}` + (dropped.length > 0
+        ? `; left out ${[...new Set(dropped.map(entry => getItemLabel(catalog, entry.item)))].join(', ')} where they are not available now.`
+        : '.'));
     });
-    return total;
   };
 
-  const calculateSatisfactionScore = () => {
-    let totalPossibleVotes = 0;
-    let satisfiedVotes = 0;
-    
-    Object.values(users).forEach(user => {
-      days.forEach(day => {
-        meals.forEach(meal => {
-          const userVote = user[day]?.[meal];
-          if (userVote && userVote !== '') {
-            totalPossibleVotes++;
-            const finalSelection = optimalPlan[day]?.[meal]?.fruit;
-            if (finalSelection === userVote) {
-              satisfiedVotes++;
-            }
-          }
-        });
-      });
-    });
-    
-    return totalPossibleVotes > 0 ? Math.round((satisfiedVotes / totalPossibleVotes) * 100) : 0;
-  };
+  if (!currentAccount) {
+    return <LoginPanel campus={campus} onSignedIn={signIn} />;
+  }
+
+  // Contractors only get the combined view of every mess
+  if (!store) {
+    return (
+      <div className="p-6 max-w-7xl mx-auto bg-white">
+        <h1 className="text-3xl font-bold text-center mb-2 text-gray-800">
+          🚚 Campus Catering Overview
+        </h1>
+        <div className="flex items-center justify-center gap-3 mb-6 text-sm text-gray-600">
+          <span>
+            Signed in as <strong>{currentAccount.name}</strong> ({getRoleLabel(currentAccount.role)})
+          </span>
+          <button
+            onClick={signOut}
+            className="bg-gray-200 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors"
+          >
+            🚪 Logout
+          </button>
+        </div>
+        <CampusPanel campus={campus} account={currentAccount} weekId={weekId} onWeekChange={setWeekId} />
+      </div>
+    );
+  }
+
+  // Calculate chart data
+  const chartData = getChartData(plannerInput, optimalPlan);
+  const satisfaction = calculateSatisfaction(plannerInput, optimalPlan);
+  const planCost = calculatePlanCost(plannerInput, optimalPlan);
+  const nutritionReport = calculateNutrition(plannerInput, optimalPlan);
+  const shoppingList = buildShoppingList(plannerInput, optimalPlan);
+
+  // Worst-off residents first; students only see their own line
+  const fairnessRows = Object.entries(calculateUserSatisfaction(plannerInput, optimalPlan))
+    .filter(([user]) => admin || user === currentAccount.rollNumber)
+    .map(([user, entry]) => ({
+      user,
+      name: getMemberName(user),
+      weight: getVoterWeight(fairnessComparison?.weights, user),
+      ...entry
+    }))
+    .sort((a, b) => a.percent - b.percent);
+
+  // Admins can look at any member's ballot, but only its owner can change it
+  const memberList = admin ? accounts.map(account => account.rollNumber) : [currentAccount.rollNumber];
+  const canEditSelected = ballotOpen && can(currentAccount, 'ballot:edit', selectedUser);
+  const canOverride = can(currentAccount, 'plan:override');
+  const ballotMode = getBallotMode(users[selectedUser]);
 
   return (
     <div className="p-6 max-w-7xl mx-auto bg-white">
-      <h1 className="text-3xl font-bold text-center mb-8 text-gray-800">
-        🍎 Smart Fruit Meal Planner with Constraints
+      <h1 className="text-3xl font-bold text-center mb-2 text-gray-800">
+        🍽️ Smart Mess Meal Planner with Constraints
       </h1>
+      <div className="flex items-center justify-center gap-3 mb-6 text-sm text-gray-600">
+        <span>
+          Signed in as <strong>{currentAccount.name}</strong> ({getRoleLabel(currentAccount.role)}) · 🏠 {mess.name}
+        </span>
+        <button
+          onClick={signOut}
+          className="bg-gray-200 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors"
+        >
+          🚪 Logout
+        </button>
+      </div>
+
+      {/* Week Selector */}
+      <div className="flex items-center justify-center gap-3 mb-6">
+        <button
+          onClick={() => setWeekId(shiftWeek(weekId, -1))}
+          className="bg-gray-200 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors"
+        >
+          ◀
+        </button>
+        <div className="text-center">
+          <div className="font-semibold text-gray-800">{weekId}</div>
+          <div className="text-xs text-gray-500">{formatWeekRange(weekId)}</div>
+        </div>
+        <button
+          onClick={() => setWeekId(shiftWeek(weekId, 1))}
+          className="bg-gray-200 px-3 py-1 rounded text-sm hover:bg-gray-300 transition-colors"
+        >
+          ▶
+        </button>
+        {weekId !== getWeekId() && (
+          <button
+            onClick={() => setWeekId(getWeekId())}
+            className="bg-blue-100 text-blue-800 px-3 py-1 rounded text-sm hover:bg-blue-200 transition-colors"
+          >
+            This week
+          </button>
+        )}
+      </div>
+
+      {/* Voting Window and Publishing */}
+      <WeekStatusBanner
+        weekId={weekId}
+        ballotWindow={ballotWindow}
+        versions={planVersions}
+        getMemberName={getMemberName}
+        showDraft={showDraft}
+        onShowDraftChange={can(currentAccount, 'plan:publish') ? setShowDraft : undefined}
+        onSaveWindow={can(currentAccount, 'plan:publish') ? saveBallotWindow : undefined}
+        onPublish={can(currentAccount, 'plan:publish') ? publishPlan : undefined}
+      />
+
+      {/* Failed Saves */}
+      {saveError && (
+        <div className="flex items-start justify-between gap-2 bg-red-50 border border-red-300 rounded-lg p-3 mb-6 text-sm text-red-700">
+          <span>
+            ⚠️ {saveError.message}
+            {Array.isArray(saveError.details) && `: ${saveError.details.join('; ')}`}
+          </span>
+          <button onClick={() => setSaveError(null)} className="text-red-500 hover:text-red-800">✕</button>
+        </div>
+      )}
+      {settingsProblems.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-3 mb-6 text-sm text-yellow-800">
+          ✏️ Settings changes are not saved until they are fixed: {settingsProblems.join('; ')}
+        </div>
+      )}
       
       {/* System Status */}
       <div className="bg-blue-50 p-4 rounded-lg mb-6 border border-blue-300">
@@ -408,94 +741,390 @@ const ConstrainedFruitVoting = () => {
           <div>
             <h3 className="font-semibold text-blue-700 mb-2">Constraints:</h3>
             <ul className="list-disc list-inside text-blue-600 space-y-1">
-              <li><strong>No Same Day Repeat:</strong> Same fruit cannot be selected for both lunch and dinner on same day</li>
-              <li><strong>No Consecutive Days:</strong> Same fruit cannot appear on consecutive days</li>
-              <li><strong>Max 2 Times Per Week:</strong> Each fruit can only be selected maximum twice throughout the week</li>
+              {describeRules(rules).map(rule => (
+                <li key={rule.id}>
+                  <strong>{rule.label}:</strong> {rule.description}
+                  {rule.categories.length > 0 && (
+                    <span className="text-xs text-blue-500"> ({rule.categories.map(course => CATEGORY_LABELS[course]).join(', ')} only)</span>
+                  )}
+                  {rule.overrides.length > 0 && (
+                    <span className="text-xs text-blue-500"> (custom for {rule.overrides.map(itemId => itemsById[itemId]?.name || itemId).join(', ')})</span>
+                  )}
+                </li>
+              ))}
             </ul>
           </div>
           <div>
             <h3 className="font-semibold text-blue-700 mb-2">Current Status:</h3>
             <p className="text-blue-600 mb-2">{constraintStatus.summary}</p>
             <div className="space-y-1">
-              <div className="text-sm text-gray-600">Total Votes: {getTotalVotes()}</div>
-              <div className="text-sm text-gray-600">Satisfaction Score: {calculateSatisfactionScore()}%</div>
+              <div className="text-sm text-gray-600">Total Votes: {getTotalVotes(plannerInput)}</div>
+              <div className="text-sm text-gray-600">
+                Satisfaction Score: {satisfaction.overall}%
+                <span className="text-xs text-gray-500"> ({satisfaction.firstChoice}% got their first choice)</span>
+              </div>
+              <div className="text-sm text-gray-600">
+                Plan Cost: ₹{planCost.total} per resident
+                <span className="text-xs text-gray-500"> (₹{planCost.total * Object.keys(dietProfiles).length} for {Object.keys(dietProfiles).length} residents)</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                {CATEGORIES.filter(course => satisfaction.byCourse[course] !== undefined)
+                  .map(course => `${CATEGORY_LABELS[course]} ${satisfaction.byCourse[course]}%`)
+                  .join(' · ')}
+              </div>
             </div>
           </div>
           <div>
             <h3 className="font-semibold text-blue-700 mb-2">Actions:</h3>
             <div className="space-y-2">
               <div className="flex gap-2">
-                <button 
-                  onClick={addNewUser}
-                  className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition-colors"
-                >
-                  ➕ Add User
-                </button>
+                {admin && (
+                  <button 
+                    onClick={() => setShowMemberAdmin(!showMemberAdmin)}
+                    className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition-colors"
+                  >
+                    👥 Members
+                  </button>
+                )}
+                {admin && (
+                  <button 
+                    onClick={() => setShowScenario(!showScenario)}
+                    className="bg-purple-600 text-white px-3 py-1 rounded text-sm hover:bg-purple-700 transition-colors"
+                  >
+                    🧪 What-if
+                  </button>
+                )}
                 <span className="bg-blue-200 px-2 py-1 rounded text-blue-800 text-sm">
-                  Users: {Object.keys(users).length}
+                  Ballots: {Object.keys(users).length}
                 </span>
               </div>
-              <div className="flex gap-2">
+              <div className="flex flex-wrap gap-2">
                 <button 
                   onClick={quickFillRandom}
-                  className="bg-purple-500 text-white px-3 py-1 rounded text-sm hover:bg-purple-600 transition-colors"
+                  disabled={!ballotOpen}
+                  className="bg-purple-500 text-white px-3 py-1 rounded text-sm hover:bg-purple-600 transition-colors disabled:opacity-50"
                 >
                   🎲 Quick Fill
                 </button>
                 <button 
-                  onClick={resetAllVotes}
-                  className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition-colors"
+                  onClick={fillMyBallot}
+                  disabled={!ballotOpen}
+                  title="Fill your empty slots with dishes you liked in past weeks"
+                  className="bg-purple-500 text-white px-3 py-1 rounded text-sm hover:bg-purple-600 transition-colors disabled:opacity-50"
+                >
+                  ✨ Fill my ballot
+                </button>
+                <button 
+                  onClick={copyLastWeek}
+                  disabled={!ballotOpen}
+                  className="bg-purple-500 text-white px-3 py-1 rounded text-sm hover:bg-purple-600 transition-colors disabled:opacity-50"
                 >
-                  🗑️ Reset All
+                  📋 Copy last week
                 </button>
+                {can(currentAccount, 'votes:reset') && (
+                  <button 
+                    onClick={resetAllVotes}
+                    className="bg-red-500 text-white px-3 py-1 rounded text-sm hover:bg-red-600 transition-colors"
+                  >
+                    🗑️ Reset All
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button 
+                  onClick={() => setShowWeekHistory(!showWeekHistory)}
+                  className="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600 transition-colors"
+                >
+                  🗓️ History
+                </button>
+                <button 
+                  onClick={() => setShowTrends(!showTrends)}
+                  className="bg-indigo-500 text-white px-3 py-1 rounded text-sm hover:bg-indigo-600 transition-colors"
+                >
+                  📈 Trends
+                </button>
+                {can(currentAccount, 'campus:read') && (
+                  <button 
+                    onClick={() => setShowCampus(!showCampus)}
+                    className="bg-teal-600 text-white px-3 py-1 rounded text-sm hover:bg-teal-700 transition-colors"
+                  >
+                    🏢 All Messes
+                  </button>
+                )}
+              </div>
+              <div className="flex gap-2">
+                <button 
+                  onClick={() => setShowDebugInfo(!showDebugInfo)}
+                  className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600 transition-colors"
+                >
+                  {showDebugInfo ? '👁️ Hide Debug' : '🔍 Show Debug'}
+                </button>
+                {can(currentAccount, 'settings:edit') && (
+                  <>
+                    <button 
+                      onClick={() => setShowRuleSettings(!showRuleSettings)}
+                      className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 transition-colors"
+                    >
+                      ⚙️ Rules
+                    </button>
+                    <button 
+                      onClick={() => setShowCatalogAdmin(!showCatalogAdmin)}
+                      className="bg-orange-500 text-white px-3 py-1 rounded text-sm hover:bg-orange-600 transition-colors"
+                    >
+                      🍽️ Menu
+                    </button>
+                  </>
+                )}
               </div>
-              <button 
-                onClick={() => setShowDebugInfo(!showDebugInfo)}
-                className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600 transition-colors"
-              >
-                {showDebugInfo ? '👁️ Hide Debug' : '🔍 Show Debug'}
-              </button>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Rule Settings */}
+      {showRuleSettings && (
+        <div className="bg-white p-4 rounded-lg mb-6 border border-blue-300 shadow-sm">
+          <h3 className="text-lg font-semibold mb-3 text-blue-800">⚙️ Rule Settings</h3>
+          <div className="grid md:grid-cols-3 gap-4">
+            {rules.map(rule => {
+              const type = RULE_TYPES[rule.type];
+              const overriddenItems = Object.keys(rule.overrides || {});
+
+              return (
+                <div key={rule.id} className="border rounded-lg p-3 bg-gray-50 text-sm">
+                  <label className="flex items-center gap-2 font-semibold text-gray-700 mb-2">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    />
+                    {type.label}
+                  </label>
+
+                  {Object.keys(type.params).map(param => (
+                    <label key={param} className="flex items-center justify-between gap-2 mb-2 text-gray-600">
+                      <span className="capitalize">{param}:</span>
+                      <input
+                        type={typeof type.params[param] === 'number' ? 'number' : 'text'}
+                        min="1"
+                        value={rule.params[param] ?? type.params[param]}
+                        disabled={!rule.enabled}
+                        onChange={(e) => updateRuleParam(rule, param, parseRuleParam(type, param, e.target.value))}
+                        className={`${typeof type.params[param] === 'number' ? 'w-16' : 'w-24'} p-1 border rounded bg-white`}
+                      />
+                    </label>
+                  ))}
+
+                  <div className="text-xs text-gray-500 mb-1">Applies to courses (none ticked = all):</div>
+                  <div className="flex flex-wrap gap-2 mb-2">
+                    {CATEGORIES.map(course => (
+                      <label key={course} className="flex items-center gap-1 text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={(rule.categories || []).includes(course)}
+                          disabled={!rule.enabled}
+                          onChange={() => toggleRuleCategory(rule, course)}
+                        />
+                        {CATEGORY_LABELS[course]}
+                      </label>
+                    ))}
+                  </div>
+
+                  <div className="text-xs text-gray-500 mb-1">Per-item overrides:</div>
+                  {overriddenItems.map(itemId => {
+                    const override = rule.overrides[itemId];
+                    return (
+                      <div key={itemId} className="flex items-center gap-2 mb-1">
+                        <span className="flex-1">{getItemLabel(catalog, itemId)}</span>
+                        {override.enabled === false ? (
+                          <span className="text-xs text-gray-500 italic">off</span>
+                        ) : (
+                          Object.keys(type.params).map(param => (
+                            <input
+                              key={param}
+                              type={typeof type.params[param] === 'number' ? 'number' : 'text'}
+                              min="1"
+                              title={param}
+                              value={override[param] ?? rule.params[param] ?? type.params[param]}
+                              onChange={(e) => setRuleOverride(rule, itemId, { ...override, [param]: parseRuleParam(type, param, e.target.value) })}
+                              className={`${typeof type.params[param] === 'number' ? 'w-14' : 'w-20'} p-1 border rounded bg-white text-xs`}
+                            />
+                          ))
+                        )}
+                        <button
+                          onClick={() => setRuleOverride(rule, itemId, null)}
+                          className="bg-red-500 text-white px-2 rounded text-xs hover:bg-red-600 transition-colors"
+                        >
+                          ✕
+                        </button>
+                      </div>
+                    );
+                  })}
+                  <select
+                    value=""
+                    disabled={!rule.enabled}
+                    onChange={(e) => {
+                      const [itemId, mode] = e.target.value.split('|');
+                      setRuleOverride(rule, itemId, mode === 'off' ? { enabled: false } : { ...type.params, ...rule.params });
+                    }}
+                    className="w-full p-1 border rounded bg-white text-xs mt-1"
+                  >
+                    <option value="">+ Add override…</option>
+                    {activeItems.filter(item => !overriddenItems.includes(item.id)).map(item => (
+                      <React.Fragment key={item.id}>
+                        {Object.keys(type.params).length > 0 && (
+                          <option value={`${item.id}|custom`}>{item.name}: custom values</option>
+                        )}
+                        <option value={`${item.id}|off`}>{item.name}: rule off</option>
+                      </React.Fragment>
+                    ))}
+                  </select>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Plan Overrides */}
+      {(canOverride || overrides.locks.length > 0 || overrides.bans.length > 0) && (
+        <OverridesPanel
+          weekId={weekId}
+          overrides={overrides}
+          items={activeItems}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+          getMemberName={getMemberName}
+          onUnlock={canOverride ? unlockSlot : undefined}
+          onBan={canOverride ? banItem : undefined}
+          onUnban={canOverride ? unbanItem : undefined}
+        />
+      )}
+
+      {/* What-if Scenario */}
+      {admin && showScenario && (
+        <ScenarioPanel
+          plannerInput={plannerInput}
+          rules={rules}
+          weekId={weekId}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+        />
+      )}
+
+      {/* Week History */}
+      {showWeekHistory && (
+        <WeekHistory
+          history={weekHistory}
+          currentWeekId={weekId}
+          currentPlan={optimalPlan}
+          catalog={catalog}
+          onOpenWeek={setWeekId}
+        />
+      )}
+
+      {/* Trends */}
+      {showTrends && (
+        <TrendsPanel
+          plannerInput={plannerInput}
+          history={weekHistory}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+        />
+      )}
+
+      {/* All Messes */}
+      {showCampus && (
+        <>
+          <CampusPanel campus={campus} account={currentAccount} weekId={weekId} onWeekChange={setWeekId} />
+          {can(currentAccount, 'campus:manage') && <CampusAdmin campus={campus} />}
+        </>
+      )}
+
+      {/* Menu Catalog Admin */}
+      {showCatalogAdmin && (
+        <CatalogAdmin catalog={catalog} problems={settingsProblems} onChange={setCatalog} />
+      )}
+
+      {/* Member Admin */}
+      {admin && showMemberAdmin && (
+        <MemberAdmin
+          accounts={accounts}
+          currentAccount={currentAccount}
+          onCreate={addMember}
+          onRemove={removeMember}
+        />
+      )}
+
       {/* User Interface */}
       <div className="grid lg:grid-cols-4 gap-6 mb-8">
         {/* User Selection */}
         <div className="lg:col-span-1">
-          <h3 className="text-lg font-semibold mb-3 text-gray-700">👥 Users</h3>
+          <h3 className="text-lg font-semibold mb-3 text-gray-700">👥 {admin ? 'Members' : 'My Ballot'}</h3>
           <div className="space-y-2">
-            {Object.keys(users).map(user => (
-              <div key={user} className="flex items-center gap-2">
-                <button
-                  onClick={() => setSelectedUser(user)}
-                  className={`flex-1 p-2 rounded text-sm transition-colors ${
-                    selectedUser === user 
-                      ? 'bg-blue-500 text-white shadow-lg' 
-                      : 'bg-gray-100 hover:bg-gray-200'
-                  }`}
-                >
-                  {user}
-                </button>
-                {Object.keys(users).length > 1 && (
-                  <button
-                    onClick={() => removeUser(user)}
-                    className="bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors"
-                  >
-                    ✕
-                  </button>
-                )}
-              </div>
+            {memberList.map(user => (
+              <button
+                key={user}
+                onClick={() => setSelectedUser(user)}
+                className={`w-full p-2 rounded text-sm transition-colors ${
+                  selectedUser === user 
+                    ? 'bg-blue-500 text-white shadow-lg' 
+                    : 'bg-gray-100 hover:bg-gray-200'
+                }`}
+              >
+                {getMemberName(user)}
+                {!users[user] && <span className="text-xs opacity-75"> (no ballot)</span>}
+              </button>
+            ))}
+          </div>
+
+          <h3 className="text-lg font-semibold mt-6 mb-2 text-gray-700">🥗 My Diet</h3>
+          <div className="space-y-1 text-sm">
+            {Object.entries(DIETS).map(([diet, { label, emoji }]) => (
+              <label key={diet} className="flex items-center gap-2 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={(currentAccount.diets || []).includes(diet)}
+                  onChange={() => toggleMyDiet(diet)}
+                />
+                {emoji} {label}
+              </label>
             ))}
+            <div className="text-xs text-gray-500">Dishes your diet rules out are hidden from your ballot.</div>
           </div>
         </div>
 
         {/* User Voting Interface */}
         <div className="lg:col-span-3">
-          <h3 className="text-lg font-semibold mb-3 text-gray-700">
-            🗳️ {selectedUser}'s Preferences
-          </h3>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 className="text-lg font-semibold text-gray-700">
+              🗳️ {getMemberName(selectedUser)}'s Preferences
+              {!ballotOpen && <span className="text-sm font-normal text-gray-500"> (voting closed)</span>}
+              {ballotOpen && !canEditSelected && <span className="text-sm font-normal text-gray-500"> (read-only)</span>}
+            </h3>
+            <div className="flex gap-1 text-sm">
+              {Object.entries(BALLOT_MODES).map(([mode, { label, emoji }]) => (
+                <button
+                  key={mode}
+                  onClick={() => setBallotMode(selectedUser, mode)}
+                  disabled={!canEditSelected}
+                  className={`px-2 py-1 rounded transition-colors disabled:opacity-50 ${
+                    ballotMode === mode ? 'bg-blue-500 text-white' : 'bg-gray-100 hover:bg-gray-200'
+                  }`}
+                >
+                  {emoji} {label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {assistantNote && (
+            <div className="flex items-start justify-between gap-2 bg-purple-50 border border-purple-200 rounded p-2 mb-2 text-sm text-purple-800">
+              <span>{assistantNote}</span>
+              <button onClick={() => setAssistantNote(null)} className="text-purple-500 hover:text-purple-800">✕</button>
+            </div>
+          )}
+          <div className="text-xs text-gray-500 mb-2">
+            {ballotMode === 'rank'
+              ? 'Rank up to three dishes per course. If your first choice cannot be served, your next choices still count.'
+              : 'Score up to three dishes per course from 1 to 5 stars. Higher scores weigh more in the plan.'}
+          </div>
           <div className="grid md:grid-cols-3 gap-4">
             {days.map(day => (
               <div key={day} className="border rounded-lg p-3 bg-gray-50 shadow-sm">
@@ -506,22 +1135,26 @@ const ConstrainedFruitVoting = () => {
                     <label className="block font-medium text-sm mb-1 text-gray-600">
                       {meal}:
                     </label>
-                    <select
-                      value={users[selectedUser]?.[day]?.[meal] || ''}
-                      onChange={(e) => updateUserSelection(selectedUser, day, meal, e.target.value)}
-                      className="w-full p-2 border rounded bg-white text-sm hover:shadow-sm focus:ring-2 focus:ring-blue-300 transition-all"
-                    >
-                      <option value="">-- Select Fruit --</option>
-                      {getAvailableFruits(selectedUser, day, meal).map(fruit => (
-                        <option key={fruit} value={fruit}>
-                          {fruitEmojis[fruit]} {fruit}
-                        </option>
-                      ))}
-                    </select>
-                    
-                    <div className="text-xs text-blue-600 mt-1">
-                      {getAvailableFruits(selectedUser, day, meal).length} options available
-                    </div>
+                    {getCourses(catalog, meal).map(course => {
+                      const choices = getAvailableChoices(selectedUser, day, meal, course);
+                      const fallbackChoices = getFallbackChoices(selectedUser, day, meal, course);
+                      return (
+                        <div key={course} className="mb-1">
+                          <SlotPreferences
+                            value={users[selectedUser]?.[day]?.[meal]?.[course]}
+                            mode={ballotMode}
+                            courseLabel={CATEGORY_LABELS[course]}
+                            firstChoices={choices}
+                            choices={fallbackChoices}
+                            disabled={!canEditSelected}
+                            onChange={(value) => updateUserSelection(selectedUser, day, meal, course, value)}
+                          />
+                          <div className="text-xs text-blue-600">
+                            {(ballotMode === 'rank' ? choices : fallbackChoices).length} options available
+                          </div>
+                        </div>
+                      );
+                    })}
                   </div>
                 ))}
               </div>
@@ -535,39 +1168,117 @@ const ConstrainedFruitVoting = () => {
         <h2 className="text-2xl font-bold mb-4 text-green-800 text-center">
           🏆 OPTIMAL WEEKLY MEAL PLAN
         </h2>
+        <div className="text-center text-sm text-green-700 -mt-2 mb-4">
+          {showingPublished
+            ? `📌 Published version ${getPlanVersion(publishedPlan)}, frozen when it was published`
+            : `✏️ Draft from the current ballots${ballotOpen ? ', updated as votes come in' : ''}`}
+          {planning && <span className="ml-2 italic text-green-600">⏳ updating…</span>}
+        </div>
+        {constraintStatus.searchComplete === false && (
+          <div className="text-center text-sm text-orange-700 bg-orange-50 border border-orange-200 rounded p-2 mb-4">
+            ⚠️ The planner stopped at its search limit, so a plan that satisfies more votes may exist
+          </div>
+        )}
         <div className="grid md:grid-cols-3 gap-4">
           {days.map(day => (
             <div key={day} className="bg-white p-4 rounded-lg shadow-sm border">
               <h3 className="font-bold text-center mb-3 text-green-700 text-lg">{day}</h3>
               
               {meals.map(meal => {
-                const selection = optimalPlan[day]?.[meal];
-                const isViolation = selection?.hasViolation;
+                const courses = getCourses(catalog, meal);
+                const selections = courses.map(course => optimalPlan[day]?.[meal]?.[course]);
+                const hasAnyItem = selections.some(selection => selection?.item);
+                const isViolation = selections.some(selection => selection?.hasViolation);
+                const canRate = showingPublished && hasAnyItem && hasBeenServed(weekId, days.indexOf(day), meal);
+                const myFeedback = feedback[currentAccount.rollNumber]?.[day]?.[meal];
                 
                 return (
                   <div key={meal} className={`mb-2 p-3 rounded-lg transition-all ${
-                    !selection?.fruit ? 'bg-gray-100 border border-gray-300' :
+                    !hasAnyItem ? 'bg-gray-100 border border-gray-300' :
                     isViolation ? 'bg-yellow-100 border border-yellow-400 shadow-sm' : 'bg-green-100 shadow-sm'
                   }`}>
                     <div className="flex items-center justify-between">
                       <div className="font-semibold text-sm text-gray-700">{meal}:</div>
-                      {isViolation && <span className="text-yellow-600 text-xs">⚠️</span>}
+                      <span className="text-xs text-gray-500">
+                        {hasAnyItem && `₹${planCost.byMeal[day]?.[meal] || 0}`}
+                        {isViolation && <span className="text-yellow-600"> ⚠️</span>}
+                        {canRate && (
+                          <button
+                            onClick={() => setRatingMeal({ day, meal })}
+                            title={myFeedback ? 'Change your feedback on this meal' : 'Rate this meal'}
+                            className={`ml-1 ${myFeedback ? '' : 'opacity-40 hover:opacity-100'}`}
+                          >
+                            ⭐
+                          </button>
+                        )}
+                      </span>
                     </div>
                     
-                    {selection?.fruit ? (
-                      <>
-                        <div className="text-lg font-bold">
-                          {fruitEmojis[selection.fruit]} {selection.fruit}
-                        </div>
-                        <div className="text-xs text-gray-600">
-                          {selection.votes || 0}/{selection.totalUsers || 0} votes
-                        </div>
-                        {isViolation && (
-                          <div className="text-xs text-yellow-700 mt-1">
-                            Constraint conflict
-                          </div>
-                        )}
-                      </>
+                    {hasAnyItem || canOverride ? (
+                      courses.map((course, index) => {
+                        const selection = selections[index];
+                        const lock = selection?.locked ? findSlotLock(overrides, { day, meal, course }) : null;
+                        return (
+                          <React.Fragment key={course}>
+                            <div className="flex items-baseline justify-between gap-2">
+                              <div className={`font-bold ${course === 'main' ? 'text-lg' : 'text-sm'}`}>
+                                {selection?.item ? getItemLabel(catalog, selection.item) : (
+                                  <span className="text-gray-400 font-normal italic">No {CATEGORY_LABELS[course].toLowerCase()}</span>
+                                )}
+                                {lock && (
+                                  <span
+                                    className="text-xs text-purple-700 font-normal"
+                                    title={`Locked by ${getMemberName(lock.by)}: ${lock.reason}`}
+                                  >
+                                    {' '}🔒 {lock.reason}
+                                  </span>
+                                )}
+                                {selection?.hasViolation && (
+                                  <span className="text-xs text-yellow-700 font-normal"> (constraint conflict)</span>
+                                )}
+                                {selection?.replaced && (
+                                  <span className="text-xs text-gray-500 font-normal"> (instead of {getItemLabel(catalog, selection.replaced)})</span>
+                                )}
+                              </div>
+                              <div className="text-xs text-gray-600 whitespace-nowrap">
+                                {selection?.item && (
+                                  <>
+                                    <span title={`${selection.firstChoices || 0} first choices, ${formatVotes(selection.votes)} weighted votes`}>
+                                      {formatVotes(selection.votes)}/{selection.totalUsers || 0} votes
+                                    </span>
+                                    <button
+                                      onClick={() => setExplainedSlot({ day, meal, course })}
+                                      title="Why this dish?"
+                                      className="ml-1 text-blue-600 hover:text-blue-800"
+                                    >
+                                      ❓
+                                    </button>
+                                  </>
+                                )}
+                                {canOverride && (
+                                  <button
+                                    onClick={() => setLockingSlot({ day, meal, course })}
+                                    title={lock ? 'Change or remove the lock' : 'Lock a dish into this slot'}
+                                    className={`ml-1 ${lock ? '' : 'opacity-40 hover:opacity-100'}`}
+                                  >
+                                    🔒
+                                  </button>
+                                )}
+                              </div>
+                            </div>
+                            {(selection?.alternatives || []).map(alternative => (
+                              <div
+                                key={alternative.diets.join('+')}
+                                className={`text-xs pl-3 ${alternative.item ? 'text-green-700' : 'text-red-600 font-semibold'}`}
+                              >
+                                {alternative.item
+                                  ? `↳ ${formatDiets(alternative.diets)} (${alternative.members}): ${getItemLabel(catalog, alternative.item)}`
+                                  : `⚠️ No ${CATEGORY_LABELS[course].toLowerCase()} for ${formatDiets(alternative.diets)} (${alternative.members})`}
+                              </div>
+                            ))}
+                          </React.Fragment>
+                        );
+                      })
                     ) : (
                       <div className="text-gray-500 text-sm italic">
                         No votes received
@@ -581,76 +1292,156 @@ const ConstrainedFruitVoting = () => {
         </div>
       </div>
 
+      {/* Slot Lock */}
+      {lockingSlot && (
+        <SlotLockDialog
+          key={`${lockingSlot.day}-${lockingSlot.meal}-${lockingSlot.course}`}
+          slot={lockingSlot}
+          lock={findSlotLock(overrides, lockingSlot)}
+          items={activeItems.filter(item => isServedAt(item, lockingSlot.meal, lockingSlot.course))}
+          isBanned={(itemId) => Boolean(findItemBan(overrides, itemId))}
+          getMemberName={getMemberName}
+          onLock={(lock) => lockSlot(lock).then(() => setLockingSlot(null))}
+          onUnlock={() => unlockSlot(lockingSlot).then(() => setLockingSlot(null))}
+          onClose={() => setLockingSlot(null)}
+        />
+      )}
+
+      {/* Meal Feedback */}
+      {ratingMeal && publishedPlan && (
+        <MealFeedbackDialog
+          key={`${ratingMeal.day}-${ratingMeal.meal}`}
+          slot={ratingMeal}
+          items={getServedItems(plannerInput, publishedPlan.plan, ratingMeal.day, ratingMeal.meal)}
+          entry={feedback[currentAccount.rollNumber]?.[ratingMeal.day]?.[ratingMeal.meal]}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+          onSave={(entry) => saveFeedback(entry).then(() => setRatingMeal(null))}
+          onClose={() => setRatingMeal(null)}
+        />
+      )}
+
+      {/* Slot Explanation */}
+      {explainedSlot && (
+        <PlanExplanationDrawer
+          key={`${explainedSlot.day}-${explainedSlot.meal}-${explainedSlot.course}`}
+          explanation={explainSlot(plannerInput, optimalPlan, explainedSlot, planVoterWeights)}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+          onWhatIf={(ruleId) => explainWhatIf(explainedSlot, ruleId)}
+          onClose={() => setExplainedSlot(null)}
+        />
+      )}
+
       {/* Debug Information */}
-      {showDebugInfo && constraintStatus.violations.length > 0 && (
+      {showDebugInfo && (constraintStatus.violations.length > 0 || constraintStatus.replacements?.length > 0) && (
         <div className="bg-yellow-50 p-4 rounded-lg mb-6 border border-yellow-300">
           <h3 className="text-lg font-semibold mb-3 text-yellow-800">🐛 Constraint Violations Debug</h3>
           <div className="space-y-2">
             {constraintStatus.violations.map((violation, index) => (
               <div key={index} className="bg-white p-2 rounded border border-yellow-200 text-sm">
-                <strong>{violation.day} {violation.meal}:</strong> {violation.fruit} 
-                ({violation.votes} votes) - blocked by {violation.reason}
+                <strong>{violation.day} {violation.meal} ({CATEGORY_LABELS[violation.course]}):</strong> {getItemLabel(catalog, violation.item)} 
+                ({formatVotes(violation.votes)} votes) - forced despite {violation.reason}
+              </div>
+            ))}
+            {(constraintStatus.replacements || []).map((replacement, index) => (
+              <div key={`replacement-${index}`} className="bg-white p-2 rounded border border-yellow-200 text-sm">
+                {replacement.budget ? '💸 ' : replacement.nutrition ? '🥦 ' : '🔁 '}
+                <strong>{replacement.day} {replacement.meal} ({CATEGORY_LABELS[replacement.course]}):</strong> {getItemLabel(catalog, replacement.item)} 
+                ({formatVotes(replacement.votes)} votes) - {replacement.replaced
+                  ? `replaced ${getItemLabel(catalog, replacement.replaced)} (${formatVotes(replacement.replacedVotes)} votes)`
+                  : 'added to an empty slot'} because of {replacement.reason}
               </div>
             ))}
           </div>
         </div>
       )}
 
-      {/* Analytics */}
-      <div className="grid lg:grid-cols-2 gap-6 mb-6">
-        {/* Fruit Usage Chart */}
-        <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
-          <h3 className="text-xl font-semibold mb-3 text-gray-800">📊 Fruit Usage in Final Plan</h3>
-          <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={chartData}>
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey="fruit" />
-              <YAxis />
-              <Tooltip />
-              <Bar dataKey="lunch" fill="#3b82f6" name="Lunch" />
-              <Bar dataKey="dinner" fill="#8b5cf6" name="Dinner" />
-            </BarChart>
-          </ResponsiveContainer>
+      {/* Diet Gaps */}
+      {showDebugInfo && constraintStatus.dietGaps?.length > 0 && (
+        <div className="bg-red-50 p-4 rounded-lg mb-6 border border-red-300">
+          <h3 className="text-lg font-semibold mb-3 text-red-800">🥗 Slots Without a Suitable Option</h3>
+          <div className="space-y-2">
+            {constraintStatus.dietGaps.map((gap, index) => (
+              <div key={index} className="bg-white p-2 rounded border border-red-200 text-sm">
+                <strong>{gap.day} {gap.meal} ({CATEGORY_LABELS[gap.course]}):</strong> {getItemLabel(catalog, gap.item)} is
+                planned, and no active {CATEGORY_LABELS[gap.course].toLowerCase()} suits {formatDiets(gap.diets)} ({gap.members} residents)
+              </div>
+            ))}
+          </div>
         </div>
+      )}
 
-        {/* Usage Statistics */}
-        <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
-          <h3 className="text-xl font-semibold mb-3 text-gray-800">🎯 Constraint Status</h3>
-          <div className="space-y-2 max-h-72 overflow-y-auto">
-            {fruits.map(fruit => {
-              const usage = constraintStatus.fruitUsage?.[fruit] || 0;
-              const color = usage > 2 ? 'bg-red-200 border-red-400' : 
-                           usage === 2 ? 'bg-yellow-200 border-yellow-400' :
-                           usage === 1 ? 'bg-green-200 border-green-400' : 'bg-gray-200';
-              
-              return (
-                <div key={fruit} className={`flex items-center justify-between p-2 rounded border transition-colors ${color}`}>
-                  <span className="text-sm font-medium">
-                    {fruitEmojis[fruit]} {fruit}
-                  </span>
-                  <span className="text-sm font-bold">
-                    {usage}/2 times
-                  </span>
-                </div>
-              );
-            })}
-          </div>
-          
-          <div className="mt-4 text-xs text-gray-600">
-            <div className="flex items-center gap-2 mb-1">
-              <div className="w-4 h-4 bg-red-200 border border-red-400 rounded"></div>
-              <span>Over limit (violation)</span>
-            </div>
-            <div className="flex items-center gap-2 mb-1">
-              <div className="w-4 h-4 bg-yellow-200 border border-yellow-400 rounded"></div>
-              <span>At limit</span>
-            </div>
-            <div className="flex items-center gap-2">
-              <div className="w-4 h-4 bg-green-200 border border-green-400 rounded"></div>
-              <span>Under limit</span>
-            </div>
+      {/* Shopping List */}
+      {admin && <ShoppingListPanel list={shoppingList} weekId={weekId} itemsById={itemsById} />}
+
+      {/* Import & Export */}
+      <DataTransferPanel
+        weekId={weekId}
+        messId={mess.id}
+        plannerInput={plannerInput}
+        plan={optimalPlan}
+        accounts={accounts}
+        menuTitle={mess.name}
+        menuNote={showingPublished ? `Published version ${getPlanVersion(publishedPlan)}` : 'Draft from the current ballots, may still change'}
+        menuUrl={store.getMenuUrl(weekId)}
+        onExportState={can(currentAccount, 'data:export') ? store.exportState : undefined}
+        onImportState={can(currentAccount, 'data:import') ? importState : undefined}
+        onImportBallots={can(currentAccount, 'data:import') ? importBallots : undefined}
+      />
+
+      {/* Stock Shortfalls */}
+      {constraintStatus.stockShortfalls?.length > 0 && (
+        <div className="bg-orange-50 p-4 rounded-lg mb-6 border border-orange-300">
+          <h3 className="text-lg font-semibold mb-3 text-orange-800">📦 Stock Shortfalls</h3>
+          <div className="space-y-2">
+            {constraintStatus.stockShortfalls.map(entry => (
+              <div key={entry.item} className="bg-white p-2 rounded border border-orange-200 text-sm">
+                <strong>{getItemLabel(catalog, entry.item)}:</strong> planned {entry.uses} times for {headcount} residents
+                needs {entry.needed} servings, but only {entry.stock} are in stock ({entry.shortfall} short)
+              </div>
+            ))}
           </div>
         </div>
+      )}
+
+      {/* Analytics */}
+      <div className="grid lg:grid-cols-2 xl:grid-cols-4 gap-6 mb-6">
+        {/* Menu Usage Chart */}
+        <MenuUsageChart data={chartData} meals={meals} />
+
+        {/* Meal Feedback */}
+        <FeedbackPanel
+          summary={summarizeFeedback(plannerInput, feedback)}
+          ratings={itemRatings}
+          getLabel={(itemId) => getItemLabel(catalog, itemId)}
+          showComments={admin}
+        />
+
+        {/* Nutrition Summary */}
+        <NutritionPanel
+          report={nutritionReport}
+          goals={goals}
+          onChange={can(currentAccount, 'settings:edit') ? setGoals : undefined}
+        />
+
+        {/* Per-resident Satisfaction */}
+        <FairnessPanel
+          mode={fairnessMode}
+          onModeChange={can(currentAccount, 'settings:edit') ? (mode) => setFairness({ ...fairness, mode }) : undefined}
+          comparison={fairnessComparison}
+          showMajority={showMajorityPlan}
+          onShowMajorityChange={setShowMajorityPlan}
+          rows={fairnessRows}
+        />
+
+        {/* Usage Statistics */}
+        <ConstraintStatusPanel
+          items={activeItems}
+          usage={constraintStatus.itemUsage || {}}
+          rules={rules}
+          weekId={weekId}
+          days={days}
+          excludedItems={plannerInput.excludedItems}
+        />
       </div>
     </div>
   );
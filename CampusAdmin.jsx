@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+
+const emptyMess = () => ({ id: '', name: '', wardenRollNumber: '', wardenName: '', wardenPassword: '' });
+const emptyContractor = () => ({ rollNumber: '', name: '', password: '' });
+
+const formatError = (error) => `${error.message}${Array.isArray(error.details) ? `: ${error.details.join('; ')}` : ''}`;
+
+// Warden panel for the campus: add messes, each with its first warden, and
+// the contractor accounts that see every mess
+const CampusAdmin = ({ campus }) => {
+  const [messes, setMesses] = useState([]);
+  const [contractors, setContractors] = useState([]);
+  const [messDraft, setMessDraft] = useState(emptyMess());
+  const [contractorDraft, setContractorDraft] = useState(emptyContractor());
+  const [error, setError] = useState(null);
+
+  const refresh = () => Promise.all([campus.listMesses(), campus.loadContractors()]).then(([messList, contractorList]) => {
+    setMesses(messList);
+    setContractors(contractorList);
+  });
+
+  useEffect(() => {
+    refresh().catch(failure => setError(formatError(failure)));
+  }, [campus]);
+
+  const run = (action, reset) => {
+    setError(null);
+    action().then(reset).then(refresh).catch(failure => setError(formatError(failure)));
+  };
+
+  const addMess = () => run(() => campus.createMess({
+    id: messDraft.id,
+    name: messDraft.name,
+    warden: { rollNumber: messDraft.wardenRollNumber, name: messDraft.wardenName, password: messDraft.wardenPassword }
+  }), () => setMessDraft(emptyMess()));
+
+  const addContractor = () => run(() => campus.createContractor(contractorDraft), () => setContractorDraft(emptyContractor()));
+
+  const removeContractor = (contractor) => {
+    if (window.confirm(`Remove the contractor account ${contractor.name} (${contractor.rollNumber})?`)) {
+      run(() => campus.removeContractor(contractor.rollNumber), () => {});
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-teal-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-teal-800">🏫 Campus Messes and Contractor</h3>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Messes</h4>
+          <div className="space-y-1 mb-2">
+            {messes.map(mess => (
+              <div key={mess.id} className="flex gap-2 p-2 rounded border bg-gray-50">
+                <span className="w-24 font-mono text-gray-600">{mess.id}</span>
+                <span>🏠 {mess.name}</span>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 p-3 bg-teal-50 rounded border border-teal-200">
+            <input
+              value={messDraft.id}
+              onChange={(e) => setMessDraft({ ...messDraft, id: e.target.value })}
+              placeholder="Id, e.g. hostel-b"
+              className="w-32 p-1 border rounded bg-white"
+            />
+            <input
+              value={messDraft.name}
+              onChange={(e) => setMessDraft({ ...messDraft, name: e.target.value })}
+              placeholder="Name"
+              className="flex-1 min-w-[8rem] p-1 border rounded bg-white"
+            />
+            <div className="w-full text-xs text-gray-600">Its first warden:</div>
+            <input
+              value={messDraft.wardenRollNumber}
+              onChange={(e) => setMessDraft({ ...messDraft, wardenRollNumber: e.target.value })}
+              placeholder="Roll number"
+              className="w-28 p-1 border rounded bg-white"
+            />
+            <input
+              value={messDraft.wardenName}
+              onChange={(e) => setMessDraft({ ...messDraft, wardenName: e.target.value })}
+              placeholder="Full name"
+              className="flex-1 min-w-[8rem] p-1 border rounded bg-white"
+            />
+            <input
+              type="password"
+              value={messDraft.wardenPassword}
+              onChange={(e) => setMessDraft({ ...messDraft, wardenPassword: e.target.value })}
+              placeholder="Initial password"
+              autoComplete="new-password"
+              className="w-32 p-1 border rounded bg-white"
+            />
+            <button
+              onClick={addMess}
+              disabled={!messDraft.id.trim() || !messDraft.name.trim()}
+              className="bg-teal-600 text-white px-3 py-1 rounded hover:bg-teal-700 transition-colors disabled:opacity-50"
+            >
+              ➕ Add Mess
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Contractor accounts</h4>
+          <div className="space-y-1 mb-2">
+            {contractors.length === 0 && <div className="text-gray-500 italic">No contractor accounts yet</div>}
+            {contractors.map(contractor => (
+              <div key={contractor.rollNumber} className="flex items-center gap-2 p-2 rounded border bg-gray-50">
+                <span className="w-24 font-mono text-gray-600">{contractor.rollNumber}</span>
+                <span className="flex-1">🚚 {contractor.name}</span>
+                <button
+                  onClick={() => removeContractor(contractor)}
+                  className="bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors"
+                >
+                  ✕
+                </button>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2 p-3 bg-teal-50 rounded border border-teal-200">
+            <input
+              value={contractorDraft.rollNumber}
+              onChange={(e) => setContractorDraft({ ...contractorDraft, rollNumber: e.target.value })}
+              placeholder="Contractor id"
+              className="w-28 p-1 border rounded bg-white"
+            />
+            <input
+              value={contractorDraft.name}
+              onChange={(e) => setContractorDraft({ ...contractorDraft, name: e.target.value })}
+              placeholder="Name"
+              className="flex-1 min-w-[8rem] p-1 border rounded bg-white"
+            />
+            <input
+              type="password"
+              value={contractorDraft.password}
+              onChange={(e) => setContractorDraft({ ...contractorDraft, password: e.target.value })}
+              placeholder="Initial password"
+              autoComplete="new-password"
+              className="w-32 p-1 border rounded bg-white"
+            />
+            <button
+              onClick={addContractor}
+              disabled={!contractorDraft.rollNumber.trim() || !contractorDraft.name.trim()}
+              className="bg-teal-600 text-white px-3 py-1 rounded hover:bg-teal-700 transition-colors disabled:opacity-50"
+            >
+              ➕ Add Contractor
+            </button>
+          </div>
+        </div>
+      </div>
+      {error && <div className="text-red-600 text-sm mt-2">{error}</div>}
+    </div>
+  );
+};
+
+export default CampusAdmin;
@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { can } from './auth.js';
+import { buildCampusShoppingList, findStockConflicts, getCampusDemand } from './campus.js';
+import { formatQuantity } from './procurement.js';
+import { formatWeekRange, shiftWeek } from './weeks.js';
+
+const MESS_COLORS = ['#3b82f6', '#10b981', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6'];
+
+// Shared stock inputs as typed; an empty box means unlimited
+const toDraft = (stock) => Object.fromEntries(Object.entries(stock).map(([item, servings]) => [item, String(servings)]));
+const fromDraft = (draft) => Object.fromEntries(Object.entries(draft).map(([item, value]) =>
+  [item, value.trim() === '' ? null : Number(value)]));
+
+// The contractor's view of a week across every mess: servings per day and
+// per dish, dishes the shared stock cannot cover, and the ingredients for
+// all messes together. Messes without a published plan count with a draft
+// from their current ballots.
+const CampusPanel = ({ campus, account, weekId, onWeekChange }) => {
+  const [messWeeks, setMessWeeks] = useState(null);
+  const [sharedStock, setSharedStock] = useState({});
+  const [stockDraft, setStockDraft] = useState({});
+  const [error, setError] = useState(null);
+  const canEditStock = can(account, 'campus:stock');
+
+  useEffect(() => {
+    let cancelled = false;
+    setMessWeeks(null);
+    Promise.all([campus.loadCampusWeek(weekId), campus.loadSharedStock()]).then(([weeks, stock]) => {
+      if (cancelled) return;
+      setMessWeeks(weeks);
+      setSharedStock(stock);
+      setStockDraft(toDraft(stock));
+      setError(null);
+    }).catch(failure => setError(failure.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [campus, weekId]);
+
+  const saveStock = () => {
+    campus.saveSharedStock(fromDraft(stockDraft)).then(saved => {
+      setSharedStock(saved);
+      setStockDraft(toDraft(saved));
+      setError(null);
+    }).catch(failure => setError(`${failure.message}${Array.isArray(failure.details) ? `: ${failure.details.join('; ')}` : ''}`));
+  };
+
+  const demand = messWeeks ? getCampusDemand(messWeeks) : { items: [], days: [] };
+  const conflicts = messWeeks ? findStockConflicts(messWeeks, demand, sharedStock) : [];
+  const shopping = messWeeks ? buildCampusShoppingList(messWeeks) : [];
+  const conflictFor = (item) => conflicts.find(conflict => conflict.item === item);
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-teal-300 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-teal-800">🏢 All Messes · {weekId}</h3>
+        <div className="flex items-center gap-2 text-sm">
+          <button onClick={() => onWeekChange(shiftWeek(weekId, -1))} className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">◀</button>
+          <span className="text-gray-600">{formatWeekRange(weekId)}</span>
+          <button onClick={() => onWeekChange(shiftWeek(weekId, 1))} className="bg-gray-200 px-2 py-1 rounded hover:bg-gray-300">▶</button>
+        </div>
+      </div>
+      {error && <div className="text-sm text-red-600 mb-2">{error}</div>}
+
+      {!messWeeks ? (
+        <div className="text-sm text-gray-500 italic">Loading every mess…</div>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2 mb-3 text-xs">
+            {messWeeks.map(({ mess, version, draft }) => (
+              <span key={mess.id} className={`px-2 py-1 rounded ${draft ? 'bg-amber-100 text-amber-800' : 'bg-green-100 text-green-800'}`}>
+                🏠 {mess.name}: {draft ? 'draft, not published yet' : `published v${version}`}
+              </span>
+            ))}
+          </div>
+
+          {conflicts.length > 0 && (
+            <div className="bg-red-50 border border-red-300 rounded p-2 mb-3 text-sm space-y-1">
+              <div className="font-semibold text-red-800">📦 Shared stock conflicts</div>
+              {conflicts.map(conflict => (
+                <div key={conflict.item} className="text-red-700">
+                  <strong>{conflict.name}:</strong> {conflict.stock} servings in stock
+                  {conflict.shortfall > 0 && `, the plans need ${conflict.needed} (${conflict.shortfall} short)`}
+                  {conflict.overAllocated && `, the messes' menus count on ${conflict.allocated}`}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid lg:grid-cols-2 gap-4">
+            <div>
+              <h4 className="font-semibold text-sm text-gray-700 mb-2">Servings per day</h4>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={demand.days}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="day" />
+                  <YAxis />
+                  <Tooltip />
+                  <Legend />
+                  {messWeeks.map(({ mess }, index) => (
+                    <Bar key={mess.id} dataKey={mess.id} stackId="servings" name={mess.name} fill={MESS_COLORS[index % MESS_COLORS.length]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm text-gray-700 mb-2">Ingredients for all messes</h4>
+              <div className="max-h-64 overflow-y-auto text-xs">
+                {shopping.length === 0 && <div className="text-gray-500 italic">Nothing planned yet</div>}
+                {shopping.map(row => (
+                  <div key={row.ingredient} className="flex justify-between border-b py-1">
+                    <span>{row.ingredient}</span>
+                    <span className="text-gray-600">{formatQuantity(row.amount, row.unit)} · {row.messes.length} messes</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          <h4 className="font-semibold text-sm text-gray-700 mt-4 mb-2">Servings per dish</h4>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-1">Dish</th>
+                  {messWeeks.map(({ mess }) => <th key={mess.id} className="py-1 text-right">{mess.name}</th>)}
+                  <th className="py-1 text-right">Total</th>
+                  <th className="py-1 text-right">Shared stock</th>
+                </tr>
+              </thead>
+              <tbody>
+                {demand.items.map(row => (
+                  <tr key={row.item} className={`border-b ${conflictFor(row.item) ? 'bg-red-50' : ''}`}>
+                    <td className="py-1">{row.name}{conflictFor(row.item) && ' ⚠️'}</td>
+                    {messWeeks.map(({ mess }) => <td key={mess.id} className="py-1 text-right">{row.byMess[mess.id] || '–'}</td>)}
+                    <td className="py-1 text-right font-semibold">{row.servings}</td>
+                    <td className="py-1 text-right">
+                      {canEditStock ? (
+                        <input
+                          type="number"
+                          min="0"
+                          value={stockDraft[row.item] ?? ''}
+                          placeholder="∞"
+                          onChange={(e) => setStockDraft({ ...stockDraft, [row.item]: e.target.value })}
+                          className="w-20 p-1 border rounded text-right"
+                        />
+                      ) : (sharedStock[row.item] ?? '∞')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {canEditStock && (
+            <button
+              onClick={saveStock}
+              className="mt-2 bg-teal-600 text-white px-3 py-1 rounded text-sm hover:bg-teal-700 transition-colors"
+            >
+              💾 Save shared stock
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CampusPanel;
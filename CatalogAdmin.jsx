@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { CATEGORIES, CATEGORY_LABELS, addItem, updateItem, retireItem } from './catalog.js';
+import { DIETARY_TAGS } from './diet.js';
+import { NUTRIENTS } from './nutrition.js';
+import { formatSeason, isValidMonthDay } from './inventory.js';
+import { formatRecipe, parseRecipe } from './procurement.js';
+
+const emptyDraft = (meals) => ({
+  name: '', emoji: '', category: 'main', meals: [...meals], cost: '', nutrition: {}, tags: [], season: null, stock: '', recipe: ''
+});
+
+const toggleTag = (tags, tag) =>
+  (tags || []).includes(tag) ? tags.filter(t => t !== tag) : Object.keys(DIETARY_TAGS).filter(t => t === tag || (tags || []).includes(t));
+
+// Per-serving nutrition inputs, one per nutrient
+const NutritionInputs = ({ nutrition, onChange }) => (
+  <span className="flex items-center gap-1">
+    {Object.entries(NUTRIENTS).map(([nutrient, { label, unit }]) => (
+      <input
+        key={nutrient}
+        type="number"
+        min="0"
+        title={`${label} per serving (${unit})`}
+        placeholder={label.slice(0, 4)}
+        value={nutrition?.[nutrient] ?? ''}
+        onChange={(e) => onChange({ ...nutrition, [nutrient]: Math.max(0, Number(e.target.value) || 0) })}
+        className="w-14 p-1 border rounded bg-white"
+      />
+    ))}
+  </span>
+);
+
+// From / to 'MM-DD' inputs; clearing both makes the item available all year
+const SeasonInputs = ({ season, onChange }) => {
+  const changeDate = (field, value) => {
+    const next = { from: season?.from || '', to: season?.to || '', [field]: value };
+    onChange(next.from || next.to ? next : null);
+  };
+  const invalid = Boolean(season) && (!isValidMonthDay(season.from) || !isValidMonthDay(season.to));
+  return (
+    <span className="flex items-center gap-1 text-gray-600" title={formatSeason(season) || 'Available all year'}>
+      🗓️
+      {['from', 'to'].map(field => (
+        <input
+          key={field}
+          value={season?.[field] || ''}
+          onChange={(e) => changeDate(field, e.target.value)}
+          placeholder={field === 'from' ? 'MM-DD' : 'to MM-DD'}
+          className={`w-16 p-1 border rounded bg-white ${invalid ? 'border-red-400' : ''}`}
+        />
+      ))}
+    </span>
+  );
+};
+
+// Servings in the storeroom for the week; blank means unlimited
+const StockInput = ({ stock, onChange }) => (
+  <label className="flex items-center gap-1 text-gray-600" title="Servings in stock this week (blank = unlimited)">
+    📦
+    <input
+      type="number"
+      min="0"
+      value={stock ?? ''}
+      onChange={(e) => onChange(e.target.value === '' ? null : Math.max(0, Number(e.target.value) || 0))}
+      placeholder="∞"
+      className="w-16 p-1 border rounded bg-white"
+    />
+  </label>
+);
+
+// Ingredients with optional per-serving amounts, kept as typed until blur
+const RecipeInput = ({ item, onChange }) => {
+  const [text, setText] = useState(formatRecipe(item));
+  return (
+    <input
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => onChange(parseRecipe(text))}
+      title="Ingredients per serving, e.g. rice: 120, lentil: 50 (g, ml or pieces; blank amount = usual serving)"
+      placeholder="rice: 120, lentil"
+      className="w-48 p-1 border rounded bg-white"
+    />
+  );
+};
+
+// Emoji checkboxes for what a dish contains
+const TagToggles = ({ tags, onChange }) => (
+  <span className="flex items-center gap-1">
+    {Object.entries(DIETARY_TAGS).map(([tag, { label, emoji }]) => (
+      <label key={tag} title={`Contains ${label.toLowerCase()}`} className="flex items-center gap-0.5 text-gray-600">
+        <input type="checkbox" checked={(tags || []).includes(tag)} onChange={() => onChange(toggleTag(tags, tag))} />
+        {emoji}
+      </label>
+    ))}
+  </span>
+);
+
+// Admin panel to add, edit and retire items in the menu catalog. `problems`
+// lists what keeps the edited settings from being saved.
+const CatalogAdmin = ({ catalog, problems = [], onChange }) => {
+  const [draft, setDraft] = useState(emptyDraft(catalog.meals));
+  const [showRetired, setShowRetired] = useState(false);
+
+  const toggleMeal = (meals, meal) =>
+    meals.includes(meal) ? meals.filter(m => m !== meal) : catalog.meals.filter(m => m === meal || meals.includes(m));
+
+  const submitDraft = () => {
+    if (!draft.name.trim() || draft.meals.length === 0) return;
+    onChange(addItem(catalog, { ...draft, ...parseRecipe(draft.recipe) }));
+    setDraft(emptyDraft(catalog.meals));
+  };
+
+  const visibleItems = catalog.items.filter(item => showRetired || !item.retired);
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-orange-300 shadow-sm">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-orange-800">🍽️ Menu Catalog</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-600">
+          <input type="checkbox" checked={showRetired} onChange={(e) => setShowRetired(e.target.checked)} />
+          Show retired items
+        </label>
+      </div>
+      {problems.length > 0 && (
+        <ul className="list-disc list-inside mb-3 text-sm text-red-600">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+
+      {/* New item */}
+      <div className="flex flex-wrap items-center gap-2 mb-4 p-3 bg-orange-50 rounded border border-orange-200 text-sm">
+        <input
+          value={draft.emoji}
+          onChange={(e) => setDraft({ ...draft, emoji: e.target.value })}
+          placeholder="🍽️"
+          className="w-12 p-1 border rounded bg-white text-center"
+        />
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          placeholder="Dish name"
+          className="flex-1 min-w-[10rem] p-1 border rounded bg-white"
+        />
+        <input
+          type="number"
+          min="0"
+          value={draft.cost}
+          onChange={(e) => setDraft({ ...draft, cost: e.target.value })}
+          placeholder="₹/serving"
+          className="w-24 p-1 border rounded bg-white"
+        />
+        <select
+          value={draft.category}
+          onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+          className="p-1 border rounded bg-white"
+        >
+          {CATEGORIES.map(category => (
+            <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+          ))}
+        </select>
+        {catalog.meals.map(meal => (
+          <label key={meal} className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={draft.meals.includes(meal)}
+              onChange={() => setDraft({ ...draft, meals: toggleMeal(draft.meals, meal) })}
+            />
+            {meal}
+          </label>
+        ))}
+        <NutritionInputs nutrition={draft.nutrition} onChange={(nutrition) => setDraft({ ...draft, nutrition })} />
+        <TagToggles tags={draft.tags} onChange={(tags) => setDraft({ ...draft, tags })} />
+        <input
+          value={draft.recipe}
+          onChange={(e) => setDraft({ ...draft, recipe: e.target.value })}
+          placeholder="rice: 120, lentil"
+          title="Ingredients per serving (g, ml or pieces; blank amount = usual serving)"
+          className="w-48 p-1 border rounded bg-white"
+        />
+        <SeasonInputs season={draft.season} onChange={(season) => setDraft({ ...draft, season })} />
+        <StockInput stock={draft.stock} onChange={(stock) => setDraft({ ...draft, stock: stock ?? '' })} />
+        <button
+          onClick={submitDraft}
+          disabled={!draft.name.trim() || draft.meals.length === 0}
+          className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition-colors disabled:opacity-50"
+        >
+          ➕ Add Item
+        </button>
+      </div>
+
+      {/* Existing items */}
+      <div className="space-y-2 max-h-96 overflow-y-auto text-sm">
+        {visibleItems.map(item => (
+          <div
+            key={item.id}
+            className={`flex flex-wrap items-center gap-2 p-2 rounded border ${item.retired ? 'bg-gray-100 opacity-60' : 'bg-gray-50'}`}
+          >
+            <input
+              value={item.emoji}
+              onChange={(e) => onChange(updateItem(catalog, item.id, { emoji: e.target.value }))}
+              className="w-12 p-1 border rounded bg-white text-center"
+            />
+            <input
+              value={item.name}
+              onChange={(e) => onChange(updateItem(catalog, item.id, { name: e.target.value }))}
+              className="flex-1 min-w-[10rem] p-1 border rounded bg-white"
+            />
+            <label className="flex items-center gap-1 text-gray-600" title="Cost per serving">
+              ₹
+              <input
+                type="number"
+                min="0"
+                value={item.cost ?? 0}
+                onChange={(e) => onChange(updateItem(catalog, item.id, { cost: Math.max(0, Number(e.target.value) || 0) }))}
+                className="w-16 p-1 border rounded bg-white"
+              />
+            </label>
+            <select
+              value={item.category}
+              onChange={(e) => onChange(updateItem(catalog, item.id, { category: e.target.value }))}
+              className="p-1 border rounded bg-white"
+            >
+              {CATEGORIES.map(category => (
+                <option key={category} value={category}>{CATEGORY_LABELS[category]}</option>
+              ))}
+            </select>
+            {catalog.meals.map(meal => (
+              <label key={meal} className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={item.meals.includes(meal)}
+                  onChange={() => {
+                    const meals = toggleMeal(item.meals, meal);
+                    if (meals.length > 0) onChange(updateItem(catalog, item.id, { meals }));
+                  }}
+                />
+                {meal}
+              </label>
+            ))}
+            <NutritionInputs nutrition={item.nutrition} onChange={(nutrition) => onChange(updateItem(catalog, item.id, { nutrition }))} />
+            <TagToggles tags={item.tags} onChange={(tags) => onChange(updateItem(catalog, item.id, { tags }))} />
+            <RecipeInput item={item} onChange={(recipe) => onChange(updateItem(catalog, item.id, recipe))} />
+            <SeasonInputs season={item.season} onChange={(season) => onChange(updateItem(catalog, item.id, { season }))} />
+            <StockInput stock={item.stock} onChange={(stock) => onChange(updateItem(catalog, item.id, { stock }))} />
+            <button
+              onClick={() => onChange(retireItem(catalog, item.id, !item.retired))}
+              className={`text-white px-2 py-1 rounded text-xs transition-colors ${
+                item.retired ? 'bg-green-500 hover:bg-green-600' : 'bg-red-500 hover:bg-red-600'
+              }`}
+            >
+              {item.retired ? '↩️ Restore' : '🗄️ Retire'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default CatalogAdmin;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { getItemLimit } from './rules.js';
+import { hasStockLimit, isInSeason } from './inventory.js';
+import { getDayDate } from './weeks.js';
+
+// How often each item is planned against its weekly limit under `rules`.
+// usage is the planner's { [itemId]: count }; excluded items (in a what-if
+// scenario) are marked as such.
+const ConstraintStatusPanel = ({ title = '🎯 Constraint Status', items, usage, rules, weekId, days, excludedItems = [] }) => (
+  <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+    <h3 className="text-xl font-semibold mb-3 text-gray-800">{title}</h3>
+    <div className="space-y-2 max-h-72 overflow-y-auto">
+      {items.map(item => {
+        const count = usage[item.id] || 0;
+        const limit = getItemLimit(rules, item);
+        const color = limit !== null && count > limit ? 'bg-red-200 border-red-400' :
+                     limit !== null && count === limit ? 'bg-yellow-200 border-yellow-400' :
+                     count === 1 ? 'bg-green-200 border-green-400' : 'bg-gray-200';
+
+        return (
+          <div key={item.id} className={`flex items-center justify-between p-2 rounded border transition-colors ${color}`}>
+            <span className="text-sm font-medium">
+              {item.emoji} {item.name}
+              {hasStockLimit(item) && <span className="text-xs text-gray-500"> 📦 {item.stock}</span>}
+              {days.every((day, index) => !isInSeason(item, getDayDate(weekId, index))) && (
+                <span className="text-xs text-gray-500"> (out of season)</span>
+              )}
+              {excludedItems.includes(item.id) && <span className="text-xs text-gray-500"> (excluded)</span>}
+            </span>
+            <span className="text-sm font-bold">
+              {limit !== null ? `${count}/${limit} times` : `${count} times`}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+
+    <div className="mt-4 text-xs text-gray-600">
+      <div className="flex items-center gap-2 mb-1">
+        <div className="w-4 h-4 bg-red-200 border border-red-400 rounded"></div>
+        <span>Over limit (violation)</span>
+      </div>
+      <div className="flex items-center gap-2 mb-1">
+        <div className="w-4 h-4 bg-yellow-200 border border-yellow-400 rounded"></div>
+        <span>At limit</span>
+      </div>
+      <div className="flex items-center gap-2">
+        <div className="w-4 h-4 bg-green-200 border border-green-400 rounded"></div>
+        <span>Under limit</span>
+      </div>
+    </div>
+  </div>
+);
+
+export default ConstraintStatusPanel;
@@ -0,0 +1,173 @@
+import React, { useState } from 'react';
+import { createBallotCsvTemplate, parseBallotCsv, planToCsv, planToIcs, validateStateExport } from './exchange.js';
+import { buildMenuSheet, menuSheetToHtml } from './menuSheet.js';
+import { downloadFile, printPage } from './download.js';
+
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const buttonClass = 'px-3 py-1 rounded text-white transition-colors disabled:opacity-50';
+
+// File picker styled as a button; calls onFile with the chosen file's text
+const FileButton = ({ label, accept, className, onFile }) => (
+  <label className={`${buttonClass} ${className} cursor-pointer`}>
+    {label}
+    <input
+      type="file"
+      accept={accept}
+      className="hidden"
+      onChange={(e) => {
+        const [file] = e.target.files;
+        e.target.value = '';
+        if (file) readFile(file).then(onFile);
+      }}
+    />
+  </label>
+);
+
+// Plan downloads and the printable menu for everyone, plus state
+// export/import and ballot sheet import for admins (the on* handlers are only
+// given to them). Import handlers return a promise of the store's result.
+// menuTitle and menuNote head and sign the menu sheets; menuUrl is the public
+// menu page when there is a server.
+const DataTransferPanel = ({ weekId, messId, plannerInput, plan, accounts, menuTitle, menuNote, menuUrl, onExportState, onImportState, onImportBallots }) => {
+  const [status, setStatus] = useState(null);
+  const [rowErrors, setRowErrors] = useState([]);
+
+  const getMenuSheet = () => buildMenuSheet(plannerInput, weekId, plan, { title: menuTitle, note: menuNote });
+
+  const report = (message, errors = []) => {
+    setStatus(message);
+    setRowErrors(errors);
+  };
+
+  const exportState = () => {
+    onExportState()
+      .then(data => downloadFile(`aimess-${data.exportedAt.slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json'))
+      .catch(error => report(`Export failed: ${error.message}`));
+  };
+
+  const importState = (text) => {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      report('That file is not JSON');
+      return;
+    }
+    const errors = validateStateExport(data);
+    if (errors.length > 0) {
+      report('The export file is not valid', errors.map(message => ({ row: null, messages: [message] })));
+      return;
+    }
+    if (!window.confirm(`Replace the settings and ${data.weeks.length} weeks of ballots and plans with this file?`)) return;
+
+    onImportState(data)
+      .then(({ weeks, members, missing }) => report(
+        `Imported ${weeks} weeks and updated ${members} members` +
+        (missing.length > 0 ? `; no account yet for ${missing.join(', ')}` : '')
+      ))
+      .catch(error => report(`Import failed: ${error.message}`, (error.details || []).map(message => ({ row: null, messages: [message] }))));
+  };
+
+  const importBallots = (text) => {
+    const { ballots, errors } = parseBallotCsv(text, plannerInput, accounts);
+    const count = Object.keys(ballots).length;
+    if (count === 0) {
+      report('No ballots were imported', errors);
+      return;
+    }
+    onImportBallots(ballots)
+      .then(() => report(`Imported ${count} ballots for ${weekId}${errors.length > 0 ? `; ${errors.length} rows skipped` : ''}`, errors))
+      .catch(error => report(`Import failed: ${error.message}`, (error.details || []).map(({ rollNumber, messages }) => ({ row: null, rollNumber, messages }))));
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-indigo-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-indigo-800">🔄 Import &amp; Export</h3>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+        <span className="text-gray-600">This week's menu:</span>
+        <button
+          onClick={() => downloadFile(`menu-${weekId}.csv`, planToCsv(plannerInput, weekId, plan), 'text/csv')}
+          className={`${buttonClass} bg-indigo-500 hover:bg-indigo-600`}
+        >
+          📄 CSV
+        </button>
+        <button
+          onClick={() => downloadFile(`menu-${weekId}.ics`, planToIcs(plannerInput, weekId, plan, messId), 'text/calendar')}
+          className={`${buttonClass} bg-indigo-500 hover:bg-indigo-600`}
+        >
+          📅 Calendar (.ics)
+        </button>
+        <button
+          onClick={() => printPage(menuSheetToHtml(getMenuSheet(), 'print'))}
+          title="A4 landscape sheet for the notice board; choose Save as PDF in the print dialog for a PDF"
+          className={`${buttonClass} bg-green-600 hover:bg-green-700`}
+        >
+          🖨️ Notice board (PDF)
+        </button>
+        <button
+          onClick={() => downloadFile(`menu-${weekId}.html`, menuSheetToHtml(getMenuSheet(), 'mobile'), 'text/html')}
+          title="Read-only page for phones, to share with residents"
+          className={`${buttonClass} bg-green-600 hover:bg-green-700`}
+        >
+          📱 Phone page (.html)
+        </button>
+        {menuUrl && (
+          <a
+            href={menuUrl}
+            target="_blank"
+            rel="noreferrer"
+            title="The published menu for phones, no sign-in needed"
+            className="text-green-700 underline"
+          >
+            🔗 Public menu link
+          </a>
+        )}
+      </div>
+
+      {onImportBallots && (
+        <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+          <span className="text-gray-600">Ballots from a form sheet:</span>
+          <button
+            onClick={() => downloadFile('ballot-template.csv', createBallotCsvTemplate(plannerInput), 'text/csv')}
+            className={`${buttonClass} bg-gray-500 hover:bg-gray-600`}
+          >
+            📋 Template
+          </button>
+          <FileButton label="⬆️ Import CSV" accept=".csv,text/csv" className="bg-green-500 hover:bg-green-600" onFile={importBallots} />
+        </div>
+      )}
+
+      {onExportState && onImportState && (
+        <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+          <span className="text-gray-600">Everything (settings, members, ballots, plans):</span>
+          <button onClick={exportState} className={`${buttonClass} bg-gray-500 hover:bg-gray-600`}>
+            ⬇️ Export JSON
+          </button>
+          <FileButton label="⬆️ Import JSON" accept=".json,application/json" className="bg-red-500 hover:bg-red-600" onFile={importState} />
+        </div>
+      )}
+
+      {status && <div className="text-sm font-medium text-gray-700 mt-2">{status}</div>}
+      {rowErrors.length > 0 && (
+        <div className="mt-2 max-h-48 overflow-y-auto space-y-1 text-xs">
+          {rowErrors.map((error, index) => (
+            <div key={index} className="bg-red-50 border border-red-200 rounded p-1">
+              {error.row && <strong>Row {error.row}{error.rollNumber ? ` (${error.rollNumber})` : ''}: </strong>}
+              {!error.row && error.rollNumber && <strong>{error.rollNumber}: </strong>}
+              {error.messages.join('; ')}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataTransferPanel;
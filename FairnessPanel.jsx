@@ -0,0 +1,90 @@
+import React from 'react';
+import { FAIRNESS_MODES } from './fairness.js';
+
+const SUMMARY_ROWS = [
+  { key: 'overall', label: 'Overall satisfaction', format: value => `${value}%` },
+  { key: 'firstChoice', label: 'Got first choice', format: value => `${value}%` },
+  { key: 'worst', label: 'Worst-off resident', format: value => (value === null ? '–' : `${value}%`) },
+  { key: 'leftOut', label: 'Residents at 0%', format: value => value }
+];
+
+// Per-resident satisfaction with the shown plan, and the fairness setting.
+// `comparison` holds calculateFairnessSummary for the majority and the fair
+// plan when a fairness mode is on; rows show the voter weight the fair plan
+// gave each resident. onModeChange is only given to admins.
+const FairnessPanel = ({ mode, onModeChange, comparison, showMajority, onShowMajorityChange, rows }) => (
+  <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+    <h3 className="text-xl font-semibold mb-3 text-gray-800">⚖️ Fairness</h3>
+
+    <div className="text-sm mb-3">
+      {onModeChange ? (
+        <select
+          value={mode}
+          onChange={(e) => onModeChange(e.target.value)}
+          className="w-full p-1 border rounded bg-white"
+        >
+          {Object.entries(FAIRNESS_MODES).map(([fairnessMode, { label, emoji }]) => (
+            <option key={fairnessMode} value={fairnessMode}>{emoji} {label}</option>
+          ))}
+        </select>
+      ) : (
+        <div className="font-medium text-gray-700">{FAIRNESS_MODES[mode].emoji} {FAIRNESS_MODES[mode].label}</div>
+      )}
+      <div className="text-xs text-gray-500 mt-1">{FAIRNESS_MODES[mode].description}</div>
+    </div>
+
+    {comparison && (
+      <div className="mb-3">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500">
+              <th className="text-left font-normal"></th>
+              <th className="text-right font-normal">Majority</th>
+              <th className="text-right font-normal">Fair</th>
+            </tr>
+          </thead>
+          <tbody>
+            {SUMMARY_ROWS.map(({ key, label, format }) => (
+              <tr key={key}>
+                <td className="text-gray-600">{label}</td>
+                <td className="text-right">{format(comparison.majority[key])}</td>
+                <td className="text-right font-semibold">{format(comparison.fair[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+          <input
+            type="checkbox"
+            checked={showMajority}
+            onChange={(e) => onShowMajorityChange(e.target.checked)}
+          />
+          Show the plain-majority plan instead
+        </label>
+      </div>
+    )}
+
+    <div className="space-y-1 max-h-48 overflow-y-auto text-xs">
+      {rows.length === 0 && <div className="text-gray-500 italic">Nobody has voted yet</div>}
+      {rows.map(row => (
+        <div key={row.user} title={`${row.firstChoices}/${row.votes} first choices`}>
+          <div className="flex justify-between">
+            <span className="text-gray-700">
+              {row.name}
+              {row.weight > 1 && <span className="text-blue-600"> ×{row.weight}</span>}
+            </span>
+            <span className={row.percent === 0 ? 'font-semibold text-red-600' : 'text-gray-600'}>{row.percent}%</span>
+          </div>
+          <div className="h-1.5 bg-gray-200 rounded overflow-hidden">
+            <div
+              className={`h-1.5 ${row.percent >= 50 ? 'bg-green-400' : row.percent > 0 ? 'bg-yellow-400' : 'bg-red-400'}`}
+              style={{ width: `${row.percent}%` }}
+            ></div>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default FairnessPanel;
@@ -0,0 +1,92 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { MAX_RATING, WASTE_LEVELS, getRatingFactor } from './feedback.js';
+
+const MAX_COMMENTS = 5;
+const MAX_WASTE_MEALS = 3;
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Residents' feedback on this week's served meals (summary from
+// summarizeFeedback): average rating per dish, the meals with the most left
+// on the plate and the latest comments, plus the dishes whose recent ratings
+// (the planner's `ratings`) make their votes count less. Comments are only
+// passed in for admins.
+const FeedbackPanel = ({ summary, ratings, getLabel, showComments }) => {
+  const data = summary.items.map(entry => ({ ...entry, name: getLabel(entry.item) }));
+  const wastedMeals = summary.meals
+    .filter(meal => meal.waste !== null)
+    .sort((a, b) => b.waste - a.waste)
+    .slice(0, MAX_WASTE_MEALS);
+  const downWeighted = Object.keys(ratings || {})
+    .map(item => ({ item, factor: getRatingFactor(ratings, item), ...ratings[item] }))
+    .filter(entry => entry.factor < 1)
+    .sort((a, b) => a.factor - b.factor);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+      <h3 className="text-xl font-semibold mb-3 text-gray-800">⭐ Meal Feedback</h3>
+
+      {summary.overall.responses === 0 ? (
+        <div className="text-sm text-gray-500 italic mb-3">No feedback on this week's meals yet</div>
+      ) : (
+        <>
+          <div className="text-sm text-gray-700 mb-2">
+            {summary.overall.responses} responses
+            {summary.overall.average !== null && `, ${summary.overall.average}/${MAX_RATING} on average`}
+          </div>
+          <ResponsiveContainer width="100%" height={220}>
+            <BarChart data={data}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis domain={[0, MAX_RATING]} allowDecimals={false} />
+              <Tooltip formatter={(value, name, entry) => [`${value} (${entry.payload.count} residents)`, 'Average rating']} />
+              <Bar dataKey="average" fill="#f59e0b" name="Average rating" />
+            </BarChart>
+          </ResponsiveContainer>
+        </>
+      )}
+
+      {wastedMeals.length > 0 && (
+        <div className="text-sm mt-3">
+          <h4 className="font-semibold text-gray-700">🗑️ Most left on the plate</h4>
+          {wastedMeals.map(meal => (
+            <div key={`${meal.day}-${meal.meal}`} className="text-xs text-gray-600">
+              {meal.day} {meal.meal}: about {formatShare(meal.waste)} of a plate ({meal.responses} responses)
+            </div>
+          ))}
+          <div className="text-xs text-gray-400">
+            Scale: {Object.values(WASTE_LEVELS).map(level => `${level.label} ${formatShare(level.share)}`).join(', ')}
+          </div>
+        </div>
+      )}
+
+      {downWeighted.length > 0 && (
+        <div className="text-sm mt-3">
+          <h4 className="font-semibold text-gray-700">📉 Counting for less in planning</h4>
+          {downWeighted.map(entry => (
+            <div key={entry.item} className="text-xs text-gray-600">
+              {getLabel(entry.item)}: {entry.average}/{MAX_RATING} from {entry.count} residents, votes ×{entry.factor}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {showComments && summary.comments.length > 0 && (
+        <div className="text-sm mt-3">
+          <h4 className="font-semibold text-gray-700">💬 Latest comments</h4>
+          {summary.comments.slice(0, MAX_COMMENTS).map((entry, index) => (
+            <div key={index} className="text-xs text-gray-600">
+              <strong>{entry.day} {entry.meal}:</strong> “{entry.comment}”
+            </div>
+          ))}
+          {summary.comments.length > MAX_COMMENTS && (
+            <div className="text-xs text-gray-400">and {summary.comments.length - MAX_COMMENTS} more</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackPanel;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+
+// Choice in the mess list for signing in to the campus as the contractor
+const CONTRACTOR = '';
+
+// Sign-in form for one mess of the campus, or for the catering contractor.
+// While the chosen mess has no accounts it asks for the first (warden)
+// account instead, so a fresh install can be set up from the page.
+// onSignedIn gets { account, mess, store }, without a mess or store for the
+// contractor.
+const LoginPanel = ({ campus, onSignedIn }) => {
+  const [messes, setMesses] = useState([]);
+  const [messId, setMessId] = useState(null);
+  const [store, setStore] = useState(null);
+  const [hasAccounts, setHasAccounts] = useState(null);
+  const [form, setForm] = useState({ rollNumber: '', name: '', password: '' });
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    campus.listMesses().then(list => {
+      setMesses(list);
+      setMessId(list[0].id);
+    }).catch(setError);
+  }, [campus]);
+
+  useEffect(() => {
+    if (messId === null) return;
+    setHasAccounts(null);
+    setStore(null);
+    if (messId === CONTRACTOR) {
+      setHasAccounts(true);
+      return;
+    }
+    campus.getMessStore(messId).then(messStore => {
+      setStore(messStore);
+      return messStore.hasAccounts().then(setHasAccounts);
+    }).catch(setError);
+  }, [campus, messId]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+
+    const mess = messes.find(candidate => candidate.id === messId) || null;
+    const signIn = messId === CONTRACTOR
+      ? campus.loginContractor(form.rollNumber, form.password)
+      : hasAccounts
+        ? store.login(form.rollNumber, form.password)
+        : store.setupFirstAccount(form);
+    signIn
+      .then(account => onSignedIn({ account, mess, store: mess ? store : null }))
+      .catch(setError)
+      .finally(() => setBusy(false));
+  };
+
+  if (hasAccounts === null) {
+    return <div className="p-6 text-center text-gray-500">{error ? error.message : 'Loading…'}</div>;
+  }
+
+  return (
+    <div className="p-6 max-w-md mx-auto bg-white">
+      <h1 className="text-3xl font-bold text-center mb-8 text-gray-800">
+        🍽️ Smart Mess Meal Planner
+      </h1>
+      <form onSubmit={submit} className="bg-blue-50 p-4 rounded-lg border border-blue-300 space-y-3 text-sm">
+        <h2 className="text-xl font-semibold text-blue-800">
+          {hasAccounts ? '🔑 Sign in' : '🛠️ Set up the first warden account'}
+        </h2>
+        <select value={messId} onChange={(e) => setMessId(e.target.value)} className="w-full p-2 border rounded bg-white">
+          {messes.map(mess => (
+            <option key={mess.id} value={mess.id}>🏠 {mess.name}</option>
+          ))}
+          <option value={CONTRACTOR}>🚚 Catering contractor</option>
+        </select>
+        <input
+          value={form.rollNumber}
+          onChange={(e) => setForm({ ...form, rollNumber: e.target.value })}
+          placeholder={messId === CONTRACTOR ? 'Contractor id' : 'Roll number'}
+          autoComplete="username"
+          className="w-full p-2 border rounded bg-white"
+        />
+        {!hasAccounts && (
+          <input
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Full name"
+            className="w-full p-2 border rounded bg-white"
+          />
+        )}
+        <input
+          type="password"
+          value={form.password}
+          onChange={(e) => setForm({ ...form, password: e.target.value })}
+          placeholder="Password"
+          autoComplete={hasAccounts ? 'current-password' : 'new-password'}
+          className="w-full p-2 border rounded bg-white"
+        />
+        {error && (
+          <div className="text-red-600">
+            {error.message}
+            {Array.isArray(error.details) && (
+              <ul className="list-disc list-inside">
+                {error.details.map(detail => <li key={detail}>{detail}</li>)}
+              </ul>
+            )}
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={busy}
+          className="w-full bg-blue-500 text-white px-3 py-2 rounded hover:bg-blue-600 transition-colors disabled:opacity-50"
+        >
+          {hasAccounts ? 'Sign in' : 'Create account'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPanel;
@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { MAX_COMMENT_LENGTH, MAX_RATING, WASTE_LEVELS } from './feedback.js';
+
+const STARS = Array.from({ length: MAX_RATING }, (_, index) => index + 1);
+
+// Dialog for rating the dishes of one served meal, noting how much was left
+// and adding a comment. `entry` is the member's earlier feedback on the meal.
+// onSave returns a promise; a rejected one is shown in the dialog.
+const MealFeedbackDialog = ({ slot, items, entry, getLabel, onSave, onClose }) => {
+  const [ratings, setRatings] = useState(entry?.ratings || {});
+  const [waste, setWaste] = useState(entry?.waste || '');
+  const [comment, setComment] = useState(entry?.comment || '');
+  const [error, setError] = useState(null);
+
+  const rate = (item, rating) => {
+    if (ratings[item] === rating) {
+      const { [item]: removed, ...rest } = ratings;
+      setRatings(rest);
+    } else {
+      setRatings({ ...ratings, [item]: rating });
+    }
+  };
+
+  const save = () => {
+    onSave({ ...slot, ratings, waste: waste || null, comment }).catch(failure => setError(failure.message));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-xl p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">⭐ How was it?</h3>
+            <div className="text-sm text-gray-600">{slot.day} {slot.meal}</div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none">✕</button>
+        </div>
+
+        {entry?.at && (
+          <div className="bg-amber-50 border border-amber-200 rounded p-2 mb-3 text-xs text-gray-700">
+            You gave feedback on {new Date(entry.at).toLocaleString()}; saving replaces it.
+          </div>
+        )}
+
+        <div className="space-y-2 text-sm">
+          {items.map(item => (
+            <div key={item} className="flex items-center justify-between gap-2">
+              <span>{getLabel(item)}</span>
+              <span className="whitespace-nowrap">
+                {STARS.map(star => (
+                  <button
+                    key={star}
+                    onClick={() => rate(item, star)}
+                    title={`${star} of ${MAX_RATING}`}
+                    className={`text-lg leading-none ${star <= (ratings[item] || 0) ? '' : 'opacity-25 hover:opacity-60'}`}
+                  >
+                    ⭐
+                  </button>
+                ))}
+              </span>
+            </div>
+          ))}
+          <label className="flex items-center justify-between gap-2">
+            Left on the plate
+            <select value={waste} onChange={(e) => setWaste(e.target.value)} className="p-1 border rounded bg-white">
+              <option value="">Not saying</option>
+              {Object.entries(WASTE_LEVELS).map(([level, { label }]) => (
+                <option key={level} value={level}>{label}</option>
+              ))}
+            </select>
+          </label>
+          <textarea
+            value={comment}
+            maxLength={MAX_COMMENT_LENGTH}
+            rows={3}
+            placeholder="Anything the mess should know? (optional)"
+            onChange={(e) => setComment(e.target.value)}
+            className="w-full p-2 border rounded"
+          />
+          <div className="text-xs text-gray-500">
+            Dishes rated poorly by several residents count for less when the next weeks are planned.
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4 text-sm">
+          <button onClick={save} className="bg-amber-500 text-white px-3 py-1 rounded hover:bg-amber-600 transition-colors">
+            💾 Save feedback
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MealFeedbackDialog;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { ROLES, canManageMember, getAssignableRoles } from './auth.js';
+import { formatDiets } from './diet.js';
+
+const emptyDraft = () => ({ rollNumber: '', name: '', role: 'student', password: '' });
+
+// Admin panel to add and remove mess members; only members ranked below the
+// signed-in admin can be removed. onCreate and onRemove return promises; their
+// errors (duplicate roll number, weak password…) are shown inline.
+const MemberAdmin = ({ accounts, currentAccount, onCreate, onRemove }) => {
+  const [draft, setDraft] = useState(emptyDraft());
+  const [error, setError] = useState(null);
+
+  const submitDraft = () => {
+    setError(null);
+    onCreate(draft)
+      .then(() => setDraft(emptyDraft()))
+      .catch(setError);
+  };
+
+  const removeMember = (account) => {
+    if (window.confirm(`Remove ${account.name} (${account.rollNumber})? Their votes stay in past weeks.`)) {
+      setError(null);
+      onRemove(account.rollNumber).catch(setError);
+    }
+  };
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-green-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-green-800">👥 Mess Members</h3>
+
+      {/* New member */}
+      <div className="flex flex-wrap items-center gap-2 mb-2 p-3 bg-green-50 rounded border border-green-200 text-sm">
+        <input
+          value={draft.rollNumber}
+          onChange={(e) => setDraft({ ...draft, rollNumber: e.target.value })}
+          placeholder="Roll number"
+          className="w-32 p-1 border rounded bg-white"
+        />
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          placeholder="Full name"
+          className="flex-1 min-w-[10rem] p-1 border rounded bg-white"
+        />
+        <select
+          value={draft.role}
+          onChange={(e) => setDraft({ ...draft, role: e.target.value })}
+          className="p-1 border rounded bg-white"
+        >
+          {getAssignableRoles(currentAccount).map(role => (
+            <option key={role} value={role}>{ROLES[role].label}</option>
+          ))}
+        </select>
+        <input
+          type="password"
+          value={draft.password}
+          onChange={(e) => setDraft({ ...draft, password: e.target.value })}
+          placeholder="Initial password"
+          autoComplete="new-password"
+          className="w-36 p-1 border rounded bg-white"
+        />
+        <button
+          onClick={submitDraft}
+          disabled={!draft.rollNumber.trim() || !draft.name.trim()}
+          className="bg-green-500 text-white px-3 py-1 rounded text-sm hover:bg-green-600 transition-colors disabled:opacity-50"
+        >
+          ➕ Add Member
+        </button>
+      </div>
+      {error && (
+        <div className="text-red-600 text-sm mb-2">
+          {error.message}
+          {Array.isArray(error.details) && `: ${error.details.join('; ')}`}
+        </div>
+      )}
+
+      {/* Existing members */}
+      <div className="space-y-2 max-h-72 overflow-y-auto text-sm">
+        {accounts.map(account => (
+          <div key={account.rollNumber} className="flex items-center gap-2 p-2 rounded border bg-gray-50">
+            <span className="w-32 font-mono text-gray-600">{account.rollNumber}</span>
+            <span className="flex-1">{account.name}</span>
+            {account.diets?.length > 0 && (
+              <span className="text-xs text-green-700">🥗 {formatDiets(account.diets)}</span>
+            )}
+            <span className="text-xs text-gray-500">{ROLES[account.role]?.label || account.role}</span>
+            {canManageMember(currentAccount, account) && (
+              <button
+                onClick={() => removeMember(account)}
+                className="bg-red-500 text-white px-2 py-1 rounded text-xs hover:bg-red-600 transition-colors"
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MemberAdmin;
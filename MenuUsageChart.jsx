@@ -0,0 +1,24 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+
+const MEAL_COLORS = ['#f59e0b', '#3b82f6', '#10b981', '#8b5cf6'];
+
+// Times each item is planned per meal (data from getChartData)
+const MenuUsageChart = ({ title = '📊 Menu Usage in Final Plan', data, meals, height = 300 }) => (
+  <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+    <h3 className="text-xl font-semibold mb-3 text-gray-800">{title}</h3>
+    <ResponsiveContainer width="100%" height={height}>
+      <BarChart data={data}>
+        <CartesianGrid strokeDasharray="3 3" />
+        <XAxis dataKey="item" />
+        <YAxis />
+        <Tooltip />
+        {meals.map((meal, index) => (
+          <Bar key={meal} dataKey={meal.toLowerCase()} fill={MEAL_COLORS[index % MEAL_COLORS.length]} name={meal} />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  </div>
+);
+
+export default MenuUsageChart;
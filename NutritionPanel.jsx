@@ -0,0 +1,118 @@
+import React from 'react';
+import { GOAL_PERIODS, NUTRIENTS } from './nutrition.js';
+
+// How the plan compares with each nutrition goal (report from
+// calculateNutrition), plus an editor for the goals when `onChange` is given
+const NutritionPanel = ({ report, goals, onChange }) => {
+  const updateGoal = (goalId, changes) => {
+    onChange(goals.map(goal => (goal.id === goalId ? { ...goal, ...changes } : goal)));
+  };
+
+  const addGoal = () => {
+    let n = goals.length + 1;
+    while (goals.some(goal => goal.id === `goal${n}`)) n++;
+    onChange([...goals, { id: `goal${n}`, nutrient: 'protein', period: 'day', min: 50, strict: false, enabled: true }]);
+  };
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-lg shadow-sm">
+      <h3 className="text-xl font-semibold mb-3 text-gray-800">🥦 Nutrition vs Targets</h3>
+      <div className="space-y-3 max-h-72 overflow-y-auto text-sm">
+        {report.length === 0 && <div className="text-gray-500 italic">No nutrition goals enabled</div>}
+        {report.map(goal => (
+          <div key={goal.id}>
+            <div className="flex items-center justify-between mb-1">
+              <span className="font-medium text-gray-700">{goal.label}</span>
+              <span className={`text-xs px-1 rounded ${goal.strict ? 'bg-red-100 text-red-700' : 'bg-gray-200 text-gray-600'}`}>
+                {goal.strict ? 'strict' : 'soft'}
+              </span>
+            </div>
+            <div className="flex gap-1">
+              {goal.periods.map(period => {
+                const percent = Math.min(100, Math.round((period.actual / goal.min) * 100));
+                const color = period.met ? 'bg-green-400' : goal.strict ? 'bg-red-400' : 'bg-yellow-400';
+                return (
+                  <div
+                    key={period.day || 'week'}
+                    className="flex-1 text-center"
+                    title={`${period.day || 'Week'}: ${period.actual} / ${goal.min} ${NUTRIENTS[goal.nutrient].unit}`}
+                  >
+                    <div className="h-2 bg-gray-200 rounded overflow-hidden">
+                      <div className={`h-2 ${color}`} style={{ width: `${percent}%` }}></div>
+                    </div>
+                    <div className="text-xs text-gray-500">{period.day ? period.day.slice(0, 2) : 'Week'}</div>
+                    <div className={`text-xs ${period.met ? 'text-gray-600' : 'font-semibold text-gray-800'}`}>{period.actual}</div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {onChange && (
+        <div className="mt-4 pt-3 border-t text-xs space-y-1">
+          <div className="font-semibold text-gray-600">Targets (per resident):</div>
+          {goals.map(goal => (
+            <div key={goal.id} className="flex flex-wrap items-center gap-1">
+              <input
+                type="checkbox"
+                checked={goal.enabled !== false}
+                onChange={(e) => updateGoal(goal.id, { enabled: e.target.checked })}
+              />
+              <select
+                value={goal.nutrient}
+                onChange={(e) => updateGoal(goal.id, { nutrient: e.target.value })}
+                className="p-1 border rounded bg-white"
+              >
+                {Object.entries(NUTRIENTS).map(([nutrient, { label }]) => (
+                  <option key={nutrient} value={nutrient}>{label}</option>
+                ))}
+              </select>
+              ≥
+              <input
+                type="number"
+                min="1"
+                value={goal.min}
+                onChange={(e) => updateGoal(goal.id, { min: Math.max(1, Number(e.target.value) || 1) })}
+                className="w-16 p-1 border rounded bg-white"
+              />
+              {NUTRIENTS[goal.nutrient]?.unit}
+              <select
+                value={goal.period}
+                onChange={(e) => updateGoal(goal.id, { period: e.target.value })}
+                className="p-1 border rounded bg-white"
+              >
+                {Object.entries(GOAL_PERIODS).map(([period, label]) => (
+                  <option key={period} value={period}>{label}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-1 text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={Boolean(goal.strict)}
+                  onChange={(e) => updateGoal(goal.id, { strict: e.target.checked })}
+                />
+                strict
+              </label>
+              <button
+                onClick={() => onChange(goals.filter(other => other.id !== goal.id))}
+                className="bg-red-500 text-white px-2 rounded hover:bg-red-600 transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addGoal}
+            className="bg-green-500 text-white px-2 py-1 rounded hover:bg-green-600 transition-colors"
+          >
+            ➕ Add Goal
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NutritionPanel;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { CATEGORY_LABELS } from './catalog.js';
+import { MAX_REASON_LENGTH } from './overrides.js';
+
+const formatWhen = (at) => new Date(at).toLocaleDateString();
+
+// The week's locked slots and banned items with who set them and why. The
+// on* handlers are only given to admins; they return promises, and a
+// rejected one is shown under the ban form.
+const OverridesPanel = ({ weekId, overrides, items, getLabel, getMemberName, onUnlock, onBan, onUnban }) => {
+  const [banDraft, setBanDraft] = useState({ item: '', reason: '' });
+  const [error, setError] = useState(null);
+
+  const ban = () => {
+    onBan(banDraft)
+      .then(() => {
+        setBanDraft({ item: '', reason: '' });
+        setError(null);
+      })
+      .catch(failure => setError(failure.message));
+  };
+
+  const bannedIds = overrides.bans.map(entry => entry.item);
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-purple-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-purple-800">🔒 Overrides for {weekId}</h3>
+
+      <div className="grid md:grid-cols-2 gap-4 text-sm">
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Locked slots</h4>
+          {overrides.locks.length === 0 && <div className="text-xs text-gray-500 italic">No slots locked</div>}
+          <div className="space-y-1">
+            {overrides.locks.map(lock => (
+              <div key={`${lock.day}-${lock.meal}-${lock.course}`} className="flex items-start justify-between gap-2 bg-purple-50 rounded p-2">
+                <div>
+                  <strong>{lock.day} {lock.meal} ({CATEGORY_LABELS[lock.course] || lock.course}):</strong> {getLabel(lock.item)}
+                  <div className="text-xs text-gray-600">
+                    {lock.reason} – {getMemberName(lock.by)}, {formatWhen(lock.at)}
+                  </div>
+                </div>
+                {onUnlock && (
+                  <button
+                    onClick={() => onUnlock(lock)}
+                    title="Unlock"
+                    className="bg-red-500 text-white px-2 rounded text-xs hover:bg-red-600 transition-colors"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <h4 className="font-semibold text-gray-700 mb-2">Banned this week</h4>
+          {overrides.bans.length === 0 && <div className="text-xs text-gray-500 italic">No items banned</div>}
+          <div className="space-y-1">
+            {overrides.bans.map(entry => (
+              <div key={entry.item} className="flex items-start justify-between gap-2 bg-gray-100 rounded p-2">
+                <div>
+                  <strong>{getLabel(entry.item)}</strong>
+                  <div className="text-xs text-gray-600">
+                    {entry.reason} – {getMemberName(entry.by)}, {formatWhen(entry.at)}
+                  </div>
+                </div>
+                {onUnban && (
+                  <button
+                    onClick={() => onUnban(entry.item)}
+                    title="Lift the ban"
+                    className="bg-red-500 text-white px-2 rounded text-xs hover:bg-red-600 transition-colors"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {onBan && (
+            <div className="flex flex-wrap gap-2 mt-2">
+              <select
+                value={banDraft.item}
+                onChange={(e) => setBanDraft({ ...banDraft, item: e.target.value })}
+                className="p-1 border rounded bg-white text-xs"
+              >
+                <option value="">Item to ban…</option>
+                {items.filter(item => !bannedIds.includes(item.id)).map(item => (
+                  <option key={item.id} value={item.id}>{item.emoji} {item.name}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={banDraft.reason}
+                maxLength={MAX_REASON_LENGTH}
+                placeholder="Why"
+                onChange={(e) => setBanDraft({ ...banDraft, reason: e.target.value })}
+                className="flex-1 min-w-0 p-1 border rounded text-xs"
+              />
+              <button
+                onClick={ban}
+                disabled={!banDraft.item}
+                className="bg-gray-700 text-white px-3 py-1 rounded text-xs hover:bg-gray-800 transition-colors disabled:opacity-50"
+              >
+                🚫 Ban
+              </button>
+            </div>
+          )}
+          {error && <div className="text-xs text-red-600 mt-1">{error}</div>}
+        </div>
+      </div>
+      <div className="text-xs text-gray-500 mt-3">
+        Locked dishes are served whatever the votes, even when banned, and the rest of the week is planned around them.
+      </div>
+    </div>
+  );
+};
+
+export default OverridesPanel;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { CATEGORY_LABELS } from './catalog.js';
+import { formatVotes } from './preferences.js';
+
+const STATUS_BADGES = {
+  chosen: { label: 'Planned', className: 'bg-green-100 text-green-800' },
+  locked: { label: 'Slot locked by an admin', className: 'bg-purple-100 text-purple-800' },
+  excluded: { label: 'Banned this week', className: 'bg-gray-200 text-gray-700' },
+  blocked: { label: 'Blocked by a rule', className: 'bg-red-100 text-red-800' },
+  goal: { label: 'Swapped for a nutrition goal', className: 'bg-blue-100 text-blue-800' },
+  tradeOff: { label: 'Allowed, but worse for the week', className: 'bg-yellow-100 text-yellow-800' },
+  outvoted: { label: 'Fewer votes', className: 'bg-gray-100 text-gray-600' }
+};
+
+const MAX_CAUSES = 4;
+
+const formatSlot = ({ day, meal, course }) => `${day} ${meal} (${CATEGORY_LABELS[course] || course})`;
+
+// Side drawer explaining one plan slot (explanation from explainSlot).
+// onWhatIf(ruleId) resolves with the result of explainWithoutRule, or null if
+// the answer was dropped; it re-plans the week, so it only runs when asked.
+const PlanExplanationDrawer = ({ explanation, getLabel, onWhatIf, onClose }) => {
+  const [whatIf, setWhatIf] = useState({});
+
+  const askWhatIf = (ruleId) => {
+    setWhatIf(prev => ({ ...prev, [ruleId]: 'working' }));
+    onWhatIf(ruleId).then(result => setWhatIf(prev => ({ ...prev, [ruleId]: result })));
+  };
+
+  const renderWhatIf = (block) => {
+    const result = whatIf[block.ruleId];
+    if (!result) {
+      return (
+        <button onClick={() => askWhatIf(block.ruleId)} className="text-xs text-blue-600 hover:underline">
+          What if this rule were off?
+        </button>
+      );
+    }
+    if (result === 'working') return <div className="text-xs text-gray-500 italic">Planning the week without it…</div>;
+    return (
+      <div className="text-xs text-gray-700 bg-blue-50 rounded p-1">
+        Without “{block.label}”: {result.item ? `${getLabel(result.item)} (${formatVotes(result.votes)} votes)` : 'nothing'} would be
+        served here; {result.changedSlots} slots would change and satisfaction would be {result.satisfactionWithout}% instead
+        of {result.satisfaction}%.
+      </div>
+    );
+  };
+
+  const voted = explanation.candidates.filter(candidate => candidate.votes > 0 || candidate.status === 'chosen');
+  const unvoted = explanation.candidates.length - voted.length;
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full max-w-md h-full bg-white shadow-xl overflow-y-auto p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">🔎 Why this dish?</h3>
+            <div className="text-sm text-gray-600">{formatSlot(explanation)}</div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none">✕</button>
+        </div>
+
+        <div className="bg-green-50 border border-green-200 rounded p-2 mb-4 text-sm">
+          <div className="font-semibold">{explanation.item ? getLabel(explanation.item) : 'Nothing planned'}</div>
+          <div className="text-gray-600">{explanation.reason}</div>
+        </div>
+
+        <h4 className="font-semibold text-sm text-gray-700 mb-2">Candidates</h4>
+        <div className="space-y-2">
+          {voted.length === 0 && <div className="text-sm text-gray-500 italic">Nobody voted in this slot</div>}
+          {voted.map(candidate => (
+            <div key={candidate.item} className="border rounded p-2 text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium">{getLabel(candidate.item)}</span>
+                <span className="text-xs text-gray-600 whitespace-nowrap">
+                  {formatVotes(candidate.votes)} votes · {candidate.firstChoices} first
+                </span>
+              </div>
+              <span className={`inline-block text-xs px-1 rounded mt-1 ${STATUS_BADGES[candidate.status].className}`}>
+                {STATUS_BADGES[candidate.status].label}
+              </span>
+              {candidate.ratingFactor < 1 && (
+                <div className="text-xs text-amber-700 mt-1">
+                  ⭐ Rated {candidate.rating.average}/5 by {candidate.rating.count} residents lately, so its votes count ×{candidate.ratingFactor}
+                </div>
+              )}
+              {candidate.blocks.map(block => (
+                <div key={block.ruleId} className="mt-1 pl-2 border-l-2 border-red-200 space-y-1">
+                  <div className="text-xs text-red-700">
+                    {candidate.status === 'chosen' ? 'Breaks' : 'Would break'} {block.message}
+                    {block.causes.length > 0 && (
+                      <span className="text-gray-600">
+                        {' '}because of {block.causes.slice(0, MAX_CAUSES).map(cause => `${getLabel(cause.item)} on ${formatSlot(cause)}${cause.weekId ? ` of ${cause.weekId}` : ''}`).join(', ')}
+                        {block.causes.length > MAX_CAUSES && ` and ${block.causes.length - MAX_CAUSES} more`}
+                      </span>
+                    )}
+                  </div>
+                  {renderWhatIf(block)}
+                </div>
+              ))}
+            </div>
+          ))}
+          {unvoted > 0 && <div className="text-xs text-gray-500">{unvoted} other dishes were on offer with no votes</div>}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PlanExplanationDrawer;
@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { RULE_TYPES } from './rules.js';
+import { CATEGORY_LABELS, isServedAt } from './catalog.js';
+import { findOptimalPlan, getChartData, getMealCourses } from './planner.js';
+import { createScenario, runScenario, setScenarioLock, toggleScenarioExclusion } from './scenarios.js';
+import MenuUsageChart from './MenuUsageChart.jsx';
+import ConstraintStatusPanel from './ConstraintStatusPanel.jsx';
+
+// Rows of the side-by-side summary; `better` says which way is an improvement
+const SUMMARY_ROWS = [
+  { key: 'satisfaction', label: 'Satisfaction', format: value => `${value}%`, better: 'higher' },
+  { key: 'firstChoice', label: 'Got first choice', format: value => `${value}%`, better: 'higher' },
+  { key: 'violations', label: 'Rule violations', format: value => value, better: 'lower' },
+  { key: 'replacements', label: 'Favourites replaced', format: value => value, better: 'lower' },
+  { key: 'dietGaps', label: 'Diet gaps', format: value => value, better: 'lower' },
+  { key: 'nutritionShortfalls', label: 'Nutrition shortfalls', format: value => value, better: 'lower' },
+  { key: 'stockShortfalls', label: 'Stock shortfalls', format: value => value, better: 'lower' },
+  { key: 'cost', label: 'Cost per resident', format: value => `₹${value}`, better: 'lower' }
+];
+
+const formatChange = (difference) => (difference > 0 ? `+${difference}` : `${difference}`);
+
+const formatSlot = ({ day, meal, course }) => `${day} ${meal} (${CATEGORY_LABELS[course] || course})`;
+
+// Sandbox for admins: change a copy of the rules, lock dishes into slots or
+// leave items out, then plan the week from the same ballots and compare it
+// with the baseline plan. Nothing here is saved.
+const ScenarioPanel = ({ plannerInput, rules, weekId, getLabel }) => {
+  const { days, meals } = plannerInput;
+  const activeItems = plannerInput.items.filter(item => !item.retired);
+  const [scenario, setScenario] = useState(() => createScenario(rules));
+  const [lockDraft, setLockDraft] = useState({ day: days[0], meal: meals[0], course: getMealCourses(plannerInput, meals[0])[0] });
+  const [comparison, setComparison] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const updateScenarioRule = (ruleId, changes) => {
+    setScenario(prev => ({ ...prev, rules: prev.rules.map(rule => (rule.id === ruleId ? { ...rule, ...changes } : rule)) }));
+  };
+
+  const updateLockDraft = (changes) => {
+    setLockDraft(prev => {
+      const next = { ...prev, ...changes };
+      const courses = getMealCourses(plannerInput, next.meal);
+      if (!courses.includes(next.course)) next.course = courses[0];
+      return next;
+    });
+  };
+
+  const lockItems = activeItems.filter(item => isServedAt(item, lockDraft.meal, lockDraft.course));
+
+  const run = () => {
+    setWorking(true);
+    // Let the panel show "working" before the planner blocks the page
+    setTimeout(() => {
+      setComparison(runScenario(plannerInput, findOptimalPlan(plannerInput), scenario));
+      setWorking(false);
+    }, 0);
+  };
+
+  const reset = () => {
+    setScenario(createScenario(rules));
+    setComparison(null);
+  };
+
+  const renderSummaryRow = (row) => {
+    const before = comparison.baseline.summary[row.key];
+    const after = comparison.scenario.summary[row.key];
+    const difference = Math.round((after - before) * 100) / 100;
+    const improved = row.better === 'higher' ? difference > 0 : difference < 0;
+    return (
+      <tr key={row.key} className="border-t">
+        <td className="py-1 text-gray-600">{row.label}</td>
+        <td className="py-1 text-right">{row.format(before)}</td>
+        <td className="py-1 text-right">{row.format(after)}</td>
+        <td className={`py-1 text-right font-medium ${difference === 0 ? 'text-gray-400' : improved ? 'text-green-700' : 'text-red-700'}`}>
+          {difference === 0 ? '–' : formatChange(difference)}
+        </td>
+      </tr>
+    );
+  };
+
+  const usageChanges = comparison ? comparison.usage.filter(entry => entry.baseline !== entry.scenario) : [];
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-purple-300 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-purple-800">🧪 What-if Scenario</h3>
+        <div className="flex gap-2 text-sm">
+          <button onClick={reset} className="bg-gray-200 px-3 py-1 rounded hover:bg-gray-300 transition-colors">
+            ↩️ Reset to current rules
+          </button>
+          <button
+            onClick={run}
+            disabled={working}
+            className="bg-purple-500 text-white px-3 py-1 rounded hover:bg-purple-600 transition-colors disabled:opacity-50"
+          >
+            {working ? 'Planning…' : '▶️ Compare with baseline'}
+          </button>
+        </div>
+      </div>
+      <div className="text-xs text-gray-500 mb-3">
+        Plans {weekId} from the current ballots with the changes below. Nothing is saved.
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4 text-sm mb-4">
+        {/* Scenario rules */}
+        <div className="border rounded-lg p-3 bg-gray-50">
+          <h4 className="font-semibold text-gray-700 mb-2">Rules</h4>
+          {scenario.rules.map(rule => {
+            const type = RULE_TYPES[rule.type];
+            return (
+              <div key={rule.id} className="mb-2">
+                <label className="flex items-center gap-2 text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled}
+                    onChange={(e) => updateScenarioRule(rule.id, { enabled: e.target.checked })}
+                  />
+                  {type.label}
+                </label>
+                {Object.keys(type.params)
+                  .filter(param => typeof type.params[param] === 'number')
+                  .map(param => (
+                    <label key={param} className="flex items-center justify-between gap-2 pl-6 text-xs text-gray-600">
+                      <span className="capitalize">{param}:</span>
+                      <input
+                        type="number"
+                        min="1"
+                        value={rule.params[param] ?? type.params[param]}
+                        disabled={!rule.enabled}
+                        onChange={(e) => updateScenarioRule(rule.id, { params: { ...rule.params, [param]: Math.max(1, Number(e.target.value) || 1) } })}
+                        className="w-16 p-1 border rounded bg-white"
+                      />
+                    </label>
+                  ))}
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Locked slots */}
+        <div className="border rounded-lg p-3 bg-gray-50">
+          <h4 className="font-semibold text-gray-700 mb-2">Locked dishes</h4>
+          {scenario.locks.length === 0 && <div className="text-xs text-gray-500 italic mb-2">No slots locked</div>}
+          {scenario.locks.map(lock => (
+            <div key={`${lock.day}-${lock.meal}-${lock.course}`} className="flex items-center justify-between gap-2 mb-1 text-xs">
+              <span>🔒 {formatSlot(lock)}: {getLabel(lock.item)}</span>
+              <button
+                onClick={() => setScenario(prev => setScenarioLock(prev, lock, null))}
+                className="bg-red-500 text-white px-2 rounded hover:bg-red-600 transition-colors"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <div className="grid grid-cols-3 gap-1 mt-2 text-xs">
+            <select value={lockDraft.day} onChange={(e) => updateLockDraft({ day: e.target.value })} className="p-1 border rounded bg-white">
+              {days.map(day => <option key={day} value={day}>{day}</option>)}
+            </select>
+            <select value={lockDraft.meal} onChange={(e) => updateLockDraft({ meal: e.target.value })} className="p-1 border rounded bg-white">
+              {meals.map(meal => <option key={meal} value={meal}>{meal}</option>)}
+            </select>
+            <select value={lockDraft.course} onChange={(e) => updateLockDraft({ course: e.target.value })} className="p-1 border rounded bg-white">
+              {getMealCourses(plannerInput, lockDraft.meal).map(course => (
+                <option key={course} value={course}>{CATEGORY_LABELS[course]}</option>
+              ))}
+            </select>
+          </div>
+          <select
+            value=""
+            onChange={(e) => setScenario(prev => setScenarioLock(prev, lockDraft, e.target.value))}
+            className="w-full p-1 border rounded bg-white text-xs mt-1"
+          >
+            <option value="">+ Lock a dish into this slot…</option>
+            {lockItems.map(item => <option key={item.id} value={item.id}>{item.emoji} {item.name}</option>)}
+          </select>
+        </div>
+
+        {/* Excluded items */}
+        <div className="border rounded-lg p-3 bg-gray-50">
+          <h4 className="font-semibold text-gray-700 mb-2">Leave out</h4>
+          <div className="max-h-56 overflow-y-auto space-y-1">
+            {activeItems.map(item => (
+              <label key={item.id} className="flex items-center gap-2 text-xs text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={scenario.excludedItems.includes(item.id)}
+                  onChange={() => setScenario(prev => toggleScenarioExclusion(prev, item.id))}
+                />
+                {item.emoji} {item.name}
+              </label>
+            ))}
+          </div>
+          <div className="text-xs text-gray-500 mt-2">Locked dishes are served even when left out elsewhere.</div>
+        </div>
+      </div>
+
+      {comparison && (
+        <>
+          <div className="grid md:grid-cols-2 gap-4 text-sm mb-4">
+            <table className="w-full">
+              <thead>
+                <tr className="text-xs text-gray-500">
+                  <th className="text-left font-medium"></th>
+                  <th className="text-right font-medium">Baseline</th>
+                  <th className="text-right font-medium">Scenario</th>
+                  <th className="text-right font-medium">Change</th>
+                </tr>
+              </thead>
+              <tbody>{SUMMARY_ROWS.map(renderSummaryRow)}</tbody>
+            </table>
+
+            <div>
+              <h4 className="font-semibold text-gray-700 mb-1">
+                {comparison.changedSlots.length} slots change
+              </h4>
+              <div className="max-h-48 overflow-y-auto space-y-1 text-xs">
+                {comparison.changedSlots.map(change => (
+                  <div key={`${change.day}-${change.meal}-${change.course}`} className="bg-purple-50 rounded p-1">
+                    <strong>{formatSlot(change)}:</strong> {change.before ? getLabel(change.before) : 'nothing'} → {change.after ? getLabel(change.after) : 'nothing'}
+                  </div>
+                ))}
+              </div>
+              {usageChanges.length > 0 && (
+                <div className="mt-2 text-xs text-gray-600">
+                  <span className="font-medium">Usage: </span>
+                  {usageChanges.map(entry => `${getLabel(entry.item)} ${entry.baseline} → ${entry.scenario}`).join(', ')}
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="grid lg:grid-cols-2 gap-4">
+            <MenuUsageChart title="📊 Baseline Usage" data={getChartData(plannerInput, comparison.baseline.result.plan)} meals={meals} height={220} />
+            <MenuUsageChart title="📊 Scenario Usage" data={getChartData(plannerInput, comparison.scenario.result.plan)} meals={meals} height={220} />
+            <ConstraintStatusPanel
+              title="🎯 Baseline Constraint Status"
+              items={activeItems}
+              usage={comparison.baseline.result.usage}
+              rules={rules}
+              weekId={weekId}
+              days={days}
+            />
+            <ConstraintStatusPanel
+              title="🎯 Scenario Constraint Status"
+              items={activeItems}
+              usage={comparison.scenario.result.usage}
+              rules={scenario.rules}
+              weekId={weekId}
+              days={days}
+              excludedItems={scenario.excludedItems}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioPanel;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import { SHOPPING_GROUPS, formatQuantity, groupShoppingRows, shoppingListToCsv } from './procurement.js';
+import { downloadFile } from './download.js';
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+// Plain printable page for the shown list, opened in a new window
+const printList = (title, groups, getDishes) => {
+  const sections = groups.map(({ group, rows }) => `
+    <h2>${escapeHtml(group)}</h2>
+    <table>
+      ${rows.map(row => `<tr><td>☐ ${escapeHtml(row.ingredient)}</td><td>${formatQuantity(row.amount, row.unit)}</td><td>${escapeHtml(getDishes(row))}</td></tr>`).join('')}
+    </table>`).join('');
+  const page = window.open('', '_blank');
+  if (!page) return;
+  page.document.write(`<!DOCTYPE html><html><head><title>${escapeHtml(title)}</title><style>
+    body { font-family: sans-serif; margin: 2rem; }
+    h2 { font-size: 1rem; margin: 1.5rem 0 0.5rem; border-bottom: 1px solid #999; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    td { padding: 0.2rem 0.5rem; border-bottom: 1px solid #ddd; }
+    td:nth-child(2) { text-align: right; white-space: nowrap; }
+    td:nth-child(3) { color: #666; }
+  </style></head><body><h1>${escapeHtml(title)}</h1>${sections}</body></html>`);
+  page.document.close();
+  page.print();
+};
+
+// Purchase list for the shown plan (list from buildShoppingList), for the
+// whole week or one day, grouped by vendor or category
+const ShoppingListPanel = ({ list, weekId, itemsById }) => {
+  const [view, setView] = useState('week');
+  const [groupBy, setGroupBy] = useState('vendor');
+
+  const rows = view === 'week' ? list.week : list.days[view] || [];
+  const groups = groupShoppingRows(rows, groupBy);
+  const getDishes = (row) => row.items.map(itemId => itemsById[itemId]?.name || itemId).join(', ');
+  const title = `Shopping list – ${view === 'week' ? `week ${weekId}` : `${view}, ${weekId}`}`;
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-teal-300 shadow-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-lg font-semibold text-teal-800">🛒 Shopping List</h3>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select value={view} onChange={(e) => setView(e.target.value)} className="p-1 border rounded bg-white">
+            <option value="week">Whole week</option>
+            {Object.keys(list.days).map(day => (
+              <option key={day} value={day}>{day}</option>
+            ))}
+          </select>
+          <select value={groupBy} onChange={(e) => setGroupBy(e.target.value)} className="p-1 border rounded bg-white">
+            {Object.entries(SHOPPING_GROUPS).map(([group, { label, emoji }]) => (
+              <option key={group} value={group}>{emoji} By {label.toLowerCase()}</option>
+            ))}
+          </select>
+          <button
+            onClick={() => downloadFile(`shopping-${weekId}.csv`, shoppingListToCsv(list, groupBy, itemsById), 'text/csv')}
+            disabled={list.week.length === 0}
+            className="bg-teal-500 text-white px-3 py-1 rounded hover:bg-teal-600 transition-colors disabled:opacity-50"
+          >
+            ⬇️ Export CSV
+          </button>
+          <button
+            onClick={() => printList(title, groups, getDishes)}
+            disabled={rows.length === 0}
+            className="bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600 transition-colors disabled:opacity-50"
+          >
+            🖨️ Print
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-sm text-gray-500 italic">Nothing to buy – no dishes are planned for voters yet</div>
+      ) : (
+        <div className="grid md:grid-cols-2 xl:grid-cols-3 gap-4 text-sm">
+          {groups.map(({ group, rows: groupRows }) => (
+            <div key={group}>
+              <h4 className="font-semibold text-gray-700 border-b mb-1">{group}</h4>
+              {groupRows.map(row => (
+                <div key={row.ingredient} className="flex justify-between gap-2" title={getDishes(row)}>
+                  <span className="text-gray-700">{row.ingredient}</span>
+                  <span className="font-medium">{formatQuantity(row.amount, row.unit)}</span>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShoppingListPanel;
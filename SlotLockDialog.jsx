@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { CATEGORY_LABELS } from './catalog.js';
+import { MAX_REASON_LENGTH } from './overrides.js';
+
+// Dialog for locking a dish into one plan slot, or changing or removing the
+// slot's lock. onLock and onUnlock return promises; a rejected one (such as
+// a missing reason) is shown in the dialog.
+const SlotLockDialog = ({ slot, lock, items, isBanned, getMemberName, onLock, onUnlock, onClose }) => {
+  const [item, setItem] = useState(lock?.item || '');
+  const [reason, setReason] = useState(lock?.reason || '');
+  const [error, setError] = useState(null);
+
+  const save = () => {
+    onLock({ ...slot, item, reason }).catch(failure => setError(failure.message));
+  };
+
+  const remove = () => {
+    onUnlock().catch(failure => setError(failure.message));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-30" onClick={onClose}>
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-xl p-4" onClick={(e) => e.stopPropagation()}>
+        <div className="flex items-start justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-800">🔒 Lock this slot</h3>
+            <div className="text-sm text-gray-600">{slot.day} {slot.meal} ({CATEGORY_LABELS[slot.course] || slot.course})</div>
+          </div>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-800 text-xl leading-none">✕</button>
+        </div>
+
+        {lock && (
+          <div className="bg-purple-50 border border-purple-200 rounded p-2 mb-3 text-xs text-gray-700">
+            Locked by {getMemberName(lock.by)} on {new Date(lock.at).toLocaleString()}: {lock.reason}
+          </div>
+        )}
+
+        <div className="space-y-2 text-sm">
+          <select value={item} onChange={(e) => setItem(e.target.value)} className="w-full p-2 border rounded bg-white">
+            <option value="">Choose a dish…</option>
+            {items.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {candidate.emoji} {candidate.name}{isBanned(candidate.id) ? ' (banned this week)' : ''}
+              </option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={reason}
+            maxLength={MAX_REASON_LENGTH}
+            placeholder="Why, e.g. Diwali special"
+            onChange={(e) => setReason(e.target.value)}
+            className="w-full p-2 border rounded"
+          />
+          <div className="text-xs text-gray-500">
+            The rest of the week is planned again around the lock, and the rules count the locked dish.
+          </div>
+          {error && <div className="text-xs text-red-600">{error}</div>}
+        </div>
+
+        <div className="flex justify-end gap-2 mt-4 text-sm">
+          {lock && (
+            <button onClick={remove} className="bg-red-500 text-white px-3 py-1 rounded hover:bg-red-600 transition-colors">
+              🔓 Unlock
+            </button>
+          )}
+          <button
+            onClick={save}
+            disabled={!item}
+            className="bg-purple-500 text-white px-3 py-1 rounded hover:bg-purple-600 transition-colors disabled:opacity-50"
+          >
+            🔒 {lock ? 'Update lock' : 'Lock'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SlotLockDialog;
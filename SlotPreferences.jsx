@@ -0,0 +1,81 @@
+import React from 'react';
+import { MAX_CHOICES, MAX_SCORE, isScoredSlot } from './preferences.js';
+
+const RANK_LABELS = ['1st choice', '2nd choice', '3rd choice'];
+
+// Up to MAX_CHOICES options for one ballot slot, either ranked or scored 1–5.
+// `firstChoices` are the items the rules allow as first choice; lower ranks
+// and scored options may use any of `choices`.
+const SlotPreferences = ({ value, mode, courseLabel, firstChoices, choices, disabled, onChange }) => {
+  // Rows as [{ item, score }] in the order the member entered them
+  const rows = isScoredSlot(value)
+    ? Object.entries(value).map(([item, score]) => ({ item, score }))
+    : [].concat(value || []).filter(Boolean).map(item => ({ item }));
+
+  const emit = (nextRows) => {
+    const kept = nextRows.filter(row => row.item);
+    if (mode === 'score') {
+      onChange(Object.fromEntries(kept.map(row => [row.item, row.score])));
+    } else {
+      onChange(kept.length > 0 ? kept.map(row => row.item) : '');
+    }
+  };
+
+  const setRowItem = (index, item) => {
+    const nextRows = [...rows];
+    nextRows[index] = { item, score: rows[index]?.score || MAX_SCORE - index };
+    emit(nextRows);
+  };
+
+  const setRowScore = (index, score) => {
+    emit(rows.map((row, rowIndex) => (rowIndex === index ? { ...row, score } : row)));
+  };
+
+  // One empty row after the last option, until every choice is used
+  const visibleRows = rows.length < MAX_CHOICES ? [...rows, { item: '' }] : rows;
+  const selectClass = 'w-full p-2 border rounded bg-white text-sm hover:shadow-sm focus:ring-2 focus:ring-blue-300 transition-all disabled:bg-gray-100';
+
+  return (
+    <div className="space-y-1">
+      {visibleRows.map((row, index) => {
+        const options = (mode === 'rank' && index === 0 ? firstChoices : choices)
+          .filter(item => item.id === row.item || !rows.some(other => other.item === item.id));
+        if (index > 0 && !row.item && (disabled || options.length === 0)) return null;
+
+        return (
+          <div key={index} className="flex gap-1">
+            <select
+              value={row.item}
+              onChange={(e) => setRowItem(index, e.target.value)}
+              disabled={disabled}
+              className={`${selectClass} ${index > 0 ? 'text-xs p-1' : ''}`}
+            >
+              <option value="">
+                {index === 0 ? `-- Select ${courseLabel} --` : `-- ${mode === 'rank' ? RANK_LABELS[index] : 'Also rate'} --`}
+              </option>
+              {options.map(item => (
+                <option key={item.id} value={item.id}>
+                  {mode === 'rank' && index > 0 ? `${index + 1}. ` : ''}{item.emoji} {item.name}
+                </option>
+              ))}
+            </select>
+            {mode === 'score' && row.item && (
+              <select
+                value={row.score}
+                onChange={(e) => setRowScore(index, Number(e.target.value))}
+                disabled={disabled}
+                className="p-1 border rounded bg-white text-xs disabled:bg-gray-100"
+              >
+                {Array.from({ length: MAX_SCORE }, (_, i) => MAX_SCORE - i).map(score => (
+                  <option key={score} value={score}>{'⭐'.repeat(score)}</option>
+                ))}
+              </select>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SlotPreferences;
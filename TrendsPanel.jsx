@@ -0,0 +1,64 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { getTopTrendItems, getWeeklyTrends } from './trends.js';
+
+const TREND_COLORS = ['#ef4444', '#f59e0b', '#10b981', '#3b82f6', '#8b5cf6'];
+
+// Week-by-week charts over the saved plans (history from loadWeekHistory):
+// satisfaction and repeated menu share, and how often the most planned items
+// were served
+const TrendsPanel = ({ plannerInput, history, getLabel }) => {
+  const trends = getWeeklyTrends(plannerInput, history);
+  const topItems = getTopTrendItems(trends);
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-indigo-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-indigo-800">📈 Trends Across Weeks</h3>
+
+      {trends.length < 2 ? (
+        <div className="text-sm text-gray-500 italic">Save plans for at least two weeks to see trends</div>
+      ) : (
+        <div className="grid lg:grid-cols-2 gap-4">
+          <div>
+            <h4 className="font-semibold text-sm text-gray-700 mb-2">Satisfaction and repeats</h4>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={trends}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="weekId" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip />
+                <Legend />
+                <Line type="monotone" dataKey="satisfaction" name="Satisfaction" stroke="#10b981" connectNulls />
+                <Line type="monotone" dataKey="repeated" name="Same as week before" stroke="#ef4444" connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div>
+            <h4 className="font-semibold text-sm text-gray-700 mb-2">Most planned items per week</h4>
+            <ResponsiveContainer width="100%" height={260}>
+              <LineChart data={trends}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="weekId" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                {topItems.map((itemId, index) => (
+                  <Line
+                    key={itemId}
+                    type="monotone"
+                    dataKey={(row) => row.usage[itemId] || 0}
+                    name={getLabel(itemId)}
+                    stroke={TREND_COLORS[index % TREND_COLORS.length]}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrendsPanel;
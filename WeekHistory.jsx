@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { getCourses, getItemLabel } from './catalog.js';
+import { formatWeekRange } from './weeks.js';
+
+// Names of the dishes planned for one meal, in course order
+const describeMeal = (catalog, plan, day, meal) =>
+  getCourses(catalog, meal)
+    .map(course => plan?.[day]?.[meal]?.[course]?.item)
+    .filter(Boolean)
+    .map(itemId => getItemLabel(catalog, itemId))
+    .join(', ');
+
+// Stored weeks with their saved plans, and a slot-by-slot comparison of the
+// current plan against one of them
+const WeekHistory = ({ history, currentWeekId, currentPlan, catalog, onOpenWeek }) => {
+  const [compareWeekId, setCompareWeekId] = useState('');
+  const compareEntry = history.find(entry => entry.weekId === compareWeekId);
+
+  return (
+    <div className="bg-white p-4 rounded-lg mb-6 border border-indigo-300 shadow-sm">
+      <h3 className="text-lg font-semibold mb-3 text-indigo-800">🗓️ Week History</h3>
+
+      {history.length === 0 ? (
+        <div className="text-sm text-gray-500 italic">No saved weeks yet</div>
+      ) : (
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1">Week</th>
+              <th className="py-1">Ballots</th>
+              <th className="py-1">Saved plan</th>
+              <th className="py-1"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {[...history].reverse().map(entry => (
+              <tr key={entry.weekId} className={`border-b ${entry.weekId === currentWeekId ? 'bg-indigo-50' : ''}`}>
+                <td className="py-1">
+                  <div className="font-medium">{entry.weekId}</div>
+                  <div className="text-xs text-gray-500">{formatWeekRange(entry.weekId)}</div>
+                </td>
+                <td className="py-1">{Object.keys(entry.ballots).length}</td>
+                <td className="py-1">
+                  {entry.plan
+                    ? `${entry.plan.satisfaction}% satisfied, ${entry.plan.violations.length} conflicts` +
+                      (entry.plan.cost !== undefined ? `, ₹${entry.plan.cost}/resident` : '')
+                    : <span className="text-gray-400 italic">not saved</span>}
+                </td>
+                <td className="py-1 text-right">
+                  {entry.weekId !== currentWeekId && (
+                    <button
+                      onClick={() => onOpenWeek(entry.weekId)}
+                      className="bg-indigo-500 text-white px-2 py-1 rounded text-xs hover:bg-indigo-600 transition-colors"
+                    >
+                      Open
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className="flex items-center gap-2 text-sm mb-2">
+        <span className="text-gray-600">Compare current plan with:</span>
+        <select
+          value={compareWeekId}
+          onChange={(e) => setCompareWeekId(e.target.value)}
+          className="p-1 border rounded bg-white"
+        >
+          <option value="">-- Select week --</option>
+          {history
+            .filter(entry => entry.plan && entry.weekId !== currentWeekId)
+            .map(entry => (
+              <option key={entry.weekId} value={entry.weekId}>{entry.weekId}</option>
+            ))}
+        </select>
+      </div>
+
+      {compareEntry && (
+        <div className="max-h-72 overflow-y-auto text-xs">
+          <table className="w-full">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-1">Slot</th>
+                <th className="py-1">{currentWeekId}</th>
+                <th className="py-1">{compareEntry.weekId}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {catalog.days.flatMap(day => catalog.meals.map(meal => {
+                const current = describeMeal(catalog, currentPlan, day, meal);
+                const previous = describeMeal(catalog, compareEntry.plan.plan, day, meal);
+                return (
+                  <tr key={`${day}-${meal}`} className={`border-b ${current !== previous ? 'bg-yellow-50' : ''}`}>
+                    <td className="py-1 font-medium whitespace-nowrap">{day} {meal}</td>
+                    <td className="py-1">{current || '—'}</td>
+                    <td className="py-1">{previous || '—'}</td>
+                  </tr>
+                );
+              }))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WeekHistory;
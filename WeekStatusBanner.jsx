@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+import { WEEK_STATUSES, closeWindow, formatCountdown, getPlanVersion, getWeekStatus } from './publishing.js';
+
+const STATUS_STYLES = {
+  upcoming: 'bg-gray-50 border-gray-300 text-gray-800',
+  open: 'bg-blue-50 border-blue-300 text-blue-900',
+  review: 'bg-amber-50 border-amber-300 text-amber-900',
+  published: 'bg-green-50 border-green-300 text-green-900'
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO time to a datetime-local input value in local time, and back
+const toInputValue = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+const fromInputValue = (value) => (value ? new Date(value).toISOString() : null);
+
+const formatTime = (iso) =>
+  new Date(iso).toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Where the week is in its cycle, with a live countdown to the next opening
+// or deadline and the published versions of the plan. The on* handlers are
+// only given to admins; they return promises, and a rejected one is shown.
+const WeekStatusBanner = ({ weekId, ballotWindow, versions, getMemberName, showDraft, onShowDraftChange, onSaveWindow, onPublish }) => {
+  const [now, setNow] = useState(() => new Date());
+  const [draft, setDraft] = useState({ opensAt: '', closesAt: '' });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    setDraft({ opensAt: toInputValue(ballotWindow.opensAt), closesAt: toInputValue(ballotWindow.closesAt) });
+    setError(null);
+  }, [weekId, ballotWindow.opensAt, ballotWindow.closesAt]);
+
+  const latest = versions[versions.length - 1] || null;
+  const status = getWeekStatus(ballotWindow, latest, now);
+  const { label, emoji } = WEEK_STATUSES[status];
+  const countdownTo = status === 'upcoming' ? ballotWindow.opensAt : status === 'open' ? ballotWindow.closesAt : null;
+
+  const run = (action) => action().then(() => setError(null)).catch(failure => setError(failure.message));
+
+  const saveWindow = (changed) => run(() => onSaveWindow(changed));
+
+  const publish = () => {
+    if (status === 'open' && !window.confirm(`Voting for ${weekId} is still open. Close it and publish the plan?`)) return;
+    run(onPublish);
+  };
+
+  const describeStatus = () => {
+    if (status === 'upcoming') return `Voting opens ${formatTime(ballotWindow.opensAt)}.`;
+    if (status === 'open') return ballotWindow.closesAt ? `Voting closes ${formatTime(ballotWindow.closesAt)}.` : 'No deadline set yet.';
+    if (status === 'review') {
+      return `Voting closed ${formatTime(ballotWindow.closesAt)}. ${onPublish ? 'Review the plan below, then publish it.' : 'The menu will be published soon.'}`;
+    }
+    return `Voting closed ${formatTime(ballotWindow.closesAt)}.`;
+  };
+
+  return (
+    <div className={`p-4 rounded-lg mb-6 border ${STATUS_STYLES[status]}`}>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <div className="text-lg font-semibold">{emoji} {label} · {weekId}</div>
+          <div className="text-sm">{describeStatus()}</div>
+        </div>
+        {countdownTo && (
+          <div className="text-right">
+            <div className="text-xs uppercase tracking-wide">{status === 'upcoming' ? 'Opens in' : 'Closes in'}</div>
+            <div className="text-2xl font-mono font-bold">{formatCountdown(Date.parse(countdownTo) - now.getTime())}</div>
+          </div>
+        )}
+      </div>
+
+      {latest && (
+        <div className="text-sm mt-2">
+          📌 Version {getPlanVersion(latest)} published
+          {latest.publishedBy && ` by ${getMemberName(latest.publishedBy)}`}
+          {' '}on {formatTime(latest.publishedAt || latest.generatedAt)}
+          {versions.length > 1 && (
+            <span className="text-xs opacity-75">
+              {' '}(earlier: {versions.slice(0, -1).map(record => `v${getPlanVersion(record)} ${formatTime(record.publishedAt || record.generatedAt)}`).join(', ')})
+            </span>
+          )}
+          {status === 'open' && <div className="text-xs">The plan below is a live draft until a new version is published.</div>}
+        </div>
+      )}
+
+      {status === 'published' && onShowDraftChange && (
+        <label className="flex items-center gap-2 text-sm mt-2">
+          <input type="checkbox" checked={showDraft} onChange={(e) => onShowDraftChange(e.target.checked)} />
+          Show a fresh draft from the current ballots and rules instead of the published plan
+        </label>
+      )}
+
+      {onSaveWindow && (
+        <div className="flex flex-wrap items-end gap-2 mt-3 text-sm">
+          <label className="flex flex-col text-xs">
+            Voting opens
+            <input
+              type="datetime-local"
+              value={draft.opensAt}
+              onChange={(e) => setDraft({ ...draft, opensAt: e.target.value })}
+              className="p-1 border rounded bg-white text-gray-800"
+            />
+          </label>
+          <label className="flex flex-col text-xs">
+            Deadline
+            <input
+              type="datetime-local"
+              value={draft.closesAt}
+              onChange={(e) => setDraft({ ...draft, closesAt: e.target.value })}
+              className="p-1 border rounded bg-white text-gray-800"
+            />
+          </label>
+          <button
+            onClick={() => saveWindow({ opensAt: fromInputValue(draft.opensAt), closesAt: fromInputValue(draft.closesAt) })}
+            className="bg-blue-500 text-white px-3 py-1 rounded hover:bg-blue-600 transition-colors"
+          >
+            💾 Save times
+          </button>
+          {status === 'open' && (
+            <button
+              onClick={() => saveWindow(closeWindow(ballotWindow, new Date().toISOString()))}
+              className="bg-amber-500 text-white px-3 py-1 rounded hover:bg-amber-600 transition-colors"
+            >
+              ⏹️ Close voting now
+            </button>
+          )}
+          {(status === 'review' || status === 'published') && (
+            <button
+              onClick={() => saveWindow({ opensAt: ballotWindow.opensAt, closesAt: null })}
+              className="bg-gray-500 text-white px-3 py-1 rounded hover:bg-gray-600 transition-colors"
+            >
+              ▶️ Reopen voting
+            </button>
+          )}
+          {onPublish && (
+            <button
+              onClick={publish}
+              className="bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 transition-colors"
+            >
+              📢 {latest ? `Publish version ${getPlanVersion(latest) + 1}` : 'Publish plan'}
+            </button>
+          )}
+        </div>
+      )}
+      {error && <div className="text-xs text-red-600 mt-1">{error}</div>}
+    </div>
+  );
+};
+
+export default WeekStatusBanner;
@@ -0,0 +1,227 @@
+// Browser client for the mess REST API (see server.js), plus stores that
+// implement the same methods as createMessStore and createCampusStore so the
+// component can run against the server instead of localStorage.
+
+export class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// The client keeps the session token from login or setup and sends it with
+// every later request. Mess requests go to the mess chosen with selectMess
+// (the default mess until then); campus requests are the same for all.
+export const createApiClient = (baseUrl, fetchImpl = (...args) => fetch(...args)) => {
+  let token = null;
+  let messId = null;
+
+  const send = async (method, path, body) => {
+    const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const text = await response.text();
+    const payload = text ? JSON.parse(text) : null;
+    if (!response.ok) {
+      throw new ApiError(response.status, payload?.error || response.statusText, payload?.details);
+    }
+    return payload;
+  };
+
+  const scoped = (path) => (messId ? path.replace(/^\/api/, `/api/messes/${encodeURIComponent(messId)}`) : path);
+  const request = (method, path, body) => send(method, scoped(path), body);
+
+  const week = (weekId) => `/api/weeks/${encodeURIComponent(weekId)}`;
+  const user = (rollNumber) => encodeURIComponent(rollNumber);
+  const slot = (...parts) => parts.map(encodeURIComponent).join('/');
+
+  const startSession = async (path, body, post = request) => {
+    const session = await post('POST', path, body);
+    token = session.token;
+    return session.account;
+  };
+
+  return {
+    selectMess: (id) => {
+      messId = id;
+    },
+    listMesses: () => send('GET', '/api/messes'),
+    createMess: (fields) => send('POST', '/api/messes', fields),
+    loginContractor: (rollNumber, password) => startSession('/api/campus/login', { rollNumber, password }, send),
+    getContractors: () => send('GET', '/api/campus/contractors'),
+    createContractor: (fields) => send('POST', '/api/campus/contractors', fields),
+    deleteContractor: (rollNumber) => send('DELETE', `/api/campus/contractors/${user(rollNumber)}`),
+    getSharedStock: () => send('GET', '/api/campus/stock'),
+    putSharedStock: (stock) => send('PUT', '/api/campus/stock', stock),
+    getCampusWeek: (weekId) => send('GET', `/api/campus/weeks/${encodeURIComponent(weekId)}`),
+    getSetupStatus: () => request('GET', '/api/setup'),
+    setup: (fields) => startSession('/api/setup', fields),
+    login: (rollNumber, password) => startSession('/api/login', { rollNumber, password }),
+    logout: async () => {
+      if (!token) return;
+      try {
+        await request('POST', '/api/logout');
+      } finally {
+        token = null;
+      }
+    },
+    me: () => request('GET', '/api/me'),
+    getAccounts: () => request('GET', '/api/accounts'),
+    getDiets: () => request('GET', '/api/diets'),
+    createAccount: (fields) => request('POST', '/api/accounts', fields),
+    updateAccount: (rollNumber, changes) => request('PATCH', `/api/accounts/${user(rollNumber)}`, changes),
+    deleteAccount: (rollNumber) => request('DELETE', `/api/accounts/${user(rollNumber)}`),
+    getSettings: () => request('GET', '/api/settings'),
+    putSettings: (settings) => request('PUT', '/api/settings', settings),
+    getRoster: () => request('GET', '/api/roster'),
+    listWeeks: () => request('GET', '/api/weeks'),
+    getBallots: (weekId) => request('GET', `${week(weekId)}/ballots`),
+    deleteBallots: (weekId) => request('DELETE', `${week(weekId)}/ballots`),
+    importBallots: (weekId, ballots) => request('POST', `${week(weekId)}/ballots/import`, ballots),
+    getBallot: (weekId, rollNumber) => request('GET', `${week(weekId)}/ballots/${user(rollNumber)}`),
+    putBallot: (weekId, rollNumber, ballot) => request('PUT', `${week(weekId)}/ballots/${user(rollNumber)}`, ballot),
+    getWindow: (weekId) => request('GET', `${week(weekId)}/window`),
+    putWindow: (weekId, window) => request('PUT', `${week(weekId)}/window`, window),
+    getPlanPreview: (weekId) => request('GET', `${week(weekId)}/plan/preview`),
+    publishPlan: (weekId) => request('POST', `${week(weekId)}/plan`),
+    getPlanVersions: (weekId) => request('GET', `${week(weekId)}/plan/versions`),
+    getOverrides: (weekId) => request('GET', `${week(weekId)}/overrides`),
+    putLock: (weekId, { day, meal, course }, lock) => request('PUT', `${week(weekId)}/locks/${slot(day, meal, course)}`, lock),
+    deleteLock: (weekId, { day, meal, course }) => request('DELETE', `${week(weekId)}/locks/${slot(day, meal, course)}`),
+    putBan: (weekId, itemId, ban) => request('PUT', `${week(weekId)}/bans/${encodeURIComponent(itemId)}`, ban),
+    deleteBan: (weekId, itemId) => request('DELETE', `${week(weekId)}/bans/${encodeURIComponent(itemId)}`),
+    getFeedback: (weekId) => request('GET', `${week(weekId)}/feedback`),
+    putFeedback: (weekId, rollNumber, entry) => request('PUT', `${week(weekId)}/feedback/${user(rollNumber)}`, entry),
+    exportState: () => request('GET', '/api/export'),
+    importState: (data) => request('POST', '/api/import', data),
+    getMenuUrl: (weekId) => `${baseUrl}${scoped(`/api/menu/${encodeURIComponent(weekId)}`)}`,
+    getPlan: async (weekId) => {
+      try {
+        return await request('GET', `${week(weekId)}/plan`);
+      } catch (error) {
+        if (error instanceof ApiError && error.status === 404) return null;
+        throw error;
+      }
+    }
+  };
+};
+
+// Mess store backed by the API. Ballots are sent one member at a time and only
+// when they changed since the last sync; requests run one after another so a
+// plan is never generated from half-saved ballots. The server checks every
+// request against the signed-in account's role.
+export const createApiStore = (client) => {
+  const synced = {};
+  let queue = Promise.resolve();
+
+  const enqueue = (task) => {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  const remember = (weekId, ballots) => {
+    synced[weekId] = {};
+    Object.entries(ballots || {}).forEach(([rollNumber, ballot]) => {
+      synced[weekId][rollNumber] = JSON.stringify(ballot);
+    });
+  };
+
+  return {
+    loadSettings: () => enqueue(() => client.getSettings()),
+    saveSettings: (settings) => enqueue(() => client.putSettings(settings)),
+    hasAccounts: () => enqueue(async () => (await client.getSetupStatus()).hasAccounts),
+    loadAccounts: () => enqueue(() => client.getAccounts()),
+    // Students get everyone else's diets under a placeholder name
+    loadDietProfiles: () => enqueue(() => client.getDiets()),
+    createAccount: (fields) => enqueue(() => client.createAccount(fields)),
+    setupFirstAccount: (fields) => enqueue(() => client.setup(fields)),
+    removeAccount: (rollNumber) => enqueue(() => client.deleteAccount(rollNumber)),
+    updateAccount: (rollNumber, changes) => enqueue(() => client.updateAccount(rollNumber, changes)),
+    login: (rollNumber, password) => enqueue(() => client.login(rollNumber, password)),
+    logout: () => enqueue(async () => {
+      Object.keys(synced).forEach(weekId => delete synced[weekId]);
+      await client.logout();
+    }),
+    loadRoster: () => enqueue(() => client.getRoster()),
+    loadBallots: (weekId) => enqueue(async () => {
+      const ballots = await client.getBallots(weekId);
+      remember(weekId, ballots);
+      return ballots;
+    }),
+    saveBallots: (weekId, ballots) => enqueue(async () => {
+      const previous = synced[weekId] || {};
+      for (const [rollNumber, ballot] of Object.entries(ballots)) {
+        const serialized = JSON.stringify(ballot);
+        if (previous[rollNumber] !== serialized) {
+          await client.putBallot(weekId, rollNumber, ballot);
+          previous[rollNumber] = serialized;
+        }
+      }
+      synced[weekId] = previous;
+    }),
+    resetBallots: (weekId) => enqueue(async () => {
+      await client.deleteBallots(weekId);
+      synced[weekId] = {};
+    }),
+    importBallots: (weekId, ballots) => enqueue(async () => {
+      const result = await client.importBallots(weekId, ballots);
+      delete synced[weekId];
+      return result;
+    }),
+    loadPlan: (weekId) => enqueue(() => client.getPlan(weekId)),
+    loadPlanVersions: (weekId) => enqueue(() => client.getPlanVersions(weekId)),
+    previewPlan: (weekId) => enqueue(() => client.getPlanPreview(weekId)),
+    // The server records the signed-in account as the publisher, with the
+    // time from its own clock
+    publishPlan: (weekId) => enqueue(() => client.publishPlan(weekId)),
+    loadBallotWindow: (weekId) => enqueue(() => client.getWindow(weekId)),
+    saveBallotWindow: (weekId, window) => enqueue(() => client.putWindow(weekId, window)),
+    // The server records the signed-in account as the override's author
+    loadOverrides: (weekId) => enqueue(() => client.getOverrides(weekId)),
+    lockSlot: (weekId, { day, meal, course, item, reason }) => enqueue(() => client.putLock(weekId, { day, meal, course }, { item, reason })),
+    unlockSlot: (weekId, slot) => enqueue(() => client.deleteLock(weekId, slot)),
+    banItem: (weekId, { item, reason }) => enqueue(() => client.putBan(weekId, item, { reason })),
+    unbanItem: (weekId, itemId) => enqueue(() => client.deleteBan(weekId, itemId)),
+    // Students get everyone else's feedback anonymised; the server dates new
+    // feedback with its own clock
+    loadFeedback: (weekId) => enqueue(() => client.getFeedback(weekId)),
+    saveFeedback: (weekId, rollNumber, entry) => enqueue(() => client.putFeedback(weekId, rollNumber, entry)),
+    listWeeks: () => enqueue(() => client.listWeeks()),
+    exportState: () => enqueue(() => client.exportState()),
+    importState: (data) => enqueue(async () => {
+      const result = await client.importState(data);
+      Object.keys(synced).forEach(weekId => delete synced[weekId]);
+      return result;
+    }),
+    getMenuUrl: (weekId) => client.getMenuUrl(weekId)
+  };
+};
+
+// Campus backed by the API. There is one session at a time, so choosing a
+// mess points the client at it and gives a fresh mess store; campus requests
+// use whichever account is signed in.
+export const createApiCampus = (client) => ({
+  listMesses: () => client.listMesses(),
+  getMessStore: async (messId) => {
+    client.selectMess(messId);
+    return createApiStore(client);
+  },
+  createMess: (fields) => client.createMess(fields),
+  loadContractors: () => client.getContractors(),
+  createContractor: (fields) => client.createContractor(fields),
+  removeContractor: (rollNumber) => client.deleteContractor(rollNumber),
+  loginContractor: (rollNumber, password) => client.loginContractor(rollNumber, password),
+  logout: () => client.logout(),
+  loadSharedStock: () => client.getSharedStock(),
+  saveSharedStock: (stock) => client.putSharedStock(stock),
+  loadCampusWeek: (weekId) => client.getCampusWeek(weekId)
+});
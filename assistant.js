@@ -0,0 +1,180 @@
+// Ballot assistant: fills the empty slots of a resident's ballot, or copies
+// an earlier week's ballot into this one.
+//
+// Learning from past ballots: every option counts its preference weight (see
+// preferences.js), so dishes ranked first or scored highly count most, and a
+// ballot counts HISTORY_DECAY times less for every week further back. A dish
+// liked in the same day and meal counts most, then one liked in the same
+// meal and course on another day, then one liked anywhere. Slots the
+// resident has no history for follow what everyone else voted this week.
+//
+// Slots are filled one at a time and each first choice comes from
+// getAvailableItems, so the ballot rules see the picks made before it.
+// Existing picks are never changed.
+
+import { forEachSlot, getAvailableItems } from './planner.js';
+import { isServedAt } from './catalog.js';
+import { isInSeason } from './inventory.js';
+import { isSuitable } from './diet.js';
+import { getDayDate } from './weeks.js';
+import { MAX_CHOICES, convertSlot, getBallotMode, getSlotOptions, hasPreference, isScoredSlot } from './preferences.js';
+
+// Weeks of past ballots the assistant learns from
+export const BALLOT_HISTORY_WEEKS = 8;
+
+const HISTORY_DECAY = 0.8;
+
+// How much a liked dish counts by where it was liked
+const MATCH_WEIGHTS = { slot: 3, course: 2, anywhere: 1 };
+
+const clone = (value) => JSON.parse(JSON.stringify(value || {}));
+
+const setSlot = (ballot, { day, meal, course }, value) => {
+  if (!ballot[day]) ballot[day] = {};
+  if (!ballot[day][meal]) ballot[day][meal] = {};
+  ballot[day][meal][course] = value;
+};
+
+// Liking of every item from past ballots (most recent first; null entries
+// are weeks without a ballot), keyed by where it was liked
+export const learnPreferences = (pastBallots) => {
+  const profile = { slot: {}, course: {}, anywhere: {} };
+  const add = (table, key, item, weight) => {
+    if (!table[key]) table[key] = {};
+    table[key][item] = (table[key][item] || 0) + weight;
+  };
+
+  pastBallots.forEach((ballot, weeksAgo) => {
+    const recency = HISTORY_DECAY ** weeksAgo;
+    Object.entries(ballot || {}).forEach(([day, dayMeals]) => {
+      Object.entries(dayMeals || {}).forEach(([meal, slots]) => {
+        Object.entries(slots || {}).forEach(([course, value]) => {
+          getSlotOptions(value).forEach(({ item, weight }) => {
+            add(profile.slot, `${day}|${meal}|${course}`, item, weight * recency);
+            add(profile.course, `${meal}|${course}`, item, weight * recency);
+            add(profile.anywhere, '', item, weight * recency);
+          });
+        });
+      });
+    });
+  });
+  return profile;
+};
+
+// Weighted votes of everyone else for each item in one slot
+const getSlotPopularity = (input, userName, { day, meal, course }) => {
+  const votes = {};
+  Object.entries(input.users).forEach(([voter, ballot]) => {
+    if (voter === userName) return;
+    getSlotOptions(ballot?.[day]?.[meal]?.[course]).forEach(({ item, weight }) => {
+      votes[item] = (votes[item] || 0) + weight;
+    });
+  });
+  return votes;
+};
+
+// Fill the empty slots of a member's ballot one at a time. `choose(available,
+// slot, input)` gets the items allowed as the slot's first choice and returns
+// the options to vote for, best first (none leaves the slot empty). Returns
+// { ballot, filled: [{ day, meal, course, items }] }; a scoring ballot gets
+// scores falling with the rank.
+export const fillEmptySlots = (input, userName, choose) => {
+  const ballot = clone(input.users[userName]);
+  const mode = getBallotMode(ballot);
+  const excluded = input.excludedItems || [];
+  const filled = [];
+
+  forEachSlot(input, (day, meal, course) => {
+    if (hasPreference(ballot[day]?.[meal]?.[course])) return;
+
+    const slot = { day, meal, course };
+    const current = { ...input, users: { ...input.users, [userName]: ballot } };
+    const available = getAvailableItems(current, userName, day, meal, course)
+      .filter(item => !excluded.includes(item.id));
+    const items = choose(available, slot, current).slice(0, MAX_CHOICES);
+    if (items.length === 0) return;
+
+    setSlot(ballot, slot, convertSlot(items, mode));
+    filled.push({ ...slot, items });
+  });
+  return { ballot, filled };
+};
+
+// Fill the empty slots with the member's likely favourites, learnt from
+// their past ballots (most recent first)
+export const fillFromHistory = (input, userName, pastBallots) => {
+  const profile = learnPreferences(pastBallots);
+
+  return fillEmptySlots(input, userName, (available, slot, current) => {
+    const { day, meal, course } = slot;
+    const liking = (itemId) =>
+      (profile.slot[`${day}|${meal}|${course}`]?.[itemId] || 0) * MATCH_WEIGHTS.slot +
+      (profile.course[`${meal}|${course}`]?.[itemId] || 0) * MATCH_WEIGHTS.course +
+      (profile.anywhere['']?.[itemId] || 0) * MATCH_WEIGHTS.anywhere;
+    const popularity = getSlotPopularity(current, userName, slot);
+
+    return available
+      .map(item => ({ id: item.id, liking: liking(item.id), votes: popularity[item.id] || 0 }))
+      .filter(entry => entry.liking > 0 || entry.votes > 0)
+      .sort((a, b) => b.liking - a.liking || b.votes - a.votes)
+      .map(entry => entry.id);
+  });
+};
+
+// Fill the empty slots with one random allowed item each
+export const fillRandomly = (input, userName, random = Math.random) =>
+  fillEmptySlots(input, userName, (available) =>
+    available.length > 0 ? [available[Math.floor(random() * available.length)].id] : []
+  );
+
+// Another week's ballot copied into this week, replacing the member's
+// ballot. Options that cannot be served this week (retired, out of season,
+// not suiting their diet, banned) are dropped, and so is a first choice the
+// rules no longer allow. Returns { ballot, copied, dropped: [{ day, meal,
+// course, item }] } with the number of slots copied.
+export const copyBallot = (input, userName, source) => {
+  const ballot = {};
+  const excluded = input.excludedItems || [];
+  const diets = input.diets?.[userName];
+  const dropped = [];
+  let copied = 0;
+
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const slot = { day, meal, course };
+    const value = source?.[day]?.[meal]?.[course];
+    const date = input.weekId ? getDayDate(input.weekId, dayIndex) : null;
+    const canServe = (itemId) => {
+      const item = input.items.find(candidate => candidate.id === itemId);
+      return Boolean(item) && !excluded.includes(itemId) &&
+        isServedAt(item, meal, course) && isInSeason(item, date) && isSuitable(item, diets);
+    };
+
+    let options = getSlotOptions(value).filter(({ item }) => {
+      if (canServe(item)) return true;
+      dropped.push({ ...slot, item });
+      return false;
+    });
+
+    // Scores are not checked by the ballot rules; picks need an allowed first choice
+    if (!isScoredSlot(value)) {
+      const current = { ...input, users: { ...input.users, [userName]: ballot } };
+      const allowed = getAvailableItems(current, userName, day, meal, course).map(item => item.id);
+      while (options.length > 0 && !allowed.includes(options[0].item)) {
+        dropped.push({ ...slot, item: options[0].item });
+        options = options.slice(1);
+      }
+    }
+
+    if (options.length === 0) {
+      setSlot(ballot, slot, isScoredSlot(value) ? {} : '');
+      return;
+    }
+    setSlot(ballot, slot, isScoredSlot(value)
+      ? Object.fromEntries(options.map(({ item }) => [item, value[item]]))
+      : options.map(option => option.item));
+    copied++;
+  });
+
+  return { ballot, copied, dropped };
+};
+
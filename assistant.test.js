@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { copyBallot, fillFromHistory, fillRandomly, learnPreferences } from './assistant.js';
+import { createPlannerInput } from './planner.js';
+
+const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0, ...fields });
+const catalog = {
+  days: ['Monday', 'Tuesday', 'Wednesday'],
+  meals: ['Lunch'],
+  courses: { Lunch: ['main'] },
+  items: [
+    item('paneer', { tags: ['dairy'] }),
+    item('dal'),
+    item('rajma'),
+    item('chole'),
+    item('saag', { season: { from: '11-15', to: '02-28' } }),
+    item('sambar', { retired: true })
+  ]
+};
+const rules = [{ id: 'once', type: 'maxPerWeek', enabled: true, params: { limit: 1 }, categories: [], overrides: {} }];
+const WEEK = '2026-W43';
+
+test('past ballots count less every week back', () => {
+  const profile = learnPreferences([{ Monday: { Lunch: { main: 'rajma' } } }, null, { Monday: { Lunch: { main: ['dal', 'rajma'] } } }]);
+  const round = (value) => Math.round(value * 1000) / 1000;
+  assert.equal(round(profile.slot['Monday|Lunch|main'].rajma), 1.384);
+  assert.equal(round(profile.course['Lunch|main'].dal), 0.64);
+  assert.deepEqual(Object.keys(profile.anywhere['']).sort(), ['dal', 'rajma']);
+});
+
+test('fills empty slots from history, then from everyone else\'s votes, keeping the rules', () => {
+  const users = {
+    a: { Tuesday: { Lunch: { main: ['chole'] } } },
+    b: { Wednesday: { Lunch: { main: 'paneer' } } }
+  };
+  const input = createPlannerInput(catalog, rules, users, {}, [], undefined, WEEK);
+  const past = [{ Monday: { Lunch: { main: 'rajma' } } }, { Monday: { Lunch: { main: 'dal' } } }];
+  const { ballot, filled } = fillFromHistory(input, 'a', past);
+
+  // Rajma is liked most, but may only be a first choice once a week
+  assert.deepEqual(ballot.Monday.Lunch.main, ['rajma', 'dal']);
+  assert.deepEqual(ballot.Tuesday.Lunch.main, ['chole']);
+  assert.deepEqual(ballot.Wednesday.Lunch.main, ['dal', 'paneer']);
+  assert.deepEqual(filled.map(({ day }) => day), ['Monday', 'Wednesday']);
+  assert.deepEqual(users.a, { Tuesday: { Lunch: { main: ['chole'] } } });
+});
+
+test('random fills skip dishes the diet, the season or a ban rules out', () => {
+  const input = { ...createPlannerInput(catalog, [], { a: {} }, { a: ['vegan'] }, [], undefined, WEEK), excludedItems: ['dal'] };
+  const { ballot, filled } = fillRandomly(input, 'a', () => 0);
+  assert.equal(filled.length, 3);
+  catalog.days.forEach(day => assert.deepEqual(ballot[day].Lunch.main, ['rajma']));
+
+  const lastPick = fillRandomly(input, 'a', () => 0.99).ballot;
+  assert.deepEqual(lastPick.Monday.Lunch.main, ['chole']);
+});
+
+test('copying a ballot drops what cannot be served this week', () => {
+  const input = { ...createPlannerInput(catalog, rules, { a: {} }, { a: ['vegan'] }, [], undefined, WEEK), excludedItems: ['chole'] };
+  const source = {
+    Monday: { Lunch: { main: ['saag', 'rajma'] } },
+    Tuesday: { Lunch: { main: { paneer: 5, chole: 4, dal: 2 } } },
+    Wednesday: { Lunch: { main: ['rajma', 'sambar', 'dal'] } }
+  };
+  const { ballot, copied, dropped } = copyBallot(input, 'a', source);
+
+  assert.deepEqual(ballot.Monday.Lunch.main, ['rajma']);
+  assert.deepEqual(ballot.Tuesday.Lunch.main, { dal: 2 });
+  // Rajma is already Monday's first choice, so Wednesday starts from dal
+  assert.deepEqual(ballot.Wednesday.Lunch.main, ['dal']);
+  assert.equal(copied, 3);
+  assert.deepEqual(dropped.map(({ day, item: itemId }) => `${day} ${itemId}`), [
+    'Monday saag',
+    'Tuesday paneer',
+    'Tuesday chole',
+    'Wednesday sambar',
+    'Wednesday rajma'
+  ]);
+
+  const empty = copyBallot(input, 'a', { Monday: { Lunch: { main: 'paneer' } } });
+  assert.equal(empty.copied, 0);
+  assert.equal(empty.ballot.Monday.Lunch.main, '');
+});
@@ -0,0 +1,206 @@
+// Accounts, roles and permissions, shared by the browser and the server.
+//
+// An account is { rollNumber, name, role, diets, salt, passwordHash }; everything
+// except the password fields is safe to send to clients (see toPublicAccount).
+// Passwords are hashed with PBKDF2 through Web Crypto, which browsers and
+// Node both provide, so local and server stores check them the same way.
+
+import { DIETS, normalizeDiets } from './diet.js';
+
+export const ROLES = {
+  student: { label: 'Student', admin: false },
+  secretary: { label: 'Mess Secretary', admin: true },
+  warden: { label: 'Warden', admin: true }
+};
+
+// Roles of campus accounts, which belong to no mess (see campus.js)
+export const CAMPUS_ROLES = {
+  contractor: { label: 'Catering Contractor', admin: false }
+};
+
+export const getRoleLabel = (role) => ROLES[role]?.label || CAMPUS_ROLES[role]?.label || role;
+
+// Actions only admins may take
+const ADMIN_ACTIONS = ['ballots:read-all', 'members:read', 'members:manage', 'votes:reset', 'plan:publish', 'plan:override', 'settings:edit', 'data:export', 'data:import'];
+
+// Errors raised by stores and the server. `code` is one of invalid,
+// unauthenticated, forbidden, not_found or conflict.
+export class MessError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.name = 'MessError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export const isAdmin = (account) => Boolean(account && ROLES[account.role]?.admin);
+
+// Whether an account may take an action; ballot and feedback actions take the
+// roll number of their owner
+export const can = (account, action, owner) => {
+  if (!account) return false;
+  switch (action) {
+    case 'ballot:edit':
+    case 'feedback:give':
+      return account.rollNumber === owner;
+    case 'ballot:read':
+    case 'profile:edit':
+      return account.rollNumber === owner || isAdmin(account);
+    // The combined view across messes is for the contractor and mess admins;
+    // only wardens add messes and contractor accounts
+    case 'campus:read':
+      return account.role === 'contractor' || isAdmin(account);
+    case 'campus:stock':
+      return account.role === 'contractor' || account.role === 'warden';
+    case 'campus:manage':
+      return account.role === 'warden';
+    default:
+      return isAdmin(account) && ADMIN_ACTIONS.includes(action);
+  }
+};
+
+export const requirePermission = (account, action, owner) => {
+  if (!account) {
+    throw new MessError('unauthenticated', 'Please sign in first');
+  }
+  if (!can(account, action, owner)) {
+    throw new MessError('forbidden', `${getRoleLabel(account.role) || 'This account'} may not do that`);
+  }
+};
+
+// Roles rank in the order of ROLES, from least to most trusted
+const getRoleRank = (role) => Object.keys(ROLES).indexOf(role);
+
+// Roles an account may give new or existing members: only those below its
+// own, so nobody can raise anyone to their own level
+export const getAssignableRoles = (account) =>
+  isAdmin(account) ? Object.keys(ROLES).filter(role => getRoleRank(role) < getRoleRank(account.role)) : [];
+
+// Whether an account may edit or remove another member: admins only act on
+// members ranked below them, as with roles
+export const canManageMember = (account, member) =>
+  member.rollNumber !== account?.rollNumber && getAssignableRoles(account).includes(member.role);
+
+// Checks `action` on another member's account (profile:edit or
+// members:manage) and that the member ranks below the account
+export const requireMemberAccess = (account, action, member) => {
+  requirePermission(account, action, member.rollNumber);
+  if (member.rollNumber !== account.rollNumber && !canManageMember(account, member)) {
+    throw new MessError('forbidden', `${getRoleLabel(account.role)} may not change the account of a ${getRoleLabel(member.role)}`);
+  }
+};
+
+// Checks that an account may give `role` to a new member or, with `target`,
+// change an existing member's role to it. Only wardens change roles, never
+// their own, and only for members below them.
+export const requireRoleAssignment = (account, role, target = null) => {
+  requirePermission(account, 'members:manage');
+  if (target) {
+    if (account.role !== 'warden') {
+      throw new MessError('forbidden', 'Only wardens may change roles');
+    }
+    if (target.rollNumber === account.rollNumber) {
+      throw new MessError('forbidden', 'You cannot change your own role');
+    }
+    if (!getAssignableRoles(account).includes(target.role)) {
+      throw new MessError('forbidden', `You may not change the role of a ${getRoleLabel(target.role)}`);
+    }
+  }
+  if (ROLES[role] && !getAssignableRoles(account).includes(role)) {
+    throw new MessError('forbidden', `${getRoleLabel(account.role)} may not make anyone a ${getRoleLabel(role)}`);
+  }
+};
+
+export const normalizeRollNumber = (value) => String(value || '').trim().toUpperCase();
+
+const ROLL_NUMBER_PATTERN = /^[A-Z0-9][A-Z0-9/-]{2,19}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateDiets = (diets, errors) => {
+  if (diets === undefined) return;
+  if (!Array.isArray(diets) || diets.some(diet => !DIETS[diet])) {
+    errors.push(`Diets must be a list of ${Object.keys(DIETS).join(', ')}`);
+  }
+};
+
+// Problems with the fields of a new account; empty when they are valid.
+// Campus accounts are checked against CAMPUS_ROLES instead.
+export const validateAccountFields = ({ rollNumber, name, role, password, diets }, roles = ROLES) => {
+  const errors = [];
+  if (!ROLL_NUMBER_PATTERN.test(normalizeRollNumber(rollNumber))) {
+    errors.push('Roll number must be 3–20 letters, digits, "/" or "-"');
+  }
+  if (!String(name || '').trim()) {
+    errors.push('Name is required');
+  }
+  if (!roles[role]) {
+    errors.push(`Role must be one of ${Object.keys(roles).join(', ')}`);
+  }
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  validateDiets(diets, errors);
+  return errors;
+};
+
+// Problems with changes to an existing account's name, role or diets
+export const validateAccountChanges = ({ name, role, diets }) => {
+  const errors = [];
+  if (name !== undefined && !String(name).trim()) {
+    errors.push('Name is required');
+  }
+  if (role !== undefined && !ROLES[role]) {
+    errors.push(`Role must be one of ${Object.keys(ROLES).join(', ')}`);
+  }
+  validateDiets(diets, errors);
+  return errors;
+};
+
+const PBKDF2_ITERATIONS = 100000;
+
+const toHex = (bytes) => [...new Uint8Array(bytes)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(pair => parseInt(pair, 16)));
+
+export const randomToken = (bytes = 32) => toHex(globalThis.crypto.getRandomValues(new Uint8Array(bytes)));
+
+export const hashPassword = async (password, salt = randomToken(16)) => {
+  const { subtle } = globalThis.crypto;
+  const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations: PBKDF2_ITERATIONS },
+    key,
+    256
+  );
+  return { salt, passwordHash: toHex(bits) };
+};
+
+export const verifyPassword = async (password, { salt, passwordHash }) => {
+  if (!salt || !passwordHash) return false;
+  const { passwordHash: candidate } = await hashPassword(String(password || ''), salt);
+
+  // Compare every character so timing does not reveal the matching prefix
+  let difference = candidate.length ^ passwordHash.length;
+  for (let i = 0; i < candidate.length; i++) {
+    difference |= candidate.charCodeAt(i) ^ passwordHash.charCodeAt(i % passwordHash.length);
+  }
+  return difference === 0;
+};
+
+export const toPublicAccount = ({ salt, passwordHash, ...account }) => account;
+
+// New account record with a hashed password
+export const createAccountRecord = async ({ rollNumber, name, role, password, diets }, roles = ROLES) => {
+  const errors = validateAccountFields({ rollNumber, name, role, password, diets }, roles);
+  if (errors.length > 0) {
+    throw new MessError('invalid', 'Account details are not valid', errors);
+  }
+  return {
+    rollNumber: normalizeRollNumber(rollNumber),
+    name: name.trim(),
+    role,
+    diets: normalizeDiets(diets),
+    ...(await hashPassword(password))
+  };
+};
@@ -0,0 +1,108 @@
+// Running the planner's whole-week searches in a web worker, so the page keeps
+// responding while a plan takes a second or more (a week of 40 ballots does).
+//
+// PLAN_TASKS names the slow jobs; the worker (planWorker.js) runs them by name.
+// Where workers are missing, or the worker cannot start, the same tasks run on
+// the main thread after a tick, which is no faster but keeps one code path.
+
+import { findMajorityPlan, findOptimalPlan, planWithoutRule } from './planner.js';
+
+export const PLAN_TASKS = {
+  // The plan for the week (unless a published version is shown instead) and
+  // the plain-majority plan to compare it with when a fairness mode is on
+  weekPlans: (input, { fair, majority }) => ({
+    fair: fair ? findOptimalPlan(input) : null,
+    majority: majority ? findMajorityPlan(input) : null
+  }),
+  // The week without one rule, for the "what if this rule were off?" answers
+  planWithoutRule
+};
+
+const startWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('./planWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    return null;
+  }
+};
+
+// Queue of PLAN_TASKS jobs run one at a time. run(task, args, { replace })
+// resolves with the task's result; with `replace`, a job of the same task
+// still waiting is dropped (it resolves with null), so only the newest of a
+// burst of edits is planned. The worker starts on the first job.
+export const createPlanWorker = () => {
+  let worker;
+  let current = null;
+  let queue = [];
+
+  const settle = (job, error, result) => {
+    if (current === job) current = null;
+    if (error) job.reject(error);
+    else job.resolve(result);
+    pump();
+  };
+
+  const runHere = (job) => {
+    setTimeout(() => {
+      let result;
+      try {
+        result = PLAN_TASKS[job.task](...job.args);
+      } catch (error) {
+        settle(job, error);
+        return;
+      }
+      settle(job, null, result);
+    }, 0);
+  };
+
+  // A worker that fails to load hands its job, and every later one, to the
+  // main thread
+  const giveUpWorker = () => {
+    worker?.terminate();
+    worker = null;
+    if (current) runHere(current);
+  };
+
+  const pump = () => {
+    if (current || queue.length === 0) return;
+    current = queue.shift();
+    if (worker === undefined) {
+      worker = startWorker();
+      worker?.addEventListener('message', ({ data }) => {
+        if (current) settle(current, data.error ? new Error(data.error) : null, data.result);
+      });
+      worker?.addEventListener('error', giveUpWorker);
+    }
+    if (!worker) {
+      runHere(current);
+      return;
+    }
+    try {
+      worker.postMessage({ task: current.task, args: current.args });
+    } catch (error) {
+      // Input the worker cannot be sent is planned here instead
+      runHere(current);
+    }
+  };
+
+  const run = (task, args, { replace = false } = {}) => new Promise((resolve, reject) => {
+    if (replace) {
+      queue.filter(job => job.task === task).forEach(job => job.resolve(null));
+      queue = queue.filter(job => job.task !== task);
+    }
+    queue.push({ task, args, resolve, reject });
+    pump();
+  });
+
+  // Stops the worker; jobs not finished yet resolve with null
+  const stop = () => {
+    worker?.terminate();
+    worker = undefined;
+    [current, ...queue].filter(Boolean).forEach(job => job.resolve(null));
+    current = null;
+    queue = [];
+  };
+
+  return { run, stop };
+};
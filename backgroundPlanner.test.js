@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlanWorker } from './backgroundPlanner.js';
+import { createPlannerInput, findOptimalPlan } from './planner.js';
+
+// Node has no web workers, so these run the main-thread fallback
+const catalog = {
+  days: ['Monday', 'Tuesday'],
+  meals: ['Lunch'],
+  courses: { Lunch: ['main'] },
+  items: ['dal', 'rajma'].map(id => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0 }))
+};
+const ballot = (pick) => ({ Monday: { Lunch: { main: pick } }, Tuesday: { Lunch: { main: pick } } });
+const input = (pick) => createPlannerInput(catalog, [], { R001: ballot(pick) });
+
+test('plans the week as findOptimalPlan does', async () => {
+  const { fair, majority } = await createPlanWorker().run('weekPlans', [input('dal'), { fair: true, majority: false }]);
+  assert.deepEqual(fair, findOptimalPlan(input('dal')));
+  assert.equal(majority, null);
+});
+
+test('a newer job replaces the one still waiting', async () => {
+  const worker = createPlanWorker();
+  const options = { fair: true, majority: true };
+  const first = worker.run('weekPlans', [input('dal'), options], { replace: true });
+  const second = worker.run('weekPlans', [input('rajma'), options], { replace: true });
+  const third = worker.run('weekPlans', [input('rajma'), options], { replace: true });
+
+  assert.equal((await first).fair.plan.Monday.Lunch.main.item, 'dal');
+  assert.equal(await second, null);
+  assert.equal((await third).majority.plan.Monday.Lunch.main.item, 'rajma');
+});
+
+test('stopping drops unfinished jobs', async () => {
+  const worker = createPlanWorker();
+  const job = worker.run('weekPlans', [input('dal'), { fair: true, majority: false }]);
+  worker.stop();
+  assert.equal(await job, null);
+});
@@ -0,0 +1,127 @@
+// Several messes on one campus, sharing a catering contractor.
+//
+// Every mess is a tenant with its own residents, catalog, rules, ballots and
+// plans: { id, name }, where the id is a short slug used in storage keys and
+// API paths. A single-mess install is the DEFAULT_MESS and keeps its data
+// where it always was.
+//
+// The contractor cooks for all of them, so the combined view adds up the
+// servings every mess's plan for a week needs (one per resident of the mess,
+// voter or not, each time a dish is planned, as the stock rule counts them)
+// and checks them against the contractor's shared stock: { itemId: servings }
+// for the whole campus. A dish is in conflict when the messes' plans need more
+// than the shared stock, or when the stock the messes' catalogs count on adds
+// up to more than it.
+
+import { createPlannerInput, forEachSlot, indexItems } from './planner.js';
+import { getItemLabel } from './catalog.js';
+import { hasStockLimit } from './inventory.js';
+import { buildShoppingList } from './procurement.js';
+
+export const DEFAULT_MESS_ID = 'main';
+export const DEFAULT_MESS = { id: DEFAULT_MESS_ID, name: 'Main Mess' };
+
+const MESS_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,29}$/;
+
+export const normalizeMessId = (value) => String(value || '').trim().toLowerCase();
+
+// Problems with the fields of a new mess; empty when they are valid
+export const validateMessFields = ({ id, name }) => {
+  const errors = [];
+  if (!MESS_ID_PATTERN.test(normalizeMessId(id))) {
+    errors.push('Mess id must be 2–30 lowercase letters, digits or "-"');
+  }
+  if (!String(name || '').trim()) {
+    errors.push('Mess name is required');
+  }
+  return errors;
+};
+
+// Problems with a shared stock table; empty when it is fine
+export const validateSharedStock = (stock) => {
+  if (!stock || typeof stock !== 'object' || Array.isArray(stock)) {
+    return ['Shared stock must map item ids to servings'];
+  }
+  return Object.entries(stock)
+    .filter(([, servings]) => servings !== null && (!Number.isInteger(servings) || servings < 0))
+    .map(([item]) => `Stock of "${item}" must be a whole number of servings`);
+};
+
+// Shared stock without the items left unlimited (null)
+export const normalizeSharedStock = (stock) =>
+  Object.fromEntries(Object.entries(stock || {}).filter(([, servings]) => servings !== null));
+
+// Planner input for a mess week's catalog, enough to walk its plan
+const getMessInput = ({ catalog }) => createPlannerInput(catalog, [], {});
+
+// Label of an item from the first mess catalog that has it
+const getCampusItemName = (messWeeks, itemId) => {
+  const owner = messWeeks.find(({ catalog }) => catalog.items.some(item => item.id === itemId));
+  return owner ? getItemLabel(owner.catalog, itemId) : itemId;
+};
+
+// Servings of every dish the messes' plans for a week need. messWeeks is
+// [{ mess, catalog, plan, headcount }] (see loadCampusWeek in storage.js);
+// without a headcount, only the slot's voters are counted. Returns
+// { items: [{ item, name, servings, byMess: { messId: servings } }] most
+// needed first, days: [{ day, [messId]: servings }] }.
+export const getCampusDemand = (messWeeks) => {
+  const items = {};
+  const days = [];
+
+  messWeeks.forEach(messWeek => {
+    const { mess, catalog, plan } = messWeek;
+    forEachSlot(getMessInput(messWeek), (day, meal, course) => {
+      const cell = plan?.[day]?.[meal]?.[course];
+      let dayRow = days.find(row => row.day === day);
+      if (!dayRow) {
+        dayRow = { day };
+        days.push(dayRow);
+      }
+      dayRow[mess.id] = dayRow[mess.id] || 0;
+      const servings = messWeek.headcount || cell?.totalUsers;
+      if (!cell?.item || !servings) return;
+
+      if (!items[cell.item]) {
+        items[cell.item] = { item: cell.item, name: getItemLabel(catalog, cell.item), servings: 0, byMess: {} };
+      }
+      items[cell.item].servings += servings;
+      items[cell.item].byMess[mess.id] = (items[cell.item].byMess[mess.id] || 0) + servings;
+      dayRow[mess.id] += servings;
+    });
+  });
+
+  return { items: Object.values(items).sort((a, b) => b.servings - a.servings), days };
+};
+
+// Dishes whose shared stock cannot cover the campus: [{ item, name, needed,
+// allocated, stock, shortfall, overAllocated }], where allocated is the stock
+// the messes' catalogs count on
+export const findStockConflicts = (messWeeks, demand, sharedStock) =>
+  Object.entries(normalizeSharedStock(sharedStock))
+    .map(([item, stock]) => {
+      const allocated = messWeeks.reduce((sum, { catalog }) => {
+        const entry = indexItems(catalog.items)[item];
+        return hasStockLimit(entry) ? sum + (Number(entry.stock) || 0) : sum;
+      }, 0);
+      const needed = demand.items.find(entry => entry.item === item)?.servings || 0;
+      return { item, name: getCampusItemName(messWeeks, item), needed, allocated, stock, shortfall: Math.max(0, needed - stock), overAllocated: allocated > stock };
+    })
+    .filter(conflict => conflict.shortfall > 0 || conflict.overAllocated);
+
+// Ingredients for every mess's plan added together: rows as in
+// buildShoppingList's week list, with the messes that need each
+export const buildCampusShoppingList = (messWeeks) => {
+  const rows = {};
+  messWeeks.forEach(messWeek => {
+    if (!messWeek.plan) return;
+    buildShoppingList(getMessInput(messWeek), messWeek.plan).week.forEach(row => {
+      if (!rows[row.ingredient]) rows[row.ingredient] = { ...row, amount: 0, items: [], messes: [] };
+      const total = rows[row.ingredient];
+      total.amount += row.amount;
+      row.items.filter(item => !total.items.includes(item)).forEach(item => total.items.push(item));
+      total.messes.push(messWeek.mess.id);
+    });
+  });
+  return Object.values(rows).sort((a, b) => a.ingredient.localeCompare(b.ingredient));
+};
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildCampusShoppingList,
+  findStockConflicts,
+  getCampusDemand,
+  normalizeSharedStock,
+  validateMessFields,
+  validateSharedStock
+} from './campus.js';
+import { createCampusStore, createMemoryAdapter } from './storage.js';
+
+const WEEK = '2026-W43';
+const PASSWORD = 'password123';
+
+test('demand counts every resident of a mess, not only those who voted', async () => {
+  const campus = createCampusStore(createMemoryAdapter());
+  const store = await campus.getMessStore('main');
+  await store.setupFirstAccount({ rollNumber: 'W001', name: 'Warden', password: PASSWORD });
+  for (const rollNumber of ['R001', 'R002', 'R003']) {
+    await store.createAccount({ rollNumber, name: rollNumber, password: PASSWORD, role: 'student' });
+  }
+  await store.saveBallots(WEEK, { R001: { Monday: { Lunch: { main: 'rajma-chawal' } } } });
+
+  const messWeeks = await campus.loadCampusWeek(WEEK);
+  assert.equal(messWeeks[0].headcount, 4);
+  assert.equal(messWeeks[0].plan.Monday.Lunch.main.item, 'rajma-chawal');
+  assert.equal(messWeeks[0].plan.Monday.Lunch.main.totalUsers, 1);
+
+  const demand = getCampusDemand(messWeeks);
+  const rajma = demand.items.find(entry => entry.item === 'rajma-chawal');
+  const timesPlanned = Object.values(messWeeks[0].plan)
+    .flatMap(meals => Object.values(meals).flatMap(courses => Object.values(courses)))
+    .filter(cell => cell.item === 'rajma-chawal').length;
+  assert.equal(rajma.servings, 4 * timesPlanned);
+  assert.deepEqual(rajma.byMess, { main: 4 * timesPlanned });
+
+  // Stock for the one voter per serving falls short of the whole mess
+  const [conflict] = findStockConflicts(messWeeks, demand, { 'rajma-chawal': timesPlanned });
+  assert.equal(conflict.shortfall, 3 * timesPlanned);
+});
+
+test('new messes need a slug id and a name', () => {
+  assert.deepEqual(validateMessFields({ id: ' North-Block ', name: 'North Block' }), []);
+  assert.deepEqual(validateMessFields({ id: 'n', name: ' ' }), [
+    'Mess id must be 2–30 lowercase letters, digits or "-"',
+    'Mess name is required'
+  ]);
+  assert.equal(validateMessFields({ id: '-north', name: 'North' }).length, 1);
+  assert.equal(validateMessFields({ id: 'north block', name: 'North' }).length, 1);
+});
+
+test('shared stock holds whole servings, or null when unlimited', () => {
+  assert.deepEqual(validateSharedStock({ dal: 120, rajma: null }), []);
+  assert.deepEqual(validateSharedStock({ dal: 1.5, rajma: -1, chole: '40' }), [
+    'Stock of "dal" must be a whole number of servings',
+    'Stock of "rajma" must be a whole number of servings',
+    'Stock of "chole" must be a whole number of servings'
+  ]);
+  assert.deepEqual(validateSharedStock([]), ['Shared stock must map item ids to servings']);
+  assert.deepEqual(normalizeSharedStock({ dal: 0, rajma: null }), { dal: 0 });
+  assert.deepEqual(normalizeSharedStock(null), {});
+});
+
+const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0, ...fields });
+const messWeek = (id, items, plan, headcount) => ({
+  mess: { id, name: id },
+  catalog: { days: ['Monday', 'Tuesday'], meals: ['Lunch'], courses: { Lunch: ['main'] }, items },
+  plan,
+  headcount
+});
+const served = (monday, tuesday, totalUsers = 1) => ({
+  Monday: { Lunch: { main: { item: monday, totalUsers } } },
+  Tuesday: { Lunch: { main: { item: tuesday, totalUsers } } }
+});
+
+test('catalogs that count on more than the shared stock are in conflict', () => {
+  const messWeeks = [
+    messWeek('north', [item('dal', { stock: 60 }), item('rajma')], served('dal', 'rajma'), 20),
+    messWeek('south', [item('dal', { stock: 50 }), item('rajma', { stock: 10 })], served('rajma', 'rajma'), 10)
+  ];
+  const demand = getCampusDemand(messWeeks);
+  assert.deepEqual(demand.items.map(({ item: itemId, servings, byMess }) => [itemId, servings, byMess]), [
+    ['rajma', 40, { north: 20, south: 20 }],
+    ['dal', 20, { north: 20 }]
+  ]);
+  assert.deepEqual(demand.days, [{ day: 'Monday', north: 20, south: 10 }, { day: 'Tuesday', north: 20, south: 10 }]);
+
+  const conflicts = findStockConflicts(messWeeks, demand, { dal: 100, rajma: 50, chole: null });
+  assert.deepEqual(conflicts, [
+    { item: 'dal', name: '🍽️ dal', needed: 20, allocated: 110, stock: 100, shortfall: 0, overAllocated: true }
+  ]);
+  assert.deepEqual(findStockConflicts(messWeeks, demand, { rajma: 30 }).map(({ shortfall, overAllocated }) => [shortfall, overAllocated]), [[10, false]]);
+});
+
+test('the campus shopping list adds up every mess\'s plan', () => {
+  const rajma = item('rajma', { ingredients: ['kidney bean', 'rice'] });
+  const khichdi = item('khichdi', { ingredients: ['rice', 'lentil'] });
+  const list = buildCampusShoppingList([
+    messWeek('north', [rajma, khichdi], served('rajma', 'khichdi', 10)),
+    messWeek('south', [rajma], served('rajma', null, 5)),
+    messWeek('east', [rajma], null)
+  ]);
+
+  assert.deepEqual(list.map(({ ingredient, amount, items, messes }) => [ingredient, amount, items, messes]), [
+    ['kidney bean', 15 * 70, ['rajma'], ['north', 'south']],
+    ['lentil', 10 * 50, ['khichdi'], ['north']],
+    ['rice', 25 * 100, ['rajma', 'khichdi'], ['north', 'south']]
+  ]);
+});
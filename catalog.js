@@ -0,0 +1,218 @@
+// Menu catalog: the days and meals a mess serves and every dish it can cook.
+//
+// Items are plain objects keyed by a stable `id`; ballots, plans and rule
+// overrides all refer to items by id so a dish can be renamed without losing
+// votes. Retired items stay in the catalog (old ballots and plans still point
+// at them) but can no longer be voted for or planned.
+//
+// Every meal is served as a set of courses, one per category; ballots and
+// plans hold one pick per course: ballot[day][meal][course] = itemId.
+//
+// `cost` is the price of one serving in rupees, used by the budget rules,
+// `nutrition` holds calories and grams of protein and fibre per serving (see
+// nutrition.js) and `tags` list what a dish contains for dietary checks (see
+// diet.js). `season` and `stock` limit when and how often a dish can be served
+// (see inventory.js). `ingredients` and the optional per-serving `quantities`
+// feed the shopping list (see procurement.js).
+
+import { hasStockLimit } from './inventory.js';
+
+export const CATEGORIES = ['main', 'side', 'dessert', 'fruit'];
+
+export const CATEGORY_LABELS = {
+  main: 'Main',
+  side: 'Side',
+  dessert: 'Dessert',
+  fruit: 'Fruit'
+};
+
+export const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const MEALS = ['Breakfast', 'Lunch', 'Snacks', 'Dinner'];
+
+// When each meal is served, in the mess's local time
+export const MEAL_TIMES = {
+  Breakfast: { start: '07:30', end: '09:00' },
+  Lunch: { start: '12:30', end: '14:00' },
+  Snacks: { start: '17:00', end: '18:00' },
+  Dinner: { start: '20:00', end: '21:30' }
+};
+
+const MEAL_TIME_FALLBACK = { start: '12:00', end: '13:00' };
+
+// Serving times of a meal, with a midday slot for meals MEAL_TIMES lacks
+export const getMealTime = (meal) => MEAL_TIMES[meal] || MEAL_TIME_FALLBACK;
+
+const ALL_MEALS = [...MEALS];
+const MAIN_MEALS = ['Lunch', 'Dinner'];
+
+export const DEFAULT_ITEMS = [
+  // Fruits
+  { id: 'apple', name: 'Apple', category: 'fruit', meals: ALL_MEALS, emoji: '🍎', ingredients: ['apple'], cost: 15, nutrition: { calories: 95, protein: 1, fibre: 4 }, tags: [] },
+  { id: 'banana', name: 'Banana', category: 'fruit', meals: ALL_MEALS, emoji: '🍌', ingredients: ['banana'], cost: 5, nutrition: { calories: 105, protein: 1, fibre: 3 }, tags: [] },
+  { id: 'orange', name: 'Orange', category: 'fruit', meals: ALL_MEALS, emoji: '🍊', ingredients: ['orange'], cost: 10, nutrition: { calories: 62, protein: 1, fibre: 3 }, tags: [] },
+  { id: 'mango', name: 'Mango', category: 'fruit', meals: ALL_MEALS, emoji: '🥭', ingredients: ['mango'], cost: 30, nutrition: { calories: 200, protein: 3, fibre: 5 }, tags: [], season: { from: '04-01', to: '07-31' } },
+  { id: 'grapes', name: 'Grapes', category: 'fruit', meals: ALL_MEALS, emoji: '🍇', ingredients: ['grapes'], cost: 20, nutrition: { calories: 62, protein: 1, fibre: 1 }, tags: [] },
+  { id: 'strawberry', name: 'Strawberry', category: 'fruit', meals: ALL_MEALS, emoji: '🍓', ingredients: ['strawberry'], cost: 35, nutrition: { calories: 49, protein: 1, fibre: 3 }, tags: [] },
+  { id: 'cherry', name: 'Cherry', category: 'fruit', meals: ALL_MEALS, emoji: '🍒', ingredients: ['cherry'], cost: 40, nutrition: { calories: 87, protein: 1, fibre: 3 }, tags: [], season: { from: '05-01', to: '06-30' } },
+  { id: 'peach', name: 'Peach', category: 'fruit', meals: ALL_MEALS, emoji: '🍑', ingredients: ['peach'], cost: 25, nutrition: { calories: 59, protein: 1, fibre: 2 }, tags: [] },
+  { id: 'pear', name: 'Pear', category: 'fruit', meals: ALL_MEALS, emoji: '🍐', ingredients: ['pear'], cost: 20, nutrition: { calories: 101, protein: 1, fibre: 6 }, tags: [] },
+  { id: 'kiwi', name: 'Kiwi', category: 'fruit', meals: ALL_MEALS, emoji: '🥝', ingredients: ['kiwi'], cost: 25, nutrition: { calories: 42, protein: 1, fibre: 2 }, tags: [] },
+
+  // Mains
+  { id: 'aloo-paratha', name: 'Aloo Paratha', category: 'main', meals: ['Breakfast'], emoji: '🫓', ingredients: ['wheat', 'potato', 'butter'], cost: 25, nutrition: { calories: 300, protein: 7, fibre: 4 }, tags: ['dairy', 'root-vegetable'] },
+  { id: 'poha', name: 'Poha', category: 'main', meals: ['Breakfast'], emoji: '🍚', ingredients: ['rice', 'peanut', 'onion'], cost: 15, nutrition: { calories: 250, protein: 5, fibre: 2 }, tags: ['nuts', 'onion-garlic'] },
+  { id: 'idli-sambar', name: 'Idli Sambar', category: 'main', meals: ['Breakfast'], emoji: '🥣', ingredients: ['rice', 'lentil'], cost: 20, nutrition: { calories: 280, protein: 10, fibre: 6 }, tags: [] },
+  { id: 'masala-dosa', name: 'Masala Dosa', category: 'main', meals: ['Breakfast', 'Dinner'], emoji: '🌯', ingredients: ['rice', 'lentil', 'potato'], cost: 30, nutrition: { calories: 350, protein: 8, fibre: 5 }, tags: ['root-vegetable'] },
+  { id: 'paneer-butter-masala', name: 'Paneer Butter Masala', category: 'main', meals: MAIN_MEALS, emoji: '🧀', ingredients: ['paneer', 'tomato', 'butter'], cost: 60, nutrition: { calories: 450, protein: 18, fibre: 3 }, tags: ['dairy'] },
+  { id: 'chole-bhature', name: 'Chole Bhature', category: 'main', meals: MAIN_MEALS, emoji: '🫘', ingredients: ['chickpea', 'wheat'], cost: 40, nutrition: { calories: 550, protein: 15, fibre: 10 }, tags: ['onion-garlic'] },
+  { id: 'rajma-chawal', name: 'Rajma Chawal', category: 'main', meals: MAIN_MEALS, emoji: '🍛', ingredients: ['kidney bean', 'rice'], cost: 35, nutrition: { calories: 450, protein: 16, fibre: 11 }, tags: ['onion-garlic'] },
+  { id: 'veg-biryani', name: 'Veg Biryani', category: 'main', meals: MAIN_MEALS, emoji: '🍲', ingredients: ['rice', 'mixed vegetables'], cost: 45, nutrition: { calories: 400, protein: 9, fibre: 5 }, tags: ['onion-garlic', 'root-vegetable'] },
+  { id: 'egg-curry', name: 'Egg Curry', category: 'main', meals: MAIN_MEALS, emoji: '🥚', ingredients: ['egg', 'onion', 'tomato'], cost: 40, nutrition: { calories: 300, protein: 16, fibre: 2 }, tags: ['egg', 'onion-garlic'] },
+  { id: 'samosa', name: 'Samosa', category: 'main', meals: ['Snacks'], emoji: '🥟', ingredients: ['wheat', 'potato'], cost: 10, nutrition: { calories: 260, protein: 4, fibre: 3 }, tags: ['root-vegetable'] },
+  { id: 'pakora', name: 'Pakora', category: 'main', meals: ['Snacks'], emoji: '🧆', ingredients: ['gram flour', 'onion'], cost: 15, nutrition: { calories: 220, protein: 6, fibre: 3 }, tags: ['onion-garlic'] },
+  { id: 'veg-sandwich', name: 'Veg Sandwich', category: 'main', meals: ['Snacks'], emoji: '🥪', ingredients: ['bread', 'cucumber', 'tomato', 'butter'], cost: 20, nutrition: { calories: 240, protein: 6, fibre: 3 }, tags: ['dairy'] },
+  { id: 'bhel-puri', name: 'Bhel Puri', category: 'main', meals: ['Snacks'], emoji: '🥗', ingredients: ['puffed rice', 'onion', 'tamarind'], cost: 12, nutrition: { calories: 180, protein: 4, fibre: 3 }, tags: ['onion-garlic'] },
+
+  // Sides
+  { id: 'dal-tadka', name: 'Dal Tadka', category: 'side', meals: MAIN_MEALS, emoji: '🥘', ingredients: ['lentil', 'ghee'], cost: 20, nutrition: { calories: 180, protein: 9, fibre: 5 }, tags: ['dairy'] },
+  { id: 'jeera-rice', name: 'Jeera Rice', category: 'side', meals: MAIN_MEALS, emoji: '🍚', ingredients: ['rice'], cost: 15, nutrition: { calories: 210, protein: 4, fibre: 1 }, tags: [] },
+  { id: 'mix-veg', name: 'Mix Veg', category: 'side', meals: MAIN_MEALS, emoji: '🥗', ingredients: ['mixed vegetables'], cost: 25, nutrition: { calories: 150, protein: 4, fibre: 5 }, tags: ['root-vegetable'] },
+  { id: 'paneer-tikka', name: 'Paneer Tikka', category: 'side', meals: ['Lunch', 'Snacks', 'Dinner'], emoji: '🍢', ingredients: ['paneer', 'yogurt'], cost: 50, nutrition: { calories: 280, protein: 16, fibre: 2 }, tags: ['dairy'] },
+  { id: 'raita', name: 'Raita', category: 'side', meals: MAIN_MEALS, emoji: '🥛', ingredients: ['yogurt', 'cucumber'], cost: 12, nutrition: { calories: 90, protein: 4, fibre: 1 }, tags: ['dairy'] },
+
+  // Desserts
+  { id: 'gulab-jamun', name: 'Gulab Jamun', category: 'dessert', meals: MAIN_MEALS, emoji: '🍡', ingredients: ['milk', 'sugar'], cost: 20, nutrition: { calories: 300, protein: 4, fibre: 0 }, tags: ['dairy'] },
+  { id: 'kheer', name: 'Kheer', category: 'dessert', meals: MAIN_MEALS, emoji: '🍮', ingredients: ['milk', 'rice', 'cashew'], cost: 25, nutrition: { calories: 250, protein: 7, fibre: 0 }, tags: ['dairy', 'nuts'] },
+  { id: 'gajar-halwa', name: 'Gajar Halwa', category: 'dessert', meals: MAIN_MEALS, emoji: '🥕', ingredients: ['carrot', 'milk', 'ghee'], cost: 30, nutrition: { calories: 280, protein: 5, fibre: 3 }, tags: ['dairy', 'root-vegetable'] },
+  { id: 'ice-cream', name: 'Ice Cream', category: 'dessert', meals: ['Lunch', 'Snacks', 'Dinner'], emoji: '🍨', ingredients: ['milk', 'sugar'], cost: 30, nutrition: { calories: 210, protein: 4, fibre: 0 }, tags: ['dairy'] }
+].map(item => ({ quantities: {}, season: null, stock: null, ...item, retired: false }));
+
+// Courses served at each meal, in the order they are planned. Each course
+// needs enough dishes to fill its slots under DEFAULT_RULES: fruit at every
+// meal, say, would need 28 fruits a week from 8 in season at most twice each.
+export const DEFAULT_COURSES = {
+  Breakfast: ['main', 'fruit'],
+  Lunch: ['main', 'side', 'dessert'],
+  Snacks: ['main'],
+  Dinner: ['main', 'side']
+};
+
+export const DEFAULT_CATALOG = {
+  days: DAYS,
+  meals: MEALS,
+  courses: DEFAULT_COURSES,
+  items: DEFAULT_ITEMS
+};
+
+// Courses served at a meal; meals without a course list get every category
+export const getCourses = (catalog, meal) => catalog.courses?.[meal] || CATEGORIES;
+
+// Items that can still be voted for and planned
+export const getActiveItems = (catalog) => catalog.items.filter(item => !item.retired);
+
+// Whether an item may be served at a meal, optionally as a given course
+export const isServedAt = (item, meal, course) =>
+  !item.retired && item.meals.includes(meal) && (!course || item.category === course);
+
+export const findItem = (catalog, itemId) => catalog.items.find(item => item.id === itemId) || null;
+
+// Display label with the item's emoji, tolerating unknown ids
+export const getItemLabel = (catalog, itemId) => {
+  const item = findItem(catalog, itemId);
+  return item ? `${item.emoji} ${item.name}` : itemId;
+};
+
+const slugify = (name) =>
+  name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Returns a new catalog with the item added under a unique id
+export const addItem = (catalog, fields) => {
+  const baseId = slugify(fields.name) || 'item';
+  let id = baseId;
+  for (let n = 2; findItem(catalog, id); n++) {
+    id = `${baseId}-${n}`;
+  }
+
+  const item = {
+    id,
+    name: fields.name.trim(),
+    category: CATEGORIES.includes(fields.category) ? fields.category : 'main',
+    meals: fields.meals?.length ? fields.meals : [...catalog.meals],
+    emoji: fields.emoji || '🍽️',
+    ingredients: fields.ingredients || [],
+    quantities: fields.quantities || {},
+    cost: Math.max(0, Number(fields.cost) || 0),
+    nutrition: fields.nutrition || {},
+    tags: fields.tags || [],
+    season: fields.season || null,
+    stock: hasStockLimit(fields) ? Math.max(0, Number(fields.stock) || 0) : null,
+    retired: false
+  };
+
+  return { ...catalog, items: [...catalog.items, item] };
+};
+
+// Returns a new catalog with the item's fields changed (the id never changes)
+export const updateItem = (catalog, itemId, changes) => {
+  const { id, ...allowedChanges } = changes;
+  return {
+    ...catalog,
+    items: catalog.items.map(item => (item.id === itemId ? { ...item, ...allowedChanges } : item))
+  };
+};
+
+export const retireItem = (catalog, itemId, retired = true) => updateItem(catalog, itemId, { retired });
+
+const isTextList = (value) => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim());
+
+// Problems with a whole catalog sent from outside (settings or an import),
+// empty when the planner can work with it
+export const validateCatalog = (catalog) => {
+  if (!catalog || typeof catalog !== 'object' || Array.isArray(catalog)) {
+    return ['Catalog must be an object with days, meals and items'];
+  }
+
+  const errors = [];
+  if (!isTextList(catalog.days) || catalog.days.length === 0) errors.push('Catalog days must be a list of day names');
+  if (!isTextList(catalog.meals) || catalog.meals.length === 0) errors.push('Catalog meals must be a list of meal names');
+  if (catalog.courses !== undefined) {
+    if (!catalog.courses || typeof catalog.courses !== 'object' || Array.isArray(catalog.courses)) {
+      errors.push('Catalog courses must map each meal to its courses');
+    } else {
+      Object.entries(catalog.courses).forEach(([meal, courses]) => {
+        if (!Array.isArray(courses) || courses.some(course => !CATEGORIES.includes(course))) {
+          errors.push(`${meal}: courses must be a list of ${CATEGORIES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(catalog.items)) {
+    errors.push('Catalog items must be a list');
+    return errors;
+  }
+  const ids = new Set();
+  catalog.items.forEach((item, index) => {
+    const label = typeof item?.id === 'string' && item.id ? `Item "${item.id}"` : `Item ${index + 1}`;
+    if (!item || typeof item !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof item.id !== 'string' || !item.id) errors.push(`${label} needs an id`);
+    else if (ids.has(item.id)) errors.push(`${label} is listed twice`);
+    ids.add(item.id);
+    if (typeof item.name !== 'string' || !item.name.trim()) errors.push(`${label} needs a name`);
+    if (!CATEGORIES.includes(item.category)) errors.push(`${label}: category must be one of ${CATEGORIES.join(', ')}`);
+    if (!isTextList(item.meals)) errors.push(`${label}: meals must be a list of meal names`);
+    ['ingredients', 'tags'].forEach(field => {
+      if (item[field] !== undefined && !Array.isArray(item[field])) errors.push(`${label}: ${field} must be a list`);
+    });
+    if (item.cost !== undefined && !(Number(item.cost) >= 0)) errors.push(`${label}: cost must be a number of rupees`);
+  });
+  return errors;
+};
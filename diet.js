@@ -0,0 +1,67 @@
+// Dietary tags on catalog items and the restrictions residents can declare.
+//
+// Items carry `tags` naming what they contain (dairy, egg, nuts…). A resident's
+// profile is a list of restriction ids, and each restriction forbids a set of
+// tags, so a dish is suitable when none of its tags is forbidden.
+
+export const DIETARY_TAGS = {
+  dairy: { label: 'Dairy', emoji: '🥛' },
+  egg: { label: 'Egg', emoji: '🥚' },
+  meat: { label: 'Meat', emoji: '🍗' },
+  nuts: { label: 'Nuts & peanuts', emoji: '🥜' },
+  'onion-garlic': { label: 'Onion / garlic', emoji: '🧅' },
+  'root-vegetable': { label: 'Root vegetables', emoji: '🥔' }
+};
+
+export const DIETS = {
+  jain: { label: 'Jain', emoji: '🙏', forbids: ['meat', 'egg', 'onion-garlic', 'root-vegetable'] },
+  vegan: { label: 'Vegan', emoji: '🌱', forbids: ['meat', 'egg', 'dairy'] },
+  'egg-free': { label: 'Egg-free', emoji: '🚫', forbids: ['egg'] },
+  'nut-allergy': { label: 'Nut allergy', emoji: '🥜', forbids: ['nuts'] }
+};
+
+// Restriction ids in DIETS order, without unknown ids or duplicates
+export const normalizeDiets = (diets) => Object.keys(DIETS).filter(diet => (diets || []).includes(diet));
+
+export const getForbiddenTags = (diets) => {
+  const forbidden = new Set();
+  (diets || []).forEach(diet => {
+    (DIETS[diet]?.forbids || []).forEach(tag => forbidden.add(tag));
+  });
+  return forbidden;
+};
+
+export const isSuitable = (item, diets) => {
+  if (!diets || diets.length === 0) return true;
+  const forbidden = getForbiddenTags(diets);
+  return !(item.tags || []).some(tag => forbidden.has(tag));
+};
+
+// First restriction of a profile that rules the item out, or null
+export const findDietConflict = (item, diets) =>
+  (diets || []).find(diet => (item.tags || []).some(tag => DIETS[diet]?.forbids.includes(tag))) || null;
+
+export const formatDiets = (diets) => normalizeDiets(diets).map(diet => DIETS[diet].label).join(' + ');
+
+// Profiles by roll number, from public accounts
+export const getDietProfiles = (accounts) => {
+  const profiles = {};
+  (accounts || []).forEach(account => {
+    profiles[account.rollNumber] = normalizeDiets(account.diets);
+  });
+  return profiles;
+};
+
+// Residents grouped by identical restrictions: [{ diets, members }], skipping
+// residents without any
+export const getDietGroups = (profiles) => {
+  const groups = {};
+  Object.values(profiles || {}).forEach(diets => {
+    const normalized = normalizeDiets(diets);
+    if (normalized.length === 0) return;
+    const key = normalized.join('+');
+    if (!groups[key]) groups[key] = { diets: normalized, members: 0 };
+    groups[key].members++;
+  });
+  return Object.values(groups);
+};
@@ -0,0 +1,19 @@
+// Save generated text as a file from the browser
+export const downloadFile = (fileName, text, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Open a generated HTML page in a new window and show the print dialog,
+// where the browser can also save it as a PDF
+export const printPage = (html) => {
+  const page = window.open('', '_blank');
+  if (!page) return;
+  page.document.write(html);
+  page.document.close();
+  page.print();
+};
@@ -0,0 +1,361 @@
+// Getting mess data in and out of the planner.
+//
+//   state export   one JSON file with the settings, members (without
+//                  passwords or roles), and every week's ballots, published
+//                  plan versions, ballot window, admin overrides and meal
+//                  feedback
+//   ballot CSV     one row per resident, as collected by a Google Form: a
+//                  "Roll Number" column and one "<Day> <Meal> [<Course>]"
+//                  column per slot holding a dish name or id. Several dishes
+//                  separated by ";" are a ranking, "Dal Tadka: 5" is a score.
+//   plan CSV/.ics  the planned menu as a table, or as a calendar with one
+//                  event per meal that residents can subscribe to
+
+import { CATEGORY_LABELS, getMealTime, validateCatalog } from './catalog.js';
+import { createEmptyBallot, forEachSlot, indexItems, validateBallot, validatePlanRecord } from './planner.js';
+import { formatVotes } from './preferences.js';
+import { normalizeRollNumber } from './auth.js';
+import { getDayDate, parseWeekId } from './weeks.js';
+import { validateWindow } from './publishing.js';
+import { validateRules } from './rules.js';
+import { validateGoals } from './nutrition.js';
+import { validateFairness } from './fairness.js';
+import { DEFAULT_MESS_ID } from './campus.js';
+
+export const EXPORT_FORMAT = 'aimess-state';
+export const EXPORT_VERSION = 1;
+
+// Form columns that are not slots and are skipped without complaint
+const IGNORED_COLUMNS = /^(timestamp|name|full name|email|email address)$/i;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// --- CSV ---
+
+const csvField = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (lines) => lines.map(line => line.map(csvField).join(',')).join('\n');
+
+// Rows of fields, with quoted fields, doubled quotes and CRLF line ends
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+// --- Full state ---
+
+export const createStateExport = ({ settings, accounts, weeks }, exportedAt = new Date().toISOString()) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt,
+  settings,
+  accounts: accounts.map(({ rollNumber, name, diets }) => ({ rollNumber, name, diets: diets || [] })),
+  weeks: weeks.map(({ weekId, ballots, plan, versions, window, overrides, feedback }) => ({
+    weekId,
+    ballots: ballots || {},
+    plan: plan || null,
+    versions: versions || [],
+    window: window || null,
+    overrides: overrides || null,
+    feedback: feedback || {}
+  }))
+});
+
+// Problems that stop a state export from being imported; empty when it is fine
+export const validateStateExport = (data) => {
+  if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+    return ['This is not a mess planner export file'];
+  }
+  if (data.version !== EXPORT_VERSION) {
+    return [`Export version ${data.version} is not supported (expected ${EXPORT_VERSION})`];
+  }
+
+  // Goals and fairness may be left out; the defaults are imported instead
+  const { catalog, rules, goals, fairness } = data.settings || {};
+  const errors = [];
+  [
+    ...validateCatalog(catalog),
+    ...validateRules(rules),
+    ...(goals ? validateGoals(goals) : []),
+    ...(fairness ? validateFairness(fairness) : [])
+  ].forEach(message => errors.push(`Settings: ${message}`));
+  if (!Array.isArray(data.accounts) || data.accounts.some(account => !account?.rollNumber)) {
+    errors.push('Members must be a list with a roll number each');
+  }
+  if (!Array.isArray(data.weeks)) {
+    errors.push('Weeks must be a list');
+  } else {
+    data.weeks.forEach((week, index) => {
+      if (!parseWeekId(week?.weekId)) errors.push(`Week ${index + 1}: invalid week "${week?.weekId}"`);
+      if (week?.ballots && typeof week.ballots !== 'object') errors.push(`${week.weekId}: ballots must be an object`);
+      if (week?.overrides && (!Array.isArray(week.overrides.locks) || !Array.isArray(week.overrides.bans))) {
+        errors.push(`${week.weekId}: overrides need locks and bans lists`);
+      }
+      if (week?.feedback && typeof week.feedback !== 'object') errors.push(`${week.weekId}: feedback must be an object`);
+      if (week?.plan) validatePlanRecord(week.plan).forEach(message => errors.push(`${week.weekId}: ${message}`));
+      if (week?.versions && !Array.isArray(week.versions)) {
+        errors.push(`${week.weekId}: plan versions must be a list`);
+      } else {
+        (week?.versions || []).forEach((version, versionIndex) => validatePlanRecord(version)
+          .forEach(message => errors.push(`${week.weekId} version ${versionIndex + 1}: ${message}`)));
+      }
+      if (week?.window) {
+        validateWindow(week.window).forEach(message => errors.push(`${week.weekId}: ${message}`));
+      }
+    });
+  }
+  return errors;
+};
+
+// --- Ballot CSV ---
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[[\]()]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Slot of every "<Day> <Meal> <Course>" header, by its normalised text
+const getSlotHeaders = (input) => {
+  const headers = {};
+  forEachSlot(input, (day, meal, course) => {
+    const slot = { day, meal, course };
+    headers[normalizeHeader(`${day} ${meal} ${course}`)] = slot;
+    headers[normalizeHeader(`${day} ${meal} ${CATEGORY_LABELS[course] || course}`)] = slot;
+  });
+  return headers;
+};
+
+// Item id for a dish written by id or by name, any case
+const createItemLookup = (items) => {
+  const lookup = {};
+  items.filter(item => !item.retired).forEach(item => {
+    lookup[item.id.toLowerCase()] = item.id;
+    lookup[item.name.toLowerCase()] = item.id;
+  });
+  return (text) => lookup[text.trim().toLowerCase()] || null;
+};
+
+// Ballot slot from one cell, or { error } when a dish is unknown
+const parseSlotCell = (cell, findItemId) => {
+  const parts = cell.split(';').map(part => part.trim()).filter(Boolean);
+  const scored = parts.some(part => /[:=]\s*\d+$/.test(part));
+  const value = scored ? {} : [];
+
+  for (const part of parts) {
+    const match = scored ? /^(.*?)\s*[:=]\s*(\d+)$/.exec(part) : null;
+    const name = match ? match[1] : part;
+    const itemId = findItemId(name);
+    if (!itemId) return { error: `unknown dish "${name}"` };
+    if (scored) {
+      value[itemId] = match ? Number(match[2]) : NaN;
+    } else {
+      value.push(itemId);
+    }
+  }
+  return { value: scored || value.length > 1 ? value : value[0] || '' };
+};
+
+// Header row for a ballot sheet, to set up a form with matching questions
+export const createBallotCsvTemplate = (input) => {
+  const header = ['Roll Number'];
+  forEachSlot(input, (day, meal, course) => {
+    header.push(`${day} ${meal} [${CATEGORY_LABELS[course] || course}]`);
+  });
+  return toCsv([header]);
+};
+
+// Ballots from a form sheet: { ballots: { [rollNumber]: ballot }, errors }
+// where errors are [{ row, rollNumber, messages }] with spreadsheet row
+// numbers. Rows with any problem are left out; when a resident has several
+// rows the last one counts, as when a form response is edited.
+export const parseBallotCsv = (text, input, accounts) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { ballots: {}, errors: [{ row: 1, rollNumber: null, messages: ['The file is empty'] }] };
+
+  const slotHeaders = getSlotHeaders(input);
+  const rollColumn = header.findIndex(title => /roll/i.test(title));
+  const headerErrors = [];
+  const columns = [];
+  header.forEach((title, index) => {
+    if (index === rollColumn || !title.trim() || IGNORED_COLUMNS.test(title.trim())) return;
+    const slot = slotHeaders[normalizeHeader(title)];
+    if (slot) {
+      columns.push({ index, slot });
+    } else {
+      headerErrors.push(`Column "${title}" is not a day, meal and course`);
+    }
+  });
+  if (rollColumn < 0) headerErrors.unshift('There is no "Roll Number" column');
+
+  const errors = headerErrors.length > 0 ? [{ row: 1, rollNumber: null, messages: headerErrors }] : [];
+  if (rollColumn < 0) return { ballots: {}, errors };
+
+  const findItemId = createItemLookup(input.items);
+  const ballots = {};
+  rows.forEach((cells, index) => {
+    if (cells.every(cell => !cell.trim())) return;
+    const row = index + 2;
+    const rollNumber = normalizeRollNumber(cells[rollColumn]);
+    const account = accounts.find(member => member.rollNumber === rollNumber);
+    if (!account) {
+      errors.push({ row, rollNumber, messages: [rollNumber ? `Unknown roll number "${rollNumber}"` : 'The roll number is missing'] });
+      return;
+    }
+
+    const ballot = createEmptyBallot(input);
+    const messages = [];
+    columns.forEach(({ index: column, slot: { day, meal, course } }) => {
+      const cell = (cells[column] || '').trim();
+      if (!cell) return;
+      const { value, error } = parseSlotCell(cell, findItemId);
+      if (error) {
+        messages.push(`${day} ${meal} ${course}: ${error}`);
+      } else {
+        ballot[day][meal][course] = value;
+      }
+    });
+    if (messages.length === 0) messages.push(...validateBallot(input, ballot, account.diets));
+
+    if (messages.length > 0) {
+      errors.push({ row, rollNumber, messages });
+      delete ballots[rollNumber];
+    } else {
+      ballots[rollNumber] = ballot;
+    }
+  });
+  return { ballots, errors };
+};
+
+// --- Plan CSV and calendar ---
+
+const formatDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const planToCsv = (input, weekId, plan) => {
+  const itemsById = indexItems(input.items);
+  const lines = [['Week', 'Day', 'Date', 'Meal', 'Course', 'Dish', 'Votes']];
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const cell = plan[day]?.[meal]?.[course];
+    if (!cell?.item) return;
+    lines.push([
+      weekId,
+      day,
+      formatDate(getDayDate(weekId, dayIndex)),
+      meal,
+      CATEGORY_LABELS[course] || course,
+      itemsById[cell.item]?.name || cell.item,
+      formatVotes(cell.votes || 0)
+    ]);
+  });
+  return toCsv(lines);
+};
+
+// One event per served meal: [{ uid, date, start, end, summary, description }].
+// The uid names the mess, so calendars of two messes on a campus do not clash.
+export const createPlanEvents = (input, weekId, plan, messId = DEFAULT_MESS_ID) => {
+  const itemsById = indexItems(input.items);
+  const events = [];
+  input.days.forEach((day, dayIndex) => {
+    input.meals.forEach(meal => {
+      const dishes = Object.entries(plan[day]?.[meal] || {})
+        .filter(([, cell]) => cell?.item)
+        .map(([course, cell]) => ({ course, name: itemsById[cell.item]?.name || cell.item }));
+      if (dishes.length === 0) return;
+
+      const { start, end } = getMealTime(meal);
+      events.push({
+        uid: `${messId}-${weekId}-${day}-${meal}@aimess`.toLowerCase(),
+        date: getDayDate(weekId, dayIndex),
+        start,
+        end,
+        summary: `${meal}: ${dishes.map(dish => dish.name).join(', ')}`,
+        description: dishes.map(dish => `${CATEGORY_LABELS[dish.course] || dish.course}: ${dish.name}`).join('\n')
+      });
+    });
+  });
+  return events;
+};
+
+const escapeIcsText = (text) => text.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on the next line after a space
+const foldIcsLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [''];
+  let size = 0;
+  [...line].forEach(char => {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > 74) {
+      parts.push('');
+      size = 0;
+    }
+    parts[parts.length - 1] += char;
+    size += bytes;
+  });
+  return parts.join('\r\n ');
+};
+
+const formatIcsDateTime = (date, time) => `${formatDate(date).replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+const formatIcsStamp = (date) => `${date.toISOString().replace(/[-:]/g, '').slice(0, 15)}Z`;
+
+// iCalendar file for events from createPlanEvents, in floating local time
+export const eventsToIcs = (events, calendarName = 'Mess menu', now = new Date()) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//DILIP-AI-MESS//Mess planner//EN',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`
+  ];
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatIcsStamp(now)}`,
+      `DTSTART:${formatIcsDateTime(event.date, event.start)}`,
+      `DTEND:${formatIcsDateTime(event.date, event.end)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+export const planToIcs = (input, weekId, plan, messId) => eventsToIcs(createPlanEvents(input, weekId, plan, messId), `Mess menu ${weekId}`);
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlanEvents, parseBallotCsv, parseCsv, toCsv, validateStateExport } from './exchange.js';
+import { createPlannerInput } from './planner.js';
+import { DEFAULT_CATALOG } from './catalog.js';
+import { createCampusStore, createMemoryAdapter } from './storage.js';
+
+const WEEK = '2026-W43';
+
+// Export of a mess with one resident's ballot and a plan published twice
+const createExport = async () => {
+  const store = await createCampusStore(createMemoryAdapter()).getMessStore('main');
+  await store.setupFirstAccount({ rollNumber: 'W001', name: 'Warden', password: 'password123' });
+  await store.createAccount({ rollNumber: 'R001', name: 'Resident One', password: 'password123', role: 'student' });
+  await store.saveBallots(WEEK, { R001: { Monday: { Lunch: { main: 'rajma-chawal' } } } });
+  await store.publishPlan(WEEK, 'W001', '2026-10-19T03:30:00.000Z');
+  await store.publishPlan(WEEK, 'W001', '2026-10-19T04:30:00.000Z');
+  return { store, data: await store.exportState() };
+};
+
+// An export without its timestamp, to compare what two exports hold
+const getContents = ({ exportedAt, ...contents }) => contents;
+
+// The export with one part of its only week replaced
+const withWeek = (data, changes) => ({ ...data, weeks: [{ ...data.weeks[0], ...changes }] });
+
+test('parses quoted fields with commas, quotes and line breaks', () => {
+  const text = '﻿Roll Number,Monday Lunch [Main]\r\n"R001","Dal, ""extra"" spicy\nplease"\r\nR002,\n';
+  assert.deepEqual(parseCsv(text), [
+    ['Roll Number', 'Monday Lunch [Main]'],
+    ['R001', 'Dal, "extra" spicy\nplease'],
+    ['R002', '']
+  ]);
+
+  const lines = [['a,b', 'say "hi"', 'two\nlines', ''], ['plain', '1', '', 'x']];
+  assert.deepEqual(parseCsv(toCsv(lines)), lines);
+  assert.deepEqual(parseCsv(''), []);
+});
+
+test('reads ballot rows from a form sheet and reports the rows it cannot use', () => {
+  const input = createPlannerInput(DEFAULT_CATALOG, [], {});
+  const accounts = [{ rollNumber: 'R001', diets: [] }, { rollNumber: 'R002', diets: [] }];
+  const csv = toCsv([
+    ['Timestamp', 'Roll Number', 'Monday Lunch [Main]', 'Monday Lunch Side'],
+    ['', 'r001', 'Rajma Chawal; veg-biryani', ''],
+    ['', 'R002', 'No Such Dish', ''],
+    ['', 'R404', 'Rajma Chawal', '']
+  ]);
+
+  const { ballots, errors } = parseBallotCsv(csv, input, accounts);
+  assert.deepEqual(ballots.R001.Monday.Lunch.main, ['rajma-chawal', 'veg-biryani']);
+  assert.deepEqual(Object.keys(ballots), ['R001']);
+  assert.deepEqual(errors, [
+    { row: 3, rollNumber: 'R002', messages: ['Monday Lunch main: unknown dish "No Such Dish"'] },
+    { row: 4, rollNumber: 'R404', messages: ['Unknown roll number "R404"'] }
+  ]);
+
+  assert.deepEqual(parseBallotCsv('Name,Tuesday Brunch\n', input, accounts).errors[0].messages, [
+    'There is no "Roll Number" column',
+    'Column "Tuesday Brunch" is not a day, meal and course'
+  ]);
+});
+
+test('accepts its own export', async () => {
+  const { data } = await createExport();
+  assert.equal(data.weeks[0].versions.length, 1);
+  assert.deepEqual(validateStateExport(data), []);
+});
+
+test('rejects exports with broken settings, weeks or plan records', async () => {
+  const { data } = await createExport();
+  const [version] = data.weeks[0].versions;
+  const cases = [
+    [{ ...data, format: 'something-else' }, /not a mess planner export/],
+    [{ ...data, version: 2 }, /version 2 is not supported/],
+    [{ ...data, settings: { ...data.settings, fairness: { mode: 'lottery' } } }, /^Settings: Fairness mode must be one of/],
+    [{ ...data, settings: { ...data.settings, goals: [{ id: 'salt', nutrient: 'salt', period: 'day', min: 5 }] } }, /^Settings: Goal "salt": nutrient/],
+    [{ ...data, settings: { ...data.settings, rules: {} } }, /^Settings: Rules must be a list/],
+    [{ ...data, weeks: [{ ...data.weeks[0], weekId: '2026-W99' }] }, /invalid week "2026-W99"/],
+    [withWeek(data, { window: { opensAt: 1798200000000 } }), /^2026-W43: Opening time .* is not an ISO date/],
+    [withWeek(data, { plan: { ...data.weeks[0].plan, fairness: { mode: 'carryOver', weights: { R001: -2 } } } }), /^2026-W43: Fairness weights/],
+    [withWeek(data, { plan: { ...data.weeks[0].plan, userSatisfaction: { R001: 'all' } } }), /^2026-W43: Satisfaction per resident/],
+    [withWeek(data, { plan: { ...data.weeks[0].plan, plan: null } }), /^2026-W43: Plan must be keyed by day/],
+    [withWeek(data, { versions: [{ ...version, satisfaction: 250 }] }), /^2026-W43 version 1: Satisfaction must be a percentage/],
+    [withWeek(data, { versions: [{ ...version, version: 0 }] }), /^2026-W43 version 1: Version must be/]
+  ];
+  cases.forEach(([broken, message]) => {
+    const errors = validateStateExport(broken);
+    assert.equal(errors.length, 1, `${message}: ${errors.join('; ')}`);
+    assert.match(errors[0], message);
+  });
+});
+
+test('an import that fails its checks changes nothing', async () => {
+  const { store, data } = await createExport();
+  const broken = { ...data, settings: { ...data.settings, fairness: { mode: 'lottery' } } };
+  await assert.rejects(store.importState(broken), { code: 'invalid', details: ['Settings: Fairness mode must be one of majority, maximin, carryOver'] });
+  assert.deepEqual(getContents(await store.exportState()), getContents(data));
+
+  await store.importState(data);
+  assert.deepEqual(getContents(await store.exportState()), getContents(data));
+});
+
+test('calendar events of two messes do not share ids', () => {
+  const input = createPlannerInput(DEFAULT_CATALOG, [], {});
+  const plan = { Monday: { Lunch: { main: { item: 'rajma-chawal' } } } };
+  const [main] = createPlanEvents(input, WEEK, plan);
+  const [north] = createPlanEvents(input, WEEK, plan, 'north-hostel');
+  assert.equal(main.uid, 'main-2026-w43-monday-lunch@aimess');
+  assert.equal(north.uid, 'north-hostel-2026-w43-monday-lunch@aimess');
+});
@@ -0,0 +1,66 @@
+// Fairness settings, so a steady majority cannot win every slot of the week.
+//
+//   majority   weighted votes are simply added up per slot
+//   maximin    the planner re-plans with more weight on the residents it left
+//              least satisfied, and keeps the plan whose worst-off resident
+//              does best
+//   carryOver  residents who did worse than the mess as a whole in last
+//              week's saved plan vote with extra weight this week
+//
+// Voter weights ({ [rollNumber]: weight }, 1 when missing) multiply every
+// option of a resident's ballot when votes are counted.
+
+export const FAIRNESS_MODES = {
+  majority: { label: 'Plain majority', emoji: '🗳️', description: 'The most voted dish wins every slot' },
+  maximin: { label: 'Lift the least satisfied', emoji: '⚖️', description: 'Plan so the worst-off resident gets as much as possible' },
+  carryOver: { label: 'Carry over from last week', emoji: '🔁', description: 'Residents who lost out last week count more this week' }
+};
+
+export const DEFAULT_FAIRNESS = { mode: 'majority' };
+
+export const MAX_CARRY_OVER_WEIGHT = 3;
+
+// Share of last week's extra weight that is carried on again
+export const CARRY_OVER_DECAY = 0.5;
+
+export const getVoterWeight = (weights, user) => {
+  const weight = Number(weights?.[user]);
+  return weight > 0 ? weight : 1;
+};
+
+const isWeightMap = (weights) =>
+  Boolean(weights) && typeof weights === 'object' && !Array.isArray(weights) &&
+  Object.values(weights).every(weight => Number.isFinite(weight) && weight > 0);
+
+// Problems with fairness settings, or a plan record's fairness, from outside
+// (an import); empty when the mode is known and any weights are positive
+export const validateFairness = (fairness) => {
+  if (!fairness || typeof fairness !== 'object' || Array.isArray(fairness)) return ['Fairness must be an object'];
+
+  const errors = [];
+  if (!FAIRNESS_MODES[fairness.mode]) errors.push(`Fairness mode must be one of ${Object.keys(FAIRNESS_MODES).join(', ')}`);
+  if (fairness.weights !== undefined && !isWeightMap(fairness.weights)) {
+    errors.push('Fairness weights must map residents to positive numbers');
+  }
+  return errors;
+};
+
+export const getFairnessMode = (fairness) => (FAIRNESS_MODES[fairness?.mode] ? fairness.mode : DEFAULT_FAIRNESS.mode);
+
+// Voter weights for a week from the previous week's saved plan record. A
+// resident gains weight for every point their satisfaction fell below the
+// overall score, and keeps part of the weight they already carried.
+export const getCarryOverWeights = (previousRecord) => {
+  const weights = {};
+  const userSatisfaction = previousRecord?.userSatisfaction || {};
+  const previousWeights = previousRecord?.fairness?.weights || {};
+  const overall = previousRecord?.satisfaction || 0;
+
+  new Set([...Object.keys(previousWeights), ...Object.keys(userSatisfaction)]).forEach(user => {
+    const carried = (getVoterWeight(previousWeights, user) - 1) * CARRY_OVER_DECAY;
+    const deficit = user in userSatisfaction ? Math.max(0, overall - userSatisfaction[user]) / 50 : 0;
+    const weight = Math.min(MAX_CARRY_OVER_WEIGHT, 1 + carried + deficit);
+    if (weight > 1) weights[user] = Math.round(weight * 100) / 100;
+  });
+  return weights;
+};
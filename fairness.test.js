@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_CARRY_OVER_WEIGHT, getCarryOverWeights, getFairnessMode, getVoterWeight, validateFairness } from './fairness.js';
+import { createPlannerInput, findMajorityPlan, findOptimalPlan } from './planner.js';
+
+test('residents below last week\'s overall satisfaction carry extra weight', () => {
+  const weights = getCarryOverWeights({ satisfaction: 80, userSatisfaction: { R001: 30, R002: 80, R003: 95 } });
+  assert.deepEqual(weights, { R001: 2 });
+  assert.deepEqual(getCarryOverWeights(null), {});
+});
+
+test('carried weight decays, is capped, and survives a week without a ballot', () => {
+  const weights = getCarryOverWeights({
+    satisfaction: 100,
+    userSatisfaction: { R001: 100, R002: 0 },
+    fairness: { mode: 'carryOver', weights: { R001: 2, R002: 3, R003: 2.5 } }
+  });
+  // R001 is satisfied again: half of the extra 1 is kept
+  assert.equal(weights.R001, 1.5);
+  // R002 lost out again: 1 + 1 carried + 2 deficit, capped
+  assert.equal(weights.R002, MAX_CARRY_OVER_WEIGHT);
+  // R003 did not vote last week, so only the carried half counts
+  assert.equal(weights.R003, 1.75);
+});
+
+test('missing or broken weights and modes fall back to defaults', () => {
+  assert.equal(getVoterWeight({ R001: 2 }, 'R001'), 2);
+  assert.equal(getVoterWeight({ R001: -1 }, 'R001'), 1);
+  assert.equal(getVoterWeight(undefined, 'R001'), 1);
+  assert.equal(getFairnessMode({ mode: 'maximin' }), 'maximin');
+  assert.equal(getFairnessMode({ mode: 'lottery' }), 'majority');
+
+  assert.deepEqual(validateFairness({ mode: 'carryOver', weights: { R001: 1.5 } }), []);
+  assert.equal(validateFairness({ mode: 'carryOver', weights: { R001: 0 } }).length, 1);
+  assert.equal(validateFairness(null).length, 1);
+});
+
+test('maximin gives an outvoted group its one day, where the majority takes both', () => {
+  const item = (id) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0 });
+  const catalog = { days: ['Monday', 'Tuesday'], meals: ['Lunch'], courses: { Lunch: ['main'] }, items: [item('dal'), item('rajma')] };
+  const week = (pick) => ({ Monday: { Lunch: { main: pick } }, Tuesday: { Lunch: { main: pick } } });
+  const monday = { Monday: { Lunch: { main: 'rajma' } } };
+  const users = { a1: week('dal'), a2: week('dal'), a3: week('dal'), b1: monday, b2: monday };
+  const picks = ({ plan }) => [plan.Monday.Lunch.main.item, plan.Tuesday.Lunch.main.item];
+
+  const input = createPlannerInput(catalog, [], users, {}, [], { mode: 'maximin' });
+  assert.deepEqual(picks(findMajorityPlan(input)), ['dal', 'dal']);
+  const fair = findOptimalPlan(input);
+  assert.deepEqual(picks(fair), ['rajma', 'dal']);
+  assert.ok(fair.voterWeights.b1 > 1.5);
+});
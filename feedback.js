@@ -0,0 +1,192 @@
+// Post-meal feedback: residents rate the dishes of a served meal, say how
+// much they left on the plate and may add a comment.
+//
+// A week's feedback is stored as feedback[rollNumber][day][meal] =
+// { ratings: { itemId: 1-5 }, waste, comment, at }, one entry per meal that
+// can be changed until the week is over. Only meals of the published plan
+// that have started serving (see MEAL_TIMES) can be rated, and only the dishes served in them (the
+// planned dish or a diet alternative).
+//
+// Ratings close the loop with the planner: the average rating of every item
+// over the last FEEDBACK_WEEKS weeks goes into the planner input as `ratings`
+// (see getItemRatings), and votes for an item rated below NEUTRAL_RATING by at
+// least MIN_RATINGS different residents count less (see getRatingFactor).
+
+import { MessError } from './auth.js';
+import { getCourses, getMealTime } from './catalog.js';
+import { getDayDate } from './weeks.js';
+
+export const MAX_RATING = 5;
+export const NEUTRAL_RATING = 3;
+
+// Ratings an item needs before they change its votes
+export const MIN_RATINGS = 3;
+
+// Weeks of feedback the planner learns from
+export const FEEDBACK_WEEKS = 4;
+
+// Share of its votes an item loses for each star its average falls below neutral
+const PENALTY_PER_STAR = 0.2;
+
+export const MAX_COMMENT_LENGTH = 300;
+
+// How much of the plate was left; share is the part of a serving wasted
+export const WASTE_LEVELS = {
+  none: { label: 'Nothing', share: 0 },
+  little: { label: 'A little', share: 0.25 },
+  half: { label: 'About half', share: 0.5 },
+  most: { label: 'Most of it', share: 0.75 }
+};
+
+// Whether a meal of a day of the week has started serving by `now`
+export const hasBeenServed = (weekId, dayIndex, meal, now = new Date()) => {
+  const [hours, minutes] = getMealTime(meal).start.split(':').map(Number);
+  const servedAt = getDayDate(weekId, dayIndex);
+  servedAt.setHours(hours, minutes);
+  return servedAt.getTime() <= now.getTime();
+};
+
+// Ids of the dishes served at one meal of a plan: the planned dishes and
+// their diet alternatives
+export const getServedItems = (input, plan, day, meal) => {
+  const served = [];
+  getCourses(input, meal).forEach(course => {
+    const cell = plan?.[day]?.[meal]?.[course];
+    [cell?.item, ...(cell?.alternatives || []).map(alternative => alternative.item)]
+      .filter(item => item && !served.includes(item))
+      .forEach(item => served.push(item));
+  });
+  return served;
+};
+
+// Problems with a feedback entry for the published plan of the input's week;
+// empty when it is fine
+export const validateFeedback = (input, plan, { day, meal, ratings, waste, comment }, now = new Date()) => {
+  if (!plan) return ['No plan has been published for this week yet'];
+  const dayIndex = input.days.indexOf(day);
+  if (dayIndex === -1) return [`Unknown day "${day}"`];
+  if (!input.meals.includes(meal)) return [`Unknown meal "${meal}"`];
+  if (input.weekId && !hasBeenServed(input.weekId, dayIndex, meal, now)) {
+    return [`${day} ${meal} has not been served yet`];
+  }
+
+  const errors = [];
+  const served = getServedItems(input, plan, day, meal);
+  Object.entries(ratings || {}).forEach(([item, rating]) => {
+    if (!served.includes(item)) errors.push(`"${item}" was not served at ${day} ${meal}`);
+    if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+      errors.push(`Rating for "${item}" must be a whole number from 1 to ${MAX_RATING}`);
+    }
+  });
+  if (Object.keys(ratings || {}).length === 0 && !waste && !comment) {
+    errors.push('Rate a dish, note the waste or leave a comment');
+  }
+  if (waste && !WASTE_LEVELS[waste]) errors.push(`Unknown waste level "${waste}"`);
+  if (comment && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    errors.push(`Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+  }
+  return errors;
+};
+
+// The week's feedback with one member's entry for a meal recorded at `at`.
+// Throws MessError('invalid') when the entry is not valid.
+export const recordFeedback = (input, plan, feedback, rollNumber, entry, at = new Date().toISOString()) => {
+  const errors = validateFeedback(input, plan, entry, new Date(at));
+  if (errors.length > 0) {
+    throw new MessError('invalid', 'Feedback is not valid', errors);
+  }
+  const { day, meal, ratings, waste, comment } = entry;
+  const memberFeedback = feedback?.[rollNumber] || {};
+  return {
+    ...feedback,
+    [rollNumber]: {
+      ...memberFeedback,
+      [day]: {
+        ...memberFeedback[day],
+        [meal]: { ratings: { ...ratings }, waste: waste || null, comment: comment?.trim() || '', at }
+      }
+    }
+  };
+};
+
+// Calls fn(entry, day, meal, rollNumber) for every entry of a week's feedback
+const forEachEntry = (feedback, fn) => {
+  Object.entries(feedback || {}).forEach(([rollNumber, days]) => {
+    Object.entries(days || {}).forEach(([day, meals]) => {
+      Object.entries(meals || {}).forEach(([meal, entry]) => {
+        if (entry) fn(entry, day, meal, rollNumber);
+      });
+    });
+  });
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Average rating of every rated item over some weeks of feedback:
+// { itemId: { average, count } }. Each resident's ratings of an item are
+// averaged first and count once, so count is the number of residents who
+// rated it and nobody outweighs the others by rating it at every meal.
+export const getItemRatings = (feedbackWeeks) => {
+  const byResident = {};
+  feedbackWeeks.forEach(feedback => {
+    forEachEntry(feedback, ({ ratings }, day, meal, rollNumber) => {
+      Object.entries(ratings || {}).forEach(([item, rating]) => {
+        if (!byResident[item]) byResident[item] = {};
+        const totals = byResident[item][rollNumber] || { sum: 0, count: 0 };
+        byResident[item][rollNumber] = { sum: totals.sum + rating, count: totals.count + 1 };
+      });
+    });
+  });
+  return Object.fromEntries(Object.entries(byResident).map(([item, residents]) => {
+    const averages = Object.values(residents).map(({ sum, count }) => sum / count);
+    return [item, { average: round(averages.reduce((total, average) => total + average, 0) / averages.length), count: averages.length }];
+  }));
+};
+
+// What an item's votes are multiplied by for its ratings: 1 unless enough
+// residents rated it below neutral
+export const getRatingFactor = (ratings, itemId) => {
+  const rating = ratings?.[itemId];
+  if (!rating || rating.count < MIN_RATINGS || rating.average >= NEUTRAL_RATING) return 1;
+  return round(Math.max(0, 1 - (NEUTRAL_RATING - rating.average) * PENALTY_PER_STAR));
+};
+
+// Summary of a week's feedback: items [{ item, average, count }] worst rated
+// first, meals [{ day, meal, responses, waste }] with the average share of a
+// plate left, comments [{ day, meal, rollNumber, comment, at }] newest first
+// and overall { responses, average }
+export const summarizeFeedback = (input, feedback) => {
+  const items = Object.entries(getItemRatings([feedback]))
+    .map(([item, rating]) => ({ item, ...rating }))
+    .sort((a, b) => a.average - b.average || b.count - a.count);
+
+  const meals = [];
+  const comments = [];
+  let responses = 0;
+  input.days.forEach(day => {
+    input.meals.forEach(meal => {
+      let mealResponses = 0;
+      let wasteTotal = 0;
+      let wasteCount = 0;
+      forEachEntry(feedback, (entry, entryDay, entryMeal, rollNumber) => {
+        if (entryDay !== day || entryMeal !== meal) return;
+        mealResponses++;
+        if (entry.waste) {
+          wasteTotal += WASTE_LEVELS[entry.waste]?.share || 0;
+          wasteCount++;
+        }
+        if (entry.comment) comments.push({ day, meal, rollNumber, comment: entry.comment, at: entry.at });
+      });
+      if (mealResponses === 0) return;
+      responses += mealResponses;
+      meals.push({ day, meal, responses: mealResponses, waste: wasteCount > 0 ? round(wasteTotal / wasteCount) : null });
+    });
+  });
+  comments.sort((a, b) => (b.at || '').localeCompare(a.at || ''));
+
+  const ratingCount = items.reduce((sum, entry) => sum + entry.count, 0);
+  const average = ratingCount > 0
+    ? round(items.reduce((sum, entry) => sum + entry.average * entry.count, 0) / ratingCount)
+    : null;
+  return { items, meals, comments, overall: { responses, average } };
+};
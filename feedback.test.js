@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getItemRatings, getRatingFactor, hasBeenServed, validateFeedback } from './feedback.js';
+
+const WEEK = '2026-W43';
+
+// Monday of WEEK at a local time
+const monday = (hours, minutes = 0) => new Date(2026, 9, 19, hours, minutes);
+
+test('a meal counts as served from the start of its serving time', () => {
+  assert.equal(hasBeenServed(WEEK, 0, 'Breakfast', monday(7, 29)), false);
+  assert.equal(hasBeenServed(WEEK, 0, 'Breakfast', monday(7, 30)), true);
+  assert.equal(hasBeenServed(WEEK, 0, 'Dinner', monday(13)), false);
+  assert.equal(hasBeenServed(WEEK, 0, 'Dinner', monday(20, 15)), true);
+  assert.equal(hasBeenServed(WEEK, 1, 'Breakfast', monday(23)), false);
+});
+
+test('dinner cannot be rated at lunchtime', () => {
+  const input = { weekId: WEEK, days: ['Monday'], meals: ['Lunch', 'Dinner'], courses: { Lunch: ['main'], Dinner: ['main'] } };
+  const plan = { Monday: { Lunch: { main: { item: 'dal' } }, Dinner: { main: { item: 'rajma' } } } };
+  assert.deepEqual(validateFeedback(input, plan, { day: 'Monday', meal: 'Lunch', ratings: { dal: 4 } }, monday(13)), []);
+  assert.deepEqual(validateFeedback(input, plan, { day: 'Monday', meal: 'Dinner', ratings: { rajma: 4 } }, monday(13)), [
+    'Monday Dinner has not been served yet'
+  ]);
+});
+
+test('item ratings count residents, not ratings', () => {
+  const rate = (rating) => ({ ratings: { dal: rating } });
+  const lastWeek = { R001: { Monday: { Lunch: rate(1), Dinner: rate(1) }, Tuesday: { Lunch: rate(2) } } };
+  const thisWeek = { R001: { Monday: { Lunch: rate(1) } }, R002: { Monday: { Lunch: rate(5) } } };
+
+  // One unhappy resident rating every meal is still one voice
+  assert.deepEqual(getItemRatings([lastWeek]), { dal: { average: 1.33, count: 1 } });
+  assert.equal(getRatingFactor(getItemRatings([lastWeek]), 'dal'), 1);
+
+  // R001 averages 1.25 over both weeks, R002 gives 5
+  assert.deepEqual(getItemRatings([lastWeek, thisWeek]), { dal: { average: 3.13, count: 2 } });
+
+  const unhappy = { R003: { Monday: { Lunch: rate(2) } } };
+  const ratings = getItemRatings([lastWeek, { ...thisWeek, R002: { Monday: { Lunch: rate(2) } } }, unhappy]);
+  assert.equal(ratings.dal.count, 3);
+  assert.ok(getRatingFactor(ratings, 'dal') < 1);
+});
@@ -0,0 +1,50 @@
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import { dirname } from 'node:path';
+
+// Storage adapter backed by a single JSON file, for the Node server. The file
+// is read once and every change is written to a temporary file that replaces
+// the original, so a crash mid-write never leaves half a file behind.
+export const createFileAdapter = (filePath) => {
+  let data = null;
+  let pendingWrite = Promise.resolve();
+
+  const load = async () => {
+    if (data) return data;
+    try {
+      data = JSON.parse(await readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      data = {};
+    }
+    return data;
+  };
+
+  // Writes are chained so two quick changes cannot overlap on disk. The caller
+  // gets the write's own result; a failed write (a full disk, say) does not
+  // stop the chain, and the next write saves its changes too.
+  const persist = () => {
+    const write = pendingWrite.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(tempPath, JSON.stringify(data, null, 2));
+      await rename(tempPath, filePath);
+    });
+    pendingWrite = write.catch(() => {});
+    return write;
+  };
+
+  const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    get: async (key) => clone((await load())[key]),
+    set: async (key, value) => {
+      (await load())[key] = clone(value);
+      await persist();
+    },
+    remove: async (key) => {
+      delete (await load())[key];
+      await persist();
+    },
+    keys: async () => Object.keys(await load())
+  };
+};
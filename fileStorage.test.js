@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createFileAdapter } from './fileStorage.js';
+
+test('writes go on after one of them failed', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'aimess-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  const filePath = join(directory, 'aimess.json');
+  const adapter = createFileAdapter(filePath);
+
+  await adapter.set('first', 1);
+
+  // A directory in the way of the temporary file makes the next write fail
+  await mkdir(`${filePath}.tmp`);
+  await assert.rejects(adapter.set('second', 2));
+
+  await rm(`${filePath}.tmp`, { recursive: true });
+  await adapter.set('third', 3);
+  assert.deepEqual(JSON.parse(await readFile(filePath, 'utf8')), { first: 1, second: 2, third: 3 });
+  assert.deepEqual(await createFileAdapter(filePath).keys(), ['first', 'second', 'third']);
+});
@@ -0,0 +1,51 @@
+// Seasonal availability and storeroom stock of catalog items.
+//
+// `season` is an optional { from, to } window of 'MM-DD' dates, inclusive, that
+// may wrap over the new year (e.g. { from: '11-15', to: '02-28' }). Outside it
+// an item cannot be voted for or planned.
+//
+// `stock` is how many servings of an item the storeroom holds for the week;
+// null or missing means unlimited. Every time an item is planned, each
+// resident eats one serving, so the stock feeds stock / headcount meals.
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMonthDay = (date) => `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const isValidMonthDay = (value) => {
+  const match = /^(\d{2})-(\d{2})$/.exec(value || '');
+  return Boolean(match) && Number(match[1]) >= 1 && Number(match[1]) <= 12 && Number(match[2]) >= 1 && Number(match[2]) <= 31;
+};
+
+// Whether an item can be had on a date; always true without a season or date
+export const isInSeason = (item, date) => {
+  const { from, to } = item?.season || {};
+  if (!date || !isValidMonthDay(from) || !isValidMonthDay(to)) return true;
+  const day = toMonthDay(date);
+  return from <= to ? day >= from && day <= to : day >= from || day <= to;
+};
+
+// e.g. "Apr 1 – Jul 31", or null when the item is available all year
+export const formatSeason = (season) => {
+  if (!isValidMonthDay(season?.from) || !isValidMonthDay(season?.to)) return null;
+  const format = (monthDay) => {
+    const [month, day] = monthDay.split('-').map(Number);
+    return `${MONTHS[month - 1]} ${day}`;
+  };
+  return `${format(season.from)} – ${format(season.to)}`;
+};
+
+export const hasStockLimit = (item) => item?.stock !== null && item?.stock !== undefined && item?.stock !== '';
+
+// How many meals the stock of an item can feed, or null when unlimited
+export const getStockUses = (item, headcount) =>
+  hasStockLimit(item) ? Math.floor(Math.max(0, Number(item.stock) || 0) / Math.max(1, headcount)) : null;
+
+// Rule that keeps the plan within stock. The planner adds it to rule sets saved
+// before stock existed; an admin can still switch it off in the rules panel.
+export const STOCK_RULE = { id: 'stock', type: 'stockLimit', enabled: true, params: {}, categories: [], overrides: {} };
+
+export const withStockRule = (rules) =>
+  rules.some(rule => rule.type === STOCK_RULE.type) ? rules : [...rules, STOCK_RULE];
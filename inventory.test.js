@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { STOCK_RULE, formatSeason, getStockUses, hasStockLimit, isInSeason, isValidMonthDay, withStockRule } from './inventory.js';
+import { createPlannerInput, findOptimalPlan } from './planner.js';
+
+const winter = { id: 'sarson-saag', season: { from: '11-15', to: '02-28' } };
+const summer = { id: 'aam-panna', season: { from: '04-01', to: '07-31' } };
+
+test('seasons within a year include both ends', () => {
+  assert.equal(isInSeason(summer, new Date(2026, 3, 1)), true);
+  assert.equal(isInSeason(summer, new Date(2026, 6, 31)), true);
+  assert.equal(isInSeason(summer, new Date(2026, 7, 1)), false);
+  assert.equal(isInSeason(summer, new Date(2026, 2, 31)), false);
+});
+
+test('seasons wrap over the new year', () => {
+  assert.equal(isInSeason(winter, new Date(2026, 10, 15)), true);
+  assert.equal(isInSeason(winter, new Date(2026, 11, 31)), true);
+  assert.equal(isInSeason(winter, new Date(2027, 0, 1)), true);
+  assert.equal(isInSeason(winter, new Date(2027, 1, 28)), true);
+  assert.equal(isInSeason(winter, new Date(2027, 2, 1)), false);
+  assert.equal(isInSeason(winter, new Date(2026, 10, 14)), false);
+});
+
+test('items without a valid season or without a date are always available', () => {
+  assert.equal(isInSeason({ id: 'dal' }, new Date(2026, 5, 1)), true);
+  assert.equal(isInSeason({ id: 'dal', season: { from: '13-01', to: '02-30' } }, new Date(2026, 5, 1)), true);
+  assert.equal(isInSeason(summer, null), true);
+  assert.equal(isValidMonthDay('02-29'), true);
+  assert.equal(isValidMonthDay('2-9'), false);
+
+  assert.equal(formatSeason(winter.season), 'Nov 15 – Feb 28');
+  assert.equal(formatSeason(null), null);
+});
+
+test('stock feeds the whole headcount once per planned meal', () => {
+  assert.equal(getStockUses({ stock: 100 }, 30), 3);
+  assert.equal(getStockUses({ stock: 29 }, 30), 0);
+  assert.equal(getStockUses({ stock: '45' }, 15), 3);
+  assert.equal(getStockUses({ stock: -5 }, 10), 0);
+  assert.equal(getStockUses({ stock: 4 }, 0), 4);
+  assert.equal(getStockUses({ stock: null }, 10), null);
+  assert.equal(getStockUses({}, 10), null);
+  assert.equal(hasStockLimit({ stock: 0 }), true);
+  assert.equal(hasStockLimit({ stock: '' }), false);
+});
+
+test('the stock rule is added once to rule sets without it', () => {
+  assert.deepEqual(withStockRule([]), [STOCK_RULE]);
+  const own = { ...STOCK_RULE, id: 'myStock', enabled: false };
+  assert.deepEqual(withStockRule([own]), [own]);
+});
+
+test('the planner leaves out-of-season dishes and stops when the stock runs out', () => {
+  const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0, ...fields });
+  const days = ['Monday', 'Tuesday', 'Wednesday'];
+  const catalog = { days, meals: ['Lunch'], courses: { Lunch: ['main'] }, items: [item('saag', { season: winter.season }), item('paneer', { stock: 4 }), item('dal')] };
+  const ballot = { Lunch: { main: ['saag', 'paneer', 'dal'] } };
+  const users = { a: Object.fromEntries(days.map(day => [day, ballot])), b: Object.fromEntries(days.map(day => [day, ballot])) };
+
+  // Week of 19 October 2026: before the saag season; 4 servings feed 2 residents twice
+  const { plan } = findOptimalPlan(createPlannerInput(catalog, [], users, {}, [], undefined, '2026-W43'));
+  const picks = days.map(day => plan[day].Lunch.main.item);
+  assert.equal(picks.includes('saag'), false);
+  assert.deepEqual([...picks].sort(), ['dal', 'paneer', 'paneer']);
+
+  const winterPlan = findOptimalPlan(createPlannerInput(catalog, [], users, {}, [], undefined, '2026-W50')).plan;
+  assert.deepEqual(days.map(day => winterPlan[day].Lunch.main.item), ['saag', 'saag', 'saag']);
+});
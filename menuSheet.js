@@ -0,0 +1,168 @@
+// The weekly menu for residents rather than admins: the dishes of a plan (the
+// planner's optimalPlan, or the plan of a published version) with their
+// emojis, diet alternatives and meal times, but no votes or costs. It renders
+// as a standalone HTML page in one of two layouts:
+//
+//   print   one A4 landscape sheet for the notice board, days across and
+//           meals down. The browser's print dialog saves it as a PDF, so no
+//           outside service is involved.
+//   mobile  a read-only page for phones, one card per day, with today marked
+//           and links to the weeks before and after
+
+import { getMealTime } from './catalog.js';
+import { formatDiets } from './diet.js';
+import { getMealCourses, indexItems } from './planner.js';
+import { formatWeekRange, getDayDate } from './weeks.js';
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+const formatDay = (date) => date.toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short' });
+
+// What the menu shows for a week: { title, weekId, range, note, empty, meals:
+// [{ meal, time }], days: [{ day, date, today, meals: { [meal]: [{ course,
+// label, alternatives: [{ diets, label }] }] } }] }. An
+// alternative's label is null when nothing suits that diet. plan may be
+// missing, for a week that has not been published.
+export const buildMenuSheet = (input, weekId, plan, { title = 'Mess menu', note = null, now = new Date() } = {}) => {
+  const itemsById = indexItems(input.items);
+  const getLabel = (itemId) => (itemsById[itemId] ? `${itemsById[itemId].emoji} ${itemsById[itemId].name}` : itemId);
+
+  const days = input.days.map((day, dayIndex) => {
+    const date = getDayDate(weekId, dayIndex);
+    const meals = {};
+    input.meals.forEach(meal => {
+      meals[meal] = getMealCourses(input, meal)
+        .map(course => ({ course, cell: plan?.[day]?.[meal]?.[course] }))
+        .filter(({ cell }) => cell?.item)
+        .map(({ course, cell }) => ({
+          course,
+          label: getLabel(cell.item),
+          alternatives: (cell.alternatives || []).map(alternative => ({
+            diets: formatDiets(alternative.diets),
+            label: alternative.item ? getLabel(alternative.item) : null
+          }))
+        }));
+    });
+    return { day, date: formatDay(date), today: date.toDateString() === now.toDateString(), meals };
+  });
+
+  return {
+    title,
+    weekId,
+    range: formatWeekRange(weekId),
+    note,
+    empty: days.every(({ meals }) => Object.values(meals).every(dishes => dishes.length === 0)),
+    meals: input.meals.map(meal => {
+      const { start, end } = getMealTime(meal);
+      return { meal, time: `${start}–${end}` };
+    }),
+    days
+  };
+};
+
+const renderDishes = (dishes) => (dishes.length === 0 ? '<div class="none">–</div>' : dishes.map(dish => `
+  <div class="${dish.course === 'main' ? 'dish main' : 'dish'}">${escapeHtml(dish.label)}</div>
+  ${dish.alternatives.map(alternative => `
+    <div class="alt">↳ ${escapeHtml(alternative.diets)}: ${alternative.label ? escapeHtml(alternative.label) : 'ask at the counter'}</div>`).join('')}`).join(''));
+
+const PRINT_STYLE = `
+  @page { size: A4 landscape; margin: 8mm; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body { font-family: sans-serif; color: #1f2937; margin: 0; }
+  header { display: flex; justify-content: space-between; align-items: baseline; margin-bottom: 4mm; }
+  h1 { font-size: 18pt; margin: 0; color: #166534; }
+  .range { font-size: 11pt; color: #4b5563; }
+  table { width: 100%; border-collapse: collapse; table-layout: fixed; page-break-inside: avoid; }
+  th, td { border: 1px solid #9ca3af; padding: 2mm; vertical-align: top; font-size: 9pt; }
+  thead th { background: #dcfce7; color: #166534; font-size: 10pt; }
+  th.meal { width: 22mm; background: #f0fdf4; text-align: left; }
+  .time { display: block; font-weight: normal; font-size: 7.5pt; color: #6b7280; }
+  .dish { margin-bottom: 1mm; }
+  .dish.main { font-weight: bold; font-size: 10pt; }
+  .alt { font-size: 7.5pt; color: #15803d; margin: -0.5mm 0 1mm 2mm; }
+  .none { color: #9ca3af; text-align: center; }
+  footer { margin-top: 3mm; font-size: 8pt; color: #6b7280; }
+  @media screen { body { margin: 1rem; } }`;
+
+const renderPrint = (sheet) => `
+  <header>
+    <h1>🍽️ ${escapeHtml(sheet.title)}</h1>
+    <div class="range">📅 ${escapeHtml(sheet.range)} · ${escapeHtml(sheet.weekId)}</div>
+  </header>
+  <table>
+    <thead>
+      <tr><th class="meal"></th>${sheet.days.map(day => `<th>${escapeHtml(day.day)}<span class="time">${escapeHtml(day.date)}</span></th>`).join('')}</tr>
+    </thead>
+    <tbody>
+      ${sheet.meals.map(({ meal, time }) => `
+      <tr>
+        <th class="meal">${escapeHtml(meal)}${time ? `<span class="time">🕒 ${time}</span>` : ''}</th>
+        ${sheet.days.map(day => `<td>${renderDishes(day.meals[meal])}</td>`).join('')}
+      </tr>`).join('')}
+    </tbody>
+  </table>
+  ${sheet.note ? `<footer>${escapeHtml(sheet.note)}</footer>` : ''}`;
+
+const MOBILE_STYLE = `
+  body { font-family: system-ui, sans-serif; color: #1f2937; background: #f0fdf4; margin: 0; }
+  header { position: sticky; top: 0; background: #15803d; color: white; padding: 0.75rem 1rem; }
+  h1 { font-size: 1.2rem; margin: 0; }
+  .range { font-size: 0.85rem; opacity: 0.9; }
+  nav { display: flex; justify-content: space-between; margin-top: 0.5rem; font-size: 0.85rem; }
+  nav a { color: white; }
+  section { background: white; margin: 0.75rem; padding: 0.75rem; border-radius: 0.5rem; box-shadow: 0 1px 2px rgba(0, 0, 0, 0.1); }
+  section.today { border: 2px solid #16a34a; }
+  h2 { font-size: 1.05rem; margin: 0 0 0.5rem; color: #166534; }
+  .badge { font-size: 0.75rem; background: #16a34a; color: white; border-radius: 0.25rem; padding: 0 0.3rem; margin-left: 0.3rem; }
+  .meal { border-top: 1px solid #e5e7eb; padding: 0.4rem 0; }
+  .meal-name { font-weight: 600; font-size: 0.85rem; color: #4b5563; }
+  .time { font-weight: normal; color: #9ca3af; }
+  .dish.main { font-weight: bold; }
+  .alt { font-size: 0.8rem; color: #15803d; padding-left: 0.75rem; }
+  .none { color: #9ca3af; }
+  .empty { text-align: center; color: #6b7280; padding: 2rem 1rem; }
+  footer { text-align: center; font-size: 0.75rem; color: #6b7280; padding: 0 1rem 1rem; }`;
+
+const renderMobile = (sheet, links) => {
+  const showsToday = !sheet.empty && sheet.days.some(day => day.today);
+  return `
+  <header>
+    <h1>🍽️ ${escapeHtml(sheet.title)}</h1>
+    <div class="range">📅 ${escapeHtml(sheet.range)}</div>
+    ${links.previous || links.next || showsToday ? `
+    <nav>
+      <span>${links.previous ? `<a href="${escapeHtml(links.previous)}">◀ Last week</a>` : ''}</span>
+      <span>${showsToday ? '<a href="#today">📍 Today</a>' : ''}</span>
+      <span>${links.next ? `<a href="${escapeHtml(links.next)}">Next week ▶</a>` : ''}</span>
+    </nav>` : ''}
+  </header>
+  ${sheet.empty ? '<div class="empty">The menu for this week has not been published yet.</div>' : sheet.days.map(day => `
+  <section${day.today ? ' id="today" class="today"' : ''}>
+    <h2>${escapeHtml(day.day)} <span class="time">${escapeHtml(day.date)}</span>${day.today ? '<span class="badge">Today</span>' : ''}</h2>
+    ${sheet.meals.map(({ meal, time }) => `
+    <div class="meal">
+      <div class="meal-name">${escapeHtml(meal)}${time ? ` <span class="time">${time}</span>` : ''}</div>
+      ${renderDishes(day.meals[meal])}
+    </div>`).join('')}
+  </section>`).join('')}
+  ${sheet.note ? `<footer>${escapeHtml(sheet.note)}</footer>` : ''}`;
+};
+
+// Standalone HTML page for a sheet from buildMenuSheet. links ({ previous,
+// next } URLs of the neighbouring weeks) only show in the mobile layout.
+export const menuSheetToHtml = (sheet, layout = 'print', links = {}) => {
+  const mobile = layout === 'mobile';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(`${sheet.title} – ${sheet.weekId}`)}</title>
+  <style>${mobile ? MOBILE_STYLE : PRINT_STYLE}</style>
+</head>
+<body>${mobile ? renderMobile(sheet, links) : renderPrint(sheet)}
+</body>
+</html>
+`;
+};
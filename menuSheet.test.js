@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildMenuSheet, menuSheetToHtml } from './menuSheet.js';
+import { DEFAULT_CATALOG, getMealTime } from './catalog.js';
+import { createPlannerInput } from './planner.js';
+
+const WEEK = '2026-W43';
+const input = createPlannerInput(DEFAULT_CATALOG, [], {});
+const plan = {
+  Monday: {
+    Lunch: {
+      main: { item: 'paneer-butter-masala', alternatives: [{ diets: ['vegan'], item: 'rajma-chawal' }, { diets: ['jain'], item: null }] }
+    }
+  }
+};
+
+test('lists each meal with the serving times the rest of the app uses', () => {
+  const sheet = buildMenuSheet(input, WEEK, plan);
+  assert.deepEqual(sheet.meals.map(({ meal }) => meal), input.meals);
+  sheet.meals.forEach(({ meal, time }) => {
+    assert.equal(time, `${getMealTime(meal).start}–${getMealTime(meal).end}`);
+  });
+
+  const { meals } = buildMenuSheet({ ...input, meals: ['Midnight Maggi'] }, WEEK, {});
+  assert.deepEqual(meals, [{ meal: 'Midnight Maggi', time: `${getMealTime('Midnight Maggi').start}–${getMealTime('Midnight Maggi').end}` }]);
+});
+
+test('shows planned dishes with diet alternatives and marks today', () => {
+  const sheet = buildMenuSheet(input, WEEK, plan, { title: 'North <Mess>', now: new Date(2026, 9, 19, 10) });
+  assert.equal(sheet.empty, false);
+  assert.deepEqual(sheet.days.filter(day => day.today).map(day => day.day), ['Monday']);
+
+  const [dish] = sheet.days[0].meals.Lunch;
+  assert.equal(dish.course, 'main');
+  assert.match(dish.label, /Paneer Butter Masala$/);
+  assert.equal(dish.alternatives.length, 2);
+  assert.match(dish.alternatives[0].label, /Rajma Chawal$/);
+  assert.equal(dish.alternatives[1].label, null);
+  assert.deepEqual(sheet.days[1].meals.Lunch, []);
+
+  const html = menuSheetToHtml(sheet, 'mobile', { next: 'menu/2026-W44' });
+  assert.match(html, /North &lt;Mess&gt;/);
+  assert.match(html, /id="today"/);
+  assert.match(html, /ask at the counter/);
+});
+
+test('an unpublished week is empty', () => {
+  assert.equal(buildMenuSheet(input, WEEK, null).empty, true);
+});
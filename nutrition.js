@@ -0,0 +1,49 @@
+// Nutrition data on catalog items and the goals a plan should meet.
+//
+// Items carry `nutrition` per serving, e.g. { calories: 300, protein: 9, fibre: 4 }.
+// A goal asks for at least `min` of one nutrient per resident, either every
+// day or over the whole week: { id, nutrient, period: 'day' | 'week', min,
+// strict, enabled }. Strict goals are constraints the planner gives up votes
+// for; the others are soft and only steer picks that cost no votes.
+
+export const NUTRIENTS = {
+  calories: { label: 'Calories', unit: 'kcal' },
+  protein: { label: 'Protein', unit: 'g' },
+  fibre: { label: 'Fibre', unit: 'g' }
+};
+
+export const GOAL_PERIODS = {
+  day: 'per day',
+  week: 'per week'
+};
+
+export const DEFAULT_GOALS = [
+  { id: 'dailyProtein', nutrient: 'protein', period: 'day', min: 50, strict: true, enabled: true },
+  { id: 'dailyCalories', nutrient: 'calories', period: 'day', min: 2200, strict: false, enabled: true },
+  { id: 'dailyFibre', nutrient: 'fibre', period: 'day', min: 25, strict: false, enabled: true }
+];
+
+// Problems with a goal list from outside (an import), empty when every goal
+// names a known nutrient and period and has a minimum of zero or more
+export const validateGoals = (goals) => {
+  if (!Array.isArray(goals)) return ['Nutrition goals must be a list'];
+
+  const errors = [];
+  goals.forEach((goal, index) => {
+    const label = typeof goal?.id === 'string' && goal.id ? `Goal "${goal.id}"` : `Goal ${index + 1}`;
+    if (!NUTRIENTS[goal?.nutrient]) errors.push(`${label}: nutrient must be one of ${Object.keys(NUTRIENTS).join(', ')}`);
+    if (!GOAL_PERIODS[goal?.period]) errors.push(`${label}: period must be one of ${Object.keys(GOAL_PERIODS).join(', ')}`);
+    if (!Number.isFinite(goal?.min) || goal.min < 0) errors.push(`${label}: min must be a number`);
+    ['strict', 'enabled'].filter(flag => goal?.[flag] !== undefined && typeof goal[flag] !== 'boolean')
+      .forEach(flag => errors.push(`${label}: ${flag} must be true or false`));
+  });
+  return errors;
+};
+
+export const getItemNutrient = (item, nutrient) => Number(item?.nutrition?.[nutrient]) || 0;
+
+export const getActiveGoals = (goals) =>
+  (goals || []).filter(goal => goal.enabled !== false && NUTRIENTS[goal.nutrient] && goal.min > 0);
+
+export const describeGoal = ({ nutrient, period, min }) =>
+  `${NUTRIENTS[nutrient]?.label || nutrient} ≥ ${min} ${NUTRIENTS[nutrient]?.unit || ''} ${GOAL_PERIODS[period] || ''}`.replace(/\s+/g, ' ').trim();
@@ -0,0 +1,87 @@
+// Admin overrides of a week's plan, such as a festival special fixed on
+// Friday Dinner or an item banned for the week.
+//
+// A week's overrides are { locks, bans }:
+//   locks  [{ day, meal, course, item, by, reason, at }] serve `item` in the
+//          slot whatever the votes; the rest of the week is planned around it
+//   bans   [{ item, by, reason, at }] keep `item` out of the week's plan
+// `by` is the roll number of the admin who made the override, `reason` says
+// why and `at` is when (ISO time). The planner only sees the item ids (see
+// withOverrides).
+
+import { MessError } from './auth.js';
+import { isServedAt } from './catalog.js';
+import { getMealCourses } from './planner.js';
+
+export const EMPTY_OVERRIDES = { locks: [], bans: [] };
+
+export const MAX_REASON_LENGTH = 200;
+
+export const normalizeOverrides = (overrides) => ({
+  locks: Array.isArray(overrides?.locks) ? overrides.locks : [],
+  bans: Array.isArray(overrides?.bans) ? overrides.bans : []
+});
+
+const isSameSlot = (a, b) => a.day === b.day && a.meal === b.meal && a.course === b.course;
+
+export const findSlotLock = (overrides, slot) => normalizeOverrides(overrides).locks.find(lock => isSameSlot(lock, slot)) || null;
+
+export const findItemBan = (overrides, itemId) => normalizeOverrides(overrides).bans.find(ban => ban.item === itemId) || null;
+
+// Planner input that serves the locked items and leaves the banned ones out
+export const withOverrides = (input, overrides) => {
+  const { locks, bans } = normalizeOverrides(overrides);
+  return {
+    ...input,
+    locks: locks.map(({ day, meal, course, item }) => ({ day, meal, course, item })),
+    excludedItems: bans.map(ban => ban.item)
+  };
+};
+
+const requireReason = (reason) => {
+  const text = String(reason || '').trim();
+  if (!text) {
+    throw new MessError('invalid', 'Say why the override is needed');
+  }
+  if (text.length > MAX_REASON_LENGTH) {
+    throw new MessError('invalid', `Keep the reason under ${MAX_REASON_LENGTH} characters`);
+  }
+  return text;
+};
+
+// Lock an item into a slot of the planner input's week, replacing any lock
+// already there. Throws MessError('invalid') for unknown slots or items.
+export const lockSlot = (input, overrides, { day, meal, course, item, reason }, by, at) => {
+  if (!input.days.includes(day) || !input.meals.includes(meal) || !getMealCourses(input, meal).includes(course)) {
+    throw new MessError('invalid', `There is no ${day} ${meal} ${course} slot`);
+  }
+  const catalogItem = input.items.find(candidate => candidate.id === item);
+  if (!catalogItem || catalogItem.retired || !isServedAt(catalogItem, meal, course)) {
+    throw new MessError('invalid', `"${item}" cannot be served at ${day} ${meal} ${course}`);
+  }
+
+  const { locks, bans } = normalizeOverrides(overrides);
+  const lock = { day, meal, course, item, by, reason: requireReason(reason), at };
+  return { locks: [...locks.filter(other => !isSameSlot(other, lock)), lock], bans };
+};
+
+export const unlockSlot = (overrides, slot) => {
+  const { locks, bans } = normalizeOverrides(overrides);
+  return { locks: locks.filter(lock => !isSameSlot(lock, slot)), bans };
+};
+
+// Ban an item for the week, replacing any earlier ban of it
+export const banItem = (input, overrides, { item, reason }, by, at) => {
+  if (!input.items.some(candidate => candidate.id === item)) {
+    throw new MessError('invalid', `Unknown item "${item}"`);
+  }
+
+  const { locks, bans } = normalizeOverrides(overrides);
+  const ban = { item, by, reason: requireReason(reason), at };
+  return { locks, bans: [...bans.filter(other => other.item !== item), ban] };
+};
+
+export const unbanItem = (overrides, itemId) => {
+  const { locks, bans } = normalizeOverrides(overrides);
+  return { locks, bans: bans.filter(ban => ban.item !== itemId) };
+};
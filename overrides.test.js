@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessError } from './auth.js';
+import {
+  MAX_REASON_LENGTH,
+  banItem,
+  findItemBan,
+  findSlotLock,
+  lockSlot,
+  normalizeOverrides,
+  unbanItem,
+  unlockSlot,
+  withOverrides
+} from './overrides.js';
+import { createPlannerInput, findOptimalPlan } from './planner.js';
+
+const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0, ...fields });
+const catalog = {
+  days: ['Monday', 'Tuesday'],
+  meals: ['Lunch'],
+  courses: { Lunch: ['main'] },
+  items: [item('dal'), item('rajma'), item('kheer', { category: 'dessert' }), item('sambar', { retired: true })]
+};
+const week = { Monday: { Lunch: { main: 'dal' } }, Tuesday: { Lunch: { main: 'dal' } } };
+const input = createPlannerInput(catalog, [], { a: week });
+
+const AT = '2026-10-18T09:00:00.000Z';
+const monday = { day: 'Monday', meal: 'Lunch', course: 'main' };
+
+const assertInvalid = (run, message) => {
+  assert.throws(run, (error) => error instanceof MessError && error.code === 'invalid' && message.test(error.message));
+};
+
+test('locks only fit real slots and dishes the slot can serve', () => {
+  assertInvalid(() => lockSlot(input, {}, { ...monday, day: 'Sunday', item: 'dal', reason: 'Diwali' }, 'W001', AT), /no Sunday Lunch main slot/);
+  assertInvalid(() => lockSlot(input, {}, { ...monday, course: 'dessert', item: 'kheer', reason: 'Diwali' }, 'W001', AT), /no Monday Lunch dessert slot/);
+  assertInvalid(() => lockSlot(input, {}, { ...monday, item: 'kheer', reason: 'Diwali' }, 'W001', AT), /"kheer" cannot be served/);
+  assertInvalid(() => lockSlot(input, {}, { ...monday, item: 'sambar', reason: 'Diwali' }, 'W001', AT), /"sambar" cannot be served/);
+  assertInvalid(() => lockSlot(input, {}, { ...monday, item: 'pizza', reason: 'Diwali' }, 'W001', AT), /"pizza" cannot be served/);
+});
+
+test('every override needs a short reason', () => {
+  assertInvalid(() => lockSlot(input, {}, { ...monday, item: 'rajma', reason: '   ' }, 'W001', AT), /Say why/);
+  assertInvalid(() => banItem(input, {}, { item: 'dal', reason: 'x'.repeat(MAX_REASON_LENGTH + 1) }, 'W001', AT), /under 200 characters/);
+  assertInvalid(() => banItem(input, {}, { item: 'pizza', reason: 'Out of stock' }, 'W001', AT), /Unknown item "pizza"/);
+});
+
+test('a new lock or ban replaces the earlier one and records who, why and when', () => {
+  let overrides = lockSlot(input, undefined, { ...monday, item: 'rajma', reason: ' Festival ' }, 'W001', AT);
+  overrides = lockSlot(input, overrides, { ...monday, item: 'dal', reason: 'Guests' }, 'S001', AT);
+  assert.deepEqual(overrides.locks, [{ ...monday, item: 'dal', by: 'S001', reason: 'Guests', at: AT }]);
+  assert.equal(findSlotLock(overrides, monday).item, 'dal');
+
+  overrides = banItem(input, overrides, { item: 'rajma', reason: 'Out of stock' }, 'W001', AT);
+  overrides = banItem(input, overrides, { item: 'rajma', reason: 'Supplier late' }, 'W001', AT);
+  assert.equal(overrides.bans.length, 1);
+  assert.equal(findItemBan(overrides, 'rajma').reason, 'Supplier late');
+
+  assert.deepEqual(unlockSlot(overrides, monday).locks, []);
+  assert.deepEqual(unbanItem(overrides, 'rajma').bans, []);
+  assert.deepEqual(normalizeOverrides({ locks: 'broken' }), { locks: [], bans: [] });
+});
+
+test('the planner serves locked dishes and leaves banned ones out', () => {
+  let overrides = lockSlot(input, {}, { ...monday, item: 'rajma', reason: 'Festival' }, 'W001', AT);
+  overrides = banItem(input, overrides, { item: 'dal', reason: 'Out of stock' }, 'W001', AT);
+
+  const planned = withOverrides(input, overrides);
+  assert.deepEqual(planned.locks, [{ ...monday, item: 'rajma' }]);
+  assert.deepEqual(planned.excludedItems, ['dal']);
+
+  const { plan } = findOptimalPlan(planned);
+  assert.equal(plan.Monday.Lunch.main.item, 'rajma');
+  assert.notEqual(plan.Tuesday.Lunch.main.item, 'dal');
+});
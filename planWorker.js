@@ -0,0 +1,12 @@
+// Web worker that runs PLAN_TASKS away from the page (see backgroundPlanner.js).
+// Each message is { task, args }; the answer is { result } or { error }.
+
+import { PLAN_TASKS } from './backgroundPlanner.js';
+
+self.addEventListener('message', ({ data: { task, args } }) => {
+  try {
+    self.postMessage({ result: PLAN_TASKS[task](...args) });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+});
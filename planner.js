@@ -0,0 +1,1137 @@
+// Pure planning engine for the mess planner. Nothing in here touches React
+// state, so the same functions run in the component, in scripts and on a server.
+
+import {
+  DEFAULT_RULES,
+  RULE_TYPES,
+  findBlockingPicks,
+  findBrokenRule,
+  findBrokenRules,
+  findRuleViolation,
+  getItemCost,
+  isBudgetRule
+} from './rules.js';
+import { CATEGORIES, isServedAt } from './catalog.js';
+import { DIETS, findDietConflict, getDietGroups, isSuitable } from './diet.js';
+import { NUTRIENTS, describeGoal, getActiveGoals, getItemNutrient } from './nutrition.js';
+import {
+  MAX_CHOICES,
+  MAX_SCORE,
+  formatVotes,
+  getFirstChoice,
+  getPreferenceWeight,
+  getRuledChoice,
+  getSlotOptions,
+  hasPreference,
+  isScoredSlot
+} from './preferences.js';
+import { DEFAULT_FAIRNESS, getFairnessMode, getVoterWeight, validateFairness } from './fairness.js';
+import { getStockUses, hasStockLimit, isInSeason, withStockRule } from './inventory.js';
+import { getDayDate } from './weeks.js';
+import { getRatingFactor } from './feedback.js';
+
+// Planner input is { users, days, meals, courses, items, rules, diets, goals,
+// fairness } where items are catalog items, courses maps each meal to its
+// course list, ballots hold a pick, a ranking or scores per course
+// (users[user][day][meal][course], see preferences.js), diets maps every
+// resident, voter or not, to their dietary restrictions, goals are the
+// nutrition goals of nutrition.js, fairness is { mode, weights } with the
+// carried-over voter weights (see fairness.js) and weekId is the ISO week being
+// planned, which dates the slots for seasonal items (see inventory.js).
+// history lists the saved plans of the weeks before, most recent first, as
+// [{ weekId, plan }] with a null plan for a week that has none (see
+// HISTORY_WEEKS); the rules check this week's picks against them.
+// Admin overrides (see overrides.js) and what-if scenarios (see scenarios.js)
+// add locks, [{ day, meal, course, item }] pinning an item into a slot
+// whatever the votes, and excludedItems, item ids the planner must not pick
+// anywhere else.
+// ratings maps item ids to { average, count } from the residents' feedback on
+// recent weeks (see feedback.js); votes for poorly rated items count less.
+
+// Planner input for a catalog, rule set, users' ballots, diet profiles,
+// nutrition goals, fairness setting and week
+export const createPlannerInput = (catalog, rules, users, diets = {}, goals = [], fairness = DEFAULT_FAIRNESS, weekId = null) => ({
+  users,
+  days: catalog.days,
+  meals: catalog.meals,
+  courses: catalog.courses,
+  items: catalog.items,
+  rules,
+  diets,
+  goals,
+  fairness,
+  weekId
+});
+
+// Weeks of saved plans the planner looks back over for cross-week rules
+export const HISTORY_WEEKS = 4;
+
+// Largest number of search nodes the plan search may visit for one course
+// before it settles for the best plan found so far (and reports that it did,
+// see searchComplete)
+export const MAX_SEARCH_NODES = 50000;
+
+// Courses served at a meal
+export const getMealCourses = ({ courses }, meal) => courses?.[meal] || CATEGORIES;
+
+// Calls fn(day, meal, course, dayIndex) for every slot of the week
+export const forEachSlot = (input, fn) => {
+  input.days.forEach((day, dayIndex) => {
+    input.meals.forEach(meal => {
+      getMealCourses(input, meal).forEach(course => {
+        fn(day, meal, course, dayIndex);
+      });
+    });
+  });
+};
+
+// Ballot with an empty pick for every slot of the week
+export const createEmptyBallot = (input) => {
+  const ballot = {};
+  forEachSlot(input, (day, meal, course) => {
+    if (!ballot[day]) ballot[day] = {};
+    if (!ballot[day][meal]) ballot[day][meal] = {};
+    ballot[day][meal][course] = '';
+  });
+  return ballot;
+};
+
+// Residents eating each meal: everyone with a diet profile (every member), or
+// the voters when profiles are missing
+export const getHeadcount = ({ users, diets = {} }) => Math.max(Object.keys(diets).length, Object.keys(users).length, 1);
+
+// Date of a day of the planned week, or null when the input has no week
+const getSlotDate = ({ weekId }, dayIndex) => (weekId ? getDayDate(weekId, dayIndex) : null);
+
+// Rules the planner enforces: the input's rules plus the stock rule
+const getPlannerRules = ({ rules = DEFAULT_RULES }) => withStockRule(rules);
+
+// Item locked into a slot, or null
+const findLock = ({ locks = [] }, day, meal, course) =>
+  locks.find(lock => lock.day === day && lock.meal === meal && lock.course === course) || null;
+
+// Picks of the history's plans for the rules, with the week they are from,
+// how many weeks ago that was and the day counted back from this week's
+// Monday (see rules.js)
+const getHistoryPicks = (input) => {
+  const picks = [];
+  (input.history || []).forEach(({ weekId, plan }, index) => {
+    if (!plan) return;
+    const weeksAgo = index + 1;
+    forEachSlot(input, (day, meal, course, dayIndex) => {
+      const itemId = plan[day]?.[meal]?.[course]?.item;
+      if (itemId) picks.push({ weekId, weeksAgo, day, dayIndex: dayIndex - weeksAgo * 7, meal, course, item: itemId });
+    });
+  });
+  return picks;
+};
+
+// Index catalog items by id for rule checks
+export const indexItems = (items) => {
+  const itemsById = {};
+  items.forEach(item => {
+    itemsById[item.id] = item;
+  });
+  return itemsById;
+};
+
+// Weighted votes for each item in every day/meal/course slot: a first choice
+// or single pick counts 1, lower ranks and scores below 5 count less, and
+// everything is multiplied by the resident's voter weight (see fairness.js)
+// and the item's rating factor (see feedback.js).
+// Every item offered in a slot has an entry, so votes for items that are
+// retired, not served in that slot or out of season that day are ignored.
+export const countVotes = (input, voterWeights = {}) => {
+  const { users, items } = input;
+  const voteCounts = {};
+
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    if (!voteCounts[day]) voteCounts[day] = {};
+    if (!voteCounts[day][meal]) voteCounts[day][meal] = {};
+    voteCounts[day][meal][course] = {};
+    const date = getSlotDate(input, dayIndex);
+    items
+      .filter(item => isServedAt(item, meal, course) && isInSeason(item, date))
+      .forEach(item => {
+        voteCounts[day][meal][course][item.id] = 0;
+      });
+  });
+
+  Object.entries(users).forEach(([userName, user]) => {
+    const voterWeight = getVoterWeight(voterWeights, userName);
+    forEachSlot(input, (day, meal, course) => {
+      const slotVotes = voteCounts[day][meal][course];
+      getSlotOptions(user[day]?.[meal]?.[course]).forEach(({ item, weight }) => {
+        if (slotVotes[item] !== undefined) {
+          const ratingFactor = getRatingFactor(input.ratings, item);
+          slotVotes[item] = Math.round((slotVotes[item] + weight * voterWeight * ratingFactor) * 100) / 100;
+        }
+      });
+    });
+  });
+
+  return voteCounts;
+};
+
+// Catalog items one user may still pick for a slot, given the season, their
+// other picks and their diet. Only first choices are checked against the rules;
+// lower ranks are fallbacks for when the first choice cannot be served.
+export const getAvailableItems = (input, targetUser, targetDay, targetMeal, targetCourse) => {
+  const { users, days, items, diets = {} } = input;
+  const rules = getPlannerRules(input);
+  const headcount = getHeadcount(input);
+  const history = getHistoryPicks(input);
+  const ballot = users[targetUser] || {};
+
+  // This user's other picks (excluding the target slot we're changing)
+  const placed = [];
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    if (day === targetDay && meal === targetMeal && course === targetCourse) return;
+    const selectedItem = getRuledChoice(ballot[day]?.[meal]?.[course]);
+    if (selectedItem) {
+      placed.push({ day, dayIndex, meal, course, item: selectedItem });
+    }
+  });
+
+  const itemsById = indexItems(items);
+  const slot = { day: targetDay, dayIndex: days.indexOf(targetDay), meal: targetMeal, course: targetCourse };
+  const date = getSlotDate(input, slot.dayIndex);
+  return items.filter(item =>
+    isServedAt(item, targetMeal, targetCourse) &&
+    isInSeason(item, date) &&
+    isSuitable(item, diets[targetUser]) &&
+    !findRuleViolation(rules, { slot, item: item.id, placed, itemsById, headcount, history })
+  );
+};
+
+// Branch-and-bound over one group of slots. Assignments are compared by fewest
+// forced violations first, then by most satisfied votes, so a rule is only
+// broken when no valid assignment exists at all. `fixed` holds picks already
+// made elsewhere in the week that the rules must also respect. Returns
+// { assignment, complete }; complete is false when the search ran out of
+// nodes and settled for the best assignment it had found.
+const searchSlots = (slots, fixed, { rules, itemsById, headcount, history, maxSearchNodes }) => {
+  // Best score still reachable from each slot onwards (used as the bound)
+  const remainingBest = new Array(slots.length + 1).fill(0);
+  for (let i = slots.length - 1; i >= 0; i--) {
+    const topVotes = slots[i].candidates.length > 0 ? slots[i].candidates[0][1] : 0;
+    remainingBest[i] = remainingBest[i + 1] + topVotes;
+  }
+
+  const assignment = new Array(slots.length).fill(null);
+  const placed = [...fixed];
+
+  let best = null;
+  let searchNodes = 0;
+  let truncated = false;
+
+  const search = (slotIndex, score, violationCount) => {
+    if (searchNodes >= maxSearchNodes) {
+      truncated = true;
+      return;
+    }
+    searchNodes++;
+
+    if (best) {
+      if (violationCount > best.violationCount) return;
+      if (violationCount === best.violationCount && score + remainingBest[slotIndex] <= best.score) return;
+    }
+
+    if (slotIndex === slots.length) {
+      best = { score, violationCount, assignment: [...assignment] };
+      return;
+    }
+
+    const slot = slots[slotIndex];
+    if (slot.candidates.length === 0) {
+      assignment[slotIndex] = null;
+      search(slotIndex + 1, score, violationCount);
+      return;
+    }
+
+    // Try rule-abiding items first (by votes), then forced ones
+    const options = slot.candidates.map(([item, votes]) => ({
+      item,
+      votes,
+      violation: findRuleViolation(rules, { slot, item, placed, itemsById, headcount, history })
+    }));
+    const ordered = [
+      ...options.filter(option => !option.violation),
+      ...options.filter(option => option.violation)
+    ];
+
+    for (const option of ordered) {
+      const { day, dayIndex, meal, course } = slot;
+      assignment[slotIndex] = option;
+      placed.push({ day, dayIndex, meal, course, item: option.item });
+      search(slotIndex + 1, score + option.votes, violationCount + (option.violation ? 1 : 0));
+      placed.pop();
+    }
+    assignment[slotIndex] = null;
+  };
+
+  search(0, 0, 0);
+
+  return { assignment: best ? best.assignment : assignment, complete: !truncated };
+};
+
+// Rounds of course-by-course re-search when the first pass breaks rules
+const MAX_REFINE_ROUNDS = 2;
+
+const slotPosition = ({ day, dayIndex, meal, course }) => ({ day, dayIndex, meal, course });
+
+// Violations and votes of a full set of selections, checking each pick against
+// the ones before it in planning order (course by course, then week order)
+const evaluateSelections = (selections, courseOrder, slots, { rules, itemsById, headcount, history }) => {
+  const violations = new Map();
+  const placed = [];
+  let score = 0;
+
+  courseOrder.forEach(course => {
+    slots
+      .filter(slot => slot.course === course && selections.has(slot))
+      .forEach(slot => {
+        const { item, votes } = selections.get(slot);
+        const violation = findRuleViolation(rules, { slot, item, placed, itemsById, headcount, history });
+        if (violation) violations.set(slot, violation);
+        placed.push({ ...slotPosition(slot), item });
+        score += votes;
+      });
+  });
+
+  return { violations, violationCount: violations.size, score };
+};
+
+const isBetterEvaluation = (candidate, current) =>
+  candidate.violationCount < current.violationCount ||
+  (candidate.violationCount === current.violationCount && candidate.score > current.score);
+
+// Amount of a nutrient the selections provide over a goal's period; `day` is
+// null for weekly goals
+const sumNutrient = (selections, slots, itemsById, nutrient, day) =>
+  slots
+    .filter(slot => day === null || slot.day === day)
+    .reduce((total, slot) => total + getItemNutrient(itemsById[selections.get(slot)?.item], nutrient), 0);
+
+const getGoalPeriods = (goal, days) => (goal.period === 'week' ? [null] : days);
+
+// Swap picks until the nutrition goals are met, strict goals first. Each swap
+// is the one that loses fewest votes per unit of the missing nutrient, and
+// must not break a rule or push a met strict goal below its minimum. Soft
+// goals only take swaps that lose no votes, such as filling a slot nobody
+// voted for. Locked slots are never swapped. Returns the swapped slots as Map(slot → { goal, replaced }).
+const meetNutritionGoals = ({ selections, slots, days, items, rules, goals, itemsById, headcount, history, voteCounts }) => {
+  const swaps = new Map();
+  const activeGoals = getActiveGoals(goals);
+  const strictGoals = activeGoals.filter(goal => goal.strict);
+  const ordered = [...strictGoals, ...activeGoals.filter(goal => !goal.strict)];
+
+  const shortfall = (goal, day) => goal.min - sumNutrient(selections, slots, itemsById, goal.nutrient, day);
+
+  // Strict goals that are met now and still must be after a swap in `slot`
+  const keepsStrictGoals = (slot, met) =>
+    met.every(({ goal, day }) => (day !== null && day !== slot.day) || shortfall(goal, day) <= 0);
+
+  const findSwap = (goal, day) => {
+    const moves = [];
+    slots
+      .filter(slot => !slot.locked && (day === null || slot.day === day))
+      .forEach(slot => {
+        const current = selections.get(slot);
+        const currentAmount = getItemNutrient(itemsById[current?.item], goal.nutrient);
+        const slotVotes = voteCounts[slot.day][slot.meal][slot.course];
+        items
+          .filter(item => item.id !== current?.item && slotVotes[item.id] !== undefined)
+          .forEach(item => {
+            const gain = getItemNutrient(item, goal.nutrient) - currentAmount;
+            const loss = (current?.votes || 0) - (slotVotes[item.id] || 0);
+            if (gain > 0 && (goal.strict || loss <= 0)) {
+              moves.push({ slot, item: item.id, votes: slotVotes[item.id] || 0, gain, loss });
+            }
+          });
+      });
+    moves.sort((a, b) => a.loss / a.gain - b.loss / b.gain || b.gain - a.gain);
+
+    const met = [];
+    strictGoals.forEach(strictGoal => {
+      getGoalPeriods(strictGoal, days).forEach(period => {
+        if (shortfall(strictGoal, period) <= 0) met.push({ goal: strictGoal, day: period });
+      });
+    });
+
+    // Cheapest move that keeps the rules and every met strict goal
+    return moves.find(move => {
+      const placed = [...selections.entries()]
+        .filter(([slot]) => slot !== move.slot)
+        .map(([slot, selection]) => ({ ...slotPosition(slot), item: selection.item }));
+      if (findRuleViolation(rules, { slot: move.slot, item: move.item, placed, itemsById, headcount, history })) return false;
+
+      const previous = selections.get(move.slot);
+      selections.set(move.slot, { item: move.item, votes: move.votes });
+      const keeps = keepsStrictGoals(move.slot, met);
+      if (previous) selections.set(move.slot, previous); else selections.delete(move.slot);
+      return keeps;
+    }) || null;
+  };
+
+  ordered.forEach(goal => {
+    getGoalPeriods(goal, days).forEach(day => {
+      for (let guard = 0; guard < slots.length && shortfall(goal, day) > 0; guard++) {
+        const swap = findSwap(goal, day);
+        if (!swap) break;
+
+        const previous = selections.get(swap.slot);
+        if (!swaps.has(swap.slot)) {
+          swaps.set(swap.slot, { goal, replaced: previous?.item || null, replacedVotes: previous?.votes || 0 });
+        } else {
+          swaps.get(swap.slot).goal = goal;
+        }
+        selections.set(swap.slot, { item: swap.item, votes: swap.votes });
+      }
+    });
+  });
+
+  return swaps;
+};
+
+// Each nutrition goal against the plan: { ...goal, label, periods } with one
+// { day, actual, met } entry per day (day goals) or for the week (day: null)
+export const calculateNutrition = (input, plan) => {
+  const { days, items, goals = [] } = input;
+  const itemsById = indexItems(items);
+  const totals = {};
+
+  forEachSlot(input, (day, meal, course) => {
+    const item = itemsById[plan[day]?.[meal]?.[course]?.item];
+    if (!totals[day]) totals[day] = {};
+    Object.keys(NUTRIENTS).forEach(nutrient => {
+      totals[day][nutrient] = (totals[day][nutrient] || 0) + getItemNutrient(item, nutrient);
+    });
+  });
+
+  return getActiveGoals(goals).map(goal => ({
+    ...goal,
+    label: describeGoal(goal),
+    periods: getGoalPeriods(goal, days).map(day => {
+      const actual = day === null
+        ? days.reduce((total, d) => total + (totals[d]?.[goal.nutrient] || 0), 0)
+        : totals[day]?.[goal.nutrient] || 0;
+      return { day, actual: Math.round(actual), met: actual >= goal.min };
+    })
+  }));
+};
+
+// Dish cooked for a diet group that cannot eat a slot's planned item: the most
+// voted suitable item offered in that slot, else the first suitable one. The
+// alternatives are small batches, so the week's rules do not apply to them.
+const findAlternative = (items, slotVotes, diets) => {
+  const suitable = items.filter(item => slotVotes[item.id] !== undefined && isSuitable(item, diets));
+  if (suitable.length === 0) return null;
+  return suitable.reduce((best, item) => ((slotVotes[item.id] || 0) > (slotVotes[best.id] || 0) ? item : best));
+};
+
+// Find the plan with the fewest forced violations and, among those, the most
+// satisfied votes, each resident's votes scaled by their voter weight. Returns
+// { plan, usage, violations, replacements, dietGaps, nutritionShortfalls,
+// stockShortfalls, searchComplete } with plan[day][meal][course] = { item, votes, firstChoices, totalUsers,
+// reason, hasViolation, alternatives, replaced?, locked? }.
+// `votes` are weighted (see countVotes); firstChoices counts the residents
+// whose best option is the planned item.
+//
+// Courses are searched one after another in course order (main first); each
+// course sees the earlier courses' picks as fixed, which keeps every search
+// small while still letting cross-course rules steer the later courses. If
+// that leaves violations, each course is searched again against the others.
+// Picks are then swapped where needed to meet the nutrition goals.
+//
+// This is a deliberate trade-off: a joint search over every slot of the week
+// (56 with the default courses) does not finish in time for a UI that
+// re-plans as votes come in. The price is that the result is only optimal
+// course by course: a week where an earlier course should give up votes to
+// spare a later one a violation (through sameDay, noSharedIngredient or a
+// budget) is only found if the re-search rounds happen to reach it.
+//
+// Replacements list the slots where the most voted item lost out because it
+// would break a rule next to the rest of the plan (for example a budget) or
+// was swapped for a nutrition goal, as { day, meal, course, item, votes,
+// replaced, replacedVotes, reason, budget, nutrition }. `replaced` is null
+// when a goal filled a slot nobody voted for. stockShortfalls lists the items
+// the plan needs more of than the storeroom holds (see calculateStockUsage).
+// nutritionShortfalls lists the
+// strict goals the plan still misses.
+//
+// Every diet group that cannot eat a planned item gets an alternative
+// ({ diets, members, item }) in that slot; dietGaps lists the slots where the
+// catalog has nothing suitable for a group.
+//
+// searchComplete is false when a course's search stopped at maxSearchNodes
+// (MAX_SEARCH_NODES unless the input sets it) before it had ruled out every
+// better assignment, so a plan with more satisfied votes may exist.
+const planWeek = (input, voterWeights) => {
+  const { users, days, meals, diets = {}, goals = [], excludedItems = [], maxSearchNodes = MAX_SEARCH_NODES } = input;
+  const rules = getPlannerRules(input);
+  const totalUsers = Object.keys(users).length;
+  const headcount = getHeadcount(input);
+  const history = getHistoryPicks(input);
+  const itemsById = indexItems(input.items);
+  const items = input.items.filter(item => !excludedItems.includes(item.id));
+
+  // Step 1: Count all votes
+  const voteCounts = countVotes(input, voterWeights);
+
+  // Step 2: Build the slots in week order with their voted candidates. A
+  // locked slot has its locked item as the only candidate.
+  const slots = [];
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const slotVotes = voteCounts[day]?.[meal]?.[course] || {};
+    const lock = findLock(input, day, meal, course);
+    const candidates = lock
+      ? [[lock.item, slotVotes[lock.item] || 0]]
+      : Object.entries(slotVotes)
+        .sort(([,a], [,b]) => b - a)
+        .filter(([item, votes]) => votes > 0 && !excludedItems.includes(item));
+    slots.push({ day, dayIndex, meal, course, candidates, locked: Boolean(lock) });
+  });
+
+  // Step 3: Search each course in turn
+  const courseOrder = CATEGORIES.filter(course => meals.some(meal => getMealCourses(input, meal).includes(course)));
+  const searchOptions = { rules, itemsById, headcount, history, maxSearchNodes };
+
+  // Picks of every course but one, for searching that course against them.
+  // Locked slots count before their course is searched, so the earlier
+  // courses already plan around them.
+  const picksOutside = (selectionMap, course) => [
+    ...[...selectionMap.entries()]
+      .filter(([slot]) => slot.course !== course)
+      .map(([slot, selection]) => ({ ...slotPosition(slot), item: selection.item })),
+    ...slots
+      .filter(slot => slot.locked && slot.course !== course && !selectionMap.has(slot))
+      .map(slot => ({ ...slotPosition(slot), item: slot.candidates[0][0] }))
+  ];
+
+  let searchComplete = true;
+  const searchCourse = (selectionMap, course) => {
+    const courseSlots = slots.filter(slot => slot.course === course);
+    const { assignment, complete } = searchSlots(courseSlots, picksOutside(selectionMap, course), searchOptions);
+    if (!complete) searchComplete = false;
+    const result = new Map([...selectionMap].filter(([slot]) => slot.course !== course));
+    courseSlots.forEach((slot, slotIndex) => {
+      if (assignment[slotIndex]) result.set(slot, assignment[slotIndex]);
+    });
+    return result;
+  };
+
+  let selections = new Map();
+  courseOrder.forEach(course => {
+    selections = searchCourse(selections, course);
+  });
+
+  // Cross-course rules such as budgets can make an early course's pick force a
+  // violation in a later course. While the plan breaks rules, search each
+  // course again against all the other courses and keep whatever improves it.
+  let evaluation = evaluateSelections(selections, courseOrder, slots, searchOptions);
+  for (let round = 0; round < MAX_REFINE_ROUNDS && evaluation.violationCount > 0; round++) {
+    let improved = false;
+    courseOrder.forEach(course => {
+      const candidate = searchCourse(selections, course);
+      const candidateEvaluation = evaluateSelections(candidate, courseOrder, slots, searchOptions);
+      if (isBetterEvaluation(candidateEvaluation, evaluation)) {
+        selections = candidate;
+        evaluation = candidateEvaluation;
+        improved = true;
+      }
+    });
+    if (!improved) break;
+  }
+
+  // Step 3b: Swap picks towards the nutrition goals
+  const swaps = meetNutritionGoals({ selections, slots, days, items, rules, goals, itemsById, headcount, history, voteCounts });
+  if (swaps.size > 0) {
+    evaluation = evaluateSelections(selections, courseOrder, slots, searchOptions);
+  }
+
+  // Step 4: Turn the chosen selections into the plan
+  const dietGroups = getDietGroups(diets);
+  const plan = {};
+  const usage = {};
+  const violations = [];
+  const dietGaps = [];
+
+  input.items.forEach(item => {
+    usage[item.id] = 0;
+  });
+
+  days.forEach(day => {
+    plan[day] = {};
+    meals.forEach(meal => {
+      plan[day][meal] = {};
+    });
+  });
+
+  slots.forEach(slot => {
+    const { day, meal, course } = slot;
+    const selection = selections.get(slot);
+    const violation = evaluation.violations.get(slot);
+
+    if (selection) {
+      // Step 5: Cover the diet groups the chosen item leaves out
+      const alternatives = [];
+      dietGroups
+        .filter(group => findDietConflict(itemsById[selection.item], group.diets))
+        .forEach(group => {
+          const alternative = findAlternative(items, voteCounts[day][meal][course], group.diets);
+          alternatives.push({ ...group, item: alternative ? alternative.id : null });
+          if (!alternative) {
+            dietGaps.push({ day, meal, course, item: selection.item, ...group });
+          }
+        });
+
+      const swap = swaps.get(slot);
+      const votes = formatVotes(selection.votes);
+      plan[day][meal][course] = {
+        item: selection.item,
+        votes: selection.votes,
+        firstChoices: Object.values(users).filter(user => getFirstChoice(user[day]?.[meal]?.[course]) === selection.item).length,
+        totalUsers,
+        reason: slot.locked
+          ? `Locked in (${votes} votes${violation ? `, despite ${violation}` : ''})`
+          : violation
+            ? `Forced selection (${votes} votes)`
+            : swap
+              ? `Chosen for the ${describeGoal(swap.goal)} goal (${votes} votes)`
+              : `${votes} votes, no violations`,
+        hasViolation: Boolean(violation),
+        alternatives,
+        ...(slot.locked && { locked: true })
+      };
+      usage[selection.item] = (usage[selection.item] || 0) + 1;
+
+      if (violation) {
+        violations.push({
+          day,
+          meal,
+          course,
+          item: selection.item,
+          reason: violation,
+          votes: selection.votes
+        });
+      }
+    } else {
+      // No selection made
+      plan[day][meal][course] = {
+        item: null,
+        votes: 0,
+        firstChoices: 0,
+        totalUsers,
+        reason: 'No selection',
+        hasViolation: false,
+        alternatives: []
+      };
+    }
+  });
+
+  // Step 6: Explain slots where the favourite was passed over because of a
+  // rule or a nutrition goal
+  const finalPicks = [...selections.entries()].map(([slot, selection]) => ({ slot, pick: { ...slot, item: selection.item } }));
+  const replacements = [];
+
+  finalPicks.forEach(({ slot, pick }) => {
+    const [favourite, favouriteVotes] = slot.candidates[0] || [];
+    const selection = selections.get(slot);
+
+    const swap = swaps.get(slot);
+    if (swap) {
+      replacements.push({
+        day: slot.day,
+        meal: slot.meal,
+        course: slot.course,
+        item: pick.item,
+        votes: selection.votes,
+        replaced: swap.replaced,
+        replacedVotes: swap.replacedVotes,
+        reason: `${describeGoal(swap.goal)} goal`,
+        budget: false,
+        nutrition: true
+      });
+      if (swap.replaced) plan[slot.day][slot.meal][slot.course].replaced = swap.replaced;
+      return;
+    }
+
+    if (!favourite || favourite === pick.item || favouriteVotes <= selection.votes) return;
+
+    const placed = finalPicks.filter(other => other.slot !== slot).map(other => other.pick);
+    const broken = findBrokenRule(rules, { slot, item: favourite, placed, itemsById, headcount, history });
+    if (!broken) return;
+
+    replacements.push({
+      day: slot.day,
+      meal: slot.meal,
+      course: slot.course,
+      item: pick.item,
+      votes: selection.votes,
+      replaced: favourite,
+      replacedVotes: favouriteVotes,
+      reason: broken.message,
+      budget: isBudgetRule(broken.rule)
+    });
+    plan[slot.day][slot.meal][slot.course].replaced = favourite;
+  });
+
+  const stockShortfalls = calculateStockUsage(input, plan).filter(entry => entry.shortfall > 0);
+
+  const nutritionShortfalls = [];
+  calculateNutrition(input, plan)
+    .filter(goal => goal.strict)
+    .forEach(goal => {
+      goal.periods
+        .filter(period => !period.met)
+        .forEach(period => nutritionShortfalls.push({ goalId: goal.id, label: goal.label, day: period.day, actual: period.actual, min: goal.min }));
+    });
+
+  return { plan, usage, violations, replacements, dietGaps, nutritionShortfalls, stockShortfalls, searchComplete };
+};
+
+// Rounds of re-weighting the maximin fairness mode tries
+const FAIRNESS_ROUNDS = 3;
+
+const isFairerPlan = (candidate, current) =>
+  candidate.violationCount < current.violationCount ||
+  (candidate.violationCount === current.violationCount &&
+    (candidate.worst > current.worst || (candidate.worst === current.worst && candidate.overall > current.overall)));
+
+// Plan the week under the input's fairness setting (see fairness.js). Returns
+// planWeek's result plus the voterWeights it was planned with. Maximin plans
+// again with extra weight on everyone below the overall satisfaction, and
+// keeps the round with the fewest violations, then the best worst-off
+// resident, then the best overall satisfaction.
+export const findOptimalPlan = (input) => {
+  const mode = getFairnessMode(input.fairness);
+  if (mode !== 'maximin') {
+    const voterWeights = mode === 'carryOver' ? input.fairness.weights || {} : {};
+    return { ...planWeek(input, voterWeights), voterWeights };
+  }
+
+  let voterWeights = {};
+  let best = null;
+  for (let round = 0; round < FAIRNESS_ROUNDS; round++) {
+    const result = planWeek(input, voterWeights);
+    const userSatisfaction = calculateUserSatisfaction(input, result.plan);
+    const percents = Object.values(userSatisfaction).map(entry => entry.percent);
+    const candidate = {
+      result: { ...result, voterWeights },
+      violationCount: result.violations.length,
+      worst: percents.length > 0 ? Math.min(...percents) : 100,
+      overall: calculateSatisfaction(input, result.plan).overall
+    };
+    if (!best || isFairerPlan(candidate, best)) best = candidate;
+
+    const behind = Object.entries(userSatisfaction).filter(([, { percent }]) => percent < candidate.overall);
+    if (behind.length === 0) break;
+    const nextWeights = { ...voterWeights };
+    behind.forEach(([userName, { percent }]) => {
+      const weight = getVoterWeight(voterWeights, userName) * (1 + (candidate.overall - percent) / 100);
+      nextWeights[userName] = Math.round(weight * 100) / 100;
+    });
+    voterWeights = nextWeights;
+  }
+  return best.result;
+};
+
+// Plan a plain-majority week whatever the fairness setting, for comparison
+export const findMajorityPlan = (input) => findOptimalPlan({ ...input, fairness: DEFAULT_FAIRNESS });
+
+// Plan plus the figures stored alongside it when a week's plan is generated.
+// `fairness.weights` are the carried-over weights the next week builds on.
+export const buildPlanRecord = (input) => {
+  const { plan, usage, violations, replacements, dietGaps, nutritionShortfalls, stockShortfalls, searchComplete, voterWeights } = findOptimalPlan(input);
+  const mode = getFairnessMode(input.fairness);
+  const userSatisfaction = {};
+  Object.entries(calculateUserSatisfaction(input, plan)).forEach(([userName, { percent }]) => {
+    userSatisfaction[userName] = percent;
+  });
+
+  return {
+    plan,
+    usage,
+    violations,
+    replacements,
+    dietGaps,
+    nutritionShortfalls,
+    stockShortfalls,
+    searchComplete,
+    cost: calculatePlanCost(input, plan).total,
+    satisfaction: calculateSatisfaction(input, plan).overall,
+    userSatisfaction,
+    fairness: { mode, weights: mode === 'carryOver' ? voterWeights : {} },
+    generatedAt: new Date().toISOString()
+  };
+};
+
+const isPercent = (value) => Number.isFinite(value) && value >= 0 && value <= 100;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Problems with a plan record from outside (an import), empty when it has a
+// plan and the satisfaction and fairness figures later weeks read from it
+// (see getCarryOverWeights)
+export const validatePlanRecord = (record) => {
+  if (!isPlainObject(record)) return ['Plan must be an object'];
+
+  const errors = [];
+  if (!isPlainObject(record.plan)) errors.push('Plan must be keyed by day');
+  if (record.satisfaction !== undefined && !isPercent(record.satisfaction)) {
+    errors.push('Satisfaction must be a percentage');
+  }
+  if (record.userSatisfaction !== undefined &&
+    !(isPlainObject(record.userSatisfaction) && Object.values(record.userSatisfaction).every(isPercent))) {
+    errors.push('Satisfaction per resident must map residents to percentages');
+  }
+  if (record.fairness !== undefined) errors.push(...validateFairness(record.fairness));
+  if (record.version !== undefined && !(Number.isInteger(record.version) && record.version > 0)) {
+    errors.push('Version must be a whole number from 1');
+  }
+  return errors;
+};
+
+// Problems with one submitted ballot: unknown slots, malformed rankings or
+// scores, items that are not served in a slot or out of season, items the
+// voter's diet rules out and first choices that break the rules. Empty when
+// the ballot is valid.
+export const validateBallot = (input, ballot, diets = []) => {
+  const { days, meals, items } = input;
+  const rules = getPlannerRules(input);
+  const headcount = getHeadcount(input);
+  const history = getHistoryPicks(input);
+  const errors = [];
+
+  if (!ballot || typeof ballot !== 'object' || Array.isArray(ballot)) {
+    return ['Ballot must be an object of day → meal → course picks'];
+  }
+
+  Object.keys(ballot).forEach(day => {
+    if (!days.includes(day)) {
+      errors.push(`Unknown day "${day}"`);
+      return;
+    }
+    Object.keys(ballot[day] || {}).forEach(meal => {
+      if (!meals.includes(meal)) {
+        errors.push(`Unknown meal "${meal}" on ${day}`);
+        return;
+      }
+      const courses = getMealCourses(input, meal);
+      Object.keys(ballot[day][meal] || {}).forEach(course => {
+        if (!courses.includes(course)) {
+          errors.push(`Unknown course "${course}" for ${day} ${meal}`);
+        }
+      });
+    });
+  });
+  if (errors.length > 0) return errors;
+
+  const itemsById = indexItems(items);
+  const picks = [];
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const value = ballot[day]?.[meal]?.[course];
+    if (!value) return;
+
+    const where = `${day} ${meal} ${course}`;
+    const optionIds = isScoredSlot(value) ? Object.keys(value) : [].concat(value);
+    if (optionIds.some(itemId => typeof itemId !== 'string')) {
+      errors.push(`${where}: expected an item id, a ranked list of item ids or scores by item id`);
+      return;
+    }
+    if (optionIds.length > MAX_CHOICES) {
+      errors.push(`${where}: at most ${MAX_CHOICES} options may be given`);
+      return;
+    }
+    if (new Set(optionIds).size !== optionIds.length) {
+      errors.push(`${where}: the same item is ranked twice`);
+      return;
+    }
+    if (isScoredSlot(value) && Object.values(value).some(score => !Number.isInteger(score) || score < 1 || score > MAX_SCORE)) {
+      errors.push(`${where}: scores must be whole numbers from 1 to ${MAX_SCORE}`);
+      return;
+    }
+
+    const invalid = optionIds.filter(Boolean).some(itemId => {
+      if (!itemsById[itemId] || !isServedAt(itemsById[itemId], meal, course)) {
+        errors.push(`${where}: "${itemId}" is not on the menu`);
+        return true;
+      }
+      if (!isInSeason(itemsById[itemId], getSlotDate(input, dayIndex))) {
+        errors.push(`${where}: ${itemsById[itemId].name} is out of season`);
+        return true;
+      }
+      const conflict = findDietConflict(itemsById[itemId], diets);
+      if (conflict) {
+        errors.push(`${where}: ${itemsById[itemId].name} is not suitable for a ${DIETS[conflict].label} diet`);
+        return true;
+      }
+      return false;
+    });
+
+    const itemId = getRuledChoice(value);
+    if (!invalid && itemId) {
+      picks.push({ day, dayIndex, meal, course, item: itemId });
+    }
+  });
+
+  picks.forEach((pick, index) => {
+    const placed = picks.filter((other, otherIndex) => otherIndex !== index);
+    const violation = findRuleViolation(rules, { slot: pick, item: pick.item, placed, itemsById, headcount, history });
+    if (violation) {
+      errors.push(`${pick.day} ${pick.meal} ${pick.course}: ${violation}`);
+    }
+  });
+
+  return errors;
+};
+
+// Total number of slots that users voted in
+export const getTotalVotes = (input) => {
+  let total = 0;
+  Object.values(input.users).forEach(user => {
+    forEachSlot(input, (day, meal, course) => {
+      if (hasPreference(user[day]?.[meal]?.[course])) {
+        total++;
+      }
+    });
+  });
+  return total;
+};
+
+// Percentage of cast votes that the plan honours, overall and per course.
+// Serving a lower-ranked or lower-scored option earns partial credit by its
+// weight; firstChoice is the share of votes that got their best option.
+export const calculateSatisfaction = (input, plan) => {
+  const totals = {};
+  const satisfied = {};
+  let firstChoices = 0;
+
+  Object.values(input.users).forEach(user => {
+    forEachSlot(input, (day, meal, course) => {
+      const userVote = user[day]?.[meal]?.[course];
+      if (!hasPreference(userVote)) return;
+
+      const planned = plan[day]?.[meal]?.[course]?.item;
+      totals[course] = (totals[course] || 0) + 1;
+      satisfied[course] = (satisfied[course] || 0) + getPreferenceWeight(userVote, planned);
+      if (planned && planned === getFirstChoice(userVote)) firstChoices++;
+    });
+  });
+
+  const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+  const byCourse = {};
+  Object.keys(totals).forEach(course => {
+    byCourse[course] = percent(satisfied[course] || 0, totals[course]);
+  });
+
+  const sum = (counts) => Object.values(counts).reduce((acc, count) => acc + count, 0);
+  return { overall: percent(sum(satisfied), sum(totals)), byCourse, firstChoice: percent(firstChoices, sum(totals)) };
+};
+
+export const calculateSatisfactionScore = (input, plan) => calculateSatisfaction(input, plan).overall;
+
+// Satisfaction of each voter with the plan, with the same partial credit as
+// calculateSatisfaction: { [user]: { votes, firstChoices, percent } }. Users
+// who left every slot empty are not listed.
+export const calculateUserSatisfaction = (input, plan) => {
+  const byUser = {};
+
+  Object.entries(input.users).forEach(([userName, user]) => {
+    let votes = 0;
+    let credit = 0;
+    let firstChoices = 0;
+    forEachSlot(input, (day, meal, course) => {
+      const userVote = user[day]?.[meal]?.[course];
+      if (!hasPreference(userVote)) return;
+
+      const planned = plan[day]?.[meal]?.[course]?.item;
+      votes++;
+      credit += getPreferenceWeight(userVote, planned);
+      if (planned && planned === getFirstChoice(userVote)) firstChoices++;
+    });
+    if (votes > 0) {
+      byUser[userName] = { votes, firstChoices, percent: Math.round((credit / votes) * 100) };
+    }
+  });
+
+  return byUser;
+};
+
+// How evenly the plan treats voters: overall and first-choice satisfaction,
+// the worst-off voter's satisfaction and how many voters got nothing at all
+export const calculateFairnessSummary = (input, plan) => {
+  const { overall, firstChoice } = calculateSatisfaction(input, plan);
+  const percents = Object.values(calculateUserSatisfaction(input, plan)).map(entry => entry.percent);
+  return {
+    overall,
+    firstChoice,
+    worst: percents.length > 0 ? Math.min(...percents) : null,
+    leftOut: percents.filter(percent => percent === 0).length,
+    voters: percents.length
+  };
+};
+
+// Cost of the plan for one resident in rupees, in total and per day and meal
+export const calculatePlanCost = (input, plan) => {
+  const itemsById = indexItems(input.items);
+  const byMeal = {};
+  let total = 0;
+
+  forEachSlot(input, (day, meal, course) => {
+    const itemId = plan[day]?.[meal]?.[course]?.item;
+    const cost = itemId ? getItemCost(itemsById, itemId) : 0;
+    if (!byMeal[day]) byMeal[day] = {};
+    byMeal[day][meal] = (byMeal[day][meal] || 0) + cost;
+    total += cost;
+  });
+
+  return { total, byMeal };
+};
+
+// Servings the plan needs of every item with limited stock, one per resident
+// each time it is served: [{ item, uses, needed, stock, shortfall }]
+export const calculateStockUsage = (input, plan) => {
+  const headcount = getHeadcount(input);
+  const uses = {};
+  forEachSlot(input, (day, meal, course) => {
+    const itemId = plan[day]?.[meal]?.[course]?.item;
+    if (itemId) uses[itemId] = (uses[itemId] || 0) + 1;
+  });
+
+  return input.items
+    .filter(item => hasStockLimit(item) && !item.retired)
+    .map(item => {
+      const needed = (uses[item.id] || 0) * headcount;
+      const stock = Number(item.stock) || 0;
+      return { item: item.id, uses: uses[item.id] || 0, needed, stock, shortfall: Math.max(0, needed - stock) };
+    });
+};
+
+// Every planned pick except one slot's, as placed picks for the rules
+const getPlacedPicks = (input, plan, except) => {
+  const placed = [];
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const itemId = plan[day]?.[meal]?.[course]?.item;
+    if (!itemId || (day === except.day && meal === except.meal && course === except.course)) return;
+    placed.push({ day, dayIndex, meal, course, item: itemId });
+  });
+  return placed;
+};
+
+// Why a slot got its dish, for answering complaints. Lists every dish offered
+// in the slot, most votes first, as { item, votes, firstChoices, status,
+// blocks, rating, ratingFactor }, where rating is the item's recent feedback
+// (or null) and ratingFactor what its votes were multiplied by. blocks holds each rule the dish breaks against the rest of the
+// plan ({ ruleId, label, message, budget, causes }), with the planned picks
+// that cause it. status is one of
+//   chosen    the planned dish (with blocks when it was forced)
+//   locked    the slot is locked to another dish
+//   excluded  left out of the week by an admin
+//   blocked   a rule keeps it out
+//   goal      swapped out for a nutrition goal
+//   tradeOff  allowed here, but the week as a whole did better without it
+//   outvoted  fewer votes than the planned dish
+// voterWeights must be the ones the plan was made with (see findOptimalPlan).
+export const explainSlot = (input, plan, { day, meal, course }, voterWeights = {}) => {
+  const { excludedItems = [] } = input;
+  const rules = getPlannerRules(input);
+  const itemsById = indexItems(input.items);
+  const headcount = getHeadcount(input);
+  const history = getHistoryPicks(input);
+  const slot = { day, dayIndex: input.days.indexOf(day), meal, course };
+  const placed = getPlacedPicks(input, plan, slot);
+  const cell = plan[day]?.[meal]?.[course] || {};
+  const slotVotes = countVotes(input, voterWeights)[day]?.[meal]?.[course] || {};
+
+  const candidates = Object.entries(slotVotes)
+    .sort(([, a], [, b]) => b - a)
+    .map(([item, votes]) => {
+      const context = { slot, item, placed, itemsById, headcount, history };
+      const blocks = findBrokenRules(rules, context).map(({ rule, message }) => ({
+        ruleId: rule.id,
+        label: RULE_TYPES[rule.type].label,
+        message,
+        budget: isBudgetRule(rule),
+        causes: findBlockingPicks(rule, context)
+      }));
+      const status = item === cell.item
+        ? 'chosen'
+        : cell.locked
+          ? 'locked'
+          : excludedItems.includes(item)
+            ? 'excluded'
+            : blocks.length > 0
+              ? 'blocked'
+              : cell.replaced === item
+                ? 'goal'
+                : votes > (cell.votes || 0) ? 'tradeOff' : 'outvoted';
+      const firstChoices = Object.values(input.users)
+        .filter(ballot => getFirstChoice(ballot[day]?.[meal]?.[course]) === item).length;
+      return { item, votes, firstChoices, status, blocks, rating: input.ratings?.[item] || null, ratingFactor: getRatingFactor(input.ratings, item) };
+    });
+
+  return { day, meal, course, item: cell.item || null, votes: cell.votes || 0, reason: cell.reason || 'No selection', candidates };
+};
+
+// Slots where two plans of the same week serve different items:
+// [{ day, meal, course, before, after }] with null for an empty slot
+export const diffPlans = (input, before, after) => {
+  const changes = [];
+  forEachSlot(input, (day, meal, course) => {
+    const beforeItem = before[day]?.[meal]?.[course]?.item || null;
+    const afterItem = after[day]?.[meal]?.[course]?.item || null;
+    if (beforeItem !== afterItem) changes.push({ day, meal, course, before: beforeItem, after: afterItem });
+  });
+  return changes;
+};
+
+// The week planned again with one rule switched off. This is a full planner
+// run, so the page asks the plan worker for it and keeps it per rule.
+export const planWithoutRule = (input, ruleId) => {
+  const rules = getPlannerRules(input).map(rule => (rule.id === ruleId ? { ...rule, enabled: false } : rule));
+  return findOptimalPlan({ ...input, rules }).plan;
+};
+
+// What the slot would have got without the rule, how many slots would change
+// and the satisfaction either way. Pass the week from planWithoutRule when it
+// is already known.
+export const explainWithoutRule = (input, plan, { day, meal, course }, ruleId, withoutRule = planWithoutRule(input, ruleId)) => {
+  const cell = withoutRule[day]?.[meal]?.[course] || {};
+  return {
+    ruleId,
+    item: cell.item || null,
+    votes: cell.votes || 0,
+    changedSlots: diffPlans(input, plan, withoutRule).length,
+    satisfaction: calculateSatisfaction(input, plan).overall,
+    satisfactionWithout: calculateSatisfaction(input, withoutRule).overall
+  };
+};
+
+// Per-item meal counts in the plan, for the usage chart
+export const getChartData = (input, plan) => {
+  const { meals, items } = input;
+  const rows = {};
+
+  forEachSlot(input, (day, meal, course) => {
+    const itemId = plan[day]?.[meal]?.[course]?.item;
+    if (!itemId) return;
+
+    if (!rows[itemId]) {
+      rows[itemId] = { total: 0 };
+      meals.forEach(m => {
+        rows[itemId][m.toLowerCase()] = 0;
+      });
+    }
+    rows[itemId][meal.toLowerCase()]++;
+    rows[itemId].total++;
+  });
+
+  return items
+    .filter(item => rows[item.id])
+    .map(item => {
+      const label = item.name.length > 10 ? `${item.name.slice(0, 9)}…` : item.name;
+      return { item: label, ...rows[item.id] };
+    });
+};
@@ -0,0 +1,132 @@
+// Run with `node --test`
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countVotes, createPlannerInput, explainWithoutRule, findOptimalPlan, forEachSlot, indexItems, planWithoutRule } from './planner.js';
+import { findBrokenRule } from './rules.js';
+
+const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', ingredients: [], cost: 0, tags: [], ...fields });
+
+const catalog = (days, items) => ({ days, meals: ['Lunch'], courses: { Lunch: ['main'] }, items });
+
+const rule = (type, params) => ({ id: type, type, enabled: true, params, categories: [], overrides: {} });
+
+// Ballots of `count` residents who all pick `picks[day]` for lunch
+const voters = (prefix, count, picks) => Object.fromEntries(Array.from({ length: count }, (_, index) => [
+  `${prefix}${index}`,
+  Object.fromEntries(Object.entries(picks).map(([day, pick]) => [day, { Lunch: { main: pick } }]))
+]));
+
+// What a slot-by-slot planner would do: take each slot's most voted item
+// that keeps to the rules, without looking ahead to later slots
+const planGreedily = (input) => {
+  const votes = countVotes(input);
+  const itemsById = indexItems(input.items);
+  const placed = [];
+  let score = 0;
+  forEachSlot(input, (day, meal, course, dayIndex) => {
+    const slot = { day, dayIndex, meal, course };
+    const [pick, count] = Object.entries(votes[day][meal][course])
+      .sort((a, b) => b[1] - a[1])
+      .find(([id]) => !findBrokenRule(input.rules, { slot, item: id, placed, itemsById })) || [];
+    if (!pick) return;
+    placed.push({ ...slot, item: pick });
+    score += count;
+  });
+  return { picks: placed.map(entry => entry.item), score };
+};
+
+const getPicks = (input, plan) => input.days.map(day => plan[day].Lunch.main.item);
+
+const getScore = (input, plan) => {
+  const votes = countVotes(input);
+  return input.days.reduce((total, day) => total + (votes[day].Lunch.main[plan[day].Lunch.main.item] || 0), 0);
+};
+
+test('looks ahead where taking each slot\'s favourite uses up a dish needed later', () => {
+  const input = createPlannerInput(
+    catalog(['Monday', 'Tuesday'], [item('dal'), item('rajma'), item('khichdi')]),
+    [rule('maxPerWeek', { limit: 1 })],
+    { ...voters('a', 3, { Monday: 'dal', Tuesday: 'dal' }), ...voters('b', 2, { Monday: 'rajma' }) }
+  );
+
+  const greedy = planGreedily(input);
+  assert.equal(greedy.picks[0], 'dal');
+  assert.equal(greedy.score, 3);
+
+  const { plan, violations } = findOptimalPlan(input);
+  assert.deepEqual(getPicks(input, plan), ['rajma', 'dal']);
+  assert.equal(getScore(input, plan), 5);
+  assert.equal(violations.length, 0);
+});
+
+test('beats the greedy plan when an early favourite would break the weekly budget', () => {
+  const input = createPlannerInput(
+    catalog(['Monday', 'Tuesday', 'Wednesday'], [item('biryani', { cost: 50 }), item('thali', { cost: 30 }), item('poha', { cost: 10 })]),
+    [rule('weeklyBudget', { limit: 90 })],
+    {
+      ...voters('a', 3, { Monday: 'biryani', Tuesday: 'thali', Wednesday: 'thali' }),
+      ...voters('b', 2, { Monday: 'thali', Tuesday: 'poha', Wednesday: 'poha' }),
+      ...voters('c', 2, { Tuesday: 'thali', Wednesday: 'thali' })
+    }
+  );
+
+  const greedy = planGreedily(input);
+  assert.deepEqual(greedy.picks, ['biryani', 'thali', 'poha']);
+  assert.equal(greedy.score, 10);
+
+  const { plan, violations } = findOptimalPlan(input);
+  assert.deepEqual(getPicks(input, plan), ['thali', 'thali', 'thali']);
+  assert.equal(getScore(input, plan), 12);
+  assert.equal(violations.length, 0);
+});
+
+test('reports a search cut short at the node limit', () => {
+  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+  const items = ['dal', 'rajma', 'chole', 'khichdi'].map(id => item(id));
+  const picks = Object.fromEntries(days.map(day => [day, ['dal', 'rajma', 'chole']]));
+  const input = createPlannerInput(catalog(days, items), [rule('maxPerWeek', { limit: 2 })], voters('a', 4, picks));
+
+  assert.equal(findOptimalPlan(input).searchComplete, true);
+  assert.equal(findOptimalPlan({ ...input, maxSearchNodes: 3 }).searchComplete, false);
+});
+
+test('breaks a rule only when no voted dish keeps to it, and reports the forced pick', () => {
+  const input = createPlannerInput(
+    catalog(['Monday', 'Tuesday'], [item('dal'), item('rajma')]),
+    [rule('maxPerWeek', { limit: 1 })],
+    { ...voters('a', 3, { Monday: 'dal', Tuesday: 'dal' }), ...voters('b', 1, { Tuesday: 'rajma' }) }
+  );
+
+  // Rajma keeps to the limit, so it beats the more popular dal on Tuesday
+  const fitting = findOptimalPlan(input);
+  assert.deepEqual(getPicks(input, fitting.plan), ['dal', 'rajma']);
+  assert.equal(fitting.violations.length, 0);
+
+  // With nobody voting for rajma, dal is served again and flagged
+  const forcedInput = { ...input, users: voters('a', 3, { Monday: 'dal', Tuesday: 'dal' }) };
+  const { plan, violations } = findOptimalPlan(forcedInput);
+  assert.deepEqual(getPicks(forcedInput, plan), ['dal', 'dal']);
+  assert.equal(plan.Tuesday.Lunch.main.hasViolation, true);
+  assert.match(plan.Tuesday.Lunch.main.reason, /^Forced selection/);
+  assert.deepEqual(violations.map(({ day, item: dish, reason }) => ({ day, dish, reason })), [
+    { day: 'Tuesday', dish: 'dal', reason: 'Max 1 times per week rule' }
+  ]);
+});
+
+test('explains a slot without a rule from a week planned once for every slot', () => {
+  const input = createPlannerInput(
+    catalog(['Monday', 'Tuesday'], [item('dal'), item('rajma')]),
+    [rule('maxPerWeek', { limit: 1 })],
+    { ...voters('a', 3, { Monday: 'dal', Tuesday: 'dal' }), ...voters('b', 1, { Tuesday: 'rajma' }) }
+  );
+  const { plan } = findOptimalPlan(input);
+  const withoutRule = planWithoutRule(input, 'maxPerWeek');
+  assert.deepEqual(getPicks(input, withoutRule), ['dal', 'dal']);
+
+  const tuesday = { day: 'Tuesday', meal: 'Lunch', course: 'main' };
+  const explanation = explainWithoutRule(input, plan, tuesday, 'maxPerWeek', withoutRule);
+  assert.deepEqual(explanation, explainWithoutRule(input, plan, tuesday, 'maxPerWeek'));
+  assert.equal(explanation.item, 'dal');
+  assert.equal(explanation.changedSlots, 1);
+  assert.ok(explanation.satisfactionWithout > explanation.satisfaction);
+});
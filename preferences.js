@@ -0,0 +1,105 @@
+// What a ballot says about one slot, and how much each option counts.
+//
+// A ballot slot (ballot[day][meal][course]) holds one of:
+//   'dal'                      a single pick, as in older ballots
+//   ['dal', 'rajma', 'chole']  options ranked best first
+//   { dal: 5, rajma: 3 }       options scored from 1 to 5
+// Every option carries a weight between 0 and 1 (by rank from RANK_WEIGHTS,
+// or score / 5). The planner adds weights up as votes, and satisfaction gives
+// that much credit when the plan serves the option.
+//
+// Ranked lists and single picks are picks, so the ballot rules check their
+// first choice. Scores rate dishes rather than pick one, so the rules leave
+// scored slots alone and only the planner enforces them.
+
+export const MAX_CHOICES = 3;
+
+export const RANK_WEIGHTS = [1, 0.6, 0.3];
+
+export const MAX_SCORE = 5;
+
+export const BALLOT_MODES = {
+  rank: { label: 'Rank choices', emoji: '🔢' },
+  score: { label: 'Score 1–5', emoji: '⭐' }
+};
+
+export const isScoredSlot = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Options of a slot as [{ item, weight }], best first
+export const getSlotOptions = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return [{ item: value, weight: 1 }];
+  if (Array.isArray(value)) {
+    return value
+      .filter(Boolean)
+      .slice(0, MAX_CHOICES)
+      .map((item, rank) => ({ item, weight: RANK_WEIGHTS[rank] }));
+  }
+  if (isScoredSlot(value)) {
+    return Object.entries(value)
+      .filter(([, score]) => Number(score) > 0)
+      .slice(0, MAX_CHOICES)
+      .map(([item, score]) => ({ item, weight: Math.min(Number(score), MAX_SCORE) / MAX_SCORE }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+  return [];
+};
+
+export const hasPreference = (value) => getSlotOptions(value).length > 0;
+
+// Best option of a slot, or null when it is empty
+export const getFirstChoice = (value) => getSlotOptions(value)[0]?.item || null;
+
+// Pick the ballot rules check in a slot: the first choice, or null for scores
+export const getRuledChoice = (value) => (isScoredSlot(value) ? null : getFirstChoice(value));
+
+// Credit between 0 and 1 for serving an item in a slot
+export const getPreferenceWeight = (value, itemId) =>
+  getSlotOptions(value).find(option => option.item === itemId)?.weight || 0;
+
+// Same slot with only the options `keep(itemId)` accepts, in the same form
+export const filterSlotOptions = (value, keep) => {
+  if (typeof value === 'string') return value && !keep(value) ? '' : value;
+  if (Array.isArray(value)) {
+    const kept = value.filter(keep);
+    return kept.length > 0 ? kept : '';
+  }
+  if (isScoredSlot(value)) {
+    return Object.fromEntries(Object.entries(value).filter(([item]) => keep(item)));
+  }
+  return value;
+};
+
+// 'score' when any slot of the ballot is scored, else 'rank'
+export const getBallotMode = (ballot) => {
+  const slots = Object.values(ballot || {}).flatMap(dayMeals => Object.values(dayMeals || {}).flatMap(Object.values));
+  return slots.some(isScoredSlot) ? 'score' : 'rank';
+};
+
+// Slot rewritten for another ballot mode. Ranks turn into falling scores and
+// scores into a ranking; an empty scored slot is {} so the mode survives.
+export const convertSlot = (value, mode) => {
+  const options = getSlotOptions(value);
+  if (mode === 'score') {
+    if (isScoredSlot(value)) return value;
+    return Object.fromEntries(options.map(({ item, weight }) => [item, Math.max(1, Math.round(weight * MAX_SCORE))]));
+  }
+  return options.length > 0 ? options.map(option => option.item) : '';
+};
+
+export const convertBallot = (ballot, mode) => {
+  const converted = {};
+  Object.entries(ballot || {}).forEach(([day, dayMeals]) => {
+    converted[day] = {};
+    Object.entries(dayMeals || {}).forEach(([meal, slots]) => {
+      converted[day][meal] = {};
+      Object.entries(slots || {}).forEach(([course, value]) => {
+        converted[day][meal][course] = convertSlot(value, mode);
+      });
+    });
+  });
+  return converted;
+};
+
+// Weighted votes for display, with at most one decimal
+export const formatVotes = (votes) => String(Math.round((votes || 0) * 10) / 10);
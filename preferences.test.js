@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  convertBallot,
+  filterSlotOptions,
+  formatVotes,
+  getBallotMode,
+  getFirstChoice,
+  getPreferenceWeight,
+  getRuledChoice,
+  getSlotOptions
+} from './preferences.js';
+import { createPlannerInput, findOptimalPlan } from './planner.js';
+
+test('weighs picks, rankings and scores', () => {
+  assert.deepEqual(getSlotOptions('dal'), [{ item: 'dal', weight: 1 }]);
+  assert.deepEqual(getSlotOptions(['dal', 'rajma', 'chole', 'poha']), [
+    { item: 'dal', weight: 1 },
+    { item: 'rajma', weight: 0.6 },
+    { item: 'chole', weight: 0.3 }
+  ]);
+  assert.deepEqual(getSlotOptions({ dal: 2, rajma: 5, chole: 0, poha: 9 }), [
+    { item: 'rajma', weight: 1 },
+    { item: 'poha', weight: 1 },
+    { item: 'dal', weight: 0.4 }
+  ]);
+  assert.deepEqual(getSlotOptions(''), []);
+  assert.deepEqual(getSlotOptions(['', null]), []);
+
+  assert.equal(getPreferenceWeight(['dal', 'rajma'], 'rajma'), 0.6);
+  assert.equal(getPreferenceWeight(['dal', 'rajma'], 'chole'), 0);
+});
+
+test('ballot rules check the first choice of picks and rankings, never scores', () => {
+  assert.equal(getFirstChoice(['rajma', 'dal']), 'rajma');
+  assert.equal(getFirstChoice({ dal: 3, rajma: 4 }), 'rajma');
+  assert.equal(getRuledChoice(['rajma', 'dal']), 'rajma');
+  assert.equal(getRuledChoice({ dal: 3, rajma: 4 }), null);
+  assert.equal(getRuledChoice(''), null);
+});
+
+test('filters options and keeps the slot form', () => {
+  const keep = (itemId) => itemId !== 'egg-curry';
+  assert.equal(filterSlotOptions('egg-curry', keep), '');
+  assert.equal(filterSlotOptions('dal', keep), 'dal');
+  assert.deepEqual(filterSlotOptions(['egg-curry', 'dal'], keep), ['dal']);
+  assert.equal(filterSlotOptions(['egg-curry'], keep), '');
+  assert.deepEqual(filterSlotOptions({ 'egg-curry': 5, dal: 2 }, keep), { dal: 2 });
+});
+
+test('converts ballots between ranking and scoring', () => {
+  const ranked = { Monday: { Lunch: { main: ['dal', 'rajma', 'chole'], side: '' } } };
+  const scored = convertBallot(ranked, 'score');
+  assert.deepEqual(scored, { Monday: { Lunch: { main: { dal: 5, rajma: 3, chole: 2 }, side: {} } } });
+  assert.equal(getBallotMode(scored), 'score');
+  assert.equal(getBallotMode(ranked), 'rank');
+  assert.deepEqual(convertBallot(scored, 'rank'), { Monday: { Lunch: { main: ['dal', 'rajma', 'chole'], side: '' } } });
+});
+
+test('second choices count when a first choice cannot be served again', () => {
+  const item = (id) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0 });
+  const catalog = { days: ['Monday', 'Tuesday'], meals: ['Lunch'], courses: { Lunch: ['main'] }, items: [item('dal'), item('rajma'), item('chole')] };
+  const rules = [{ id: 'once', type: 'maxPerWeek', enabled: true, params: { limit: 1 }, categories: [], overrides: {} }];
+  const ranking = { Lunch: { main: ['dal', 'rajma'] } };
+  const users = { a: { Monday: ranking, Tuesday: ranking }, b: { Monday: ranking, Tuesday: ranking }, c: { Tuesday: { Lunch: { main: 'chole' } } } };
+
+  // Dal is served once; on the other day the shared second choice (2 × 0.6)
+  // beats chole's single first choice
+  const { plan } = findOptimalPlan(createPlannerInput(catalog, rules, users));
+  assert.deepEqual([plan.Monday.Lunch.main.item, plan.Tuesday.Lunch.main.item].sort(), ['dal', 'rajma']);
+  const rajmaDay = plan.Monday.Lunch.main.item === 'rajma' ? plan.Monday : plan.Tuesday;
+  assert.equal(formatVotes(rajmaDay.Lunch.main.votes), '1.2');
+});
@@ -0,0 +1,173 @@
+// Shopping list for a planned week.
+//
+// Every catalog item lists its recipe `ingredients` by name. The amount of an
+// ingredient in one serving comes from the item's optional `quantities`
+// ({ rice: 120 }) or else the ingredient's usual serving in INGREDIENTS, which
+// also says where it is bought and how it is shelved. Each planned slot needs
+// one serving per resident who voted that week (the slot's `totalUsers`).
+
+import { forEachSlot, indexItems } from './planner.js';
+import { toCsv } from './exchange.js';
+
+export const UNITS = {
+  g: { large: 'kg', factor: 1000 },
+  ml: { large: 'L', factor: 1000 },
+  pcs: { large: null, factor: 1 }
+};
+
+export const INGREDIENTS = {
+  // Fruit
+  apple: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  banana: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  orange: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  mango: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  grapes: { unit: 'g', serving: 100, category: 'Fruit', vendor: 'Fruit market' },
+  strawberry: { unit: 'g', serving: 100, category: 'Fruit', vendor: 'Fruit market' },
+  cherry: { unit: 'g', serving: 100, category: 'Fruit', vendor: 'Fruit market' },
+  peach: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  pear: { unit: 'pcs', serving: 1, category: 'Fruit', vendor: 'Fruit market' },
+  kiwi: { unit: 'pcs', serving: 2, category: 'Fruit', vendor: 'Fruit market' },
+
+  // Vegetables
+  potato: { unit: 'g', serving: 100, category: 'Vegetables', vendor: 'Vegetable market' },
+  onion: { unit: 'g', serving: 40, category: 'Vegetables', vendor: 'Vegetable market' },
+  tomato: { unit: 'g', serving: 60, category: 'Vegetables', vendor: 'Vegetable market' },
+  'mixed vegetables': { unit: 'g', serving: 120, category: 'Vegetables', vendor: 'Vegetable market' },
+  cucumber: { unit: 'g', serving: 40, category: 'Vegetables', vendor: 'Vegetable market' },
+  carrot: { unit: 'g', serving: 100, category: 'Vegetables', vendor: 'Vegetable market' },
+
+  // Grains and pulses
+  wheat: { unit: 'g', serving: 100, category: 'Grains & pulses', vendor: 'Grocer' },
+  rice: { unit: 'g', serving: 100, category: 'Grains & pulses', vendor: 'Grocer' },
+  lentil: { unit: 'g', serving: 50, category: 'Grains & pulses', vendor: 'Grocer' },
+  chickpea: { unit: 'g', serving: 70, category: 'Grains & pulses', vendor: 'Grocer' },
+  'kidney bean': { unit: 'g', serving: 70, category: 'Grains & pulses', vendor: 'Grocer' },
+  'gram flour': { unit: 'g', serving: 60, category: 'Grains & pulses', vendor: 'Grocer' },
+
+  // Dairy and eggs
+  butter: { unit: 'g', serving: 10, category: 'Dairy & eggs', vendor: 'Dairy' },
+  ghee: { unit: 'g', serving: 10, category: 'Dairy & eggs', vendor: 'Dairy' },
+  paneer: { unit: 'g', serving: 80, category: 'Dairy & eggs', vendor: 'Dairy' },
+  yogurt: { unit: 'g', serving: 100, category: 'Dairy & eggs', vendor: 'Dairy' },
+  milk: { unit: 'ml', serving: 150, category: 'Dairy & eggs', vendor: 'Dairy' },
+  egg: { unit: 'pcs', serving: 2, category: 'Dairy & eggs', vendor: 'Poultry' },
+
+  // Pantry
+  peanut: { unit: 'g', serving: 15, category: 'Pantry', vendor: 'Grocer' },
+  cashew: { unit: 'g', serving: 10, category: 'Pantry', vendor: 'Grocer' },
+  sugar: { unit: 'g', serving: 30, category: 'Pantry', vendor: 'Grocer' }
+};
+
+// Ingredients missing from INGREDIENTS are counted in servings
+const UNKNOWN_INGREDIENT = { unit: 'pcs', serving: 1, category: 'Other', vendor: 'Other' };
+
+export const SHOPPING_GROUPS = {
+  vendor: { label: 'Vendor', emoji: '🏪' },
+  category: { label: 'Category', emoji: '🗂️' }
+};
+
+export const getIngredientInfo = (ingredient) => INGREDIENTS[ingredient] || UNKNOWN_INGREDIENT;
+
+// Amount of each ingredient in one serving of an item, in its base unit
+export const getServingQuantities = (item) =>
+  (item?.ingredients || []).map(ingredient => {
+    const quantity = item.quantities?.[ingredient];
+    const amount = quantity === undefined || quantity === null || quantity === ''
+      ? getIngredientInfo(ingredient).serving
+      : Math.max(0, Number(quantity) || 0);
+    return { ingredient, amount };
+  });
+
+// Recipe as text for editing, e.g. "rice: 120, lentil" (no amount means the
+// usual serving), and back to { ingredients, quantities }
+export const formatRecipe = (item) =>
+  (item?.ingredients || [])
+    .map(ingredient => (item.quantities?.[ingredient] !== undefined ? `${ingredient}: ${item.quantities[ingredient]}` : ingredient))
+    .join(', ');
+
+export const parseRecipe = (text) => {
+  const ingredients = [];
+  const quantities = {};
+  String(text || '').split(',').forEach(part => {
+    const [name, amount] = part.split(':').map(value => value.trim());
+    const ingredient = (name || '').toLowerCase();
+    if (!ingredient || ingredients.includes(ingredient)) return;
+    ingredients.push(ingredient);
+    if (amount && Number(amount) >= 0) quantities[ingredient] = Number(amount);
+  });
+  return { ingredients, quantities };
+};
+
+// e.g. "12.5 kg", "800 g" or "42 pcs"
+export const formatQuantity = (amount, unit) => {
+  const { large, factor } = UNITS[unit] || UNITS.pcs;
+  if (large && amount >= factor) return `${Math.round((amount / factor) * 10) / 10} ${large}`;
+  return `${Math.ceil(amount)} ${unit}`;
+};
+
+const addRow = (rows, ingredient, amount, itemId) => {
+  if (!rows[ingredient]) {
+    const { unit, category, vendor } = getIngredientInfo(ingredient);
+    rows[ingredient] = { ingredient, amount: 0, unit, category, vendor, items: [] };
+  }
+  rows[ingredient].amount += amount;
+  if (!rows[ingredient].items.includes(itemId)) rows[ingredient].items.push(itemId);
+};
+
+const sortRows = (rows) => Object.values(rows).sort((a, b) => a.ingredient.localeCompare(b.ingredient));
+
+// What to buy for the plan: { days: { [day]: rows }, week: rows } where each
+// row is { ingredient, amount, unit, category, vendor, items }
+export const buildShoppingList = (input, plan) => {
+  const itemsById = indexItems(input.items);
+  const byDay = {};
+  const week = {};
+
+  input.days.forEach(day => {
+    byDay[day] = {};
+  });
+  forEachSlot(input, (day, meal, course) => {
+    const cell = plan[day]?.[meal]?.[course];
+    const item = itemsById[cell?.item];
+    if (!item || !cell.totalUsers) return;
+
+    getServingQuantities(item).forEach(({ ingredient, amount }) => {
+      addRow(byDay[day], ingredient, amount * cell.totalUsers, item.id);
+      addRow(week, ingredient, amount * cell.totalUsers, item.id);
+    });
+  });
+
+  const days = {};
+  input.days.forEach(day => {
+    days[day] = sortRows(byDay[day]);
+  });
+  return { days, week: sortRows(week) };
+};
+
+// Rows grouped by 'vendor' or 'category': [{ group, rows }], groups by name
+export const groupShoppingRows = (rows, groupBy) => {
+  const groups = {};
+  rows.forEach(row => {
+    const group = row[groupBy] || UNKNOWN_INGREDIENT[groupBy];
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(row);
+  });
+  return Object.keys(groups).sort().map(group => ({ group, rows: groups[group] }));
+};
+
+// The week's list followed by each day's, one row per ingredient
+export const shoppingListToCsv = (list, groupBy, itemsById = {}) => {
+  const lines = [['List', SHOPPING_GROUPS[groupBy].label, 'Ingredient', 'Quantity', 'Unit', 'Dishes']];
+  const addRows = (label, rows) => {
+    groupShoppingRows(rows, groupBy).forEach(({ group, rows: groupRows }) => {
+      groupRows.forEach(row => {
+        const dishes = row.items.map(itemId => itemsById[itemId]?.name || itemId).join('; ');
+        lines.push([label, group, row.ingredient, Math.round(row.amount * 100) / 100, row.unit, dishes]);
+      });
+    });
+  };
+
+  addRows('Week', list.week);
+  Object.entries(list.days).forEach(([day, rows]) => addRows(day, rows));
+  return toCsv(lines);
+};
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildShoppingList,
+  formatQuantity,
+  formatRecipe,
+  getServingQuantities,
+  groupShoppingRows,
+  parseRecipe,
+  shoppingListToCsv
+} from './procurement.js';
+import { parseCsv } from './exchange.js';
+
+const item = (id, fields = {}) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0, ...fields });
+const input = {
+  days: ['Monday', 'Tuesday'],
+  meals: ['Lunch'],
+  courses: { Lunch: ['main'] },
+  items: [
+    item('rajma', { name: 'Rajma Chawal', ingredients: ['kidney bean', 'rice'], quantities: { rice: 120 } }),
+    item('khichdi', { name: 'Khichdi', ingredients: ['rice', 'lentil', 'jaggery'] })
+  ]
+};
+
+test('recipe text round-trips amounts and leaves out the usual servings', () => {
+  const recipe = parseRecipe(' Rice: 120, lentil, rice: 90, jaggery: -2, , onion: 0');
+  assert.deepEqual(recipe, { ingredients: ['rice', 'lentil', 'jaggery', 'onion'], quantities: { rice: 120, onion: 0 } });
+  assert.equal(formatRecipe(recipe), 'rice: 120, lentil, jaggery, onion: 0');
+  assert.deepEqual(parseRecipe(''), { ingredients: [], quantities: {} });
+});
+
+test('serving amounts come from the item, else the ingredient\'s usual serving', () => {
+  assert.deepEqual(getServingQuantities(input.items[0]), [{ ingredient: 'kidney bean', amount: 70 }, { ingredient: 'rice', amount: 120 }]);
+  // Unknown ingredients count one serving each
+  assert.deepEqual(getServingQuantities(input.items[1]).map(({ amount }) => amount), [100, 50, 1]);
+  assert.deepEqual(getServingQuantities({ ingredients: ['rice'], quantities: { rice: 'lots' } }), [{ ingredient: 'rice', amount: 0 }]);
+  assert.deepEqual(getServingQuantities(null), []);
+});
+
+test('buys one serving per voter for every planned slot', () => {
+  const plan = {
+    Monday: { Lunch: { main: { item: 'rajma', totalUsers: 10 } } },
+    Tuesday: { Lunch: { main: { item: 'khichdi', totalUsers: 4 } } }
+  };
+  const list = buildShoppingList(input, plan);
+  const rice = list.week.find(row => row.ingredient === 'rice');
+  assert.equal(rice.amount, 10 * 120 + 4 * 100);
+  assert.deepEqual(rice.items, ['rajma', 'khichdi']);
+  assert.equal(rice.vendor, 'Grocer');
+  assert.deepEqual(list.week.map(row => row.ingredient), ['jaggery', 'kidney bean', 'lentil', 'rice']);
+  assert.deepEqual(list.days.Monday.map(row => [row.ingredient, row.amount]), [['kidney bean', 700], ['rice', 1200]]);
+
+  // Empty slots and slots nobody voted for need nothing
+  const empty = buildShoppingList(input, { Monday: { Lunch: { main: { item: 'rajma', totalUsers: 0 } } } });
+  assert.deepEqual(empty, { days: { Monday: [], Tuesday: [] }, week: [] });
+});
+
+test('groups rows and writes the week before each day to CSV', () => {
+  const plan = { Monday: { Lunch: { main: { item: 'khichdi', totalUsers: 3 } } } };
+  const list = buildShoppingList(input, plan);
+  assert.deepEqual(groupShoppingRows(list.week, 'vendor').map(({ group, rows }) => [group, rows.length]), [['Grocer', 2], ['Other', 1]]);
+
+  const [header, ...rows] = parseCsv(shoppingListToCsv(list, 'category', { khichdi: input.items[1] }));
+  assert.deepEqual(header, ['List', 'Category', 'Ingredient', 'Quantity', 'Unit', 'Dishes']);
+  assert.deepEqual(rows.map(row => row[0]), ['Week', 'Week', 'Week', 'Monday', 'Monday', 'Monday']);
+  assert.deepEqual(rows[0], ['Week', 'Grains & pulses', 'lentil', '150', 'g', 'Khichdi']);
+
+  assert.equal(formatQuantity(12500, 'g'), '12.5 kg');
+  assert.equal(formatQuantity(800.2, 'g'), '801 g');
+  assert.equal(formatQuantity(1500, 'pcs'), '1500 pcs');
+});
@@ -0,0 +1,99 @@
+// The weekly cycle of a mess menu: the ballot opens, a deadline closes it,
+// admins review the plan and publish it.
+//
+// A week's ballot window is { opensAt, closesAt } (ISO times, either may be
+// null for no limit). Residents can only change their ballots while it is
+// open. Publishing closes the window and freezes the plan as a numbered
+// version ({ ...plan record, version, publishedBy, publishedAt }); later
+// changes to the votes or rules never touch a published version, they only
+// go into the next one.
+
+import { MessError } from './auth.js';
+
+export const EMPTY_WINDOW = { opensAt: null, closesAt: null };
+
+export const WEEK_STATUSES = {
+  upcoming: { label: 'Voting not open yet', emoji: '⏳' },
+  open: { label: 'Voting open', emoji: '🗳️' },
+  review: { label: 'Voting closed, plan in review', emoji: '🔎' },
+  published: { label: 'Plan published', emoji: '📢' }
+};
+
+const toTime = (value) => (value ? Date.parse(value) : NaN);
+
+// ISO 8601 date strings such as toISOString writes; seconds, the UTC offset or
+// the whole time may be left out. Numbers and other date formats are refused.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+const isIsoDate = (value) => typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(toTime(value));
+
+export const normalizeWindow = (window) => ({
+  opensAt: window?.opensAt || null,
+  closesAt: window?.closesAt || null
+});
+
+// Problems with a ballot window; empty when it is fine
+export const validateWindow = (window) => {
+  const { opensAt, closesAt } = normalizeWindow(window);
+  const errors = [];
+  if (opensAt && !isIsoDate(opensAt)) errors.push(`Opening time "${opensAt}" is not an ISO date`);
+  if (closesAt && !isIsoDate(closesAt)) errors.push(`Deadline "${closesAt}" is not an ISO date`);
+  if (errors.length === 0 && opensAt && closesAt && toTime(closesAt) < toTime(opensAt)) {
+    errors.push('The deadline must not be before voting opens');
+  }
+  return errors;
+};
+
+// Checked window in ISO form. Throws MessError('invalid') when it is not valid.
+export const requireWindow = (window) => {
+  const errors = validateWindow(window);
+  if (errors.length > 0) {
+    throw new MessError('invalid', 'Ballot window is not valid', errors);
+  }
+  const { opensAt, closesAt } = normalizeWindow(window);
+  return {
+    opensAt: opensAt && new Date(opensAt).toISOString(),
+    closesAt: closesAt && new Date(closesAt).toISOString()
+  };
+};
+
+// Where a week is in its cycle at `now`, given its window and its published
+// plan record (null before the first one)
+export const getWeekStatus = (window, published, now = new Date()) => {
+  const { opensAt, closesAt } = normalizeWindow(window);
+  const time = now.getTime();
+  if (opensAt && time < toTime(opensAt)) return 'upcoming';
+  if (!closesAt || time < toTime(closesAt)) return 'open';
+  return published ? 'published' : 'review';
+};
+
+export const isBallotOpen = (window, now = new Date()) => getWeekStatus(window, null, now) === 'open';
+
+// The window closed at `at`, keeping its opening time unless that is later
+export const closeWindow = (window, at = new Date().toISOString()) => {
+  const { opensAt } = normalizeWindow(window);
+  return { opensAt: opensAt && toTime(opensAt) < toTime(at) ? opensAt : at, closesAt: at };
+};
+
+// Time (ms) of the next opening or deadline after `now`, or null when
+// nothing more changes
+export const getNextWindowChange = (window, now = new Date()) => {
+  const { opensAt, closesAt } = normalizeWindow(window);
+  const upcoming = [toTime(opensAt), toTime(closesAt)].filter(time => time > now.getTime());
+  return upcoming.length > 0 ? Math.min(...upcoming) : null;
+};
+
+// Version number of a published plan record; records saved before versions
+// were kept count as the first
+export const getPlanVersion = (record) => record?.version || 1;
+
+// Countdown text such as "2d 4h 13m", or "4m 09s" under an hour
+export const formatCountdown = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h ${minutes}m`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
@@ -0,0 +1,275 @@
+// Declarative scheduling rules shared by the voter-side filter and the planner.
+//
+// A rule is plain data: { id, type, enabled, params, categories, overrides }.
+// The type points into RULE_TYPES, which knows how to describe and check it.
+// `categories` limits the rule to some courses (empty means every course), so
+// desserts can have a different weekly limit than mains. Overrides are keyed by
+// item id and can change params or switch the rule off for that item, e.g.
+// { mango: { limit: 1 } } or { banana: { enabled: false } }.
+//
+// Checks look at a `placed` list of picks already in the same schedule
+// ({ day, dayIndex, meal, course, item }) and must be symmetric between two
+// picks, so the planner can check against earlier slots only while the ballot
+// filter checks against every other slot. `itemsById` gives rules access to
+// catalog data such as ingredients, cost and stock, and `headcount` is the
+// number of residents eating each meal.
+//
+// `history` holds the picks of the saved plans of earlier weeks, with a
+// `weeksAgo` count and a negative dayIndex counted back from this week's
+// Monday (last Sunday is -1), so rules can look across the week boundary.
+//
+// Budget rules (marked `budget: true`) cap what a resident's meals cost, using
+// each item's `cost` per serving in rupees.
+
+import { STOCK_RULE, getStockUses } from './inventory.js';
+
+// Per-serving cost of an item id, 0 when unknown
+export const getItemCost = (itemsById, itemId) => Number(itemsById[itemId]?.cost) || 0;
+
+const sumCosts = (picks, itemsById) => picks.reduce((total, pick) => total + getItemCost(itemsById, pick.item), 0);
+
+export const RULE_TYPES = {
+  sameDay: {
+    label: 'No Same Day Repeat',
+    params: {},
+    describe: () => 'Same item cannot be selected for two meals on the same day',
+    violation: () => 'Same day rule',
+    isBroken: ({ slot, item, placed }) =>
+      placed.some(pick => pick.item === item && pick.dayIndex === slot.dayIndex)
+  },
+
+  noRepeatWithinDays: {
+    label: 'No Repeat Within Days',
+    params: { days: 1 },
+    describe: ({ days }) => days === 1
+      ? 'Same item cannot appear on consecutive days'
+      : `Same item cannot appear again within ${days} days`,
+    violation: ({ days }) => days === 1 ? 'Consecutive days rule' : `No repeat within ${days} days rule`,
+    isBroken: ({ slot, item, placed, history = [] }, { days }) =>
+      [...placed, ...history].some(pick =>
+        pick.item === item &&
+        pick.dayIndex !== slot.dayIndex &&
+        Math.abs(pick.dayIndex - slot.dayIndex) <= days
+      )
+  },
+
+  weekStreak: {
+    label: 'Weekly Rotation',
+    params: { weeks: 2, uses: 2 },
+    describe: ({ weeks, uses }) => `No item may be served ${uses} or more times a week for more than ${weeks} weeks in a row`,
+    violation: ({ weeks }) => `Top dish ${weeks} weeks in a row rule`,
+    isBroken: ({ item, placed, history = [] }, { weeks, uses }) => {
+      const usesIn = (weeksAgo) => history.filter(pick => pick.item === item && pick.weeksAgo === weeksAgo).length;
+      let streak = 0;
+      while (streak < weeks && usesIn(streak + 1) >= uses) streak++;
+      return streak >= weeks && placed.filter(pick => pick.item === item).length + 1 >= uses;
+    }
+  },
+
+  maxPerWeek: {
+    label: 'Max Times Per Week',
+    params: { limit: 2 },
+    describe: ({ limit }) => `Each item can only be selected at most ${limit} times throughout the week`,
+    violation: ({ limit }) => `Max ${limit} times per week rule`,
+    isBroken: ({ item, placed }, { limit }) =>
+      placed.filter(pick => pick.item === item).length >= limit
+  },
+
+  noSharedIngredient: {
+    label: 'No Shared Ingredient In A Meal',
+    params: { ingredient: 'paneer' },
+    describe: ({ ingredient }) => `Only one course of a meal may contain ${ingredient}`,
+    violation: ({ ingredient }) => `Shared ${ingredient} rule`,
+    isBroken: ({ slot, item, placed, itemsById }, { ingredient }) => {
+      const contains = (itemId) => Boolean(itemsById[itemId]?.ingredients?.includes(ingredient));
+      return contains(item) && placed.some(pick =>
+        pick.dayIndex === slot.dayIndex &&
+        pick.meal === slot.meal &&
+        pick.course !== slot.course &&
+        contains(pick.item)
+      );
+    }
+  },
+
+  mealBudget: {
+    label: 'Meal Budget',
+    budget: true,
+    params: { limit: 120 },
+    describe: ({ limit }) => `One meal may cost at most ₹${limit} per resident`,
+    violation: ({ limit }) => `₹${limit} meal budget`,
+    isBroken: ({ slot, item, placed, itemsById }, { limit }) => {
+      const sameMeal = placed.filter(pick => pick.dayIndex === slot.dayIndex && pick.meal === slot.meal);
+      return sumCosts(sameMeal, itemsById) + getItemCost(itemsById, item) > limit;
+    }
+  },
+
+  weeklyBudget: {
+    label: 'Weekly Budget',
+    budget: true,
+    params: { limit: 2000 },
+    describe: ({ limit }) => `The week's meals may cost at most ₹${limit} per resident`,
+    violation: ({ limit }) => `₹${limit} weekly budget`,
+    isBroken: ({ item, placed, itemsById }, { limit }) =>
+      sumCosts(placed, itemsById) + getItemCost(itemsById, item) > limit
+  },
+
+  stockLimit: {
+    label: 'Storeroom Stock',
+    params: {},
+    describe: () => 'Items with limited stock are only served as often as the stock feeds every resident',
+    violation: () => 'Out of stock',
+    isBroken: ({ item, placed, itemsById, headcount }) => {
+      const uses = getStockUses(itemsById[item], headcount);
+      return uses !== null && placed.filter(pick => pick.item === item).length >= uses;
+    }
+  }
+};
+
+export const DEFAULT_RULES = [
+  { id: 'sameDay', type: 'sameDay', enabled: true, params: {}, categories: [], overrides: {} },
+  { id: 'consecutiveDays', type: 'noRepeatWithinDays', enabled: true, params: { days: 1 }, categories: [], overrides: {} },
+  // Mains and sides are served at more meals than desserts and fruit, so they
+  // get higher limits
+  { id: 'maxPerWeek', type: 'maxPerWeek', enabled: true, params: { limit: 2 }, categories: ['dessert', 'fruit'], overrides: {} },
+  { id: 'maxMainsPerWeek', type: 'maxPerWeek', enabled: true, params: { limit: 3 }, categories: ['main'], overrides: {} },
+  { id: 'maxSidesPerWeek', type: 'maxPerWeek', enabled: true, params: { limit: 4 }, categories: ['side'], overrides: {} },
+  { id: 'sharedPaneer', type: 'noSharedIngredient', enabled: true, params: { ingredient: 'paneer' }, categories: [], overrides: {} },
+  { id: 'weeklyBudget', type: 'weeklyBudget', enabled: true, params: { limit: 2000 }, categories: [], overrides: {} },
+  { id: 'mealBudget', type: 'mealBudget', enabled: false, params: { limit: 120 }, categories: [], overrides: {} },
+  { id: 'rotation', type: 'weekStreak', enabled: true, params: { weeks: 2, uses: 2 }, categories: [], overrides: {} },
+  STOCK_RULE
+];
+
+// Effective params of a rule for one catalog item, or null when it does not apply
+export const resolveRuleParams = (rule, item) => {
+  const type = RULE_TYPES[rule.type];
+  if (!type || !rule.enabled) return null;
+  if (rule.categories?.length && !rule.categories.includes(item.category)) return null;
+
+  const { enabled = true, ...overrideParams } = rule.overrides?.[item.id] || {};
+  if (!enabled) return null;
+
+  return { ...type.params, ...rule.params, ...overrideParams };
+};
+
+// First rule an item would break in a slot as { rule, message }, or null if it fits
+export const findBrokenRule = (rules, { slot, item, placed, itemsById = {}, headcount = 1, history = [] }) => {
+  const catalogItem = itemsById[item] || { id: item };
+
+  for (const rule of rules) {
+    const params = resolveRuleParams(rule, catalogItem);
+    if (!params) continue;
+
+    const type = RULE_TYPES[rule.type];
+    if (type.isBroken({ slot, item, placed, itemsById, headcount, history }, params)) {
+      return { rule, message: type.violation(params) };
+    }
+  }
+  return null;
+};
+
+// Message of the first rule an item would break in a slot, or null if it fits
+export const findRuleViolation = (rules, context) => findBrokenRule(rules, context)?.message || null;
+
+// Every rule the pick would break, not just the first, as [{ rule, message }]
+export const findBrokenRules = (rules, context) => rules.map(rule => findBrokenRule([rule], context)).filter(Boolean);
+
+// Placed picks that make a rule break for an item: those that clash with it
+// on their own (a repeat on the same or the next day), else those without
+// which it would be allowed (a budget), else every pick of the same item (a
+// weekly limit that is already overrun). When earlier weeks alone break it,
+// the picks of those weeks that clash are given instead.
+export const findBlockingPicks = (rule, context) => {
+  const { placed, item, history = [] } = context;
+  const breaks = (picks) => Boolean(findBrokenRule([rule], { ...context, placed: picks }));
+
+  if (breaks([])) {
+    const breaksWith = (picks) => Boolean(findBrokenRule([rule], { ...context, placed: [], history: picks }));
+    const clashingBefore = history.filter(pick => breaksWith([pick]));
+    return clashingBefore.length > 0 ? clashingBefore : history.filter(pick => pick.item === item);
+  }
+
+  const clashing = placed.filter(pick => breaks([pick]));
+  if (clashing.length > 0) return clashing;
+  const needed = placed.filter(pick => !breaks(placed.filter(other => other !== pick)));
+  return needed.length > 0 ? needed : placed.filter(pick => pick.item === item);
+};
+
+// Problems with a rule list sent from outside (settings or an import), empty
+// when every rule has a known type, a unique id and params of the right kind
+export const validateRules = (rules) => {
+  if (!Array.isArray(rules)) return ['Rules must be a list'];
+
+  const errors = [];
+  const ids = new Set();
+  rules.forEach((rule, index) => {
+    const label = typeof rule?.id === 'string' && rule.id ? `Rule "${rule.id}"` : `Rule ${index + 1}`;
+    const type = RULE_TYPES[rule?.type];
+    if (!type) {
+      errors.push(`${label}: type must be one of ${Object.keys(RULE_TYPES).join(', ')}`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !rule.id) errors.push(`${label} needs an id`);
+    else if (ids.has(rule.id)) errors.push(`${label} is listed twice`);
+    ids.add(rule.id);
+
+    const checkParams = (params, suffix = '') => {
+      if (params === undefined) return;
+      if (!params || typeof params !== 'object' || Array.isArray(params)) {
+        errors.push(`${label}: params${suffix} must be an object`);
+        return;
+      }
+      Object.keys(type.params).filter(param => params[param] !== undefined).forEach(param => {
+        const valid = typeof type.params[param] === 'number'
+          ? Number.isFinite(params[param]) && params[param] >= 0
+          : typeof params[param] === 'string';
+        if (!valid) errors.push(`${label}: ${param}${suffix} must be ${typeof type.params[param] === 'number' ? 'a number' : 'text'}`);
+      });
+    };
+    checkParams(rule.params);
+    if (rule.categories !== undefined && !Array.isArray(rule.categories)) {
+      errors.push(`${label}: categories must be a list`);
+    }
+    if (rule.overrides !== undefined) {
+      if (!rule.overrides || typeof rule.overrides !== 'object' || Array.isArray(rule.overrides)) {
+        errors.push(`${label}: overrides must be keyed by item id`);
+      } else {
+        Object.entries(rule.overrides).forEach(([itemId, override]) => checkParams(override, ` for "${itemId}"`));
+      }
+    }
+  });
+  return errors;
+};
+
+export const isBudgetRule = (rule) => Boolean(RULE_TYPES[rule?.type]?.budget);
+
+// Human readable description of every enabled rule, for the rules panel
+export const describeRules = (rules) =>
+  rules
+    .filter(rule => rule.enabled && RULE_TYPES[rule.type])
+    .map(rule => {
+      const type = RULE_TYPES[rule.type];
+      const params = { ...type.params, ...rule.params };
+      const overrides = Object.keys(rule.overrides || {});
+      return {
+        id: rule.id,
+        label: type.label,
+        description: type.describe(params),
+        categories: rule.categories || [],
+        overrides
+      };
+    });
+
+// Weekly limit that applies to a catalog item, or null when no limit is enabled
+export const getItemLimit = (rules, item) => {
+  let itemLimit = null;
+  rules
+    .filter(rule => rule.type === 'maxPerWeek')
+    .forEach(rule => {
+      const params = resolveRuleParams(rule, item);
+      if (params && (itemLimit === null || params.limit < itemLimit)) {
+        itemLimit = params.limit;
+      }
+    });
+  return itemLimit;
+};
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_RULES, RULE_TYPES, findBlockingPicks, findBrokenRule, findBrokenRules, findRuleViolation, getItemLimit, resolveRuleParams, validateRules } from './rules.js';
+
+const rule = (type, params = {}, fields = {}) => ({ id: type, type, enabled: true, params, categories: [], overrides: {}, ...fields });
+
+const pick = (item, dayIndex, meal = 'Lunch', course = 'main') => ({ day: `day${dayIndex}`, dayIndex, meal, course, item });
+
+const slot = (dayIndex, meal = 'Lunch', course = 'main') => ({ day: `day${dayIndex}`, dayIndex, meal, course });
+
+const itemsById = {
+  dal: { id: 'dal', category: 'main', ingredients: ['lentil'], cost: 20 },
+  rajma: { id: 'rajma', category: 'main', ingredients: ['kidney bean'], cost: 35 },
+  'paneer-butter-masala': { id: 'paneer-butter-masala', category: 'main', ingredients: ['paneer', 'tomato'], cost: 60 },
+  'paneer-tikka': { id: 'paneer-tikka', category: 'side', ingredients: ['paneer', 'yogurt'], cost: 50 },
+  kheer: { id: 'kheer', category: 'dessert', ingredients: ['milk', 'rice'], cost: 25, stock: 60 }
+};
+
+const breaks = (ruleEntry, context) => Boolean(findBrokenRule([ruleEntry], { itemsById, placed: [], ...context }));
+
+test('sameDay stops an item at two meals of one day', () => {
+  const sameDay = rule('sameDay');
+  assert.equal(breaks(sameDay, { slot: slot(0, 'Dinner'), item: 'dal', placed: [pick('dal', 0)] }), true);
+  assert.equal(breaks(sameDay, { slot: slot(1, 'Dinner'), item: 'dal', placed: [pick('dal', 0)] }), false);
+  assert.equal(breaks(sameDay, { slot: slot(0, 'Dinner'), item: 'rajma', placed: [pick('dal', 0)] }), false);
+});
+
+test('noRepeatWithinDays counts days either side and last week\'s picks', () => {
+  const withinTwo = rule('noRepeatWithinDays', { days: 2 });
+  assert.equal(breaks(withinTwo, { slot: slot(2), item: 'dal', placed: [pick('dal', 0)] }), true);
+  assert.equal(breaks(withinTwo, { slot: slot(3), item: 'dal', placed: [pick('dal', 0)] }), false);
+  assert.equal(breaks(withinTwo, { slot: slot(0), item: 'dal', placed: [pick('dal', 1)] }), true);
+
+  // Last Sunday is dayIndex -1
+  const consecutive = rule('noRepeatWithinDays', { days: 1 });
+  const history = [{ ...pick('dal', -1), weeksAgo: 1 }];
+  assert.equal(breaks(consecutive, { slot: slot(0), item: 'dal', history }), true);
+  assert.equal(breaks(consecutive, { slot: slot(1), item: 'dal', history }), false);
+});
+
+test('weekStreak only bites after the item was a regular for the set number of weeks', () => {
+  const rotation = rule('weekStreak', { weeks: 2, uses: 2 });
+  const weeks = (...counts) => counts.flatMap((count, index) =>
+    Array.from({ length: count }, (_, use) => ({ ...pick('dal', -7 * (index + 1) + use), weeksAgo: index + 1 })));
+
+  assert.equal(breaks(rotation, { slot: slot(3), item: 'dal', placed: [pick('dal', 0)], history: weeks(2, 2) }), true);
+  assert.equal(breaks(rotation, { slot: slot(3), item: 'dal', placed: [], history: weeks(2, 2) }), false);
+  assert.equal(breaks(rotation, { slot: slot(3), item: 'dal', placed: [pick('dal', 0)], history: weeks(2, 1) }), false);
+});
+
+test('maxPerWeek allows up to the limit, per course and per item', () => {
+  const limit = rule('maxPerWeek', { limit: 2 });
+  const twice = [pick('dal', 0), pick('dal', 2)];
+  assert.equal(breaks(limit, { slot: slot(4), item: 'dal', placed: [pick('dal', 0)] }), false);
+  assert.equal(breaks(limit, { slot: slot(4), item: 'dal', placed: twice }), true);
+
+  const dessertsOnly = rule('maxPerWeek', { limit: 2 }, { categories: ['dessert'] });
+  assert.equal(breaks(dessertsOnly, { slot: slot(4), item: 'dal', placed: twice }), false);
+
+  const dalThrice = rule('maxPerWeek', { limit: 2 }, { overrides: { dal: { limit: 3 } } });
+  assert.equal(breaks(dalThrice, { slot: slot(4), item: 'dal', placed: twice }), false);
+  const dalFree = rule('maxPerWeek', { limit: 1 }, { overrides: { dal: { enabled: false } } });
+  assert.equal(breaks(dalFree, { slot: slot(4), item: 'dal', placed: twice }), false);
+});
+
+test('noSharedIngredient keeps an ingredient to one course of a meal', () => {
+  const paneer = rule('noSharedIngredient', { ingredient: 'paneer' });
+  const placed = [pick('paneer-butter-masala', 0)];
+  assert.equal(breaks(paneer, { slot: slot(0, 'Lunch', 'side'), item: 'paneer-tikka', placed }), true);
+  assert.equal(breaks(paneer, { slot: slot(0, 'Dinner', 'side'), item: 'paneer-tikka', placed }), false);
+  assert.equal(breaks(paneer, { slot: slot(0, 'Lunch', 'side'), item: 'dal', placed }), false);
+});
+
+test('mealBudget adds up the courses of one meal', () => {
+  const budget = rule('mealBudget', { limit: 100 });
+  const placed = [pick('paneer-butter-masala', 0)];
+  assert.equal(breaks(budget, { slot: slot(0, 'Lunch', 'dessert'), item: 'kheer', placed }), false);
+  assert.equal(breaks(budget, { slot: slot(0, 'Lunch', 'side'), item: 'paneer-tikka', placed }), true);
+  assert.equal(breaks(budget, { slot: slot(0, 'Dinner', 'side'), item: 'paneer-tikka', placed }), false);
+});
+
+test('weeklyBudget adds up the whole week', () => {
+  const budget = rule('weeklyBudget', { limit: 100 });
+  const placed = [pick('rajma', 0), pick('rajma', 2)];
+  assert.equal(breaks(budget, { slot: slot(4), item: 'dal', placed }), false);
+  assert.equal(breaks(budget, { slot: slot(4), item: 'rajma', placed }), true);
+});
+
+test('stockLimit serves an item only as often as the stock feeds everyone', () => {
+  const stock = rule('stockLimit');
+  const placed = [pick('kheer', 0, 'Lunch', 'dessert')];
+  // 60 servings feed 40 residents once and 30 residents twice
+  assert.equal(breaks(stock, { slot: slot(2, 'Lunch', 'dessert'), item: 'kheer', headcount: 40 }), false);
+  assert.equal(breaks(stock, { slot: slot(2, 'Lunch', 'dessert'), item: 'kheer', placed, headcount: 40 }), true);
+  assert.equal(breaks(stock, { slot: slot(2, 'Lunch', 'dessert'), item: 'kheer', placed, headcount: 30 }), false);
+  assert.equal(breaks(stock, { slot: slot(2), item: 'dal', placed: [pick('dal', 0)], headcount: 40 }), false);
+});
+
+test('every rule type has a test above', () => {
+  assert.deepEqual(Object.keys(RULE_TYPES).sort(), [
+    'maxPerWeek', 'mealBudget', 'noRepeatWithinDays', 'noSharedIngredient', 'sameDay', 'stockLimit', 'weekStreak', 'weeklyBudget'
+  ]);
+});
+
+test('disabled and unknown rules never apply', () => {
+  assert.equal(resolveRuleParams(rule('sameDay', {}, { enabled: false }), itemsById.dal), null);
+  assert.equal(resolveRuleParams(rule('noSuchRule'), itemsById.dal), null);
+  assert.deepEqual(resolveRuleParams(rule('noRepeatWithinDays'), itemsById.dal), { days: 1 });
+});
+
+test('findBrokenRule reports the first rule broken, findBrokenRules all of them', () => {
+  const rules = [rule('sameDay'), rule('maxPerWeek', { limit: 1 })];
+  const context = { slot: slot(0, 'Dinner'), item: 'dal', placed: [pick('dal', 0)], itemsById };
+  assert.equal(findBrokenRule(rules, context).rule.id, 'sameDay');
+  assert.equal(findRuleViolation(rules, context), 'Same day rule');
+  assert.deepEqual(findBrokenRules(rules, context).map(broken => broken.message), ['Same day rule', 'Max 1 times per week rule']);
+  assert.equal(findRuleViolation(rules, { ...context, item: 'rajma' }), null);
+});
+
+test('findBlockingPicks names the picks behind a clash', () => {
+  const consecutive = rule('noRepeatWithinDays', { days: 1 });
+  const placed = [pick('dal', 0), pick('rajma', 1), pick('dal', 4)];
+  assert.deepEqual(findBlockingPicks(consecutive, { slot: slot(1, 'Dinner'), item: 'dal', placed, itemsById }), [placed[0]]);
+
+  const budget = rule('weeklyBudget', { limit: 60 });
+  assert.deepEqual(findBlockingPicks(budget, { slot: slot(5), item: 'rajma', placed: [pick('rajma', 0), pick('dal', 2)], itemsById }), [pick('rajma', 0)]);
+});
+
+test('getItemLimit takes the tightest weekly limit that applies', () => {
+  const rules = [
+    rule('maxPerWeek', { limit: 3 }, { categories: ['main'] }),
+    rule('maxPerWeek', { limit: 2 }, { overrides: { dal: { limit: 1 } } })
+  ];
+  assert.equal(getItemLimit(rules, itemsById.dal), 1);
+  assert.equal(getItemLimit(rules, itemsById.rajma), 2);
+  assert.equal(getItemLimit([rule('sameDay')], itemsById.rajma), null);
+});
+
+test('validateRules accepts the defaults and names what is wrong with others', () => {
+  assert.deepEqual(validateRules(DEFAULT_RULES), []);
+  assert.deepEqual(validateRules({}), ['Rules must be a list']);
+  assert.deepEqual(validateRules([
+    rule('noSuchRule'),
+    rule('maxPerWeek', { limit: 'two' }),
+    rule('sameDay', {}, { id: 'maxPerWeek' }),
+    rule('weeklyBudget', {}, { overrides: { dal: { limit: -5 } } })
+  ]), [
+    'Rule "noSuchRule": type must be one of sameDay, noRepeatWithinDays, weekStreak, maxPerWeek, noSharedIngredient, mealBudget, weeklyBudget, stockLimit',
+    'Rule "maxPerWeek": limit must be a number',
+    'Rule "maxPerWeek" is listed twice',
+    'Rule "weeklyBudget": limit for "dal" must be a number'
+  ]);
+});
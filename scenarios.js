@@ -0,0 +1,84 @@
+// What-if scenarios for admins.
+//
+// A scenario is a sandbox copy of the week's settings, { rules, locks,
+// excludedItems }: its own rule set, items locked into slots ({ day, meal,
+// course, item }) and items the planner must leave out. It is planned from
+// the same ballots as the real week and compared with the baseline plan;
+// nothing in a scenario is ever saved.
+
+import {
+  calculatePlanCost,
+  calculateSatisfaction,
+  diffPlans,
+  findOptimalPlan
+} from './planner.js';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Fresh scenario starting from the current rules
+export const createScenario = (rules) => ({ rules: clone(rules), locks: [], excludedItems: [] });
+
+const isSameSlot = (a, b) => a.day === b.day && a.meal === b.meal && a.course === b.course;
+
+// Planner input for the scenario, with the baseline's ballots and catalog.
+// The week's own locks and bans (see overrides.js) still apply, except in
+// slots the scenario locks to something else.
+export const applyScenario = (input, { rules, locks, excludedItems }) => ({
+  ...input,
+  rules,
+  locks: [...(input.locks || []).filter(lock => !locks.some(other => isSameSlot(lock, other))), ...locks],
+  excludedItems: [...new Set([...(input.excludedItems || []), ...excludedItems])]
+});
+
+// Lock an item into a slot, replacing any lock already there; pass a null
+// item to unlock the slot
+export const setScenarioLock = (scenario, { day, meal, course }, item) => {
+  const locks = scenario.locks.filter(lock => !isSameSlot(lock, { day, meal, course }));
+  return { ...scenario, locks: item ? [...locks, { day, meal, course, item }] : locks };
+};
+
+export const toggleScenarioExclusion = (scenario, itemId) => ({
+  ...scenario,
+  excludedItems: scenario.excludedItems.includes(itemId)
+    ? scenario.excludedItems.filter(id => id !== itemId)
+    : [...scenario.excludedItems, itemId]
+});
+
+// Headline figures of one planned version (a findOptimalPlan result)
+const summarizeResult = (input, result) => {
+  const { overall, firstChoice } = calculateSatisfaction(input, result.plan);
+  return {
+    satisfaction: overall,
+    firstChoice,
+    violations: result.violations.length,
+    replacements: result.replacements.length,
+    dietGaps: result.dietGaps.length,
+    nutritionShortfalls: result.nutritionShortfalls.length,
+    stockShortfalls: result.stockShortfalls.length,
+    cost: calculatePlanCost(input, result.plan).total
+  };
+};
+
+// Plan the scenario and set it against the baseline result. Satisfaction of
+// both is measured on the same ballots. Returns { baseline, scenario } with
+// each version's { result, summary }, usage as [{ item, baseline, scenario }]
+// for every item either version plans, and the changed slots (see diffPlans).
+export const runScenario = (input, baselineResult, scenario) => {
+  const scenarioInput = applyScenario(input, scenario);
+  const scenarioResult = findOptimalPlan(scenarioInput);
+
+  const usage = input.items
+    .filter(item => baselineResult.usage[item.id] > 0 || scenarioResult.usage[item.id] > 0)
+    .map(item => ({
+      item: item.id,
+      baseline: baselineResult.usage[item.id] || 0,
+      scenario: scenarioResult.usage[item.id] || 0
+    }));
+
+  return {
+    baseline: { result: baselineResult, summary: summarizeResult(input, baselineResult) },
+    scenario: { result: scenarioResult, summary: summarizeResult(scenarioInput, scenarioResult) },
+    usage,
+    changedSlots: diffPlans(input, baselineResult.plan, scenarioResult.plan)
+  };
+};
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyScenario, createScenario, runScenario, setScenarioLock, toggleScenarioExclusion } from './scenarios.js';
+import { createPlannerInput, findOptimalPlan } from './planner.js';
+
+const item = (id) => ({ id, name: id, category: 'main', meals: ['Lunch'], emoji: '🍽️', cost: 0 });
+const catalog = { days: ['Monday', 'Tuesday'], meals: ['Lunch'], courses: { Lunch: ['main'] }, items: [item('dal'), item('rajma'), item('chole')] };
+const rules = [{ id: 'once', type: 'maxPerWeek', enabled: true, params: { limit: 2 }, categories: [], overrides: {} }];
+const week = { Monday: { Lunch: { main: 'dal' } }, Tuesday: { Lunch: { main: 'dal' } } };
+const input = createPlannerInput(catalog, rules, { a: week, b: week });
+
+const monday = { day: 'Monday', meal: 'Lunch', course: 'main' };
+const tuesday = { ...monday, day: 'Tuesday' };
+
+test('scenarios copy the rules and edit locks and exclusions without touching the original', () => {
+  const scenario = createScenario(rules);
+  scenario.rules[0].params.limit = 1;
+  assert.equal(rules[0].params.limit, 2);
+
+  const locked = setScenarioLock(scenario, monday, 'rajma');
+  const relocked = setScenarioLock(locked, monday, 'chole');
+  assert.deepEqual(relocked.locks, [{ ...monday, item: 'chole' }]);
+  assert.deepEqual(setScenarioLock(relocked, monday, null).locks, []);
+  assert.deepEqual(scenario.locks, []);
+
+  const excluded = toggleScenarioExclusion(scenario, 'dal');
+  assert.deepEqual(excluded.excludedItems, ['dal']);
+  assert.deepEqual(toggleScenarioExclusion(excluded, 'dal').excludedItems, []);
+});
+
+test('scenario locks take precedence over the week\'s locks in the same slot', () => {
+  const weekInput = { ...input, locks: [{ ...monday, item: 'chole' }, { ...tuesday, item: 'chole' }], excludedItems: ['rajma'] };
+  const scenario = setScenarioLock(createScenario(rules), monday, 'dal');
+  const applied = applyScenario(weekInput, { ...scenario, excludedItems: ['rajma', 'chole'] });
+
+  assert.deepEqual(applied.locks, [{ ...tuesday, item: 'chole' }, { ...monday, item: 'dal' }]);
+  assert.deepEqual(applied.excludedItems, ['rajma', 'chole']);
+  assert.equal(weekInput.locks.length, 2);
+
+  const { plan } = findOptimalPlan(applied);
+  assert.equal(plan.Monday.Lunch.main.item, 'dal');
+  assert.equal(plan.Tuesday.Lunch.main.item, 'chole');
+});
+
+test('compares the scenario with the baseline on the same ballots', () => {
+  const baseline = findOptimalPlan(input);
+  const scenario = setScenarioLock(createScenario(rules), tuesday, 'rajma');
+  const { baseline: before, scenario: after, usage, changedSlots } = runScenario(input, baseline, scenario);
+
+  assert.equal(before.summary.satisfaction, 100);
+  assert.equal(after.summary.satisfaction, 50);
+  assert.deepEqual(usage, [{ item: 'dal', baseline: 2, scenario: 1 }, { item: 'rajma', baseline: 0, scenario: 1 }]);
+  assert.deepEqual(changedSlots, [{ ...tuesday, before: 'dal', after: 'rajma' }]);
+});
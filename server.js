@@ -0,0 +1,782 @@
+import http from 'node:http';
+import { createHmac } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { createCampusStore, loadPlanHistory, toPlannerHistory } from './storage.js';
+import { createFileAdapter } from './fileStorage.js';
+import { createPlannerInput, validateBallot } from './planner.js';
+import { getWeekId, parseWeekId, shiftWeek } from './weeks.js';
+import { FAIRNESS_MODES } from './fairness.js';
+import { getDietProfiles } from './diet.js';
+import { createPlanEvents, eventsToIcs } from './exchange.js';
+import { MessError, can, normalizeRollNumber, randomToken, requireMemberAccess, requirePermission, requireRoleAssignment } from './auth.js';
+import { getPlanVersion, isBallotOpen } from './publishing.js';
+import { DEFAULT_MESS, DEFAULT_MESS_ID, normalizeMessId } from './campus.js';
+import { buildMenuSheet, menuSheetToHtml } from './menuSheet.js';
+import { validateCatalog } from './catalog.js';
+import { validateRules } from './rules.js';
+
+// Small REST service for ballots and plan generation. It runs on Node's own
+// http module against a campus store (a JSON file by default). Each mess
+// answers on /api/messes/:messId/... with the paths below; the default mess
+// also answers on them directly:
+//
+//   GET    /api/setup                               whether accounts exist
+//   POST   /api/setup                               create the first (warden) account
+//   POST   /api/login                               { rollNumber, password } → { token, account }
+//   POST   /api/logout                      any     end the session
+//   GET    /api/me                          any     the signed-in account
+//   GET    /api/accounts                    admin   every account (no password data)
+//   GET    /api/diets                       any     { [roll]: diets } of every member (anonymised for students)
+//   POST   /api/accounts                    admin   add a member with a role below the admin's own
+//   PATCH  /api/accounts/:rollNumber        self    change name or diets (admins: members below them; wardens:
+//                                                   their role too, see requireRoleAssignment)
+//   DELETE /api/accounts/:rollNumber        admin   remove a member below the admin (see requireMemberAccess)
+//   GET    /api/settings                    any     catalog, rules, nutrition goals and fairness mode
+//   PUT    /api/settings                    admin   replace catalog, rules, goals and fairness
+//   GET    /api/roster                      any     roll numbers of all members
+//   GET    /api/weeks                       any     weeks with ballots, plans, ballot windows, overrides or feedback
+//   GET    /api/weeks/:weekId/ballots       any     every ballot (anonymised for students)
+//   DELETE /api/weeks/:weekId/ballots       admin   reset the week's votes
+//   POST   /api/weeks/:weekId/ballots/import admin  { [roll]: ballot } → add or replace ballots
+//   GET    /api/weeks/:weekId/ballots/:roll owner or admin
+//   PUT    /api/weeks/:weekId/ballots/:roll owner  submit a ballot while voting is open
+//   GET    /api/weeks/:weekId/window        any     { opensAt, closesAt } of the ballot (see publishing.js)
+//   PUT    /api/weeks/:weekId/window        admin   set when voting opens and closes
+//   GET    /api/weeks/:weekId/plan/preview  admin   the plan the current ballots give, not saved
+//   POST   /api/weeks/:weekId/plan          admin   close voting and publish the plan as a new version
+//   GET    /api/weeks/:weekId/plan          any     the latest published plan
+//   GET    /api/weeks/:weekId/plan/versions any     every published version, oldest first
+//   GET    /api/weeks/:weekId/overrides     any     locked slots and banned items (see overrides.js)
+//   PUT    /api/weeks/:weekId/locks/:day/:meal/:course admin { item, reason } → lock the slot
+//   DELETE /api/weeks/:weekId/locks/:day/:meal/:course admin unlock the slot
+//   PUT    /api/weeks/:weekId/bans/:item    admin   { reason } → ban the item for the week
+//   DELETE /api/weeks/:weekId/bans/:item    admin   lift the ban
+//   GET    /api/weeks/:weekId/feedback      any     meal ratings (anonymised, without comments, for students)
+//   PUT    /api/weeks/:weekId/feedback/:roll owner  { day, meal, ratings, waste, comment } → rate a served meal
+//   GET    /api/export                      admin   full state as JSON (see exchange.js)
+//   POST   /api/import                      admin   restore a full state export
+//   GET    /api/calendar.ics                        every published menu, for calendar apps
+//   GET    /api/menu                                this week's published menu as a page for phones
+//   GET    /api/menu/:weekId                        the same for another week
+//
+// The campus as a whole answers on
+//
+//   GET    /api/messes                              every mess, { id, name }
+//   POST   /api/messes                      warden  { id, name, warden } → add a mess and its first warden
+//   POST   /api/campus/login                        contractor { rollNumber, password } → { token, account }
+//   GET    /api/campus/contractors          warden  contractor accounts
+//   POST   /api/campus/contractors          warden  add a contractor account
+//   DELETE /api/campus/contractors/:roll    warden  remove a contractor account
+//   GET    /api/campus/stock                campus  { itemId: servings } shared by all messes
+//   PUT    /api/campus/stock                stock   replace the shared stock
+//   GET    /api/campus/weeks/:weekId        campus  every mess's plan for the week (see loadCampusWeek)
+//
+// "any" routes need a session: send `Authorization: Bearer <token>` from login.
+// A mess session only works for its own mess. "campus" routes take the
+// contractor or a mess admin, "stock" the contractor or a warden (see can()).
+// The calendar and menu pages need none, so residents can subscribe to or
+// share their URLs.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_IMPORT_BYTES = 16 * 1024 * 1024;
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+const ERROR_STATUS = {
+  invalid: 400,
+  unauthenticated: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409
+};
+
+export class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const readJsonBody = (request, maxBytes = MAX_BODY_BYTES) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+
+  request.on('data', chunk => {
+    size += chunk.length;
+    if (size > maxBytes) {
+      reject(new HttpError(413, 'Request body too large'));
+      request.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  request.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) {
+      resolve(undefined);
+      return;
+    }
+    try {
+      resolve(JSON.parse(text));
+    } catch (error) {
+      reject(new HttpError(400, 'Request body is not valid JSON'));
+    }
+  });
+  request.on('error', reject);
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, PUT, PATCH, POST, DELETE, OPTIONS'
+};
+
+const sendJson = (response, status, payload) => {
+  response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...CORS_HEADERS });
+  response.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+// Route result sent as it is instead of as JSON
+export class TextResult {
+  constructor(contentType, text) {
+    this.contentType = contentType;
+    this.text = text;
+  }
+}
+
+// A path segment with its %-escapes decoded; a malformed escape such as "%E0"
+// is the client's mistake, not a server error
+const decodePathSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `Path segment "${segment}" is not valid URI encoding`);
+  }
+};
+
+const requireWeek = (weekId) => {
+  if (!parseWeekId(weekId)) {
+    throw new HttpError(400, `Invalid week "${weekId}", expected e.g. 2026-W42`);
+  }
+  return weekId;
+};
+
+const requireRosterUser = async (store, rollNumber) => {
+  const roster = await store.loadRoster();
+  if (!roster.includes(rollNumber)) {
+    throw new HttpError(404, `Unknown member "${rollNumber}"`);
+  }
+  return rollNumber;
+};
+
+// Checks ballots for a week against the saved settings, the owner's diets and
+// the plans of the weeks before
+const loadBallotCheck = async (store, weekId) => {
+  const { catalog, rules } = await store.loadSettings();
+  const accounts = await store.loadAccounts();
+  const input = {
+    ...createPlannerInput(catalog, rules, {}, getDietProfiles(accounts), [], undefined, weekId),
+    history: toPlannerHistory(await loadPlanHistory(store, weekId))
+  };
+  return (owner, ballot) => validateBallot(input, ballot, accounts.find(member => member.rollNumber === owner)?.diets);
+};
+
+// Placeholder names for other members: a keyed hash of the roll number, so a
+// member keeps the same placeholder between requests, but neither the
+// placeholders nor their order follow the roster. The scope (such as
+// "ballots:2026-W43") keeps the placeholders of different lists apart.
+export const createPseudonyms = (key = randomToken()) => (scope, rollNumber) =>
+  `resident-${createHmac('sha256', key).update(`${scope}:${rollNumber}`).digest('hex').slice(0, 10)}`;
+
+// Entries of everyone but the account itself under their placeholder name,
+// sorted by it, with hide() applied to what they hold
+const pseudonymise = (entries, account, pseudonym, scope, hide = (value) => value) => {
+  const own = {};
+  const others = [];
+  Object.entries(entries).forEach(([rollNumber, value]) => {
+    if (rollNumber === account.rollNumber) {
+      own[rollNumber] = value;
+    } else {
+      others.push([pseudonym(scope, rollNumber), hide(value)]);
+    }
+  });
+  others.sort(([a], [b]) => a.localeCompare(b));
+  return { ...own, ...Object.fromEntries(others) };
+};
+
+// Students see everyone else's ballot under a placeholder name, so the live
+// tally still works without revealing who voted for what
+const anonymiseBallots = (ballots, account, pseudonym, weekId) =>
+  (can(account, 'ballots:read-all') ? ballots : pseudonymise(ballots, account, pseudonym, `ballots:${weekId}`));
+
+// Students see their own feedback in full and everyone else's ratings and
+// waste notes under a placeholder name, without the comments
+const anonymiseFeedback = (feedback, account, pseudonym, weekId) => {
+  if (can(account, 'ballots:read-all')) return feedback;
+  return pseudonymise(feedback, account, pseudonym, `feedback:${weekId}`, days => Object.fromEntries(
+    Object.entries(days).map(([day, meals]) => [
+      day,
+      Object.fromEntries(Object.entries(meals).map(([meal, { comment, ...entry }]) => [meal, entry]))
+    ])
+  ));
+};
+
+// Students get the diets the planner needs for everyone, but only their own
+// under their roll number
+const anonymiseDiets = (profiles, account, pseudonym) =>
+  (can(account, 'members:read') ? profiles : pseudonymise(profiles, account, pseudonym, 'diets'));
+
+// Bearer-token sessions held in memory; restarting the server signs everyone
+// out. A session belongs to an account of one mess, or to a contractor
+// account of the campus when messId is null.
+export const createSessions = ({ ttl = SESSION_TTL_MS, now = () => Date.now() } = {}) => {
+  const sessions = new Map();
+
+  return {
+    start: (rollNumber, messId = DEFAULT_MESS_ID) => {
+      const token = randomToken();
+      sessions.set(token, { rollNumber, messId, expiresAt: now() + ttl });
+      return token;
+    },
+    find: (token) => {
+      const session = sessions.get(token);
+      if (!session) return null;
+      if (session.expiresAt <= now()) {
+        sessions.delete(token);
+        return null;
+      }
+      return session;
+    },
+    end: (token) => {
+      sessions.delete(token);
+    },
+    endFor: (rollNumber, messId = DEFAULT_MESS_ID) => {
+      sessions.forEach((session, token) => {
+        if (session.rollNumber === rollNumber && session.messId === messId) sessions.delete(token);
+      });
+    }
+  };
+};
+
+const getBearerToken = (request) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+// Wrap handlers so they only run for an account signed in through
+// `authenticate` that is allowed to take `action`
+const createSignedIn = (authenticate) => (handle, action) => async (context) => {
+  const account = await authenticate(context.request);
+  if (!account) {
+    throw new MessError('unauthenticated', 'Please sign in first');
+  }
+  if (action) requirePermission(account, action);
+  return handle({ ...context, account });
+};
+
+// Routes of one mess, served under /api (see createServer for the paths of
+// other messes)
+export const createRoutes = ({ store, sessions, now = () => new Date(), messId = DEFAULT_MESS_ID, messName = DEFAULT_MESS.name, pseudonym = createPseudonyms() }) => {
+  // Account of the request's session; accounts removed since sign-in lose
+  // access, and sessions of other messes have none here
+  const authenticate = async (request) => {
+    const session = sessions.find(getBearerToken(request));
+    if (!session || session.messId !== messId) return null;
+    const accounts = await store.loadAccounts();
+    return accounts.find(account => account.rollNumber === session.rollNumber) || null;
+  };
+
+  const signedIn = createSignedIn(authenticate);
+
+  // Account of another member of this mess; not_found when there is none
+  const loadMember = async (rollNumber) => {
+    const member = (await store.loadAccounts()).find(account => account.rollNumber === rollNumber);
+    if (!member) {
+      throw new MessError('not_found', `No account for ${rollNumber}`);
+    }
+    return member;
+  };
+
+  // Read-only menu page of a week's published plan; links are relative to
+  // the requested path
+  const renderMenuPage = async (weekId, links) => {
+    const { catalog } = await store.loadSettings();
+    const record = await store.loadPlan(weekId);
+    const sheet = buildMenuSheet(createPlannerInput(catalog, [], {}), weekId, record?.plan, {
+      title: messName,
+      note: record ? `Published version ${getPlanVersion(record)}` : null,
+      now: now()
+    });
+    return new TextResult('text/html; charset=utf-8', menuSheetToHtml(sheet, 'mobile', links));
+  };
+
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/api\/setup$/,
+      handle: async () => ({ hasAccounts: await store.hasAccounts() })
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/setup$/,
+      handle: async ({ body }) => {
+        const account = await store.setupFirstAccount(body || {});
+        return { token: sessions.start(account.rollNumber, messId), account };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/login$/,
+      handle: async ({ body }) => {
+        const account = await store.login(body?.rollNumber, body?.password);
+        return { token: sessions.start(account.rollNumber, messId), account };
+      }
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/logout$/,
+      handle: async ({ request }) => {
+        sessions.end(getBearerToken(request));
+        return { ok: true };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/me$/,
+      handle: signedIn(({ account }) => account)
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/accounts$/,
+      handle: signedIn(() => store.loadAccounts(), 'members:read')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/diets$/,
+      handle: signedIn(async ({ account }) => anonymiseDiets(await store.loadDietProfiles(), account, pseudonym))
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/accounts$/,
+      handle: signedIn(({ body, account }) => {
+        requireRoleAssignment(account, body?.role);
+        return store.createAccount(body || {});
+      })
+    },
+    {
+      method: 'PATCH',
+      pattern: /^\/api\/accounts\/([^/]+)$/,
+      handle: signedIn(async ({ params: [rollNumber], body, account }) => {
+        const target = normalizeRollNumber(rollNumber);
+        if (body?.role !== undefined) {
+          requireRoleAssignment(account, body.role, await loadMember(target));
+        } else {
+          // Admins edit the profiles of members below them only
+          requirePermission(account, 'profile:edit', target);
+          if (target !== account.rollNumber) {
+            requireMemberAccess(account, 'profile:edit', await loadMember(target));
+          }
+        }
+        return store.updateAccount(target, body || {});
+      })
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/accounts\/([^/]+)$/,
+      handle: signedIn(async ({ params: [rollNumber], account }) => {
+        const target = normalizeRollNumber(rollNumber);
+        if (target === account.rollNumber) {
+          throw new MessError('invalid', 'You cannot remove your own account');
+        }
+        requireMemberAccess(account, 'members:manage', await loadMember(target));
+        await store.removeAccount(target);
+        sessions.endFor(target, messId);
+        return { ok: true };
+      }, 'members:manage')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/settings$/,
+      handle: signedIn(() => store.loadSettings())
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/settings$/,
+      handle: signedIn(async ({ body }) => {
+        // A broken catalog or rule would only show up later, when every plan
+        // built from it fails
+        const errors = [...validateCatalog(body?.catalog), ...validateRules(body?.rules)];
+        if (errors.length > 0) {
+          throw new HttpError(400, 'Settings are not valid', errors);
+        }
+        if (body.goals !== undefined && !Array.isArray(body.goals)) {
+          throw new HttpError(400, 'Nutrition goals must be an array');
+        }
+        if (body.fairness !== undefined && !FAIRNESS_MODES[body.fairness?.mode]) {
+          throw new HttpError(400, `Fairness mode must be one of ${Object.keys(FAIRNESS_MODES).join(', ')}`);
+        }
+        const { goals, fairness } = await store.loadSettings();
+        await store.saveSettings({
+          catalog: body.catalog,
+          rules: body.rules,
+          goals: body.goals || goals,
+          fairness: body.fairness ? { mode: body.fairness.mode } : fairness
+        });
+        return store.loadSettings();
+      }, 'settings:edit')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/roster$/,
+      handle: signedIn(() => store.loadRoster())
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks$/,
+      handle: signedIn(() => store.listWeeks())
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/ballots$/,
+      handle: signedIn(async ({ params: [weekId], account }) =>
+        anonymiseBallots((await store.loadBallots(requireWeek(weekId))) || {}, account, pseudonym, weekId))
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/weeks\/([^/]+)\/ballots$/,
+      handle: signedIn(async ({ params: [weekId] }) => {
+        await store.resetBallots(requireWeek(weekId));
+        return { ok: true };
+      }, 'votes:reset')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/weeks\/([^/]+)\/ballots\/import$/,
+      handle: signedIn(async ({ params: [weekId], body }) => {
+        requireWeek(weekId);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+          throw new HttpError(400, 'Send ballots keyed by roll number');
+        }
+
+        // All or nothing, so a half-imported sheet is never planned from
+        const roster = await store.loadRoster();
+        const checkBallot = await loadBallotCheck(store, weekId);
+        const ballots = {};
+        const errors = [];
+        Object.entries(body).forEach(([rollNumber, ballot]) => {
+          const owner = normalizeRollNumber(rollNumber);
+          const messages = roster.includes(owner) ? checkBallot(owner, ballot) : [`Unknown member "${owner}"`];
+          if (messages.length > 0) {
+            errors.push({ rollNumber: owner, messages });
+          } else {
+            ballots[owner] = ballot;
+          }
+        });
+        if (errors.length > 0) {
+          throw new HttpError(400, 'Some ballots are not valid', errors);
+        }
+        return store.importBallots(weekId, ballots);
+      }, 'data:import')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/ballots\/([^/]+)$/,
+      handle: signedIn(async ({ params: [weekId, rollNumber], account }) => {
+        requireWeek(weekId);
+        const owner = await requireRosterUser(store, normalizeRollNumber(rollNumber));
+        requirePermission(account, 'ballot:read', owner);
+        const ballots = (await store.loadBallots(weekId)) || {};
+        return ballots[owner] || {};
+      })
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/weeks\/([^/]+)\/ballots\/([^/]+)$/,
+      handle: signedIn(async ({ params: [weekId, rollNumber], body, account }) => {
+        requireWeek(weekId);
+        const owner = await requireRosterUser(store, normalizeRollNumber(rollNumber));
+        requirePermission(account, 'ballot:edit', owner);
+        if (!isBallotOpen(await store.loadBallotWindow(weekId), now())) {
+          throw new MessError('conflict', `Voting for ${weekId} is closed`);
+        }
+
+        const checkBallot = await loadBallotCheck(store, weekId);
+        const errors = checkBallot(owner, body);
+        if (errors.length > 0) {
+          throw new HttpError(400, 'Ballot is not valid', errors);
+        }
+
+        const ballots = (await store.loadBallots(weekId)) || {};
+        await store.saveBallots(weekId, { ...ballots, [owner]: body });
+        return body;
+      })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/window$/,
+      handle: signedIn(({ params: [weekId] }) => store.loadBallotWindow(requireWeek(weekId)))
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/weeks\/([^/]+)\/window$/,
+      handle: signedIn(({ params: [weekId], body }) => store.saveBallotWindow(requireWeek(weekId), body || {}), 'plan:publish')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/plan\/preview$/,
+      handle: signedIn(({ params: [weekId] }) => store.previewPlan(requireWeek(weekId)), 'plan:publish')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/weeks\/([^/]+)\/plan$/,
+      handle: signedIn(({ params: [weekId], account }) =>
+        store.publishPlan(requireWeek(weekId), account.rollNumber, now().toISOString()), 'plan:publish')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/plan\/versions$/,
+      handle: signedIn(({ params: [weekId] }) => store.loadPlanVersions(requireWeek(weekId)))
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/plan$/,
+      handle: signedIn(async ({ params: [weekId] }) => {
+        const record = await store.loadPlan(requireWeek(weekId));
+        if (!record) {
+          throw new HttpError(404, `No plan for ${weekId} yet`);
+        }
+        return record;
+      })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/overrides$/,
+      handle: signedIn(({ params: [weekId] }) => store.loadOverrides(requireWeek(weekId)))
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/weeks\/([^/]+)\/locks\/([^/]+)\/([^/]+)\/([^/]+)$/,
+      handle: signedIn(({ params: [weekId, day, meal, course], body, account }) =>
+        store.lockSlot(requireWeek(weekId), { day, meal, course, item: body?.item, reason: body?.reason }, account.rollNumber, now().toISOString()), 'plan:override')
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/weeks\/([^/]+)\/locks\/([^/]+)\/([^/]+)\/([^/]+)$/,
+      handle: signedIn(({ params: [weekId, day, meal, course] }) =>
+        store.unlockSlot(requireWeek(weekId), { day, meal, course }), 'plan:override')
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/weeks\/([^/]+)\/bans\/([^/]+)$/,
+      handle: signedIn(({ params: [weekId, item], body, account }) =>
+        store.banItem(requireWeek(weekId), { item, reason: body?.reason }, account.rollNumber, now().toISOString()), 'plan:override')
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/weeks\/([^/]+)\/bans\/([^/]+)$/,
+      handle: signedIn(({ params: [weekId, item] }) => store.unbanItem(requireWeek(weekId), item), 'plan:override')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/weeks\/([^/]+)\/feedback$/,
+      handle: signedIn(async ({ params: [weekId], account }) =>
+        anonymiseFeedback(await store.loadFeedback(requireWeek(weekId)), account, pseudonym, weekId))
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/weeks\/([^/]+)\/feedback\/([^/]+)$/,
+      handle: signedIn(async ({ params: [weekId, rollNumber], body, account }) => {
+        requireWeek(weekId);
+        const owner = await requireRosterUser(store, normalizeRollNumber(rollNumber));
+        requirePermission(account, 'feedback:give', owner);
+        const { day, meal, ratings, waste, comment } = body || {};
+        return store.saveFeedback(weekId, owner, { day, meal, ratings, waste, comment }, now().toISOString());
+      })
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/export$/,
+      handle: signedIn(() => store.exportState(), 'data:export')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/import$/,
+      maxBodyBytes: MAX_IMPORT_BYTES,
+      handle: signedIn(({ body }) => store.importState(body), 'data:import')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/calendar\.ics$/,
+      handle: async () => {
+        const { catalog } = await store.loadSettings();
+        const input = createPlannerInput(catalog, [], {});
+        const events = [];
+        for (const weekId of await store.listWeeks()) {
+          const record = await store.loadPlan(weekId);
+          if (record?.plan) events.push(...createPlanEvents(input, weekId, record.plan, messId));
+        }
+        return new TextResult('text/calendar; charset=utf-8', eventsToIcs(events));
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/menu$/,
+      handle: () => {
+        const weekId = getWeekId(now());
+        return renderMenuPage(weekId, { previous: `menu/${shiftWeek(weekId, -1)}`, next: `menu/${shiftWeek(weekId, 1)}` });
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/menu\/([^/]+)$/,
+      handle: ({ params: [weekId] }) => {
+        requireWeek(weekId);
+        return renderMenuPage(weekId, { previous: shiftWeek(weekId, -1), next: shiftWeek(weekId, 1) });
+      }
+    }
+  ];
+};
+
+// Routes of the campus as a whole: its messes, contractor accounts, shared
+// stock and the combined view of every mess's week
+export const createCampusRoutes = ({ campus, sessions }) => {
+  // Contractor sessions have no mess; everyone else signs in to their own
+  const authenticate = async (request) => {
+    const session = sessions.find(getBearerToken(request));
+    if (!session) return null;
+    const accounts = session.messId === null
+      ? await campus.loadContractors()
+      : await (await campus.getMessStore(session.messId)).loadAccounts();
+    return accounts.find(account => account.rollNumber === session.rollNumber) || null;
+  };
+  const signedIn = createSignedIn(authenticate);
+
+  return [
+    {
+      method: 'GET',
+      pattern: /^\/api\/messes$/,
+      handle: () => campus.listMesses()
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/messes$/,
+      handle: signedIn(({ body }) => campus.createMess(body || {}), 'campus:manage')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/campus\/login$/,
+      handle: async ({ body }) => {
+        const account = await campus.loginContractor(body?.rollNumber, body?.password);
+        return { token: sessions.start(account.rollNumber, null), account };
+      }
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/campus\/contractors$/,
+      handle: signedIn(() => campus.loadContractors(), 'campus:manage')
+    },
+    {
+      method: 'POST',
+      pattern: /^\/api\/campus\/contractors$/,
+      handle: signedIn(({ body }) => campus.createContractor(body || {}), 'campus:manage')
+    },
+    {
+      method: 'DELETE',
+      pattern: /^\/api\/campus\/contractors\/([^/]+)$/,
+      handle: signedIn(async ({ params: [rollNumber] }) => {
+        const target = normalizeRollNumber(rollNumber);
+        await campus.removeContractor(target);
+        sessions.endFor(target, null);
+        return { ok: true };
+      }, 'campus:manage')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/campus\/stock$/,
+      handle: signedIn(() => campus.loadSharedStock(), 'campus:read')
+    },
+    {
+      method: 'PUT',
+      pattern: /^\/api\/campus\/stock$/,
+      handle: signedIn(({ body }) => campus.saveSharedStock(body), 'campus:stock')
+    },
+    {
+      method: 'GET',
+      pattern: /^\/api\/campus\/weeks\/([^/]+)$/,
+      handle: signedIn(({ params: [weekId] }) => campus.loadCampusWeek(requireWeek(weekId)), 'campus:read')
+    }
+  ];
+};
+
+export const createServer = ({ campus, sessions = createSessions(), now }) => {
+  const campusRoutes = createCampusRoutes({ campus, sessions });
+  const messRoutes = {};
+
+  // Campus routes, or the routes of the mess a path is for, with the path as
+  // that mess's routes know it
+  const findRoutes = async (pathname) => {
+    if (campusRoutes.some(route => route.pattern.test(pathname))) {
+      return { routes: campusRoutes, path: pathname };
+    }
+    const match = /^\/api\/messes\/([^/]+)(\/.*)$/.exec(pathname);
+    const messId = match ? normalizeMessId(decodePathSegment(match[1])) : DEFAULT_MESS_ID;
+    if (!messRoutes[messId]) {
+      const store = await campus.getMessStore(messId);
+      const mess = (await campus.listMesses()).find(entry => entry.id === messId);
+      messRoutes[messId] = createRoutes({ store, sessions, now, messId, messName: mess.name });
+    }
+    return { routes: messRoutes[messId], path: match ? `/api${match[2]}` : pathname };
+  };
+
+  return http.createServer(async (request, response) => {
+    if (request.method === 'OPTIONS') {
+      sendJson(response, 204);
+      return;
+    }
+
+    try {
+      const { pathname } = new URL(request.url, 'http://localhost');
+      const { routes, path } = await findRoutes(pathname);
+      const matching = routes.filter(route => route.pattern.test(path));
+      if (matching.length === 0) {
+        throw new HttpError(404, `No route for ${pathname}`);
+      }
+
+      const route = matching.find(candidate => candidate.method === request.method);
+      if (!route) {
+        throw new HttpError(405, `${request.method} is not allowed on ${pathname}`);
+      }
+
+      const params = route.pattern.exec(path).slice(1).map(decodePathSegment);
+      const body = ['PUT', 'PATCH', 'POST'].includes(request.method) ? await readJsonBody(request, route.maxBodyBytes) : undefined;
+      const result = await route.handle({ request, params, body });
+      if (result instanceof TextResult) {
+        response.writeHead(200, { 'Content-Type': result.contentType, ...CORS_HEADERS });
+        response.end(result.text);
+      } else {
+        sendJson(response, 200, result);
+      }
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(response, error.status, { error: error.message, details: error.details });
+      } else if (error instanceof MessError) {
+        sendJson(response, ERROR_STATUS[error.code] || 400, { error: error.message, details: error.details });
+      } else {
+        console.error(error);
+        sendJson(response, 500, { error: 'Internal server error' });
+      }
+    }
+  });
+};
+
+// `node server.js` starts the service against ./data/aimess.json
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 3001;
+  const dataFile = process.env.AIMESS_DATA_FILE || './data/aimess.json';
+  const campus = createCampusStore(createFileAdapter(dataFile));
+
+  createServer({ campus }).listen(port, () => {
+    console.log(`Mess planner API listening on http://localhost:${port} (data: ${dataFile})`);
+  });
+}
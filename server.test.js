@@ -0,0 +1,223 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createApiClient } from './api.js';
+import { createServer } from './server.js';
+import { createCampusStore, createMemoryAdapter } from './storage.js';
+
+const PASSWORD = 'password123';
+const WEEK = '2026-W43';
+
+let server;
+let baseUrl;
+
+// Signed-in API client for a member of the main mess
+const signIn = async (rollNumber) => {
+  const client = createApiClient(baseUrl);
+  await client.login(rollNumber, PASSWORD);
+  return client;
+};
+
+// Raw request, for paths and bodies the API client would never send
+const send = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  });
+  const text = await response.text();
+  return { status: response.status, type: response.headers.get('content-type'), text };
+};
+
+// Status of a rejected API client call
+const statusOf = async (promise) => {
+  try {
+    await promise;
+    return 200;
+  } catch (error) {
+    return error.status;
+  }
+};
+
+before(async () => {
+  const campus = createCampusStore(createMemoryAdapter());
+  const store = await campus.getMessStore('main');
+  await store.setupFirstAccount({ rollNumber: 'W001', name: 'Warden', password: PASSWORD });
+  await store.createAccount({ rollNumber: 'S001', name: 'Secretary', password: PASSWORD, role: 'secretary' });
+  await store.createAccount({ rollNumber: 'R001', name: 'Resident One', password: PASSWORD, role: 'student', diets: ['egg-free'] });
+  await store.createAccount({ rollNumber: 'R002', name: 'Resident Two', password: PASSWORD, role: 'student' });
+
+  // Monday of WEEK, before lunch
+  server = createServer({ campus, now: () => new Date('2026-10-19T09:00:00+05:30') });
+  await new Promise(resolve => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+test('signing in', async () => {
+  assert.deepEqual(JSON.parse((await send('GET', '/api/setup')).text), { hasAccounts: true });
+  assert.equal((await send('POST', '/api/login', { rollNumber: 'R001', password: 'wrong-password' })).status, 401);
+  assert.equal((await send('GET', '/api/me')).status, 401);
+
+  const client = await signIn('r001');
+  assert.equal((await client.me()).rollNumber, 'R001');
+  await client.logout();
+  assert.equal(await statusOf(client.me()), 401);
+});
+
+test('unknown paths, methods and bodies', async () => {
+  assert.equal((await send('GET', '/api/nothing-here')).status, 404);
+  assert.equal((await send('DELETE', '/api/setup')).status, 405);
+  assert.equal((await send('POST', '/api/login', '{not json')).status, 400);
+  assert.equal((await send('GET', '/api/menu/next-week')).status, 400);
+  assert.equal((await send('GET', '/api/menu/2026-W99')).status, 400);
+  assert.equal((await send('GET', '/api/menu/2026-W00')).status, 400);
+  assert.equal((await send('GET', '/api/menu/2027-W53')).status, 400);
+  assert.equal((await send('GET', '/api/messes/nowhere/menu')).status, 404);
+});
+
+test('malformed URI encoding in a path is a bad request, not a server error', async () => {
+  const weekPath = await send('GET', '/api/weeks/%E0%A4%A/ballots');
+  assert.equal(weekPath.status, 400);
+  assert.match(JSON.parse(weekPath.text).error, /not valid URI encoding/);
+  assert.equal((await send('GET', '/api/menu/%')).status, 400);
+  assert.equal((await send('GET', '/api/messes/%E0/menu')).status, 400);
+});
+
+test('residents vote only on their own ballot', async () => {
+  const resident = await signIn('R001');
+  const ballot = { Monday: { Lunch: { main: 'rajma-chawal' } } };
+  assert.deepEqual(await resident.putBallot(WEEK, 'R001', ballot), ballot);
+  assert.deepEqual(await resident.getBallot(WEEK, 'R001'), ballot);
+
+  assert.equal(await statusOf(resident.putBallot(WEEK, 'R002', ballot)), 403);
+  assert.equal(await statusOf(resident.getBallot(WEEK, 'R002')), 403);
+  assert.equal(await statusOf(resident.putBallot(WEEK, 'NOBODY', ballot)), 404);
+  assert.equal(await statusOf(resident.putBallot(WEEK, 'R001', { Monday: { Lunch: { main: 'no-such-dish' } } })), 400);
+  assert.equal(await statusOf(resident.putBallot('2026-43', 'R001', ballot)), 400);
+});
+
+test('students see others only under placeholders and never the member list', async () => {
+  const resident = await signIn('R002');
+  assert.equal(await statusOf(resident.getAccounts()), 403);
+
+  const diets = await resident.getDiets();
+  assert.ok(diets.R002);
+  assert.equal(diets.R001, undefined);
+  assert.ok(Object.keys(diets).filter(key => key !== 'R002').every(key => /^resident-[0-9a-f]{10}$/.test(key)));
+
+  const ballots = await resident.getBallots(WEEK);
+  assert.equal(ballots.R001, undefined);
+  assert.deepEqual(Object.keys(await resident.getBallots(WEEK)), Object.keys(ballots));
+
+  const warden = await signIn('W001');
+  assert.deepEqual((await warden.getAccounts()).map(account => account.rollNumber).sort(), ['R001', 'R002', 'S001', 'W001']);
+});
+
+test('only wardens change roles, and only below their own', async () => {
+  const secretary = await signIn('S001');
+  const warden = await signIn('W001');
+
+  assert.equal(await statusOf(secretary.updateAccount('S001', { role: 'warden' })), 403);
+  assert.equal(await statusOf(secretary.updateAccount('R002', { role: 'secretary' })), 403);
+  assert.equal(await statusOf(secretary.createAccount({ rollNumber: 'W009', name: 'New Warden', password: PASSWORD, role: 'warden' })), 403);
+  assert.equal(await statusOf(warden.updateAccount('W001', { role: 'student' })), 403);
+  assert.equal(await statusOf(warden.updateAccount('R002', { role: 'warden' })), 403);
+  assert.equal(await statusOf(warden.updateAccount('NOBODY', { role: 'student' })), 404);
+
+  assert.equal((await warden.updateAccount('R002', { role: 'secretary' })).role, 'secretary');
+  assert.equal((await warden.updateAccount('R002', { role: 'student' })).role, 'student');
+});
+
+test('admins edit and remove only members ranked below them', async () => {
+  const secretary = await signIn('S001');
+  const warden = await signIn('W001');
+  await warden.createAccount({ rollNumber: 'S002', name: 'Second Secretary', password: PASSWORD, role: 'secretary' });
+
+  assert.equal(await statusOf(secretary.deleteAccount('W001')), 403);
+  assert.equal(await statusOf(secretary.deleteAccount('S002')), 403);
+  assert.equal(await statusOf(secretary.updateAccount('W001', { name: 'Not the Warden' })), 403);
+  assert.equal(await statusOf(secretary.updateAccount('W001', { diets: ['vegan'] })), 403);
+  assert.equal(await statusOf(secretary.deleteAccount('NOBODY')), 404);
+  assert.equal((await warden.me()).name, 'Warden');
+
+  assert.equal((await secretary.updateAccount('R002', { name: 'Resident Two' })).name, 'Resident Two');
+  assert.equal((await secretary.updateAccount('S001', { name: 'Secretary' })).name, 'Secretary');
+  assert.equal(await statusOf(warden.deleteAccount('S002')), 200);
+});
+
+test('settings are checked before they are stored', async () => {
+  const secretary = await signIn('S001');
+  const settings = await secretary.getSettings();
+  const [firstItem] = settings.catalog.items;
+
+  const rejected = [
+    { ...settings, catalog: {} },
+    { ...settings, catalog: { ...settings.catalog, items: [{ ...firstItem, category: 'soup' }] } },
+    { ...settings, catalog: { ...settings.catalog, courses: { Lunch: 'main' } } },
+    { ...settings, rules: [...settings.rules, { id: 'extra', type: 'noSuchRule', enabled: true, params: {} }] },
+    { ...settings, rules: [{ ...settings.rules[0], params: { limit: 'two' }, type: 'maxPerWeek' }] },
+    { ...settings, rules: [settings.rules[0], settings.rules[0]] }
+  ];
+  for (const body of rejected) {
+    assert.equal(await statusOf(secretary.putSettings(body)), 400);
+  }
+  assert.deepEqual(await secretary.getSettings(), settings);
+  assert.ok((await secretary.getPlanPreview(WEEK)).plan.Monday);
+
+  const rules = settings.rules.map(rule => (rule.id === 'weeklyBudget' ? { ...rule, params: { limit: 1500 } } : rule));
+  assert.deepEqual((await secretary.putSettings({ ...settings, rules })).rules, rules);
+  assert.equal(await statusOf(secretary.putSettings(settings)), 200);
+});
+
+test('ballot windows take ISO dates only', async () => {
+  const secretary = await signIn('S001');
+  const week = '2026-W53';
+  const window = { opensAt: '2026-12-21T09:00:00.000Z', closesAt: '2026-12-24T18:00:00+05:30' };
+  assert.deepEqual(await secretary.putWindow(week, window), { opensAt: window.opensAt, closesAt: '2026-12-24T12:30:00.000Z' });
+
+  const rejected = [
+    { opensAt: Date.parse(window.opensAt) },
+    { closesAt: 1798200000000 },
+    { opensAt: 'Mon Dec 21 2026' },
+    { opensAt: window.opensAt, closesAt: '2026-12-20' }
+  ];
+  for (const body of rejected) {
+    assert.equal(await statusOf(secretary.putWindow(week, body)), 400);
+  }
+  assert.equal((await secretary.getWindow(week)).opensAt, window.opensAt);
+});
+
+test('locks and bans are stamped with the server clock', async () => {
+  const secretary = await signIn('S001');
+  const week = '2026-W44';
+  const at = '2026-10-19T03:30:00.000Z';
+  await secretary.putLock(week, { day: 'Monday', meal: 'Lunch', course: 'main' }, { item: 'rajma-chawal', reason: 'Festival lunch' });
+  const { locks, bans } = await secretary.putBan(week, 'rajma-chawal', { reason: 'Out of stock' });
+  assert.deepEqual([locks[0].at, bans[0].at], [at, at]);
+});
+
+test('admins preview and publish the plan, which the public menu page then shows', async () => {
+  const resident = await signIn('R001');
+  assert.equal(await statusOf(resident.getPlanPreview(WEEK)), 403);
+  assert.equal(await statusOf(resident.publishPlan(WEEK)), 403);
+  assert.equal(await resident.getPlan(WEEK), null);
+
+  const secretary = await signIn('S001');
+  const preview = await secretary.getPlanPreview(WEEK);
+  assert.equal(preview.plan.Monday.Lunch.main.item, 'rajma-chawal');
+
+  const published = await secretary.publishPlan(WEEK);
+  assert.equal(published.plan.Monday.Lunch.main.item, 'rajma-chawal');
+  assert.deepEqual((await resident.getPlan(WEEK)).plan, published.plan);
+  assert.equal(await statusOf(resident.putBallot(WEEK, 'R001', {})), 409);
+
+  const page = await send('GET', `/api/menu/${WEEK}`);
+  assert.equal(page.status, 200);
+  assert.match(page.type, /^text\/html/);
+  assert.match(page.text, /Rajma Chawal/);
+  assert.match((await send('GET', '/api/menu')).text, /Rajma Chawal/);
+});
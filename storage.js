@@ -0,0 +1,551 @@
+import { HISTORY_WEEKS, buildPlanRecord, createPlannerInput, getHeadcount } from './planner.js';
+import { DEFAULT_CATALOG } from './catalog.js';
+import { DEFAULT_RULES } from './rules.js';
+import { DEFAULT_GOALS } from './nutrition.js';
+import { DEFAULT_FAIRNESS, getCarryOverWeights } from './fairness.js';
+import { getPreviousWeekIds } from './weeks.js';
+import {
+  CAMPUS_ROLES,
+  MessError,
+  createAccountRecord,
+  normalizeRollNumber,
+  toPublicAccount,
+  validateAccountChanges,
+  validateAccountFields,
+  verifyPassword
+} from './auth.js';
+import { getDietProfiles, normalizeDiets } from './diet.js';
+import { createStateExport, validateStateExport } from './exchange.js';
+import { banItem, lockSlot, normalizeOverrides, unbanItem, unlockSlot, withOverrides } from './overrides.js';
+import { closeWindow, getPlanVersion, isBallotOpen, normalizeWindow, requireWindow } from './publishing.js';
+import { FEEDBACK_WEEKS, getItemRatings, recordFeedback } from './feedback.js';
+import { DEFAULT_MESS, DEFAULT_MESS_ID, normalizeMessId, normalizeSharedStock, validateMessFields, validateSharedStock } from './campus.js';
+
+// Storage layer for users, per-week ballots and saved plans, for one mess or
+// for every mess of a campus.
+//
+// A storage adapter is any object with async get(key), set(key, value),
+// remove(key) and keys() methods holding JSON-compatible values. The browser
+// uses the localStorage adapter; a file or SQLite backend only needs to
+// implement the same four methods.
+
+export const createMemoryAdapter = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+  return {
+    get: async (key) => (data.has(key) ? clone(data.get(key)) : null),
+    set: async (key, value) => {
+      data.set(key, clone(value));
+    },
+    remove: async (key) => {
+      data.delete(key);
+    },
+    keys: async () => [...data.keys()]
+  };
+};
+
+export const createLocalStorageAdapter = (storage = window.localStorage, prefix = 'aimess:') => ({
+  get: async (key) => {
+    const raw = storage.getItem(prefix + key);
+    return raw === null ? null : JSON.parse(raw);
+  },
+  set: async (key, value) => {
+    storage.setItem(prefix + key, JSON.stringify(value));
+  },
+  remove: async (key) => {
+    storage.removeItem(prefix + key);
+  },
+  keys: async () => {
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key.startsWith(prefix)) keys.push(key.slice(prefix.length));
+    }
+    return keys;
+  }
+});
+
+// Adapter that keeps its keys under a prefix of another adapter
+export const createScopedAdapter = (adapter, prefix) => ({
+  get: (key) => adapter.get(prefix + key),
+  set: (key, value) => adapter.set(prefix + key, value),
+  remove: (key) => adapter.remove(prefix + key),
+  keys: async () => (await adapter.keys()).filter(key => key.startsWith(prefix)).map(key => key.slice(prefix.length))
+});
+
+// Mess data on top of an adapter. Keys:
+//   settings            { catalog, rules, goals, fairness }
+//   accounts            [{ rollNumber, name, role, diets, salt, passwordHash }, ...]
+//   ballots:<weekId>    { [rollNumber]: ballot }
+//   plan:<weekId>       latest published plan: { plan, usage, violations, satisfaction, userSatisfaction,
+//                       fairness, overrides, generatedAt, version, publishedBy, publishedAt }
+//   versions:<weekId>   earlier published plans of the week, oldest first
+//   window:<weekId>     { opensAt, closesAt } ballot window (see publishing.js)
+//   overrides:<weekId>  { locks, bans } set by admins (see overrides.js)
+//   feedback:<weekId>   { [rollNumber]: { [day]: { [meal]: entry } } } ratings of served meals (see feedback.js)
+//
+// Other stores (such as the REST API client) implement the same methods. This
+// store does not check who is calling; the component and the server decide
+// what each account may do (see can() in auth.js).
+export const createMessStore = (adapter) => {
+  const loadAccountRecords = async () => (await adapter.get('accounts')) || [];
+
+  const loadAccounts = async () => (await loadAccountRecords()).map(toPublicAccount);
+
+  // Diets by roll number, for planning (see getDietProfiles)
+  const loadDietProfiles = async () => getDietProfiles(await loadAccounts());
+
+  const createAccount = async (fields) => {
+    const record = await createAccountRecord(fields);
+    const records = await loadAccountRecords();
+    if (records.some(account => account.rollNumber === record.rollNumber)) {
+      throw new MessError('conflict', `Roll number ${record.rollNumber} already has an account`);
+    }
+    await adapter.set('accounts', [...records, record]);
+    return toPublicAccount(record);
+  };
+
+  // The very first account is always a warden, so someone can manage the rest
+  const setupFirstAccount = async (fields) => {
+    if ((await loadAccountRecords()).length > 0) {
+      throw new MessError('conflict', 'Accounts are already set up');
+    }
+    return createAccount({ ...fields, role: 'warden' });
+  };
+
+  const removeAccount = async (rollNumber) => {
+    const records = await loadAccountRecords();
+    const remaining = records.filter(account => account.rollNumber !== normalizeRollNumber(rollNumber));
+    if (remaining.length === records.length) {
+      throw new MessError('not_found', `No account for ${rollNumber}`);
+    }
+    await adapter.set('accounts', remaining);
+  };
+
+  // Change an account's name, role or diets; passwords are not changed here
+  const updateAccount = async (rollNumber, changes) => {
+    const { name, role, diets } = changes || {};
+    const errors = validateAccountChanges({ name, role, diets });
+    if (errors.length > 0) {
+      throw new MessError('invalid', 'Account changes are not valid', errors);
+    }
+
+    const records = await loadAccountRecords();
+    const target = normalizeRollNumber(rollNumber);
+    const record = records.find(account => account.rollNumber === target);
+    if (!record) {
+      throw new MessError('not_found', `No account for ${rollNumber}`);
+    }
+
+    const updated = {
+      ...record,
+      ...(name !== undefined && { name: String(name).trim() }),
+      ...(role !== undefined && { role }),
+      ...(diets !== undefined && { diets: normalizeDiets(diets) })
+    };
+    await adapter.set('accounts', records.map(account => (account.rollNumber === target ? updated : account)));
+    return toPublicAccount(updated);
+  };
+
+  const login = async (rollNumber, password) => {
+    const record = (await loadAccountRecords()).find(account => account.rollNumber === normalizeRollNumber(rollNumber));
+    if (!record || !(await verifyPassword(password, record))) {
+      throw new MessError('unauthenticated', 'Wrong roll number or password');
+    }
+    return toPublicAccount(record);
+  };
+
+  const loadRoster = async () => (await loadAccountRecords()).map(account => account.rollNumber);
+
+  // Ballots of current members only; removed members stop counting
+  const loadBallots = async (weekId) => {
+    const ballots = await adapter.get(`ballots:${weekId}`);
+    if (!ballots) return null;
+
+    const members = {};
+    (await loadRoster()).forEach(rollNumber => {
+      if (ballots[rollNumber]) members[rollNumber] = ballots[rollNumber];
+    });
+    return members;
+  };
+
+  const listWeeks = async () => {
+    const weeks = new Set();
+    (await adapter.keys()).forEach(key => {
+      const [kind, weekId] = key.split(':');
+      if (['ballots', 'plan', 'window', 'overrides', 'feedback'].includes(kind) && weekId) weeks.add(weekId);
+    });
+    return [...weeks].sort();
+  };
+
+  const loadSettings = async () => {
+    const settings = await adapter.get('settings');
+    return {
+      catalog: settings?.catalog || DEFAULT_CATALOG,
+      rules: settings?.rules || DEFAULT_RULES,
+      goals: settings?.goals || DEFAULT_GOALS,
+      fairness: settings?.fairness || DEFAULT_FAIRNESS
+    };
+  };
+
+  // Add or replace some members' ballots for a week, keeping everyone else's
+  const importBallots = async (weekId, ballots) => {
+    const stored = (await adapter.get(`ballots:${weekId}`)) || {};
+    await adapter.set(`ballots:${weekId}`, { ...stored, ...ballots });
+    return { imported: Object.keys(ballots) };
+  };
+
+  const loadOverrides = async (weekId) => normalizeOverrides(await adapter.get(`overrides:${weekId}`));
+
+  // Change a week's overrides with one of the overrides.js helpers, given the
+  // week's planner input (for checking slots and items) and the stored overrides
+  const updateOverrides = async (weekId, change) => {
+    const { catalog, rules } = await loadSettings();
+    const input = createPlannerInput(catalog, rules, {}, {}, [], undefined, weekId);
+    const overrides = change(input, await loadOverrides(weekId));
+    await adapter.set(`overrides:${weekId}`, overrides);
+    return overrides;
+  };
+
+  const exportState = async () => createStateExport({
+    settings: await loadSettings(),
+    accounts: await loadAccounts(),
+    weeks: await Promise.all((await listWeeks()).map(async weekId => ({
+      weekId,
+      ballots: (await adapter.get(`ballots:${weekId}`)) || {},
+      plan: await adapter.get(`plan:${weekId}`),
+      versions: await adapter.get(`versions:${weekId}`),
+      window: await adapter.get(`window:${weekId}`),
+      overrides: await adapter.get(`overrides:${weekId}`),
+      feedback: await adapter.get(`feedback:${weekId}`)
+    })))
+  });
+
+  // Restore an export: settings, every week in it, and the names and diets of
+  // members who have an account here. Accounts are never created or given a
+  // role by an import; ballots of missing members wait until they sign up.
+  const importState = async (data) => {
+    const errors = validateStateExport(data);
+    if (errors.length > 0) {
+      throw new MessError('invalid', 'The export file is not valid', errors);
+    }
+
+    const { catalog, rules, goals, fairness } = data.settings;
+    await adapter.set('settings', { catalog, rules, goals: goals || DEFAULT_GOALS, fairness: fairness || DEFAULT_FAIRNESS });
+
+    const records = await loadAccountRecords();
+    const missing = [];
+    const imported = {};
+    data.accounts.forEach(({ rollNumber, name, diets }) => {
+      const target = normalizeRollNumber(rollNumber);
+      if (records.some(account => account.rollNumber === target)) {
+        imported[target] = { name: String(name || '').trim(), diets: normalizeDiets(diets) };
+      } else {
+        missing.push(target);
+      }
+    });
+    await adapter.set('accounts', records.map(account => ({
+      ...account,
+      ...(imported[account.rollNumber] && {
+        name: imported[account.rollNumber].name || account.name,
+        diets: imported[account.rollNumber].diets
+      })
+    })));
+
+    for (const { weekId, ballots, plan, versions, window, overrides, feedback } of data.weeks) {
+      await adapter.set(`ballots:${weekId}`, ballots || {});
+      if (plan) {
+        await adapter.set(`plan:${weekId}`, plan);
+      } else {
+        await adapter.remove(`plan:${weekId}`);
+      }
+      if (plan && versions?.length > 0) {
+        await adapter.set(`versions:${weekId}`, versions);
+      } else {
+        await adapter.remove(`versions:${weekId}`);
+      }
+      if (window) {
+        await adapter.set(`window:${weekId}`, normalizeWindow(window));
+      } else {
+        await adapter.remove(`window:${weekId}`);
+      }
+      if (overrides) {
+        await adapter.set(`overrides:${weekId}`, normalizeOverrides(overrides));
+      } else {
+        await adapter.remove(`overrides:${weekId}`);
+      }
+      if (feedback && Object.keys(feedback).length > 0) {
+        await adapter.set(`feedback:${weekId}`, feedback);
+      } else {
+        await adapter.remove(`feedback:${weekId}`);
+      }
+    }
+    return { weeks: data.weeks.length, members: Object.keys(imported).length, missing };
+  };
+
+  const loadPlan = (weekId) => adapter.get(`plan:${weekId}`);
+
+  // Every published version of a week's plan, oldest first
+  const loadPlanVersions = async (weekId) => {
+    const current = await loadPlan(weekId);
+    return current ? [...((await adapter.get(`versions:${weekId}`)) || []), current] : [];
+  };
+
+  const loadBallotWindow = async (weekId) => normalizeWindow(await adapter.get(`window:${weekId}`));
+
+  // Set when voting opens and closes; null times mean no limit
+  const saveBallotWindow = async (weekId, window) => {
+    const checked = requireWindow(window);
+    if (checked.opensAt || checked.closesAt) {
+      await adapter.set(`window:${weekId}`, checked);
+    } else {
+      await adapter.remove(`window:${weekId}`);
+    }
+    return checked;
+  };
+
+  const loadFeedback = async (weekId) => (await adapter.get(`feedback:${weekId}`)) || {};
+
+  // Record a member's feedback on one served meal of the week's published
+  // plan, replacing what they said about it before. Returns their feedback
+  // for the week.
+  const saveFeedback = async (weekId, rollNumber, entry, at = new Date().toISOString()) => {
+    const { catalog, rules } = await loadSettings();
+    const input = createPlannerInput(catalog, rules, {}, {}, [], undefined, weekId);
+    const record = await loadPlan(weekId);
+    const feedback = recordFeedback(input, record?.plan, await loadFeedback(weekId), rollNumber, entry, at);
+    await adapter.set(`feedback:${weekId}`, feedback);
+    return feedback[rollNumber];
+  };
+
+  // Run the planner over the stored ballots of a week, without saving the
+  // result. Carry-over fairness builds on the previous week's published plan,
+  // the cross-week rules on the last few and the ratings on their feedback;
+  // the week's overrides are applied and kept with the plan as a record.
+  const previewPlan = async (weekId) => {
+    const { catalog, rules, goals, fairness } = await loadSettings();
+    const users = (await loadBallots(weekId)) || {};
+    const diets = await loadDietProfiles();
+    const planHistory = await loadPlanHistory({ loadPlan }, weekId);
+    const weights = getCarryOverWeights(planHistory[0].record);
+    const overrides = await loadOverrides(weekId);
+
+    const input = withOverrides(createPlannerInput(catalog, rules, users, diets, goals, { ...fairness, weights }, weekId), overrides);
+    input.history = toPlannerHistory(planHistory);
+    input.ratings = getItemRatings(await loadFeedbackHistory({ loadFeedback }, weekId));
+    return { ...buildPlanRecord(input), overrides };
+  };
+
+  // Close the week's ballot if it is still open and publish the plan as its
+  // next version. The version it replaces is kept unchanged.
+  const publishPlan = async (weekId, by, at = new Date().toISOString()) => {
+    const window = await loadBallotWindow(weekId);
+    if (isBallotOpen(window, new Date(at))) {
+      await adapter.set(`window:${weekId}`, closeWindow(window, at));
+    }
+
+    const previous = await loadPlan(weekId);
+    const record = {
+      ...(await previewPlan(weekId)),
+      version: previous ? getPlanVersion(previous) + 1 : 1,
+      publishedBy: by || null,
+      publishedAt: at
+    };
+    if (previous) {
+      await adapter.set(`versions:${weekId}`, [...((await adapter.get(`versions:${weekId}`)) || []), previous]);
+    }
+    await adapter.set(`plan:${weekId}`, record);
+    return record;
+  };
+
+  return {
+    adapter,
+    loadSettings,
+    saveSettings: (settings) => adapter.set('settings', settings),
+    hasAccounts: async () => (await loadAccountRecords()).length > 0,
+    loadAccounts,
+    loadDietProfiles,
+    createAccount,
+    setupFirstAccount,
+    removeAccount,
+    updateAccount,
+    login,
+    logout: async () => {},
+    loadRoster,
+    loadBallots,
+    saveBallots: (weekId, ballots) => adapter.set(`ballots:${weekId}`, ballots),
+    resetBallots: (weekId) => adapter.remove(`ballots:${weekId}`),
+    importBallots,
+    loadPlan,
+    loadPlanVersions,
+    savePlan: (weekId, record) => adapter.set(`plan:${weekId}`, record),
+    removePlan: (weekId) => adapter.remove(`plan:${weekId}`),
+    previewPlan,
+    publishPlan,
+    loadBallotWindow,
+    saveBallotWindow,
+    loadOverrides,
+    lockSlot: (weekId, lock, by, at = new Date().toISOString()) =>
+      updateOverrides(weekId, (input, overrides) => lockSlot(input, overrides, lock, by, at)),
+    unlockSlot: (weekId, slot) => updateOverrides(weekId, (input, overrides) => unlockSlot(overrides, slot)),
+    banItem: (weekId, ban, by, at = new Date().toISOString()) =>
+      updateOverrides(weekId, (input, overrides) => banItem(input, overrides, ban, by, at)),
+    unbanItem: (weekId, itemId) => updateOverrides(weekId, (input, overrides) => unbanItem(overrides, itemId)),
+    loadFeedback,
+    saveFeedback,
+    listWeeks,
+    exportState,
+    importState,
+    // Without a server there is no public menu page to link to
+    getMenuUrl: () => null
+  };
+};
+
+// Every mess of a campus on one adapter (see campus.js). Keys:
+//   messes              [{ id, name }]; a missing list means just the DEFAULT_MESS
+//   mess:<id>:<key>     the keys of createMessStore for each mess; the default
+//                       mess keeps its keys unprefixed, as before it had company
+//   campus:contractors  contractor accounts, like accounts but with CAMPUS_ROLES
+//   campus:stock        { itemId: servings } the contractor holds for all messes
+//
+// Like createMessStore, this store does not check who is calling.
+export const createCampusStore = (adapter) => {
+  const stores = {};
+
+  const listMesses = async () => (await adapter.get('messes')) || [DEFAULT_MESS];
+
+  // Store of one mess; throws MessError('not_found') for an unknown mess
+  const getMessStore = async (messId) => {
+    const id = normalizeMessId(messId);
+    if (!(await listMesses()).some(mess => mess.id === id)) {
+      throw new MessError('not_found', `No mess "${messId}"`);
+    }
+    if (!stores[id]) {
+      stores[id] = createMessStore(id === DEFAULT_MESS_ID ? adapter : createScopedAdapter(adapter, `mess:${id}:`));
+    }
+    return stores[id];
+  };
+
+  // Add a mess together with its first warden, { rollNumber, name, password }
+  const createMess = async ({ id, name, warden }) => {
+    const errors = [
+      ...validateMessFields({ id, name }),
+      ...validateAccountFields({ ...warden, role: 'warden' }).map(message => `Warden: ${message}`)
+    ];
+    if (errors.length > 0) {
+      throw new MessError('invalid', 'Mess details are not valid', errors);
+    }
+    const messes = await listMesses();
+    const mess = { id: normalizeMessId(id), name: String(name).trim() };
+    if (messes.some(existing => existing.id === mess.id)) {
+      throw new MessError('conflict', `Mess "${mess.id}" already exists`);
+    }
+    await adapter.set('messes', [...messes, mess]);
+    await (await getMessStore(mess.id)).setupFirstAccount(warden);
+    return mess;
+  };
+
+  const loadContractorRecords = async () => (await adapter.get('campus:contractors')) || [];
+
+  const createContractor = async (fields) => {
+    const record = await createAccountRecord({ ...fields, role: 'contractor' }, CAMPUS_ROLES);
+    const records = await loadContractorRecords();
+    if (records.some(account => account.rollNumber === record.rollNumber)) {
+      throw new MessError('conflict', `${record.rollNumber} already has a contractor account`);
+    }
+    await adapter.set('campus:contractors', [...records, record]);
+    return toPublicAccount(record);
+  };
+
+  const removeContractor = async (rollNumber) => {
+    const records = await loadContractorRecords();
+    const remaining = records.filter(account => account.rollNumber !== normalizeRollNumber(rollNumber));
+    if (remaining.length === records.length) {
+      throw new MessError('not_found', `No contractor account for ${rollNumber}`);
+    }
+    await adapter.set('campus:contractors', remaining);
+  };
+
+  const loginContractor = async (rollNumber, password) => {
+    const record = (await loadContractorRecords()).find(account => account.rollNumber === normalizeRollNumber(rollNumber));
+    if (!record || !(await verifyPassword(password, record))) {
+      throw new MessError('unauthenticated', 'Wrong contractor id or password');
+    }
+    return toPublicAccount(record);
+  };
+
+  const saveSharedStock = async (stock) => {
+    const errors = validateSharedStock(stock);
+    if (errors.length > 0) {
+      throw new MessError('invalid', 'Shared stock is not valid', errors);
+    }
+    const checked = normalizeSharedStock(stock);
+    await adapter.set('campus:stock', checked);
+    return checked;
+  };
+
+  // What every mess serves in a week: [{ mess, catalog, plan, version, draft,
+  // headcount }] with the published plan, or a draft from the current ballots
+  // (version null) for a mess that has not published one yet, and the number
+  // of residents who eat there, as the planner counts them (getHeadcount)
+  const loadCampusWeek = async (weekId) => {
+    const messWeeks = [];
+    for (const mess of await listMesses()) {
+      const store = await getMessStore(mess.id);
+      const { catalog } = await store.loadSettings();
+      const record = await store.loadPlan(weekId);
+      const plan = record ? record.plan : (await store.previewPlan(weekId)).plan;
+      const headcount = getHeadcount({ users: (await store.loadBallots(weekId)) || {}, diets: await store.loadDietProfiles() });
+      messWeeks.push({ mess, catalog, plan, version: record ? getPlanVersion(record) : null, draft: !record, headcount });
+    }
+    return messWeeks;
+  };
+
+  return {
+    adapter,
+    listMesses,
+    getMessStore,
+    createMess,
+    loadContractors: async () => (await loadContractorRecords()).map(toPublicAccount),
+    createContractor,
+    removeContractor,
+    loginContractor,
+    logout: async () => {},
+    loadSharedStock: async () => (await adapter.get('campus:stock')) || {},
+    saveSharedStock,
+    loadCampusWeek
+  };
+};
+
+// Ballot and published plan of every stored week, oldest first
+export const loadWeekHistory = async (store) => {
+  const weeks = await store.listWeeks();
+  return Promise.all(weeks.map(async weekId => ({
+    weekId,
+    ballots: (await store.loadBallots(weekId)) || {},
+    plan: await store.loadPlan(weekId)
+  })));
+};
+
+// Published plans of the HISTORY_WEEKS weeks before a week, most recent first, as
+// [{ weekId, record }] with a null record where none was saved
+export const loadPlanHistory = (store, weekId) =>
+  Promise.all(getPreviousWeekIds(weekId, HISTORY_WEEKS).map(async previousWeekId => ({
+    weekId: previousWeekId,
+    record: await store.loadPlan(previousWeekId)
+  })));
+
+// Planner input history (see planner.js) from loadPlanHistory's records
+export const toPlannerHistory = (planHistory) =>
+  planHistory.map(({ weekId, record }) => ({ weekId, plan: record?.plan || null }));
+
+// A member's own ballots of the `count` weeks before a week, most recent
+// first, with null for weeks they did not vote in
+export const loadBallotHistory = (store, weekId, rollNumber, count = HISTORY_WEEKS) =>
+  Promise.all(getPreviousWeekIds(weekId, count).map(async previousWeekId =>
+    ((await store.loadBallots(previousWeekId)) || {})[rollNumber] || null));
+
+// Meal feedback of the FEEDBACK_WEEKS weeks before a week, most recent first
+export const loadFeedbackHistory = (store, weekId) =>
+  Promise.all(getPreviousWeekIds(weekId, FEEDBACK_WEEKS).map(previousWeekId => store.loadFeedback(previousWeekId)));
@@ -0,0 +1,60 @@
+// Trends across saved weeks for the trends dashboard: how often items were
+// planned, how satisfied residents were and how much of the menu repeated
+// the week before. Weeks come from loadWeekHistory (storage.js); weeks
+// without a saved plan are left out.
+
+import { forEachSlot } from './planner.js';
+import { shiftWeek } from './weeks.js';
+
+// Items drawn as lines in the usage chart
+export const TREND_ITEMS = 5;
+
+// Share of this week's planned slots serving the same item as the week
+// before, in percent
+const getRepeatedPercent = (input, plan, previousPlan) => {
+  let planned = 0;
+  let repeated = 0;
+  forEachSlot(input, (day, meal, course) => {
+    const itemId = plan[day]?.[meal]?.[course]?.item;
+    if (!itemId) return;
+    planned++;
+    if (previousPlan[day]?.[meal]?.[course]?.item === itemId) repeated++;
+  });
+  return planned > 0 ? Math.round((repeated / planned) * 100) : null;
+};
+
+// One row per saved week, oldest first: { weekId, satisfaction, cost,
+// repeated, usage } where usage is { [itemId]: times planned } and repeated
+// is null when the week before has no saved plan
+export const getWeeklyTrends = (input, history) => {
+  const records = {};
+  history.forEach(entry => {
+    if (entry.plan?.plan) records[entry.weekId] = entry.plan;
+  });
+
+  return Object.keys(records).sort().map(weekId => {
+    const record = records[weekId];
+    const previous = records[shiftWeek(weekId, -1)];
+    return {
+      weekId,
+      satisfaction: record.satisfaction ?? null,
+      cost: record.cost ?? null,
+      repeated: previous ? getRepeatedPercent(input, record.plan, previous.plan) : null,
+      usage: record.usage || {}
+    };
+  });
+};
+
+// Most planned items over all the rows, most first
+export const getTopTrendItems = (trends, count = TREND_ITEMS) => {
+  const totals = {};
+  trends.forEach(row => {
+    Object.entries(row.usage).forEach(([itemId, uses]) => {
+      totals[itemId] = (totals[itemId] || 0) + uses;
+    });
+  });
+  return Object.keys(totals)
+    .filter(itemId => totals[itemId] > 0)
+    .sort((a, b) => totals[b] - totals[a])
+    .slice(0, count);
+};
@@ -0,0 +1,61 @@
+// Planning weeks are identified by their ISO week, e.g. "2026-W42". Ballots and
+// plans are stored per week so past weeks can be reopened and compared.
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// ISO week id of a date (local time)
+export const getWeekId = (date = new Date()) => {
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayNum = thursday.getDay() || 7;
+  thursday.setDate(thursday.getDate() + 4 - dayNum);
+
+  const yearStart = new Date(thursday.getFullYear(), 0, 1);
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getFullYear()}-W${pad(week)}`;
+};
+
+// Number of ISO weeks in a year (52 or 53); 28 December is always in the last
+export const getWeeksInYear = (year) => Number(getWeekId(new Date(year, 11, 28)).slice(-2));
+
+// { year, week } of a week id, or null when it is malformed or the year has no
+// such week (W00, or W53 in a 52-week year)
+export const parseWeekId = (weekId) => {
+  const match = /^(\d{4})-W(\d{2})$/.exec(typeof weekId === 'string' ? weekId : '');
+  if (!match) return null;
+  const year = Number(match[1]);
+  const week = Number(match[2]);
+  return week >= 1 && week <= getWeeksInYear(year) ? { year, week } : null;
+};
+
+// Monday of an ISO week (local midnight)
+export const getWeekStart = (weekId) => {
+  const { year, week } = parseWeekId(weekId);
+  const january4 = new Date(year, 0, 4);
+  const dayNum = january4.getDay() || 7;
+  return new Date(year, 0, 4 - dayNum + 1 + (week - 1) * 7);
+};
+
+// Date of one day of the week, using the catalog's day order from Monday
+export const getDayDate = (weekId, dayIndex) => {
+  const start = getWeekStart(weekId);
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + dayIndex);
+};
+
+export const shiftWeek = (weekId, delta) => {
+  const start = getWeekStart(weekId);
+  return getWeekId(new Date(start.getFullYear(), start.getMonth(), start.getDate() + delta * 7));
+};
+
+// The `count` weeks before a week, most recent first
+export const getPreviousWeekIds = (weekId, count) =>
+  Array.from({ length: count }, (_, index) => shiftWeek(weekId, -(index + 1)));
+
+export const compareWeeks = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Short label such as "13 Oct – 19 Oct"
+export const formatWeekRange = (weekId) => {
+  const start = getWeekStart(weekId);
+  const end = getDayDate(weekId, 6);
+  const format = (date) => date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+  return `${format(start)} – ${format(end)}`;
+};